@@ -0,0 +1,381 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, Briefcase, Utensils, Zap, Armchair, CreditCard, Clock, Plane } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
+import { useAuth } from '@/context/AuthContext';
+import { addonAPI, bookingAPI, bookingDraftAPI } from '@/services/api';
+import { ADDON_TYPES, isAddonAllowed } from './addons';
+import { getHoldSecondsLeft, formatHoldCountdown } from './bookingHold';
+
+const ADDON_ICONS = {
+  baggage: Briefcase,
+  meal: Utensils,
+  priority: Zap,
+  legroom: Armchair
+};
+
+const selectionKey = (passengerId, flightId) => `${passengerId}-${flightId}`;
+
+// Optional extras between passenger details and payment. The booking already exists
+// and is on hold; the server prices the add-ons and updates the booking total.
+const AddOns = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  const draftId = searchParams.get('draft');
+
+  const [draftData, setDraftData] = useState(null); // the saved draft, kept whole when it is updated
+  const [draftLoading, setDraftLoading] = useState(!!draftId);
+  const bookingState = location.state || draftData?.payment || {};
+  const { bookingId, flightData, itinerary, passengers = [], holdExpiresAt } = bookingState;
+  const legs = itinerary?.flights || [flightData].filter(Boolean);
+
+  const [catalog, setCatalog] = useState({}); // flightId -> add-ons sold on it
+  const [selections, setSelections] = useState({}); // "passengerId-flightId" -> { code: addonId }
+  const [baseAmount, setBaseAmount] = useState(null); // booking total without add-ons
+  const [activeLeg, setActiveLeg] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [holdSecondsLeft, setHoldSecondsLeft] = useState(getHoldSecondsLeft(holdExpiresAt));
+
+  useEffect(() => {
+    if (!draftId) return;
+
+    const loadDraft = async () => {
+      try {
+        const response = await bookingDraftAPI.getById(draftId);
+        const draft = response.data;
+        // Only a reload or a resumed draft needs sending to the step it is at
+        if (!location.state && draft.step === 'payment' && draft.bookingId) {
+          navigate(`/airline-booking?draft=${draftId}`, { replace: true });
+          return;
+        }
+        // A lapsed hold sends the draft back to seat selection
+        if (!location.state && (draft.step !== 'addons' || !draft.bookingId)) {
+          navigate(`/passenger-info?draft=${draftId}`, { replace: true });
+          return;
+        }
+        setDraftData(JSON.parse(draft.data || '{}'));
+      } catch (error) {
+        console.error('Error restoring booking draft:', error);
+      } finally {
+        setDraftLoading(false);
+      }
+    };
+
+    loadDraft();
+  }, []);
+
+  useEffect(() => {
+    if (draftLoading) return;
+    if (!bookingId || legs.length === 0) {
+      navigate('/flights');
+      return;
+    }
+
+    const loadAddons = async () => {
+      try {
+        setLoading(true);
+        const [bookingAddons, ...flightAddons] = await Promise.all([
+          bookingAPI.getAddons(bookingId),
+          ...legs.map(leg => addonAPI.getForFlight(leg.id))
+        ]);
+
+        setCatalog(Object.fromEntries(legs.map((leg, index) => [leg.id, flightAddons[index].data || []])));
+        setBaseAmount((bookingAddons.data?.amount || 0) - (bookingAddons.data?.addonsTotal || 0));
+
+        // Coming back to this step shows what was picked before
+        const picked = {};
+        (bookingAddons.data?.addons || []).forEach(line => {
+          const key = selectionKey(line.passengerId, line.flightId);
+          picked[key] = { ...picked[key], [line.code]: line.addonId };
+        });
+        setSelections(picked);
+      } catch (error) {
+        console.error('Error loading add-ons:', error);
+        toast({
+          title: "Error",
+          description: "Failed to load add-ons. You can continue to payment without them.",
+          variant: "destructive"
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAddons();
+  }, [draftLoading, bookingId]);
+
+  useEffect(() => {
+    if (!holdExpiresAt) return;
+
+    const timer = setInterval(() => {
+      const secondsLeft = getHoldSecondsLeft(holdExpiresAt);
+      setHoldSecondsLeft(secondsLeft);
+      if (secondsLeft === 0) clearInterval(timer);
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [holdExpiresAt]);
+
+  const findAddon = (flightId, addonId) => (catalog[flightId] || []).find(addon => addon.addonId === addonId);
+
+  const selectedLines = Object.entries(selections).flatMap(([key, picks]) => {
+    const [passengerId, flightId] = key.split('-').map(Number);
+    return Object.values(picks)
+      .map(addonId => findAddon(flightId, addonId))
+      .filter(Boolean)
+      .map(addon => ({ passengerId, flightId, addon }));
+  });
+  const addonsTotal = selectedLines.reduce((sum, line) => sum + line.addon.price, 0);
+
+  const toggleAddon = (passengerId, flightId, addon) => {
+    const key = selectionKey(passengerId, flightId);
+    const picks = { ...selections[key] };
+    if (picks[addon.code] === addon.addonId) {
+      delete picks[addon.code];
+    } else {
+      picks[addon.code] = addon.addonId;
+    }
+    setSelections({ ...selections, [key]: picks });
+  };
+
+  const handleContinue = async () => {
+    try {
+      setSaving(true);
+      const response = await bookingAPI.updateAddons(bookingId, {
+        addons: selectedLines.map(line => ({
+          passengerId: line.passengerId,
+          flightId: line.flightId,
+          addonId: line.addon.addonId
+        }))
+      });
+
+      const paymentState = {
+        ...bookingState,
+        totalAmount: response.data?.amount,
+        addons: response.data?.addons || []
+      };
+
+      if (draftId) {
+        try {
+          await bookingDraftAPI.update(draftId, {
+            userId: user?.userId || user?.id,
+            step: 'payment',
+            bookingId,
+            data: JSON.stringify({ ...draftData, payment: paymentState })
+          });
+        } catch (error) {
+          console.error('Error saving booking draft:', error);
+        }
+      }
+
+      navigate(draftId ? `/airline-booking?draft=${draftId}` : '/airline-booking', {
+        state: paymentState
+      });
+    } catch (error) {
+      console.error('Error saving add-ons:', error);
+      const { passengerIndex, legIndex } = error.response?.data || {};
+      if (legIndex !== undefined && legIndex !== null) setActiveLeg(legIndex);
+      toast({
+        title: passengerIndex !== undefined && passengerIndex !== null ? `Passenger ${passengerIndex + 1}` : "Error",
+        description: error.response?.data?.message || "Failed to save add-ons. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (draftLoading || (loading && bookingId)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+      </div>
+    );
+  }
+
+  if (!bookingId) return null;
+
+  const leg = legs[activeLeg];
+  const legAddons = catalog[leg?.id] || [];
+
+  return (
+    <>
+      <Helmet>
+        <title>Add-ons - Flynest</title>
+        <meta name="description" content="Add baggage, meals, priority boarding and extra legroom to your booking." />
+      </Helmet>
+
+      <div className="min-h-screen py-8">
+        <div className="container mx-auto px-4 max-w-5xl">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-8"
+          >
+            <Button
+              variant="ghost"
+              onClick={() => navigate('/flights')}
+              className="mb-4 text-white hover:bg-white/10"
+            >
+              <ArrowLeft className="mr-2 h-4 w-4" />
+              Back to Flights
+            </Button>
+
+            <h1 className="text-4xl font-bold text-white mb-2">Add Extras</h1>
+            <p className="text-gray-300">Add baggage, meals and more for each passenger, or continue without them.</p>
+            {holdSecondsLeft !== null && holdSecondsLeft > 0 && (
+              <p className="mt-2 flex items-center text-sm text-yellow-400">
+                <Clock className="mr-1 h-4 w-4" />
+                Seats held for {formatHoldCountdown(holdSecondsLeft)}
+              </p>
+            )}
+          </motion.div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <div className="lg:col-span-2 space-y-6">
+              {legs.length > 1 && (
+                <div className="flex flex-wrap gap-2">
+                  {legs.map((flight, index) => (
+                    <Button
+                      key={flight.id}
+                      type="button"
+                      variant="outline"
+                      onClick={() => setActiveLeg(index)}
+                      className={
+                        index === activeLeg
+                          ? 'border-purple-400 bg-purple-500/20 text-white'
+                          : 'border-white/20 text-gray-300 hover:bg-white/10'
+                      }
+                    >
+                      {flight.flightNumber}
+                      <span className="ml-2 text-xs text-gray-400">
+                        {flight.departureIata} → {flight.arrivalIata}
+                      </span>
+                    </Button>
+                  ))}
+                </div>
+              )}
+
+              {legAddons.length === 0 ? (
+                <Card className="glass-effect border-white/10">
+                  <CardContent className="p-6 text-center text-gray-400">
+                    {leg?.airlineName || 'This airline'} doesn't offer add-ons on flight {leg?.flightNumber}.
+                  </CardContent>
+                </Card>
+              ) : passengers.map((passenger, index) => {
+                const picks = selections[selectionKey(passenger.passengerId, leg.id)] || {};
+                return (
+                  <Card key={passenger.passengerId} className="glass-effect border-white/10">
+                    <CardHeader>
+                      <CardTitle className="text-white flex items-center justify-between">
+                        <span>{passenger.fullName || `Passenger ${index + 1}`}</span>
+                        {passenger.passengerType && (
+                          <span className="text-sm font-normal text-gray-400">{passenger.passengerType}</span>
+                        )}
+                      </CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-4">
+                      {ADDON_TYPES.map(type => {
+                        const options = legAddons.filter(addon =>
+                          addon.code === type.code && isAddonAllowed(addon, passenger.passengerType));
+                        if (options.length === 0) return null;
+                        const Icon = ADDON_ICONS[type.code];
+                        return (
+                          <div key={type.code}>
+                            <p className="text-sm text-gray-400 mb-2 flex items-center">
+                              <Icon className="mr-2 h-4 w-4 text-blue-400" />
+                              {type.label}
+                            </p>
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                              {options.map(addon => (
+                                <button
+                                  key={addon.addonId}
+                                  type="button"
+                                  onClick={() => toggleAddon(passenger.passengerId, leg.id, addon)}
+                                  className={`text-left p-3 rounded-lg border transition-all ${
+                                    picks[addon.code] === addon.addonId
+                                      ? 'border-blue-400 bg-blue-500/10'
+                                      : 'border-white/10 hover:border-white/20'
+                                  }`}
+                                >
+                                  <div className="flex items-center justify-between">
+                                    <span className="font-medium text-white">{addon.name}</span>
+                                    <span className="text-sm text-white">
+                                      {addon.price > 0 ? `₹${addon.price}` : 'Free'}
+                                    </span>
+                                  </div>
+                                  {addon.description && (
+                                    <p className="text-xs text-gray-400 mt-1">{addon.description}</p>
+                                  )}
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </CardContent>
+                  </Card>
+                );
+              })}
+            </div>
+
+            {/* Price Summary */}
+            <div>
+              <Card className="glass-effect border-white/10 sticky top-8">
+                <CardHeader>
+                  <CardTitle className="text-white flex items-center space-x-2">
+                    <CreditCard className="h-5 w-5 text-green-400" />
+                    <span>Price Summary</span>
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  <div className="flex justify-between text-gray-300">
+                    <span>Flights</span>
+                    <span className="text-white">₹{baseAmount ?? 0}</span>
+                  </div>
+                  {selectedLines.map(line => (
+                    <div key={`${line.passengerId}-${line.flightId}-${line.addon.addonId}`} className="flex justify-between text-sm text-gray-300">
+                      <span>
+                        {line.addon.name}
+                        <span className="block text-xs text-gray-400">
+                          {passengers.find(p => p.passengerId === line.passengerId)?.fullName}
+                          {legs.length > 1 && <> · <Plane className="inline h-3 w-3" /> {legs.find(l => l.id === line.flightId)?.flightNumber}</>}
+                        </span>
+                      </span>
+                      <span className="text-white">₹{line.addon.price}</span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between border-t border-white/10 pt-3">
+                    <span className="font-semibold text-white">Total</span>
+                    <span className="font-bold text-white text-xl">₹{(baseAmount ?? 0) + addonsTotal}</span>
+                  </div>
+                  <Button
+                    onClick={handleContinue}
+                    disabled={saving}
+                    className="w-full bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                  >
+                    {saving ? (
+                      <>
+                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                        Saving...
+                      </>
+                    ) : selectedLines.length > 0 ? 'Continue to Payment' : 'Skip & Continue to Payment'}
+                  </Button>
+                </CardContent>
+              </Card>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AddOns;
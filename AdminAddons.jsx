@@ -0,0 +1,375 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, Plus, Edit, Trash2, Package } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from '@/components/ui/use-toast';
+import { addonAPI, airlineAPI } from '@/services/api';
+import { ADDON_TYPES, getAddonTypeLabel } from './addons';
+
+const EMPTY_ADDON = {
+  airlineId: '',
+  code: '',
+  name: '',
+  description: '',
+  price: '',
+  isActive: true
+};
+
+// Admin price list for the extras each airline sells (baggage, meals, priority, legroom)
+const AdminAddons = () => {
+  const navigate = useNavigate();
+  const [addons, setAddons] = useState([]);
+  const [airlines, setAirlines] = useState([]);
+  const [airlineFilter, setAirlineFilter] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [editingAddon, setEditingAddon] = useState(null); // form values; addonId is set when editing
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const adminToken = localStorage.getItem('flynest_admin_token');
+    if (!adminToken) {
+      toast({
+        title: "Access Denied",
+        description: "Please log in as admin to access this page.",
+        variant: "destructive"
+      });
+      navigate('/admin-login');
+      return;
+    }
+
+    loadData();
+  }, [navigate]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [addonsResponse, airlinesResponse] = await Promise.all([
+        addonAPI.getAll(),
+        airlineAPI.getAll()
+      ]);
+      setAddons(addonsResponse.data || []);
+      setAirlines(airlinesResponse.data || []);
+    } catch (error) {
+      console.error('Error loading add-ons:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load add-ons.",
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const { addonId } = editingAddon;
+    const payload = {
+      airlineId: Number(editingAddon.airlineId),
+      code: editingAddon.code,
+      name: editingAddon.name.trim(),
+      description: editingAddon.description || null,
+      price: Number(editingAddon.price),
+      isActive: editingAddon.isActive
+    };
+
+    try {
+      setSaving(true);
+      if (addonId) {
+        await addonAPI.update(addonId, payload);
+      } else {
+        await addonAPI.create(payload);
+      }
+      toast({
+        title: "Success",
+        description: addonId ? "Add-on updated. New bookings will use the new price." : "Add-on created."
+      });
+      setEditingAddon(null);
+      loadData();
+    } catch (error) {
+      console.error('Error saving add-on:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to save add-on.",
+        variant: "destructive"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (addon) => {
+    if (!window.confirm(`Remove "${addon.name}" for ${addon.airlineName}? If passengers have bought it, it is only deactivated.`)) {
+      return;
+    }
+
+    try {
+      await addonAPI.delete(addon.addonId);
+      toast({
+        title: "Success",
+        description: "Add-on removed."
+      });
+      loadData();
+    } catch (error) {
+      console.error('Error deleting add-on:', error);
+      toast({
+        title: "Error",
+        description: "Failed to remove add-on.",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const filteredAddons = airlineFilter === 'all'
+    ? addons
+    : addons.filter(addon => String(addon.airlineId) === airlineFilter);
+
+  const canSave = editingAddon?.airlineId && editingAddon?.code && editingAddon?.name?.trim() &&
+    editingAddon?.price !== '' && Number(editingAddon?.price) >= 0;
+
+  if (loading) {
+    return (
+      <div className="min-h-screen pt-20 pb-12 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
+          <p className="text-gray-400">Loading add-ons...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>Manage Add-ons - Admin Dashboard</title>
+        <meta name="description" content="Manage add-on prices per airline in Flynest admin dashboard." />
+      </Helmet>
+
+      <div className="min-h-screen pt-20 pb-12">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+            className="mb-8"
+          >
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-4">
+                <Button
+                  variant="outline"
+                  onClick={() => navigate('/admin/dashboard')}
+                  className="border-white/20 text-white hover:bg-white/10"
+                >
+                  <ArrowLeft className="mr-2 h-4 w-4" />
+                  Back to Dashboard
+                </Button>
+                <div>
+                  <h1 className="text-4xl font-bold text-white mb-2">
+                    Manage Add-ons
+                  </h1>
+                  <p className="text-gray-300">
+                    Baggage, meals, priority boarding and extra legroom prices per airline
+                  </p>
+                </div>
+              </div>
+              <Button onClick={() => setEditingAddon(EMPTY_ADDON)} className="bg-green-600 hover:bg-green-700">
+                <Plus className="mr-2 h-4 w-4" />
+                Add Add-on
+              </Button>
+            </div>
+          </motion.div>
+
+          {/* Airline Filter */}
+          <Card className="glass-effect border-white/10 mb-6">
+            <CardContent className="pt-6">
+              <Select value={airlineFilter} onValueChange={setAirlineFilter}>
+                <SelectTrigger className="bg-white/5 border-white/20 text-white sm:w-72">
+                  <SelectValue placeholder="All airlines" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All airlines</SelectItem>
+                  {airlines.map(airline => (
+                    <SelectItem key={airline.id} value={String(airline.id)}>
+                      {airline.name} ({airline.iataCode})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </CardContent>
+          </Card>
+
+          {/* Add-ons List */}
+          <Card className="glass-effect border-white/10">
+            <CardHeader>
+              <CardTitle className="text-white flex items-center space-x-2">
+                <Package className="h-5 w-5" />
+                <span>Add-ons ({filteredAddons.length})</span>
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              {filteredAddons.length > 0 ? (
+                <div className="space-y-4">
+                  {filteredAddons.map(addon => (
+                    <div
+                      key={addon.addonId}
+                      className="flex items-center justify-between p-4 border border-white/10 rounded-lg hover:bg-white/5 transition-all"
+                    >
+                      <div>
+                        <p className="font-medium text-white">{addon.name}</p>
+                        <p className="text-sm text-gray-400">
+                          {addon.airlineName} · {getAddonTypeLabel(addon.code)}
+                          {addon.description && ` · ${addon.description}`}
+                        </p>
+                      </div>
+
+                      <div className="flex items-center space-x-2">
+                        {!addon.isActive && (
+                          <Badge className="bg-gray-500/20 text-gray-400 border-gray-500/30">Inactive</Badge>
+                        )}
+                        <span className="text-white font-medium">
+                          {addon.price > 0 ? `₹${addon.price}` : 'Free'}
+                        </span>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setEditingAddon({ ...addon, description: addon.description || '' })}
+                          className="text-gray-400 hover:text-white"
+                        >
+                          <Edit className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleDelete(addon)}
+                          className="text-red-400 hover:text-red-300"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-center py-8">
+                  <Package className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-400">No add-ons for this airline yet.</p>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+
+      {/* Add / Edit Modal */}
+      {editingAddon && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-slate-800 rounded-lg p-6 w-full max-w-md mx-4"
+          >
+            <h3 className="text-xl font-bold text-white mb-4">
+              {editingAddon.addonId ? 'Edit Add-on' : 'New Add-on'}
+            </h3>
+            <div className="space-y-4">
+              <div>
+                <label className="text-sm text-gray-400">Airline</label>
+                <Select
+                  value={editingAddon.airlineId ? String(editingAddon.airlineId) : ''}
+                  onValueChange={(value) => setEditingAddon({ ...editingAddon, airlineId: value })}
+                >
+                  <SelectTrigger className="bg-white/5 border-white/20 text-white">
+                    <SelectValue placeholder="Select airline" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {airlines.map(airline => (
+                      <SelectItem key={airline.id} value={String(airline.id)}>
+                        {airline.name} ({airline.iataCode})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <label className="text-sm text-gray-400">Type</label>
+                <Select
+                  value={editingAddon.code}
+                  onValueChange={(value) => setEditingAddon({ ...editingAddon, code: value })}
+                >
+                  <SelectTrigger className="bg-white/5 border-white/20 text-white">
+                    <SelectValue placeholder="Select type" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {ADDON_TYPES.map(type => (
+                      <SelectItem key={type.code} value={type.code}>{type.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <label className="text-sm text-gray-400">Name</label>
+                <Input
+                  value={editingAddon.name}
+                  onChange={(e) => setEditingAddon({ ...editingAddon, name: e.target.value })}
+                  placeholder="e.g. Extra 15 kg"
+                  className="bg-white/5 border-white/20 text-white"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-400">Description</label>
+                <Input
+                  value={editingAddon.description}
+                  onChange={(e) => setEditingAddon({ ...editingAddon, description: e.target.value })}
+                  className="bg-white/5 border-white/20 text-white"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-400">Price (₹)</label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={editingAddon.price}
+                  onChange={(e) => setEditingAddon({ ...editingAddon, price: e.target.value })}
+                  className="bg-white/5 border-white/20 text-white"
+                />
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={editingAddon.isActive}
+                  onChange={(e) => setEditingAddon({ ...editingAddon, isActive: e.target.checked })}
+                />
+                <span>Offered to new bookings</span>
+              </label>
+            </div>
+            <div className="flex space-x-2 mt-6">
+              <Button
+                onClick={handleSave}
+                disabled={!canSave || saving}
+                className="flex-1"
+              >
+                {editingAddon.addonId ? 'Update Add-on' : 'Create Add-on'}
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => setEditingAddon(null)}
+                className="flex-1"
+              >
+                Cancel
+              </Button>
+            </div>
+          </motion.div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default AdminAddons;
@@ -16,7 +16,8 @@ import {
   Trash2,
   Plus,
   Search,
-  Filter
+  Filter,
+  Package
 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
@@ -112,6 +113,10 @@ const AdminDashboard = () => {
     navigate('/admin/flights');
   };
 
+  const handleManageAddons = () => {
+    navigate('/admin/addons');
+  };
+
   const handleManageBookings = () => {
     navigate('/admin/bookings');
   };
@@ -221,7 +226,7 @@ const AdminDashboard = () => {
           </div>
 
           {/* Quick Actions */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
             <Card className="glass-effect border-white/10 hover:border-blue-500/30 transition-all duration-300">
               <CardHeader>
                 <CardTitle className="text-white flex items-center space-x-2">
@@ -275,6 +280,24 @@ const AdminDashboard = () => {
                 </Button>
               </CardContent>
             </Card>
+
+            <Card className="glass-effect border-white/10 hover:border-yellow-500/30 transition-all duration-300">
+              <CardHeader>
+                <CardTitle className="text-white flex items-center space-x-2">
+                  <Package className="h-5 w-5 text-yellow-400" />
+                  <span>Manage Add-ons</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <p className="text-gray-300 text-sm mb-4">
+                  Set baggage, meal, priority and legroom prices per airline.
+                </p>
+                <Button onClick={handleManageAddons} className="w-full">
+                  <Edit className="mr-2 h-4 w-4" />
+                  Manage Add-ons
+                </Button>
+              </CardContent>
+            </Card>
           </div>
 
           {/* Recent Bookings */}
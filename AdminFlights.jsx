@@ -14,14 +14,25 @@ import {
   Calendar,
   Clock,
   MapPin,
-  DollarSign
+  DollarSign,
+  ClipboardList,
+  Radio
 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { toast } from '@/components/ui/use-toast';
-import { adminAPI } from '@/services/api';
+import { adminAPI, flightAPI } from '@/services/api';
+import { FLIGHT_STATUSES, FLIGHT_STATUS_COLORS } from './flightStatus';
+
+// Time inputs give "HH:mm"; the API reads scheduled times as "HH:mm:ss", local to each airport
+const withScheduledTimes = (flight) => ({
+  ...flight,
+  departureTime: flight.departureTime ? flight.departureTime.padEnd(8, ':00') : null,
+  arrivalTime: flight.arrivalTime ? flight.arrivalTime.padEnd(8, ':00') : null
+});
 
 const AdminFlights = () => {
   const navigate = useNavigate();
@@ -32,6 +43,9 @@ const AdminFlights = () => {
   const [selectedFlight, setSelectedFlight] = useState(null);
   const [showFlightModal, setShowFlightModal] = useState(false);
   const [showAddFlightModal, setShowAddFlightModal] = useState(false);
+  const [manifest, setManifest] = useState(null);
+  const [statusFlight, setStatusFlight] = useState(null);
+  const [savingStatus, setSavingStatus] = useState(false);
   const [newFlight, setNewFlight] = useState({
     flightNumber: '',
     departureCity: '',
@@ -74,7 +88,13 @@ const AdminFlights = () => {
     try {
       setLoading(true);
       const response = await adminAPI.getAllFlights();
-      setFlights(response.data);
+      // Seats left are worked out from the aircraft, bookings and overbooking allowance
+      const availabilityResponse = await flightAPI.getAvailability(response.data.map(flight => flight.id));
+      const availability = Object.fromEntries((availabilityResponse.data || []).map(a => [a.flightId, a]));
+      setFlights(response.data.map(flight => ({
+        ...flight,
+        availableSeats: availability[flight.id]?.available ?? flight.availableSeats
+      })));
     } catch (error) {
       console.error('Error loading flights:', error);
       toast({
@@ -111,7 +131,9 @@ const AdminFlights = () => {
 
   const handleUpdateFlight = async (flightId, flightData) => {
     try {
-      await adminAPI.updateFlight(flightId, flightData);
+      const overbookingAllowance = Number(flightData.overbookingAllowance) || 0;
+      await adminAPI.updateFlight(flightId, { ...withScheduledTimes(flightData), overbookingAllowance });
+      await flightAPI.setOverbookingAllowance(flightId, overbookingAllowance);
       toast({
         title: "Success",
         description: "Flight updated successfully."
@@ -123,7 +145,7 @@ const AdminFlights = () => {
       console.error('Error updating flight:', error);
       toast({
         title: "Error",
-        description: "Failed to update flight.",
+        description: error.response?.data?.message || "Failed to update flight.",
         variant: "destructive"
       });
     }
@@ -131,7 +153,7 @@ const AdminFlights = () => {
 
   const handleAddFlight = async () => {
     try {
-      await adminAPI.createFlight(newFlight);
+      await adminAPI.createFlight(withScheduledTimes(newFlight));
       toast({
         title: "Success",
         description: "Flight added successfully."
@@ -159,6 +181,69 @@ const AdminFlights = () => {
     }
   };
 
+  // Passenger manifest with seats, check-in and add-ons for ground staff and catering
+  const openManifest = async (flightId) => {
+    try {
+      const response = await adminAPI.getFlightManifest(flightId);
+      setManifest(response.data);
+    } catch (error) {
+      console.error('Error loading manifest:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load passenger manifest.",
+        variant: "destructive"
+      });
+    }
+  };
+
+  // Status, delays, gates and baggage belt; pushed live to customers who booked the flight
+  const openStatusModal = (flight) => {
+    setStatusFlight({
+      id: flight.id,
+      flightNumber: flight.flightNumber,
+      flightStatus: flight.flightStatus || 'Scheduled',
+      departureDelay: flight.departureDelay ?? 0,
+      arrivalDelay: flight.arrivalDelay ?? 0,
+      departureTerminal: flight.departureTerminal || '',
+      departureGate: flight.departureGate || '',
+      arrivalTerminal: flight.arrivalTerminal || '',
+      arrivalGate: flight.arrivalGate || '',
+      arrivalBaggage: flight.arrivalBaggage || ''
+    });
+  };
+
+  const handleUpdateStatus = async () => {
+    setSavingStatus(true);
+    try {
+      const { id, flightNumber, ...fields } = statusFlight;
+      await flightAPI.updateStatus(id, {
+        ...fields,
+        departureDelay: Number(fields.departureDelay) || 0,
+        arrivalDelay: Number(fields.arrivalDelay) || 0,
+        departureTerminal: fields.departureTerminal || null,
+        departureGate: fields.departureGate || null,
+        arrivalTerminal: fields.arrivalTerminal || null,
+        arrivalGate: fields.arrivalGate || null,
+        arrivalBaggage: fields.arrivalBaggage || null
+      });
+      toast({
+        title: "Status Updated",
+        description: `Flight ${flightNumber} is now ${fields.flightStatus}. Passengers see the change right away.`
+      });
+      setStatusFlight(null);
+      loadFlights();
+    } catch (error) {
+      console.error('Error updating flight status:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to update flight status.",
+        variant: "destructive"
+      });
+    } finally {
+      setSavingStatus(false);
+    }
+  };
+
   const openFlightModal = (flight) => {
     setSelectedFlight(flight);
     setShowFlightModal(true);
@@ -281,6 +366,9 @@ const AdminFlights = () => {
                       </div>
                       
                       <div className="flex items-center space-x-2">
+                        <Badge className={FLIGHT_STATUS_COLORS[flight.flightStatus] || FLIGHT_STATUS_COLORS.Scheduled}>
+                          {flight.flightStatus || 'Scheduled'}
+                        </Badge>
                         <Badge 
                           className={
                             flight.availableSeats > 0
@@ -314,6 +402,22 @@ const AdminFlights = () => {
                           >
                             <Edit className="h-4 w-4" />
                           </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => openStatusModal(flight)}
+                            className="text-gray-400 hover:text-white"
+                          >
+                            <Radio className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => openManifest(flight.id)}
+                            className="text-gray-400 hover:text-white"
+                          >
+                            <ClipboardList className="h-4 w-4" />
+                          </Button>
                           <Button
                             variant="ghost"
                             size="sm"
@@ -378,7 +482,7 @@ const AdminFlights = () => {
               </div>
               <div className="grid grid-cols-2 gap-4">
                 <div>
-                  <label className="text-sm text-gray-400">Departure Time</label>
+                  <label className="text-sm text-gray-400">Departure Time (local)</label>
                   <Input
                     type="time"
                     value={selectedFlight.departureTime || ''}
@@ -387,7 +491,7 @@ const AdminFlights = () => {
                   />
                 </div>
                 <div>
-                  <label className="text-sm text-gray-400">Arrival Time</label>
+                  <label className="text-sm text-gray-400">Arrival Time (local)</label>
                   <Input
                     type="time"
                     value={selectedFlight.arrivalTime || ''}
@@ -416,13 +520,17 @@ const AdminFlights = () => {
                   />
                 </div>
                 <div>
-                  <label className="text-sm text-gray-400">Available Seats</label>
+                  <label className="text-sm text-gray-400">Overbooking Allowance</label>
                   <Input
                     type="number"
-                    value={selectedFlight.availableSeats || ''}
-                    onChange={(e) => setSelectedFlight({...selectedFlight, availableSeats: e.target.value})}
+                    min="0"
+                    value={selectedFlight.overbookingAllowance ?? 0}
+                    onChange={(e) => setSelectedFlight({...selectedFlight, overbookingAllowance: e.target.value})}
                     className="bg-white/5 border-white/20 text-white"
                   />
+                  <p className="text-xs text-gray-400 mt-1">
+                    Seats sold beyond capacity · {selectedFlight.availableSeats ?? '—'} left to sell
+                  </p>
                 </div>
               </div>
             </div>
@@ -448,6 +556,197 @@ const AdminFlights = () => {
         </div>
       )}
 
+      {/* Live Status Modal */}
+      {statusFlight && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-slate-800 rounded-lg p-6 w-full max-w-md mx-4"
+          >
+            <h3 className="text-xl font-bold text-white mb-4">Live Status · {statusFlight.flightNumber}</h3>
+            <div className="space-y-4">
+              <div>
+                <label className="text-sm text-gray-400">Status</label>
+                <Select
+                  value={statusFlight.flightStatus}
+                  onValueChange={(value) => setStatusFlight({...statusFlight, flightStatus: value})}
+                >
+                  <SelectTrigger className="bg-white/5 border-white/20 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {FLIGHT_STATUSES.map(status => (
+                      <SelectItem key={status} value={status}>{status}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="text-sm text-gray-400">Departure Delay (min)</label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={statusFlight.departureDelay}
+                    onChange={(e) => setStatusFlight({...statusFlight, departureDelay: e.target.value})}
+                    className="bg-white/5 border-white/20 text-white"
+                  />
+                </div>
+                <div>
+                  <label className="text-sm text-gray-400">Arrival Delay (min)</label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={statusFlight.arrivalDelay}
+                    onChange={(e) => setStatusFlight({...statusFlight, arrivalDelay: e.target.value})}
+                    className="bg-white/5 border-white/20 text-white"
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="text-sm text-gray-400">Departure Terminal</label>
+                  <Input
+                    value={statusFlight.departureTerminal}
+                    onChange={(e) => setStatusFlight({...statusFlight, departureTerminal: e.target.value})}
+                    className="bg-white/5 border-white/20 text-white"
+                  />
+                </div>
+                <div>
+                  <label className="text-sm text-gray-400">Departure Gate</label>
+                  <Input
+                    value={statusFlight.departureGate}
+                    onChange={(e) => setStatusFlight({...statusFlight, departureGate: e.target.value})}
+                    className="bg-white/5 border-white/20 text-white"
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="text-sm text-gray-400">Arrival Terminal</label>
+                  <Input
+                    value={statusFlight.arrivalTerminal}
+                    onChange={(e) => setStatusFlight({...statusFlight, arrivalTerminal: e.target.value})}
+                    className="bg-white/5 border-white/20 text-white"
+                  />
+                </div>
+                <div>
+                  <label className="text-sm text-gray-400">Arrival Gate</label>
+                  <Input
+                    value={statusFlight.arrivalGate}
+                    onChange={(e) => setStatusFlight({...statusFlight, arrivalGate: e.target.value})}
+                    className="bg-white/5 border-white/20 text-white"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="text-sm text-gray-400">Baggage Belt</label>
+                <Input
+                  value={statusFlight.arrivalBaggage}
+                  onChange={(e) => setStatusFlight({...statusFlight, arrivalBaggage: e.target.value})}
+                  className="bg-white/5 border-white/20 text-white"
+                />
+              </div>
+            </div>
+            <div className="flex space-x-2 mt-6">
+              <Button
+                onClick={handleUpdateStatus}
+                disabled={savingStatus}
+                className="flex-1"
+              >
+                {savingStatus ? 'Saving...' : 'Update Status'}
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => setStatusFlight(null)}
+                className="flex-1"
+              >
+                Cancel
+              </Button>
+            </div>
+          </motion.div>
+        </div>
+      )}
+
+      {/* Manifest Modal */}
+      {manifest && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-slate-800 rounded-lg p-6 w-full max-w-4xl mx-4 max-h-[90vh] overflow-y-auto"
+          >
+            <h3 className="text-xl font-bold text-white mb-1">
+              Passenger Manifest · {manifest.flight.flightNumber}
+            </h3>
+            <p className="text-sm text-gray-400 mb-4">
+              {manifest.flight.departureIata} → {manifest.flight.arrivalIata} ·{' '}
+              {manifest.flight.flightDate && new Date(manifest.flight.flightDate).toLocaleDateString()} ·{' '}
+              {manifest.passengers.length} passenger(s)
+            </p>
+
+            {manifest.addonCounts.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-4">
+                {manifest.addonCounts.map(addon => (
+                  <Badge key={addon.name} className="bg-purple-500/20 text-purple-300 border-purple-500/30">
+                    {addon.name}: {addon.count}
+                  </Badge>
+                ))}
+              </div>
+            )}
+
+            {manifest.passengers.length > 0 ? (
+              <table className="w-full text-sm text-left">
+                <thead className="text-gray-400 border-b border-white/10">
+                  <tr>
+                    <th className="py-2 pr-2">Seat</th>
+                    <th className="py-2 pr-2">Passenger</th>
+                    <th className="py-2 pr-2">Class</th>
+                    <th className="py-2 pr-2">Passport</th>
+                    <th className="py-2 pr-2">Checked In</th>
+                    <th className="py-2">Add-ons</th>
+                  </tr>
+                </thead>
+                <tbody className="text-white">
+                  {manifest.passengers.map(passenger => (
+                    <tr key={passenger.ticketNumber} className="border-b border-white/5">
+                      <td className="py-2 pr-2">{passenger.seatNumber || '—'}</td>
+                      <td className="py-2 pr-2">
+                        {passenger.fullName}
+                        <span className="block text-xs text-gray-400">
+                          {passenger.passengerType} · Booking {passenger.pnr}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-2">{passenger.class}</td>
+                      <td className="py-2 pr-2">{passenger.nationality} {passenger.passportNumber}</td>
+                      <td className="py-2 pr-2">
+                        {passenger.checkedInAt ? `#${passenger.boardingSequence}` : 'No'}
+                      </td>
+                      <td className="py-2 text-gray-300">
+                        {passenger.addons.map(addon => addon.name).join(', ') || '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-gray-400 text-center py-4">No confirmed passengers on this flight yet.</p>
+            )}
+
+            <div className="flex mt-6">
+              <Button
+                variant="outline"
+                onClick={() => setManifest(null)}
+                className="flex-1"
+              >
+                Close
+              </Button>
+            </div>
+          </motion.div>
+        </div>
+      )}
+
       {/* Add Flight Modal */}
       {showAddFlightModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
@@ -486,7 +785,7 @@ const AdminFlights = () => {
               </div>
               <div className="grid grid-cols-2 gap-4">
                 <div>
-                  <label className="text-sm text-gray-400">Departure Time</label>
+                  <label className="text-sm text-gray-400">Departure Time (local)</label>
                   <Input
                     type="time"
                     value={newFlight.departureTime}
@@ -495,7 +794,7 @@ const AdminFlights = () => {
                   />
                 </div>
                 <div>
-                  <label className="text-sm text-gray-400">Arrival Time</label>
+                  <label className="text-sm text-gray-400">Arrival Time (local)</label>
                   <Input
                     type="time"
                     value={newFlight.arrivalTime}
@@ -556,4 +855,4 @@ const AdminFlights = () => {
   );
 };
 
-export default AdminFlights;
\ No newline at end of file
+export default AdminFlights;
\ No newline at end of file
@@ -1,37 +1,82 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Helmet } from 'react-helmet';
 import { motion } from 'framer-motion';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import {
   ArrowLeft, Plane, Calendar, MapPin, Users, CreditCard,
-  CheckCircle, ExternalLink, Shield
+  CheckCircle, ExternalLink, Shield, Clock, AlertTriangle, RefreshCw
 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { toast } from '@/components/ui/use-toast';
 import { useAuth } from '@/context/AuthContext';
-import { bookingAPI } from '@/services/api';
+import { bookingAPI, paymentAPI, bookingDraftAPI } from '@/services/api';
 import PaymentGateway from '@/components/PaymentGateway';
+import { getHoldSecondsLeft, formatHoldCountdown } from './bookingHold';
+import { getAddonsTotal } from './addons';
 
 const AirlineBooking = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  const draftId = searchParams.get('draft');
+
+  // After a reload the navigation state is gone; the booking draft holds a copy
+  const [restoredState, setRestoredState] = useState(null);
+  const [draftLoading, setDraftLoading] = useState(!location.state && !!draftId);
+  const bookingState = location.state || restoredState || {};
 
   // Get data from navigation state
-  const { bookingId, flightData, passengerCount } = location.state || {};
+  const { bookingId, flightData, itinerary, passengerCount, fareBreakdown = [] } = bookingState;
 
   const [loading, setLoading] = useState(false);
   const [bookingStatus, setBookingStatus] = useState('pending');
   const [showPaymentGateway, setShowPaymentGateway] = useState(false);
+  const [confirmationState, setConfirmationState] = useState('idle'); // 'idle' | 'confirming' | 'confirmed' | 'failed'
+  const pendingPaymentRef = useRef(null);
+  const [holdExpiresAt, setHoldExpiresAt] = useState(location.state?.holdExpiresAt || null);
+  const [holdSecondsLeft, setHoldSecondsLeft] = useState(getHoldSecondsLeft(location.state?.holdExpiresAt));
+  const [loadedAddons, setLoadedAddons] = useState(null);
+  const [loadedPnr, setLoadedPnr] = useState(null);
+  const pnr = bookingState.pnr || loadedPnr;
+  const addons = bookingState.addons || loadedAddons || [];
+
+  useEffect(() => {
+    if (!draftLoading) return;
+
+    const restoreDraft = async () => {
+      try {
+        const response = await bookingDraftAPI.getById(draftId);
+        const draft = response.data;
+
+        if (draft.step === 'addons' && draft.bookingId) {
+          navigate(`/add-ons?draft=${draftId}`, { replace: true });
+          return;
+        }
+        // A lapsed hold sends the draft back to seat selection
+        if (draft.step !== 'payment' || !draft.bookingId) {
+          navigate(`/passenger-info?draft=${draftId}`, { replace: true });
+          return;
+        }
+        setRestoredState(JSON.parse(draft.data || '{}').payment || null);
+      } catch (error) {
+        console.error('Error restoring booking draft:', error);
+      } finally {
+        setDraftLoading(false);
+      }
+    };
+
+    restoreDraft();
+  }, []);
 
   // If no booking data, redirect back
   useEffect(() => {
-    if (!bookingId || !flightData) {
+    if (!draftLoading && (!bookingId || !flightData)) {
       navigate('/flights');
     }
-  }, [bookingId, flightData, navigate]);
+  }, [draftLoading, bookingId, flightData, navigate]);
 
   // Function to refresh booking status
   const refreshBookingStatus = async () => {
@@ -40,91 +85,130 @@ const AirlineBooking = () => {
       const currentStatus = response.data?.status;
       console.log('Current booking status:', currentStatus);
       setBookingStatus(currentStatus?.toLowerCase() || 'pending');
+      setHoldExpiresAt(response.data?.holdExpiresAt || null);
+      setLoadedPnr(response.data?.pnr || null);
     } catch (error) {
       console.error('Error refreshing booking status:', error);
     }
   };
 
-  const totalAmount = flightData.price * passengerCount;
+  // Add-on lines for the summary when the add-ons step didn't pass them along
+  const loadAddons = async () => {
+    try {
+      const response = await bookingAPI.getAddons(bookingId);
+      setLoadedAddons(response.data?.addons || []);
+    } catch (error) {
+      console.error('Error loading add-ons:', error);
+    }
+  };
+
+  // Resuming from My Bookings only carries the booking ID, so read the deadline from the API
+  useEffect(() => {
+    if (bookingId) refreshBookingStatus();
+    if (bookingId && !bookingState.addons) loadAddons();
+  }, [bookingId]);
+
+  // Tick the hold countdown every second while the booking is pending
+  useEffect(() => {
+    if (!holdExpiresAt || bookingStatus !== 'pending') return;
+
+    setHoldSecondsLeft(getHoldSecondsLeft(holdExpiresAt));
+    const timer = setInterval(() => {
+      const secondsLeft = getHoldSecondsLeft(holdExpiresAt);
+      setHoldSecondsLeft(secondsLeft);
+      if (secondsLeft === 0) {
+        clearInterval(timer);
+        setShowPaymentGateway(false);
+        refreshBookingStatus();
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [holdExpiresAt, bookingStatus]);
+
+  // Once paid, a lapsed timer is the server's call, not the countdown's
+  const holdExpired = confirmationState !== 'failed' &&
+    (bookingStatus === 'cancelled' || (bookingStatus === 'pending' && holdSecondsLeft === 0));
+
+  // Per-passenger fares from PassengerInfo; older navigation state only has the flight price
+  const totalAmount = bookingState.totalAmount ?? flightData?.price * passengerCount;
 
   const handleCompleteBooking = () => {
+    if (holdExpired) {
+      toast({
+        title: "Hold Expired",
+        description: "The hold on this booking has expired. Please search for your flight again.",
+        variant: "destructive"
+      });
+      return;
+    }
     setShowPaymentGateway(true);
   };
 
-  const handlePaymentSuccess = async () => {
+  // Ask the API to record the payment and confirm the booking. Safe to retry:
+  // the server treats a repeated payment id as the same confirmation.
+  const confirmPayment = async (payment) => {
     setLoading(true);
+    setConfirmationState('confirming');
     try {
-      console.log('Payment successful, updating booking status for booking ID:', bookingId);
-      
-      // Try multiple methods to update booking status to confirmed
-      let updateSuccess = false;
-      
-      try {
-        // First attempt with regular updateStatus
-        const updateResponse = await bookingAPI.updateStatus(bookingId, 'Confirmed');
-        console.log('Booking status update response:', updateResponse);
-        updateSuccess = true;
-      } catch (error) {
-        console.error('Regular status update failed:', error);
-        
-        try {
-          // Second attempt with alternative method
-          await bookingAPI.updateStatusAlternative(bookingId, 'Confirmed');
-          updateSuccess = true;
-          console.log('Alternative status update successful');
-        } catch (altError) {
-          console.error('Alternative status update failed:', altError);
-          
-          try {
-            // Third attempt using admin API
-            const { adminAPI } = await import('@/services/api');
-            await adminAPI.updateBooking(bookingId, { status: 'Confirmed' });
-            updateSuccess = true;
-            console.log('Admin API status update successful');
-          } catch (adminError) {
-            console.error('All status update attempts failed:', adminError);
-          }
-        }
-      }
-      
-      if (updateSuccess) {
-        setBookingStatus('confirmed');
-        setShowPaymentGateway(false);
-        
-        // Refresh booking status to ensure it's updated
-        await refreshBookingStatus();
-        
-        toast({
-          title: "Booking Complete!",
-          description: "Your flight booking has been confirmed and payment processed successfully! Redirecting to payment history..."
-        });
-        
-        // Add a small delay to ensure the status is updated before redirecting
-        setTimeout(() => navigate('/payments'), 2000);
-      } else {
-        // Even if status update fails, payment was successful
-        toast({
-          title: "Payment Successful",
-          description: "Payment processed successfully! Your booking may show as pending - please contact support if needed.",
-        });
-        setTimeout(() => navigate('/payments'), 2000);
-      }
-    } catch (error) {
-      console.error('Error in payment success handler:', error);
-      
-      // Even if everything fails, payment was successful
+      const response = await paymentAPI.confirm(payment);
+
+      setBookingStatus(response.data?.status?.toLowerCase() || 'confirmed');
+      setConfirmationState('confirmed');
+      pendingPaymentRef.current = null;
+
       toast({
-        title: "Payment Successful",
-        description: "Payment processed successfully! Your booking may show as pending - please contact support if needed.",
+        title: "Booking Complete!",
+        description: "Your flight booking has been confirmed and payment processed successfully! Redirecting to payment history..."
       });
+
       setTimeout(() => navigate('/payments'), 2000);
+    } catch (error) {
+      console.error('Payment confirmation failed:', error);
+      setConfirmationState('failed');
+      toast({
+        title: "Confirmation Pending",
+        description: error.response?.data?.message || "We received your payment but could not confirm the booking yet. Please retry.",
+        variant: "destructive"
+      });
     } finally {
       setLoading(false);
     }
   };
 
-  const handlePaymentFailure = () => {
+  const handlePaymentSuccess = async (paymentResult) => {
+    // The gateway's payment id is the proof of payment; without one nothing was charged
+    const paymentId = paymentResult?.paymentIntentId || paymentResult?.id;
+    if (!paymentId) {
+      handlePaymentFailure({ message: 'The payment gateway returned no payment id' });
+      return;
+    }
     setShowPaymentGateway(false);
+
+    // Keep the payment details so a retry sends the same payment id
+    pendingPaymentRef.current = {
+      bookingId,
+      paymentId,
+      currency: paymentResult?.currency || 'INR',
+      paymentMethodType: paymentResult?.paymentMethodType || 'card',
+      receiptUrl: paymentResult?.receiptUrl
+    };
+
+    await confirmPayment(pendingPaymentRef.current);
+  };
+
+  const retryConfirmation = () => {
+    if (pendingPaymentRef.current) {
+      confirmPayment(pendingPaymentRef.current);
+    }
+  };
+
+  const handlePaymentFailure = (error) => {
+    setShowPaymentGateway(false);
+    // Lands in the customer's notifications with the hold deadline
+    paymentAPI.reportFailure({ bookingId, reason: error?.message }).catch((reportError) => {
+      console.error('Error reporting failed payment:', reportError);
+    });
     toast({
       title: "Payment Failed",
       description: "Payment was not completed. Please try again.",
@@ -139,8 +223,23 @@ const AirlineBooking = () => {
     });
   };
 
+  if (draftLoading) {
+    return (
+      <div className="min-h-screen pt-20 pb-12 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+      </div>
+    );
+  }
+
   if (!bookingId || !flightData) return null;
 
+  const legs = itinerary?.flights || [flightData];
+  const formatFlightDate = (date) => new Intl.DateTimeFormat('en-IN', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  }).format(new Date(date));
+
   return (
     <>
       <Helmet>
@@ -171,6 +270,68 @@ const AirlineBooking = () => {
             <p className="text-gray-300">Your passenger information has been saved. Complete your booking below.</p>
           </motion.div>
 
+          {/* Confirmation failed after payment */}
+          {confirmationState === 'failed' && (
+            <Card className="glass-effect border-orange-500/30 mb-8">
+              <CardContent className="p-6 flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  <AlertTriangle className="h-5 w-5 text-orange-400" />
+                  <div>
+                    <h3 className="font-semibold text-white">Confirmation pending</h3>
+                    <p className="text-gray-300 text-sm">
+                      Your payment was received but the booking is not confirmed yet. Retry, or contact support if this keeps happening.
+                    </p>
+                  </div>
+                </div>
+                <Button
+                  onClick={retryConfirmation}
+                  disabled={loading}
+                  className="bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-600 hover:to-red-700"
+                >
+                  <RefreshCw className={`mr-2 h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                  Retry
+                </Button>
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Hold Countdown */}
+          {bookingStatus === 'pending' && confirmationState === 'idle' && !holdExpired && holdSecondsLeft !== null && (
+            <Card className={`glass-effect mb-8 ${holdSecondsLeft < 120 ? 'border-red-500/30' : 'border-yellow-500/30'}`}>
+              <CardContent className="p-6 flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  <Clock className={`h-5 w-5 ${holdSecondsLeft < 120 ? 'text-red-400' : 'text-yellow-400'}`} />
+                  <div>
+                    <h3 className="font-semibold text-white">Your seats are on hold</h3>
+                    <p className="text-gray-300 text-sm">Complete payment before the timer runs out or the booking will be cancelled.</p>
+                  </div>
+                </div>
+                <p className="font-mono text-3xl font-bold text-white">{formatHoldCountdown(holdSecondsLeft)}</p>
+              </CardContent>
+            </Card>
+          )}
+
+          {holdExpired && (
+            <Card className="glass-effect border-red-500/30 mb-8">
+              <CardContent className="p-6 flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  <AlertTriangle className="h-5 w-5 text-red-400" />
+                  <div>
+                    <h3 className="font-semibold text-white">Hold expired</h3>
+                    <p className="text-gray-300 text-sm">This booking was cancelled because payment was not completed in time.</p>
+                  </div>
+                </div>
+                <Button
+                  onClick={() => navigate(draftId ? `/passenger-info?draft=${draftId}` : '/flights')}
+                  variant="outline"
+                  className="border-white/20 text-white hover:bg-white/10"
+                >
+                  {draftId ? 'Book Again' : 'Search Again'}
+                </Button>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Booking Summary */}
           <Card className="glass-effect border-white/10 mb-8">
             <CardHeader>
@@ -181,39 +342,52 @@ const AirlineBooking = () => {
             </CardHeader>
             <CardContent>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div className="space-y-4">
-                  <div className="flex items-center space-x-2">
-                    <Plane className="h-4 w-4 text-blue-400" />
-                    <div>
-                      <p className="text-sm text-gray-400">Flight Number</p>
-                      <p className="font-medium text-white">{flightData.flightNumber}</p>
-                    </div>
+                {legs.length > 1 ? (
+                  <div className="space-y-4">
+                    <p className="text-sm text-gray-400">
+                      {itinerary.tripType === 'RoundTrip' ? 'Round Trip' : itinerary.tripType === 'MultiCity' ? 'Multi-City' : 'One Way'} · {legs.length} flights
+                    </p>
+                    {legs.map((leg, index) => (
+                      <div key={leg.id} className="flex items-center space-x-2">
+                        <Plane className="h-4 w-4 text-blue-400" />
+                        <div>
+                          <p className="text-sm text-gray-400">Flight {index + 1} · {leg.flightNumber}</p>
+                          <p className="font-medium text-white">
+                            {leg.departureAirport} → {leg.arrivalAirport} · {formatFlightDate(leg.flightDate)}
+                          </p>
+                        </div>
+                      </div>
+                    ))}
                   </div>
+                ) : (
+                  <div className="space-y-4">
+                    <div className="flex items-center space-x-2">
+                      <Plane className="h-4 w-4 text-blue-400" />
+                      <div>
+                        <p className="text-sm text-gray-400">Flight Number</p>
+                        <p className="font-medium text-white">{flightData.flightNumber}</p>
+                      </div>
+                    </div>
 
-                  <div className="flex items-center space-x-2">
-                    <MapPin className="h-4 w-4 text-green-400" />
-                    <div>
-                      <p className="text-sm text-gray-400">Route</p>
-                      <p className="font-medium text-white">
-                        {flightData.departureAirport} → {flightData.arrivalAirport}
-                      </p>
+                    <div className="flex items-center space-x-2">
+                      <MapPin className="h-4 w-4 text-green-400" />
+                      <div>
+                        <p className="text-sm text-gray-400">Route</p>
+                        <p className="font-medium text-white">
+                          {flightData.departureAirport} → {flightData.arrivalAirport}
+                        </p>
+                      </div>
                     </div>
-                  </div>
 
-                  <div className="flex items-center space-x-2">
-                    <Calendar className="h-4 w-4 text-purple-400" />
-                    <div>
-                      <p className="text-sm text-gray-400">Date</p>
-                      <p className="font-medium text-white">
-                        {new Intl.DateTimeFormat('en-IN', {
-                          year: 'numeric',
-                          month: 'short',
-                          day: 'numeric'
-                        }).format(new Date(flightData.flightDate))}
-                      </p>
+                    <div className="flex items-center space-x-2">
+                      <Calendar className="h-4 w-4 text-purple-400" />
+                      <div>
+                        <p className="text-sm text-gray-400">Date</p>
+                        <p className="font-medium text-white">{formatFlightDate(flightData.flightDate)}</p>
+                      </div>
                     </div>
                   </div>
-                </div>
+                )}
 
                 <div className="space-y-4">
                   <div className="flex items-center space-x-2">
@@ -232,9 +406,35 @@ const AirlineBooking = () => {
                     </div>
                   </div>
 
+                  {fareBreakdown.length > 0 && (
+                    <div className="space-y-1 text-sm">
+                      {fareBreakdown.map((fare, index) => (
+                        <div key={index} className="flex justify-between text-gray-300">
+                          <span>{fare.fullName || `Passenger ${index + 1}`} · {fare.fareClass}</span>
+                          <span className="text-white">₹{fare.price}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {addons.length > 0 && (
+                    <div className="space-y-1 text-sm border-t border-white/10 pt-2">
+                      <p className="text-gray-400">Add-ons · ₹{getAddonsTotal(addons)}</p>
+                      {addons.map(line => (
+                        <div key={line.passengerAddonId} className="flex justify-between text-gray-300">
+                          <span>
+                            {line.fullName} · {line.name}
+                            {legs.length > 1 && ` (${line.flightNumber})`}
+                          </span>
+                          <span className="text-white">{line.price > 0 ? `₹${line.price}` : 'Free'}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
                   <div className="flex items-center space-x-2">
                     <Badge className="bg-green-500/20 text-green-400 border-green-500/30">
-                      Booking ID: {bookingId}
+                      Booking Reference: {pnr}
                     </Badge>
                   </div>
                 </div>
@@ -266,7 +466,7 @@ const AirlineBooking = () => {
                 </div>
                 <Button
                   onClick={handleCompleteBooking}
-                  disabled={loading || bookingStatus === 'confirmed'}
+                  disabled={loading || bookingStatus === 'confirmed' || holdExpired || confirmationState !== 'idle'}
                   className="w-full bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700"
                 >
                   {loading ? (
@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MapPin } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import { airportAPI } from '@/services/api';
+import {
+  AIRPORT_SEARCH_DELAY, AIRPORT_SUGGESTION_COUNT, formatAirport, formatAirportDetail
+} from './airports';
+
+// Typeahead over airports by IATA code, name, city or country. `value` is the picked
+// airport (or null); editing the text clears it until another suggestion is chosen.
+const AirportInput = ({ id, value, onChange, placeholder }) => {
+  const [text, setText] = useState(formatAirport(value));
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const containerRef = useRef(null);
+
+  // Picked from outside, e.g. the next multi-city leg starting where the last one ended
+  useEffect(() => {
+    if (value) setText(formatAirport(value));
+  }, [value?.iataCode]);
+
+  useEffect(() => {
+    const query = text.trim();
+    if (!open || !query || query === formatAirport(value)) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await airportAPI.search(query, AIRPORT_SUGGESTION_COUNT);
+        if (!cancelled) {
+          setSuggestions(response.data || []);
+          setHighlighted(0);
+        }
+      } catch (error) {
+        console.error('Error searching airports:', error);
+      }
+    }, AIRPORT_SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text, open]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+        setText(formatAirport(value));
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open, value]);
+
+  const handleTextChange = (e) => {
+    setText(e.target.value);
+    setOpen(true);
+    if (value) onChange(null);
+  };
+
+  const select = (airport) => {
+    onChange(airport);
+    setText(formatAirport(airport));
+    setSuggestions([]);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter') {
+      // Pick the suggestion instead of submitting the search form
+      e.preventDefault();
+      select(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <Input
+        id={id}
+        value={text}
+        onChange={handleTextChange}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={open && suggestions.length > 0}
+        aria-controls={`${id}_suggestions`}
+        className="bg-white/5 border-white/10 text-white placeholder:text-gray-400"
+      />
+
+      {open && suggestions.length > 0 && (
+        <ul
+          id={`${id}_suggestions`}
+          role="listbox"
+          className="absolute left-0 right-0 mt-1 max-h-72 overflow-y-auto bg-slate-800 border border-white/10 rounded-lg shadow-xl z-50"
+        >
+          {suggestions.map((airport, index) => (
+            <li
+              key={airport.id}
+              role="option"
+              aria-selected={index === highlighted}
+              onMouseDown={(e) => {
+                // Keep focus in the input so the outside-click handler doesn't fire first
+                e.preventDefault();
+                select(airport);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`flex items-center justify-between px-3 py-2 cursor-pointer ${
+                index === highlighted ? 'bg-blue-500/20' : 'hover:bg-white/5'
+              }`}
+            >
+              <div className="flex items-center min-w-0">
+                <MapPin className="h-4 w-4 mr-2 text-gray-400 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm text-white truncate">{airport.city || airport.name}</p>
+                  <p className="text-xs text-gray-400 truncate">{formatAirportDetail(airport)}</p>
+                </div>
+              </div>
+              <span className="ml-3 text-sm font-semibold text-blue-300">{airport.iataCode}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AirportInput;
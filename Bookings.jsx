@@ -1,10 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet';
 import { motion } from 'framer-motion';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
   Search, Filter, RefreshCw, Calendar, MapPin, Users, CreditCard,
-  CheckCircle, XCircle, Clock, AlertTriangle, Eye, Plane
+  CheckCircle, XCircle, Clock, AlertTriangle, Eye, Plane, Download, Repeat, CalendarPlus
 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
@@ -13,128 +13,55 @@ import { Input } from '@/components/ui/input';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { toast } from '@/components/ui/use-toast';
 import { useAuth } from '@/context/AuthContext';
-import { bookingAPI } from '@/services/api';
+import { bookingAPI, ticketAPI, checkInAPI, calendarAPI } from '@/services/api';
+import { summarizeFareClasses } from './fares';
+import { isHoldActive } from './bookingHold';
+import { downloadETicket } from './eTicket';
+import { downloadCalendarFile } from './calendar';
+import ChangeFlight from './ChangeFlight';
+import FlightStatusPanel from './FlightStatusPanel';
+import { getBookingFlights, getTrackedFlightIds, useFlightStatus } from './flightStatus';
+import { DEFAULT_CHECK_IN_WINDOW, getBookingCheckInStatus, getCheckInProgress } from './checkInWindow';
 
 const Bookings = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const { user } = useAuth();
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filteredBookings, setFilteredBookings] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
+  // Notifications link here with ?pnr= to show that booking
+  const [searchTerm, setSearchTerm] = useState(searchParams.get('pnr') || '');
   const [statusFilter, setStatusFilter] = useState('all');
   const [showCancelModal, setShowCancelModal] = useState(false);
   const [selectedBooking, setSelectedBooking] = useState(null);
   const [cancellingBooking, setCancellingBooking] = useState(false);
-  const [updatingStatus, setUpdatingStatus] = useState(false);
+  const [refundQuote, setRefundQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
+  const [downloadingTicketId, setDownloadingTicketId] = useState(null);
+  const [downloadingCalendarId, setDownloadingCalendarId] = useState(null);
+  const [checkInWindow, setCheckInWindow] = useState(DEFAULT_CHECK_IN_WINDOW);
+  const [bookingToChange, setBookingToChange] = useState(null);
+  const trackedFlightIds = getTrackedFlightIds(bookings);
+  const withLiveStatus = useFlightStatus(trackedFlightIds);
 
   useEffect(() => {
     fetchBookings();
+    checkInAPI.getWindow()
+      .then(response => setCheckInWindow(response.data))
+      .catch(error => console.error('Error fetching check-in window:', error));
   }, []);
 
   useEffect(() => {
     filterBookings();
   }, [bookings, searchTerm, statusFilter]);
 
-  // Show notification about automatic status checking on first load
-  useEffect(() => {
-    const hasShownNotification = localStorage.getItem('booking_status_notification_shown');
-    if (!hasShownNotification) {
-      toast({
-        title: "Automatic Status Updates",
-        description: "Your booking statuses are automatically checked and updated based on payment status. Use the Refresh button to manually update.",
-      });
-      localStorage.setItem('booking_status_notification_shown', 'true');
-    }
-  }, []);
-
-  // Function to manually update booking status
-  const handleManualStatusUpdate = async (booking, newStatus) => {
-    try {
-      setUpdatingStatus(true);
-      console.log(`Manually updating booking ${booking.bookingId} status to ${newStatus}`);
-      
-      // Test API endpoints first
-      console.log('Testing API endpoints...');
-      await bookingAPI.testEndpoints(booking.bookingId);
-      
-      // Try multiple methods to update status
-      let updateSuccess = false;
-      
-      try {
-        // First attempt with regular updateStatus
-        await bookingAPI.updateStatus(booking.bookingId, newStatus);
-        updateSuccess = true;
-        console.log('Status update successful with regular method');
-      } catch (error) {
-        console.log('Regular status update failed, trying alternative...', error);
-        
-        try {
-          // Second attempt with alternative method
-          await bookingAPI.updateStatusAlternative(booking.bookingId, newStatus);
-          updateSuccess = true;
-          console.log('Status update successful with alternative method');
-        } catch (altError) {
-          console.log('Alternative status update failed, trying admin API...', altError);
-          
-          try {
-            // Third attempt using admin API
-            const { adminAPI } = await import('@/services/api');
-            await adminAPI.updateBooking(booking.bookingId, { status: newStatus });
-            updateSuccess = true;
-            console.log('Status update successful with admin API');
-          } catch (adminError) {
-            console.error('All status update attempts failed:', adminError);
-            throw adminError;
-          }
-        }
-      }
-      
-      if (updateSuccess) {
-        toast({
-          title: "Status Updated",
-          description: `Booking status updated to ${newStatus}`,
-        });
-        
-        // Refresh bookings
-        fetchBookings();
-      }
-    } catch (error) {
-      console.error('Error updating booking status:', error);
-      toast({
-        title: "Error",
-        description: "Failed to update booking status. Please try again.",
-        variant: "destructive"
-      });
-    } finally {
-      setUpdatingStatus(false);
-    }
-  };
-
   const fetchBookings = async () => {
     try {
       setLoading(true);
+      // Bookings are confirmed by the server when their payment is recorded
       const response = await bookingAPI.getByUser(user?.userId || user?.id);
-      const bookingsData = response.data;
-
-      // Check and update status for pending bookings that have successful payments
-      const updatedBookings = await Promise.all(
-        bookingsData.map(async (booking) => {
-          if (booking.status?.toLowerCase() === 'pending') {
-            try {
-              const wasUpdated = await bookingAPI.checkAndUpdateStatus(booking.bookingId || booking.id);
-              if (wasUpdated) {
-                return { ...booking, status: 'Confirmed' };
-              }
-            } catch (error) {
-              console.error(`Error checking status for booking ${booking.bookingId}:`, error);
-            }
-          }
-          return booking;
-        })
-      );
-
-      setBookings(updatedBookings);
+      setBookings(response.data);
     } catch (error) {
       console.error('Error fetching bookings:', error);
       toast({
@@ -156,7 +83,7 @@ const Bookings = () => {
         booking.flightNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
         booking.departureCity?.toLowerCase().includes(searchTerm.toLowerCase()) ||
         booking.arrivalCity?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        booking.bookingId?.toString().includes(searchTerm)
+        booking.pnr?.toLowerCase().includes(searchTerm.toLowerCase())
       );
     }
 
@@ -170,14 +97,38 @@ const Bookings = () => {
     setFilteredBookings(filtered);
   };
 
-  const canCancelBooking = (booking) => {
-    if (booking.status?.toLowerCase() === 'cancelled') return false;
+  // Legs of a round-trip or multi-city booking, in travel order
+  const getBookingLegs = (booking) =>
+    [...(booking.bookingFlights || [])].sort((a, b) => a.legNumber - b.legNumber);
+
+  // Tickets are issued per passenger per leg, so count distinct passengers
+  const getPassengerCount = (booking) => {
+    if (booking.passengerCount) return booking.passengerCount;
+    const passengerIds = new Set((booking.tickets || []).map(ticket => ticket.passengerId));
+    return passengerIds.size || 1;
+  };
 
-    const flightDate = new Date(booking.flightDate);
-    const currentDate = new Date();
-    const daysDifference = Math.ceil((flightDate - currentDate) / (1000 * 60 * 60 * 24));
+  // Pick the payment step back up for a booking whose hold hasn't lapsed
+  const handleResumePayment = (booking) => {
+    const legs = getBookingLegs(booking).map(leg => leg.flight).filter(Boolean);
+    navigate('/airline-booking', {
+      state: {
+        bookingId: booking.bookingId,
+        pnr: booking.pnr,
+        flightData: legs[0] || booking.flight,
+        itinerary: legs.length > 1 ? { tripType: booking.tripType, flights: legs } : null,
+        holdExpiresAt: booking.holdExpiresAt,
+        passengerCount: getPassengerCount(booking),
+        totalAmount: booking.amount
+      }
+    });
+  };
 
-    return daysDifference > 2; // Can cancel only if more than 2 days before flight
+  // Cancellation is allowed until departure; how much comes back is up to the refund policy
+  const canCancelBooking = (booking) => {
+    if (booking.status?.toLowerCase() === 'cancelled') return false;
+    const flightDate = booking.flightDate || booking.flight?.flightDate;
+    return !flightDate || new Date(flightDate) > new Date();
   };
 
   const getDaysUntilFlight = (flightDate) => {
@@ -188,68 +139,143 @@ const Bookings = () => {
     return diffDays;
   };
 
+  const formatRefundAmount = (amount, currency = 'INR') =>
+    new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(amount || 0);
+
+  const getRefundTotal = (booking) =>
+    (booking.refunds || []).reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
   const handleCancelBooking = async (booking) => {
-    if (!canCancelBooking(booking)) {
-      const daysUntilFlight = getDaysUntilFlight(booking.flightDate);
+    setSelectedBooking(booking);
+    setRefundQuote(null);
+    setShowCancelModal(true);
+
+    try {
+      setQuoteLoading(true);
+      const response = await bookingAPI.getRefundQuote(booking.bookingId);
+      setRefundQuote(response.data);
+    } catch (error) {
+      console.error('Error fetching refund quote:', error);
       toast({
         title: "Cannot Cancel",
-        description: `Bookings can only be cancelled at least 2 days before the flight. Your flight is in ${daysUntilFlight} days.`,
+        description: error.response?.data?.message || "Failed to work out the refund. Please try again.",
         variant: "destructive"
       });
-      return;
+      setShowCancelModal(false);
+      setSelectedBooking(null);
+    } finally {
+      setQuoteLoading(false);
     }
+  };
 
-    setSelectedBooking(booking);
-    setShowCancelModal(true);
+  const closeCancelModal = () => {
+    setShowCancelModal(false);
+    setSelectedBooking(null);
+    setRefundQuote(null);
   };
 
   const confirmCancellation = async () => {
     try {
       setCancellingBooking(true);
-      console.log('Deleting booking:', selectedBooking.bookingId);
-      
-      // Delete the booking from database
-      await bookingAPI.delete(selectedBooking.bookingId);
-      
+
+      // Cancelling keeps the booking and its history; only the status changes
+      const response = await bookingAPI.cancel(selectedBooking.bookingId);
+      const refund = response.data?.refund;
+
       toast({
-        title: "Booking Deleted",
-        description: "Your booking has been deleted successfully. Refund will be processed within 5-6 business days.",
+        title: "Booking Cancelled",
+        description: refund?.amount > 0
+          ? `A refund of ${formatRefundAmount(refund.amount, refund.currency)} will be processed within 5-6 business days.`
+          : "Your booking has been cancelled. No refund is due under the cancellation policy.",
       });
 
-      // Refresh bookings
       fetchBookings();
-      setShowCancelModal(false);
-      setSelectedBooking(null);
+      closeCancelModal();
     } catch (error) {
-      console.error('Error deleting booking:', error);
-      
-      // Fallback: try to cancel instead of delete
-      try {
-        console.log('Delete failed, trying to cancel booking...');
-        await bookingAPI.cancel(selectedBooking.bookingId);
-        
-        toast({
-          title: "Booking Cancelled",
-          description: "Your booking has been cancelled successfully. Refund will be processed within 5-6 business days.",
-        });
-
-        // Refresh bookings
-        fetchBookings();
-        setShowCancelModal(false);
-        setSelectedBooking(null);
-      } catch (cancelError) {
-        console.error('Both delete and cancel failed:', cancelError);
-        toast({
-          title: "Error",
-          description: "Failed to delete/cancel booking. Please try again or contact support.",
-          variant: "destructive"
-        });
-      }
+      console.error('Error cancelling booking:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to cancel booking. Please try again or contact support.",
+        variant: "destructive"
+      });
     } finally {
       setCancellingBooking(false);
     }
   };
 
+  const handleDownloadETicket = async (booking) => {
+    try {
+      setDownloadingTicketId(booking.bookingId);
+      const response = await ticketAPI.getETicket(booking.bookingId);
+      await downloadETicket(response.data);
+
+      toast({
+        title: "E-Ticket Downloaded",
+        description: "Your e-ticket has been downloaded. Show the barcode at check-in and boarding.",
+      });
+    } catch (error) {
+      console.error('Error downloading e-ticket:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to download e-ticket. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setDownloadingTicketId(null);
+    }
+  };
+
+  const handleAddToCalendar = async (booking) => {
+    try {
+      setDownloadingCalendarId(booking.bookingId);
+      const response = await calendarAPI.getBookingCalendar(booking.bookingId);
+      downloadCalendarFile(response.data, `flynest_${booking.pnr}.ics`);
+
+      toast({
+        title: "Calendar File Downloaded",
+        description: "Open the .ics file to add your flights to your calendar.",
+      });
+    } catch (error) {
+      console.error('Error downloading calendar file:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to download calendar file. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setDownloadingCalendarId(null);
+    }
+  };
+
+  // Check-in progress and entry point, once the window opens for a confirmed booking
+  const renderCheckInStatus = (booking) => {
+    if (booking.status?.toLowerCase() !== 'confirmed') return null;
+    const { checkedIn, total } = getCheckInProgress(booking);
+    if (total === 0 || (checkedIn === 0 && getBookingCheckInStatus(booking, checkInWindow) !== 'Open')) return null;
+
+    return (
+      <div className="flex items-center justify-between text-sm bg-blue-500/10 p-3 rounded-lg">
+        <span className="flex items-center space-x-2 text-blue-300">
+          <CheckCircle className="h-4 w-4" />
+          <span>
+            {checkedIn === total
+              ? 'Checked in'
+              : checkedIn > 0
+                ? `Checked in ${checkedIn}/${total}`
+                : 'Online check-in is open'}
+          </span>
+        </span>
+        <Button
+          variant="outline"
+          onClick={() => navigate(`/check-in/${booking.bookingId}`)}
+          className="h-8 border-blue-400/30 text-blue-300 hover:bg-blue-400/10"
+        >
+          {checkedIn === total ? 'Boarding Passes' : 'Check In'}
+        </Button>
+      </div>
+    );
+  };
+
   const getStatusColor = (status) => {
     switch (status?.toLowerCase()) {
       case 'confirmed':
@@ -422,16 +448,46 @@ const Bookings = () => {
                           <Badge className={getStatusColor(booking.status)}>
                             {booking.status}
                           </Badge>
+                          {booking.tripType && booking.tripType !== 'OneWay' && (
+                            <Badge className="bg-blue-500/20 text-blue-300 border-blue-500/30">
+                              {booking.tripType === 'RoundTrip' ? 'Round Trip' : 'Multi-City'}
+                            </Badge>
+                          )}
                         </div>
                         <div className="text-right">
-                          <p className="text-sm text-gray-400">Booking ID</p>
-                          <p className="font-mono text-white">{booking.bookingId}</p>
+                          <p className="text-sm text-gray-400">Booking Reference</p>
+                          <p className="font-mono text-white">{booking.pnr}</p>
                         </div>
                       </div>
                     </CardHeader>
 
                     <CardContent className="space-y-4">
                       {/* Flight Info */}
+                      {getBookingLegs(booking).length > 1 ? (
+                        <div className="space-y-2">
+                          {getBookingLegs(booking).map(leg => (
+                            <div key={leg.id} className="flex items-center space-x-2">
+                              <Plane className="h-4 w-4 text-blue-400" />
+                              <div>
+                                <p className="text-sm text-gray-400">
+                                  Flight {leg.legNumber} · {leg.flight?.flightNumber}
+                                </p>
+                                <p className="font-medium text-white">
+                                  {leg.flight?.departureAirport} → {leg.flight?.arrivalAirport}
+                                  {leg.flight?.flightDate && (
+                                    <span className="text-gray-400 text-sm ml-2">
+                                      {new Intl.DateTimeFormat('en-IN', {
+                                        month: 'short',
+                                        day: 'numeric'
+                                      }).format(new Date(leg.flight.flightDate))}
+                                    </span>
+                                  )}
+                                </p>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
                       <div className="grid grid-cols-2 gap-4">
                         <div className="space-y-2">
                           <div className="flex items-center space-x-2">
@@ -455,6 +511,7 @@ const Bookings = () => {
                           </div>
                         </div>
                       </div>
+                      )}
 
                       {/* Date and Passengers */}
                       <div className="grid grid-cols-2 gap-4">
@@ -479,12 +536,23 @@ const Bookings = () => {
                             <Users className="h-4 w-4 text-yellow-400" />
                             <div>
                               <p className="text-sm text-gray-400">Passengers</p>
-                              <p className="font-medium text-white">{booking.passengerCount || 1}</p>
+                              <p className="font-medium text-white">{getPassengerCount(booking)}</p>
                             </div>
                           </div>
                         </div>
                       </div>
 
+                      {/* Fare Class */}
+                      {booking.tickets?.length > 0 && (
+                        <div className="flex items-center space-x-2">
+                          <Plane className="h-4 w-4 text-indigo-400" />
+                          <div>
+                            <p className="text-sm text-gray-400">Class</p>
+                            <p className="font-medium text-white">{summarizeFareClasses(booking.tickets)}</p>
+                          </div>
+                        </div>
+                      )}
+
                       {/* Amount */}
                       <div className="flex items-center space-x-2">
                         <CreditCard className="h-4 w-4 text-green-400" />
@@ -494,6 +562,42 @@ const Bookings = () => {
                         </div>
                       </div>
 
+                      {/* Refund recorded when the booking was cancelled */}
+                      {booking.refunds?.length > 0 && (
+                        <div className="flex items-center space-x-2 text-sm text-green-400 bg-green-500/10 p-3 rounded-lg">
+                          <RefreshCw className="h-4 w-4" />
+                          <span>
+                            Refund of {formatRefundAmount(getRefundTotal(booking), booking.refunds[0].currency)}
+                            {' '}— {booking.refunds.every(r => r.refundStatus === 'succeeded') ? 'completed' : 'processing'}
+                          </span>
+                        </div>
+                      )}
+
+                      {/* Hold deadline */}
+                      {isHoldActive(booking) && (
+                        <div className="flex items-center space-x-2 text-sm text-yellow-400 bg-yellow-500/10 p-3 rounded-lg">
+                          <Clock className="h-4 w-4" />
+                          <span>
+                            Seats held until{' '}
+                            {new Intl.DateTimeFormat('en-IN', {
+                              hour: '2-digit',
+                              minute: '2-digit'
+                            }).format(new Date(booking.holdExpiresAt))}
+                            {' '}— complete payment to confirm
+                          </span>
+                        </div>
+                      )}
+
+                      {/* Live flight status */}
+                      {getBookingFlights(booking)
+                        .filter(flight => trackedFlightIds.includes(flight.id))
+                        .map(flight => (
+                          <FlightStatusPanel key={flight.id} flight={withLiveStatus(flight)} />
+                        ))}
+
+                      {/* Online check-in */}
+                      {renderCheckInStatus(booking)}
+
                       {/* Days until flight */}
                       {booking.status?.toLowerCase() !== 'cancelled' && (
                         <div className="flex items-center space-x-2">
@@ -508,7 +612,7 @@ const Bookings = () => {
                       )}
 
                       {/* Action Buttons */}
-                      <div className="flex space-x-3 pt-4">
+                      <div className="flex flex-wrap gap-3 pt-4">
                         {booking.status?.toLowerCase() !== 'cancelled' && canCancelBooking(booking) && (
                           <Button
                             onClick={() => handleCancelBooking(booking)}
@@ -523,29 +627,60 @@ const Bookings = () => {
                         {booking.status?.toLowerCase() !== 'cancelled' && !canCancelBooking(booking) && (
                           <div className="flex items-center space-x-2 text-sm text-orange-400 bg-orange-500/10 p-3 rounded-lg">
                             <AlertTriangle className="h-4 w-4" />
-                            <span>Cannot delete within 2 days of flight</span>
+                            <span>This flight has departed and can no longer be cancelled</span>
                           </div>
                         )}
 
-                        {/* Manual Status Update for Pending Bookings */}
-                        {booking.status?.toLowerCase() === 'pending' && (
+                        {booking.status?.toLowerCase() === 'confirmed' && (
                           <Button
-                            onClick={() => handleManualStatusUpdate(booking, 'Confirmed')}
-                            disabled={updatingStatus}
+                            onClick={() => handleDownloadETicket(booking)}
+                            disabled={downloadingTicketId === booking.bookingId}
                             variant="outline"
-                            className="flex-1 border-green-400/30 text-green-400 hover:bg-green-400/10"
+                            className="flex-1 border-blue-400/30 text-blue-400 hover:bg-blue-400/10"
                           >
-                            {updatingStatus ? (
-                              <>
-                                <RefreshCw className="mr-2 h-4 w-4 animate-spin" />
-                                Updating...
-                              </>
+                            {downloadingTicketId === booking.bookingId ? (
+                              <RefreshCw className="mr-2 h-4 w-4 animate-spin" />
                             ) : (
-                              <>
-                                <CheckCircle className="mr-2 h-4 w-4" />
-                                Mark as Confirmed
-                              </>
+                              <Download className="mr-2 h-4 w-4" />
                             )}
+                            E-Ticket
+                          </Button>
+                        )}
+
+                        {booking.status?.toLowerCase() === 'confirmed' && (
+                          <Button
+                            onClick={() => handleAddToCalendar(booking)}
+                            disabled={downloadingCalendarId === booking.bookingId}
+                            variant="outline"
+                            className="flex-1 border-blue-400/30 text-blue-400 hover:bg-blue-400/10"
+                          >
+                            {downloadingCalendarId === booking.bookingId ? (
+                              <RefreshCw className="mr-2 h-4 w-4 animate-spin" />
+                            ) : (
+                              <CalendarPlus className="mr-2 h-4 w-4" />
+                            )}
+                            Add to Calendar
+                          </Button>
+                        )}
+
+                        {booking.status?.toLowerCase() === 'confirmed' && canCancelBooking(booking) && (
+                          <Button
+                            onClick={() => setBookingToChange(booking)}
+                            variant="outline"
+                            className="flex-1 border-purple-400/30 text-purple-300 hover:bg-purple-400/10"
+                          >
+                            <Repeat className="mr-2 h-4 w-4" />
+                            Change Flight
+                          </Button>
+                        )}
+
+                        {isHoldActive(booking) && (
+                          <Button
+                            onClick={() => handleResumePayment(booking)}
+                            className="flex-1 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                          >
+                            <CreditCard className="mr-2 h-4 w-4" />
+                            Resume Payment
                           </Button>
                         )}
                       </div>
@@ -558,6 +693,17 @@ const Bookings = () => {
         </div>
       </div>
 
+      {bookingToChange && (
+        <ChangeFlight
+          booking={bookingToChange}
+          onClose={() => setBookingToChange(null)}
+          onChanged={() => {
+            setBookingToChange(null);
+            fetchBookings();
+          }}
+        />
+      )}
+
       {/* Cancellation Modal */}
       {showCancelModal && selectedBooking && (
         <motion.div
@@ -574,48 +720,66 @@ const Bookings = () => {
               <CardHeader>
                 <CardTitle className="text-white flex items-center space-x-2">
                   <AlertTriangle className="h-5 w-5 text-red-400" />
-                  <span>Delete Booking</span>
+                  <span>Cancel Booking</span>
                 </CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
                 <p className="text-gray-300">
-                  Are you sure you want to delete your booking for flight {selectedBooking.flightNumber}?
+                  Are you sure you want to cancel your booking for flight {selectedBooking.flightNumber}?
                 </p>
-                
-                <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4">
-                  <div className="flex items-start space-x-2">
-                    <AlertTriangle className="h-5 w-5 text-red-400 mt-0.5" />
-                    <div>
-                      <h4 className="font-semibold text-white mb-1">⚠️ This action cannot be undone</h4>
-                      <p className="text-sm text-gray-300">
-                        This will permanently delete your booking from the database. Your refund will be processed within 5-6 business days.
-                      </p>
+
+                {quoteLoading || !refundQuote ? (
+                  <div className="flex items-center justify-center py-6">
+                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
+                  </div>
+                ) : (
+                  <div className="bg-white/5 border border-white/10 rounded-lg p-4 space-y-2">
+                    <div className="flex items-center justify-between">
+                      <span className="text-gray-400">Amount paid</span>
+                      <span className="text-white">{formatRefundAmount(refundQuote.paidAmount, refundQuote.currency)}</span>
+                    </div>
+                    {refundQuote.lines?.length > 1 && refundQuote.lines.map(line => (
+                      <div key={line.fareClass} className="flex items-center justify-between text-sm">
+                        <span className="text-gray-400">{line.fareClass} fares</span>
+                        <span className="text-gray-300">{line.percent}% refundable</span>
+                      </div>
+                    ))}
+                    <div className="flex items-center justify-between border-t border-white/10 pt-2">
+                      <span className="font-semibold text-white">Refund ({refundQuote.percent}%)</span>
+                      <span className="font-bold text-green-400 text-lg">
+                        {formatRefundAmount(refundQuote.amount, refundQuote.currency)}
+                      </span>
                     </div>
+                    <p className="text-xs text-gray-400">
+                      {refundQuote.paidAmount > 0
+                        ? `Based on cancelling ${Math.floor(refundQuote.hoursBeforeDeparture / 24)} days before departure. Refunds go back to the original payment within 5-6 business days.`
+                        : 'No payment has been taken for this booking, so nothing is refunded.'}
+                    </p>
                   </div>
-                </div>
-                
+                )}
+
                 <div className="flex space-x-3">
                   <Button
                     variant="outline"
-                    onClick={() => setShowCancelModal(false)}
+                    onClick={closeCancelModal}
                     className="flex-1 border-gray-400/30 text-gray-300 hover:bg-gray-400/10"
                   >
                     Keep Booking
                   </Button>
                   <Button
                     onClick={confirmCancellation}
-                    disabled={cancellingBooking}
+                    disabled={cancellingBooking || quoteLoading || !refundQuote}
                     className="flex-1 bg-red-500 hover:bg-red-600"
                   >
                     {cancellingBooking ? (
                       <>
                         <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                        Deleting...
+                        Cancelling...
                       </>
                     ) : (
                       <>
                         <XCircle className="mr-2 h-4 w-4" />
-                        Delete Booking
+                        Cancel Booking
                       </>
                     )}
                   </Button>
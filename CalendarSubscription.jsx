@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { CalendarDays, Copy, ExternalLink, RefreshCw, PowerOff } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { toast } from '@/components/ui/use-toast';
+import { useAuth } from '@/context/AuthContext';
+import { calendarAPI } from '@/services/api';
+import { toWebcalUrl } from './calendar';
+
+// "Calendar subscription" section of the profile page: a private feed URL that keeps
+// the user's calendar in step with their confirmed bookings
+const CalendarSubscription = () => {
+  const { user } = useAuth();
+  const userId = user?.userId || user?.id;
+
+  const [feed, setFeed] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchFeed();
+  }, []);
+
+  const fetchFeed = async () => {
+    try {
+      setLoading(true);
+      const response = await calendarAPI.getFeed(userId);
+      setFeed(response.data);
+    } catch (error) {
+      // 404 means the feed is turned off
+      if (error.response?.status !== 404) {
+        console.error('Error fetching calendar feed:', error);
+      }
+      setFeed(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = async () => {
+    const replacing = feed !== null;
+    setSaving(true);
+    try {
+      const response = await calendarAPI.resetFeed(userId);
+      setFeed(response.data);
+      toast({
+        title: replacing ? "Calendar Link Reset" : "Calendar Feed Turned On",
+        description: replacing
+          ? "The old link no longer works. Subscribe again with the new one."
+          : "Subscribe to the link in your calendar app to see your trips."
+      });
+    } catch (error) {
+      console.error('Error resetting calendar feed:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to update calendar feed. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTurnOff = async () => {
+    setSaving(true);
+    try {
+      await calendarAPI.deleteFeed(userId);
+      setFeed(null);
+      toast({
+        title: "Calendar Feed Turned Off",
+        description: "Calendars subscribed to the link will stop updating."
+      });
+    } catch (error) {
+      console.error('Error turning off calendar feed:', error);
+      toast({
+        title: "Error",
+        description: "Failed to turn off calendar feed. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      toast({
+        title: "Link Copied",
+        description: "Paste it into your calendar app's \"Subscribe\" or \"From URL\" option."
+      });
+    } catch (error) {
+      console.error('Error copying calendar link:', error);
+      toast({
+        title: "Error",
+        description: "Couldn't copy the link. Select it and copy it manually.",
+        variant: "destructive"
+      });
+    }
+  };
+
+  return (
+    <Card className="glass-effect border-white/10">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center space-x-2">
+          <CalendarDays className="h-5 w-5" />
+          <span>Calendar Subscription</span>
+        </CardTitle>
+        <CardDescription className="text-gray-400">
+          Keep your flights in Google Calendar, Outlook or Apple Calendar. Changes and cancellations
+          update automatically. Keep the link private: anyone who has it can see your trips.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+          </div>
+        ) : feed ? (
+          <>
+            <div className="flex space-x-2">
+              <Input
+                readOnly
+                value={feed.url}
+                onFocus={(e) => e.target.select()}
+                className="bg-white/5 border-white/10 text-white font-mono text-sm"
+              />
+              <Button
+                variant="outline"
+                onClick={handleCopy}
+                className="border-white/20 text-white hover:bg-white/10"
+                title="Copy link"
+              >
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+            <div className="flex flex-wrap gap-3">
+              <Button
+                asChild
+                className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+              >
+                <a href={toWebcalUrl(feed.url)}>
+                  <ExternalLink className="mr-2 h-4 w-4" />
+                  Subscribe
+                </a>
+              </Button>
+              <Button
+                variant="outline"
+                onClick={handleReset}
+                disabled={saving}
+                className="border-white/20 text-white hover:bg-white/10"
+              >
+                <RefreshCw className={`mr-2 h-4 w-4 ${saving ? 'animate-spin' : ''}`} />
+                Reset Link
+              </Button>
+              <Button
+                variant="outline"
+                onClick={handleTurnOff}
+                disabled={saving}
+                className="border-red-400/30 text-red-400 hover:bg-red-400/10"
+              >
+                <PowerOff className="mr-2 h-4 w-4" />
+                Turn Off
+              </Button>
+            </div>
+          </>
+        ) : (
+          <div className="flex items-center justify-between">
+            <p className="text-gray-400">Calendar feed is off.</p>
+            <Button
+              onClick={handleReset}
+              disabled={saving}
+              className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+            >
+              <CalendarDays className="mr-2 h-4 w-4" />
+              {saving ? 'Turning On...' : 'Turn On'}
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CalendarSubscription;
@@ -0,0 +1,345 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Search, Plane, RefreshCw, X, ArrowRight } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from '@/components/ui/use-toast';
+import PaymentGateway from '@/components/PaymentGateway';
+import { bookingAPI, flightAPI } from '@/services/api';
+import { getFarePrice } from './fares';
+
+const formatAmount = (amount) => `₹${Math.abs(amount || 0).toLocaleString()}`;
+
+// "Change flight" dialog from My Bookings: pick a leg, find another flight on the
+// same route, review the fare difference and change fee, then pay or get refunded.
+const ChangeFlight = ({ booking, onClose, onChanged }) => {
+  const legs = (booking.bookingFlights || []).length > 0
+    ? [...booking.bookingFlights].sort((a, b) => a.legNumber - b.legNumber).map(leg => leg.flight).filter(Boolean)
+    : [booking.flight].filter(Boolean);
+
+  const [legIndex, setLegIndex] = useState(0);
+  const currentFlight = legs[legIndex];
+  const [searchDate, setSearchDate] = useState(currentFlight?.flightDate?.slice(0, 10) || '');
+  const [flights, setFlights] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [selectedFlight, setSelectedFlight] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
+  const [showPaymentGateway, setShowPaymentGateway] = useState(false);
+  const [changing, setChanging] = useState(false);
+
+  const fareClasses = [...new Set(
+    (booking.tickets || [])
+      .filter(ticket => (ticket.flightId ?? booking.flightId) === currentFlight?.id)
+      .map(ticket => ticket.class || 'Economy')
+  )];
+
+  const selectLeg = (index) => {
+    setLegIndex(index);
+    setSearchDate(legs[index]?.flightDate?.slice(0, 10) || '');
+    setFlights(null);
+    setSelectedFlight(null);
+    setQuote(null);
+  };
+
+  const searchFlights = async () => {
+    try {
+      setSearching(true);
+      setSelectedFlight(null);
+      setQuote(null);
+      const response = await flightAPI.search({
+        departureIata: currentFlight.departureIata,
+        arrivalIata: currentFlight.arrivalIata,
+        flightDate: searchDate
+      });
+      setFlights((response.data || []).filter(flight => flight.id !== currentFlight.id));
+    } catch (error) {
+      // The search answers 404 when nothing flies that day
+      if (error.response?.status === 404) {
+        setFlights([]);
+      } else {
+        console.error('Error searching flights:', error);
+        toast({
+          title: "Error",
+          description: "Failed to search flights. Please try again.",
+          variant: "destructive"
+        });
+      }
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const selectFlight = async (flight) => {
+    setSelectedFlight(flight);
+    setQuote(null);
+    try {
+      setQuoteLoading(true);
+      const response = await bookingAPI.getChangeQuote(booking.bookingId, currentFlight.id, flight.id);
+      setQuote(response.data);
+    } catch (error) {
+      console.error('Error fetching change quote:', error);
+      setSelectedFlight(null);
+      toast({
+        title: "Cannot Change",
+        description: error.response?.data?.message || "Failed to price this change. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setQuoteLoading(false);
+    }
+  };
+
+  const submitChange = async (payment = {}) => {
+    try {
+      setChanging(true);
+      await bookingAPI.changeFlight(booking.bookingId, {
+        fromFlightId: currentFlight.id,
+        toFlightId: selectedFlight.id,
+        ...payment
+      });
+
+      toast({
+        title: "Flight Changed",
+        description: quote.amountDue < 0
+          ? `You're now on ${selectedFlight.flightNumber}. ${formatAmount(quote.amountDue)} will be refunded within 5-6 business days.`
+          : `You're now on ${selectedFlight.flightNumber}. Choose your seats again at check-in.`
+      });
+      onChanged();
+    } catch (error) {
+      console.error('Error changing flight:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to change flight. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setChanging(false);
+    }
+  };
+
+  const handleConfirm = () => {
+    if (quote.amountDue > 0) {
+      setShowPaymentGateway(true);
+    } else {
+      submitChange();
+    }
+  };
+
+  const handlePaymentSuccess = (paymentResult) => {
+    // Without the gateway's payment id nothing was charged
+    const paymentId = paymentResult?.paymentIntentId || paymentResult?.id;
+    if (!paymentId) {
+      handlePaymentFailure();
+      return;
+    }
+    setShowPaymentGateway(false);
+    submitChange({
+      paymentId,
+      paymentMethodType: paymentResult?.paymentMethodType || 'card',
+      receiptUrl: paymentResult?.receiptUrl
+    });
+  };
+
+  const handlePaymentFailure = () => {
+    setShowPaymentGateway(false);
+    toast({
+      title: "Payment Failed",
+      description: "Payment was not completed, so your flight was not changed.",
+      variant: "destructive"
+    });
+  };
+
+  return (
+    <>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        className="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+      >
+        <motion.div
+          initial={{ scale: 0.9, y: 20 }}
+          animate={{ scale: 1, y: 0 }}
+          className="w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        >
+          <Card className="glass-effect border-white/10">
+            <CardHeader>
+              <CardTitle className="text-white flex items-center justify-between">
+                <span className="flex items-center space-x-2">
+                  <Plane className="h-5 w-5 text-blue-400" />
+                  <span>Change Flight</span>
+                </span>
+                <Button variant="ghost" onClick={onClose} className="text-gray-300 hover:text-white hover:bg-white/10">
+                  <X className="h-4 w-4" />
+                </Button>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {legs.length > 1 && (
+                <div className="flex flex-wrap gap-2">
+                  {legs.map((leg, index) => (
+                    <Button
+                      key={leg.id}
+                      type="button"
+                      variant="outline"
+                      onClick={() => selectLeg(index)}
+                      className={
+                        index === legIndex
+                          ? 'border-purple-400 bg-purple-500/20 text-white'
+                          : 'border-white/20 text-gray-300 hover:bg-white/10'
+                      }
+                    >
+                      {leg.flightNumber}
+                      <span className="ml-2 text-xs text-gray-400">
+                        {leg.departureIata} → {leg.arrivalIata}
+                      </span>
+                    </Button>
+                  ))}
+                </div>
+              )}
+
+              {currentFlight && (
+                <p className="text-gray-300">
+                  Currently on <span className="text-white font-semibold">{currentFlight.flightNumber}</span>,{' '}
+                  {currentFlight.departureAirport} → {currentFlight.arrivalAirport} on{' '}
+                  {new Date(currentFlight.flightDate).toLocaleDateString()}
+                </p>
+              )}
+
+              <div className="flex items-end space-x-3">
+                <div className="flex-1">
+                  <Label htmlFor="change_date" className="text-white">New date</Label>
+                  <Input
+                    id="change_date"
+                    type="date"
+                    value={searchDate}
+                    onChange={(e) => setSearchDate(e.target.value)}
+                    className="bg-white/5 border-white/10 text-white"
+                  />
+                </div>
+                <Button
+                  onClick={searchFlights}
+                  disabled={searching || !searchDate}
+                  className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                >
+                  {searching ? <RefreshCw className="mr-2 h-4 w-4 animate-spin" /> : <Search className="mr-2 h-4 w-4" />}
+                  Search
+                </Button>
+              </div>
+
+              {flights && flights.length === 0 && (
+                <p className="text-gray-400 text-center py-4">No other flights on this route that day.</p>
+              )}
+
+              {flights?.map(flight => (
+                <button
+                  key={flight.id}
+                  type="button"
+                  onClick={() => selectFlight(flight)}
+                  className={`w-full text-left p-4 rounded-lg border transition-all ${
+                    selectedFlight?.id === flight.id
+                      ? 'border-blue-400 bg-blue-500/10'
+                      : 'border-white/10 hover:border-white/20'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-semibold text-white">{flight.airlineName} {flight.flightNumber}</p>
+                      <p className="text-sm text-gray-400">
+                        {flight.departureIata} → {flight.arrivalIata} · {new Date(flight.flightDate).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <div className="text-right text-sm">
+                      {fareClasses.map(fareClass => (
+                        <p key={fareClass} className="text-gray-300">
+                          {fareClass}: {getFarePrice(flight, fareClass) != null ? `₹${getFarePrice(flight, fareClass)}` : 'Not sold'}
+                        </p>
+                      ))}
+                    </div>
+                  </div>
+                </button>
+              ))}
+
+              {quoteLoading && (
+                <div className="flex items-center justify-center py-4">
+                  <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
+                </div>
+              )}
+
+              {quote && selectedFlight && (
+                <div className="bg-white/5 border border-white/10 rounded-lg p-4 space-y-2">
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-400 flex items-center">
+                      {currentFlight.flightNumber} <ArrowRight className="mx-1 h-3 w-3" /> {selectedFlight.flightNumber}
+                    </span>
+                  </div>
+                  <div className="flex items-center justify-between">
+                    <span className="text-gray-400">Fare difference</span>
+                    <span className="text-white">
+                      {quote.fareDifference < 0 ? '−' : ''}{formatAmount(quote.fareDifference)}
+                    </span>
+                  </div>
+                  <div className="flex items-center justify-between">
+                    <span className="text-gray-400">Change fee</span>
+                    <span className="text-white">{formatAmount(quote.changeFee)}</span>
+                  </div>
+                  <div className="flex items-center justify-between border-t border-white/10 pt-2">
+                    <span className="font-semibold text-white">
+                      {quote.amountDue < 0 ? 'Refund to you' : 'To pay'}
+                    </span>
+                    <span className={`font-bold text-lg ${quote.amountDue < 0 ? 'text-green-400' : 'text-white'}`}>
+                      {formatAmount(quote.amountDue)}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-400">
+                    Seats and check-in don't carry over; pick your seats again at check-in.
+                  </p>
+                </div>
+              )}
+
+              <div className="flex space-x-3">
+                <Button
+                  variant="outline"
+                  onClick={onClose}
+                  className="flex-1 border-gray-400/30 text-gray-300 hover:bg-gray-400/10"
+                >
+                  Keep Current Flight
+                </Button>
+                <Button
+                  onClick={handleConfirm}
+                  disabled={!quote || changing}
+                  className="flex-1 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                >
+                  {changing ? (
+                    <>
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                      Changing...
+                    </>
+                  ) : quote?.amountDue > 0 ? (
+                    `Pay ${formatAmount(quote.amountDue)} & Change`
+                  ) : (
+                    'Confirm Change'
+                  )}
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </motion.div>
+      </motion.div>
+
+      {showPaymentGateway && quote && (
+        <PaymentGateway
+          amount={quote.amountDue}
+          bookingId={booking.bookingId}
+          onPaymentSuccess={handlePaymentSuccess}
+          onPaymentFailure={handlePaymentFailure}
+          onClose={() => setShowPaymentGateway(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default ChangeFlight;
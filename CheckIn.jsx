@@ -0,0 +1,542 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Plane, Clock, CheckCircle, Download, Armchair, RefreshCw } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from '@/components/ui/use-toast';
+import { checkInAPI, airplaneAPI, ticketAPI, countryAPI } from '@/services/api';
+import SeatMap from './SeatMap';
+import { getAvailableFareClasses } from './fares';
+import { PASSPORT_PATTERN, normalizePassport } from './passengerRules';
+import { downloadBoardingPasses } from './eTicket';
+
+const SERVER_FIELDS = {
+  nationality: 'nationality',
+  passportNumber: 'passport_number',
+  passportExpiry: 'passport_expiry',
+  seat: 'seat_number'
+};
+
+// Online check-in for one booking: confirm documents and seat per flight, then get boarding passes
+const CheckIn = () => {
+  const navigate = useNavigate();
+  const { bookingId } = useParams();
+
+  const [checkIn, setCheckIn] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [activeLeg, setActiveLeg] = useState(0);
+  const [forms, setForms] = useState({}); // ticket id -> editable details
+  const [fieldErrors, setFieldErrors] = useState({}); // ticket id -> { field: message }
+  const [countries, setCountries] = useState([]);
+  const [seatPickerTicketId, setSeatPickerTicketId] = useState(null);
+  const [seatMap, setSeatMap] = useState(null);
+  const [seatsLoading, setSeatsLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    fetchCheckIn();
+    fetchCountries();
+  }, [bookingId]);
+
+  const fetchCheckIn = async () => {
+    try {
+      setLoading(true);
+      const response = await checkInAPI.getByBooking(bookingId);
+      setCheckIn(response.data);
+
+      const initialForms = {};
+      response.data.legs.forEach(leg => {
+        leg.tickets.filter(ticket => !ticket.checkedInAt).forEach(ticket => {
+          initialForms[ticket.ticketId] = {
+            nationality: ticket.passenger?.nationality || '',
+            passport_number: ticket.passenger?.passportNumber || '',
+            passport_expiry: ticket.passenger?.passportExpiry?.slice(0, 10) || '',
+            seat_number: ticket.seatNumber || '',
+            confirmed: false
+          };
+        });
+      });
+      setForms(initialForms);
+      setFieldErrors({});
+
+      // Start on the first flight that can be checked in
+      const openLeg = response.data.legs.findIndex(leg => leg.window.status === 'Open');
+      if (openLeg !== -1) setActiveLeg(openLeg);
+    } catch (error) {
+      console.error('Error fetching check-in:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to load check-in for this booking.",
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCountries = async () => {
+    try {
+      const response = await countryAPI.getAll();
+      setCountries(response.data || []);
+    } catch (error) {
+      console.error('Error fetching countries:', error);
+    }
+  };
+
+  const legs = checkIn?.legs || [];
+  const currentLeg = legs[activeLeg];
+  const pendingTickets = currentLeg?.tickets.filter(ticket => !ticket.checkedInAt) || [];
+  const hasBoardingPasses = legs.some(leg => leg.tickets.some(ticket => ticket.checkedInAt));
+
+  const updateForm = (ticketId, field, value) => {
+    setForms({ ...forms, [ticketId]: { ...forms[ticketId], [field]: value } });
+    if (fieldErrors[ticketId]?.[field]) {
+      const { [field]: _cleared, ...rest } = fieldErrors[ticketId];
+      setFieldErrors({ ...fieldErrors, [ticketId]: rest });
+    }
+  };
+
+  const getFieldError = (ticketId, field) => fieldErrors[ticketId]?.[field] || null;
+
+  const inputClass = (ticketId, field) =>
+    `bg-white/5 text-white placeholder:text-gray-400 ${getFieldError(ticketId, field) ? 'border-red-400' : 'border-white/10'}`;
+
+  const openSeatPicker = async (ticket) => {
+    setSeatPickerTicketId(ticket.ticketId);
+    try {
+      setSeatsLoading(true);
+      const [airplaneResponse, takenSeatsResponse] = await Promise.all([
+        airplaneAPI.getById(currentLeg.flight.aircraftId),
+        ticketAPI.getTakenSeats(currentLeg.flight.id)
+      ]);
+      // Seats held by passengers still checking in here are theirs to swap
+      const ownSeats = pendingTickets.map(t => t.seatNumber).filter(Boolean);
+      setSeatMap({
+        airplane: airplaneResponse.data,
+        takenSeats: (takenSeatsResponse.data || []).filter(seat => !ownSeats.includes(seat))
+      });
+    } catch (error) {
+      console.error('Error loading seat map:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load the seat map. Please try again.",
+        variant: "destructive"
+      });
+      setSeatPickerTicketId(null);
+    } finally {
+      setSeatsLoading(false);
+    }
+  };
+
+  const selectSeat = (seatNumber) => {
+    const owner = pendingTickets.find(t => t.ticketId !== seatPickerTicketId && forms[t.ticketId]?.seat_number === seatNumber);
+    if (owner) {
+      toast({
+        title: "Seat Unavailable",
+        description: `Seat ${seatNumber} is already assigned to ${owner.passenger?.fullName || 'another passenger'}.`,
+        variant: "destructive"
+      });
+      return;
+    }
+    updateForm(seatPickerTicketId, 'seat_number', seatNumber);
+    setSeatPickerTicketId(null);
+  };
+
+  const validate = (tickets) => {
+    const errors = {};
+    tickets.forEach(ticket => {
+      const form = forms[ticket.ticketId];
+      const ticketErrors = {};
+      if (!form.nationality) ticketErrors.nationality = 'Select a nationality.';
+      if (!PASSPORT_PATTERN.test(normalizePassport(form.passport_number))) {
+        ticketErrors.passport_number = 'Passport number must be 6 to 9 letters or digits.';
+      }
+      if (!form.passport_expiry) ticketErrors.passport_expiry = 'Passport expiry date is required.';
+      if (ticket.passenger?.passengerType !== 'Infant' && !form.seat_number) {
+        ticketErrors.seat_number = 'Choose a seat.';
+      }
+      if (Object.keys(ticketErrors).length > 0) errors[ticket.ticketId] = ticketErrors;
+    });
+    setFieldErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleCheckIn = async () => {
+    const tickets = pendingTickets.filter(ticket => forms[ticket.ticketId]?.confirmed);
+    if (tickets.length === 0) {
+      toast({
+        title: "Nothing to Check In",
+        description: "Confirm the details of at least one passenger.",
+        variant: "destructive"
+      });
+      return;
+    }
+    if (!validate(tickets)) {
+      toast({
+        title: "Validation Error",
+        description: "Please fix the highlighted fields.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await checkInAPI.checkIn(bookingId, {
+        flightId: currentLeg.flight.id,
+        passengers: tickets.map(ticket => ({
+          ticketId: ticket.ticketId,
+          nationality: forms[ticket.ticketId].nationality,
+          passportNumber: normalizePassport(forms[ticket.ticketId].passport_number),
+          passportExpiry: forms[ticket.ticketId].passport_expiry,
+          seatNumber: forms[ticket.ticketId].seat_number || null
+        }))
+      });
+
+      toast({
+        title: "Checked In",
+        description: `${tickets.length} passenger${tickets.length > 1 ? 's are' : ' is'} checked in for flight ${currentLeg.flight.flightNumber}.`
+      });
+      fetchCheckIn();
+    } catch (error) {
+      console.error('Error checking in:', error);
+      const { passengerIndex, field, message } = error.response?.data || {};
+      if (passengerIndex !== undefined && passengerIndex !== null && tickets[passengerIndex]) {
+        const ticketId = tickets[passengerIndex].ticketId;
+        setFieldErrors({ ...fieldErrors, [ticketId]: { [SERVER_FIELDS[field] || field]: message } });
+      }
+      toast({
+        title: "Check-in Failed",
+        description: message || "Failed to check in. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownloadBoardingPasses = async () => {
+    try {
+      setDownloading(true);
+      const response = await checkInAPI.getBoardingPasses(bookingId);
+      await downloadBoardingPasses(response.data);
+    } catch (error) {
+      console.error('Error downloading boarding passes:', error);
+      toast({
+        title: "Error",
+        description: "Failed to download boarding passes. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const formatDateTime = (date) =>
+    new Intl.DateTimeFormat('en-IN', {
+      day: '2-digit',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).format(new Date(date));
+
+  if (loading) {
+    return (
+      <div className="min-h-screen pt-20 pb-12 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+      </div>
+    );
+  }
+
+  const seatPickerIndex = pendingTickets.findIndex(t => t.ticketId === seatPickerTicketId);
+
+  return (
+    <>
+      <Helmet>
+        <title>Online Check-in - Flynest</title>
+        <meta name="description" content="Check in online and get your boarding passes." />
+      </Helmet>
+
+      <div className="min-h-screen pt-20 pb-12">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <motion.div
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+            className="mb-8"
+          >
+            <Button
+              variant="ghost"
+              onClick={() => navigate('/bookings')}
+              className="text-gray-300 hover:text-white hover:bg-white/10 mb-4"
+            >
+              <ArrowLeft className="mr-2 h-4 w-4" />
+              Back to Bookings
+            </Button>
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-4xl font-bold text-white mb-2">Online Check-in</h1>
+                <p className="text-gray-300">Booking {checkIn?.pnr}</p>
+              </div>
+              {hasBoardingPasses && (
+                <Button
+                  onClick={handleDownloadBoardingPasses}
+                  disabled={downloading}
+                  className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                >
+                  {downloading ? (
+                    <RefreshCw className="mr-2 h-4 w-4 animate-spin" />
+                  ) : (
+                    <Download className="mr-2 h-4 w-4" />
+                  )}
+                  Boarding Passes
+                </Button>
+              )}
+            </div>
+          </motion.div>
+
+          {!checkIn ? (
+            <Card className="glass-effect border-white/10">
+              <CardContent className="text-center py-12">
+                <p className="text-gray-300">Check-in is not available for this booking.</p>
+              </CardContent>
+            </Card>
+          ) : (
+            <motion.div
+              initial={{ opacity: 0, y: 30 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.8, delay: 0.1 }}
+              className="space-y-6"
+            >
+              {/* Flight picker */}
+              {legs.length > 1 && (
+                <div className="flex flex-wrap gap-2">
+                  {legs.map((leg, legIndex) => (
+                    <Button
+                      key={leg.flight.id}
+                      type="button"
+                      variant="outline"
+                      onClick={() => {
+                        setActiveLeg(legIndex);
+                        setSeatPickerTicketId(null);
+                      }}
+                      className={
+                        legIndex === activeLeg
+                          ? 'border-purple-400 bg-purple-500/20 text-white'
+                          : 'border-white/20 text-gray-300 hover:bg-white/10'
+                      }
+                    >
+                      <Plane className="mr-2 h-4 w-4" />
+                      {leg.flight.flightNumber}
+                      <span className="ml-2 text-xs text-gray-400">
+                        {leg.flight.departureIata} → {leg.flight.arrivalIata}
+                      </span>
+                    </Button>
+                  ))}
+                </div>
+              )}
+
+              {currentLeg && (
+                <Card className="glass-effect border-white/10">
+                  <CardHeader>
+                    <CardTitle className="text-white flex items-center justify-between">
+                      <span className="flex items-center space-x-2">
+                        <Plane className="h-5 w-5" />
+                        <span>
+                          {currentLeg.flight.flightNumber} · {currentLeg.flight.departureIata} → {currentLeg.flight.arrivalIata}
+                        </span>
+                      </span>
+                      <span className="text-sm font-normal text-gray-400">
+                        {new Date(currentLeg.flight.flightDate).toLocaleDateString()}
+                      </span>
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent className="space-y-6">
+                    {currentLeg.window.status === 'NotOpen' && (
+                      <div className="flex items-center space-x-2 text-sm text-yellow-400 bg-yellow-500/10 p-3 rounded-lg">
+                        <Clock className="h-4 w-4" />
+                        <span>Check-in opens {formatDateTime(currentLeg.window.opensAt)}</span>
+                      </div>
+                    )}
+                    {currentLeg.window.status === 'Closed' && (
+                      <div className="flex items-center space-x-2 text-sm text-red-400 bg-red-500/10 p-3 rounded-lg">
+                        <Clock className="h-4 w-4" />
+                        <span>Online check-in for this flight has closed. Please check in at the airport.</span>
+                      </div>
+                    )}
+
+                    {currentLeg.tickets.map(ticket => {
+                      const form = forms[ticket.ticketId];
+                      const isInfant = ticket.passenger?.passengerType === 'Infant';
+                      const canEdit = !ticket.checkedInAt && currentLeg.window.status === 'Open';
+
+                      return (
+                        <div key={ticket.ticketId} className="border border-white/10 rounded-lg p-6">
+                          <div className="flex items-center justify-between mb-4">
+                            <div>
+                              <h3 className="text-lg font-semibold text-white">{ticket.passenger?.fullName}</h3>
+                              <p className="text-sm text-gray-400">
+                                {[ticket.passenger?.passengerType, ticket.class, ticket.ticketNumber].filter(Boolean).join(' · ')}
+                              </p>
+                            </div>
+                            {ticket.checkedInAt ? (
+                              <Badge className="bg-green-500/20 text-green-400 border-green-500/30">
+                                <CheckCircle className="mr-1 h-3 w-3" />
+                                Checked in{ticket.seatNumber ? ` · ${ticket.seatNumber}` : ''}
+                              </Badge>
+                            ) : (
+                              <Badge className="bg-gray-500/20 text-gray-400 border-gray-500/30">Not checked in</Badge>
+                            )}
+                          </div>
+
+                          {canEdit && form && (
+                            <>
+                              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div>
+                                  <Label htmlFor={`nationality_${ticket.ticketId}`} className="text-white">Nationality</Label>
+                                  <Select
+                                    value={form.nationality}
+                                    onValueChange={(value) => updateForm(ticket.ticketId, 'nationality', value)}
+                                  >
+                                    <SelectTrigger id={`nationality_${ticket.ticketId}`} className={inputClass(ticket.ticketId, 'nationality')}>
+                                      <SelectValue placeholder="Select nationality" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                      {countries.map(country => (
+                                        <SelectItem key={country.iso2} value={country.iso2}>
+                                          {country.name} ({country.iso2})
+                                        </SelectItem>
+                                      ))}
+                                    </SelectContent>
+                                  </Select>
+                                  {getFieldError(ticket.ticketId, 'nationality') && (
+                                    <p className="text-sm text-red-400 mt-1">{getFieldError(ticket.ticketId, 'nationality')}</p>
+                                  )}
+                                </div>
+
+                                <div>
+                                  <Label htmlFor={`passport_${ticket.ticketId}`} className="text-white">Passport Number</Label>
+                                  <Input
+                                    id={`passport_${ticket.ticketId}`}
+                                    value={form.passport_number}
+                                    onChange={(e) => updateForm(ticket.ticketId, 'passport_number', e.target.value)}
+                                    className={inputClass(ticket.ticketId, 'passport_number')}
+                                  />
+                                  {getFieldError(ticket.ticketId, 'passport_number') && (
+                                    <p className="text-sm text-red-400 mt-1">{getFieldError(ticket.ticketId, 'passport_number')}</p>
+                                  )}
+                                </div>
+
+                                <div>
+                                  <Label htmlFor={`passport_expiry_${ticket.ticketId}`} className="text-white">Passport Expiry</Label>
+                                  <Input
+                                    id={`passport_expiry_${ticket.ticketId}`}
+                                    type="date"
+                                    value={form.passport_expiry}
+                                    onChange={(e) => updateForm(ticket.ticketId, 'passport_expiry', e.target.value)}
+                                    className={inputClass(ticket.ticketId, 'passport_expiry')}
+                                  />
+                                  {getFieldError(ticket.ticketId, 'passport_expiry') && (
+                                    <p className="text-sm text-red-400 mt-1">{getFieldError(ticket.ticketId, 'passport_expiry')}</p>
+                                  )}
+                                </div>
+
+                                <div>
+                                  <Label className="text-white">Seat</Label>
+                                  {isInfant ? (
+                                    <p className="text-gray-300 mt-2">On lap</p>
+                                  ) : (
+                                    <div className="flex items-center space-x-3 mt-1">
+                                      <span className="font-mono text-white text-lg">{form.seat_number || '—'}</span>
+                                      <Button
+                                        type="button"
+                                        variant="outline"
+                                        onClick={() => openSeatPicker(ticket)}
+                                        className="border-white/20 text-white hover:bg-white/10"
+                                      >
+                                        <Armchair className="mr-2 h-4 w-4" />
+                                        {form.seat_number ? 'Change Seat' : 'Choose Seat'}
+                                      </Button>
+                                    </div>
+                                  )}
+                                  {getFieldError(ticket.ticketId, 'seat_number') && (
+                                    <p className="text-sm text-red-400 mt-1">{getFieldError(ticket.ticketId, 'seat_number')}</p>
+                                  )}
+                                </div>
+                              </div>
+
+                              {seatPickerTicketId === ticket.ticketId && (
+                                <div className="mt-4">
+                                  {seatsLoading || !seatMap ? (
+                                    <div className="flex items-center justify-center py-12">
+                                      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+                                    </div>
+                                  ) : (
+                                    <SeatMap
+                                      airplane={seatMap.airplane}
+                                      fareClasses={getAvailableFareClasses(currentLeg.flight)}
+                                      takenSeats={seatMap.takenSeats}
+                                      passengers={pendingTickets.map(t => ({
+                                        fare_class: t.class,
+                                        seat_number: forms[t.ticketId]?.seat_number || ''
+                                      }))}
+                                      activePassenger={seatPickerIndex}
+                                      onSelectSeat={selectSeat}
+                                    />
+                                  )}
+                                </div>
+                              )}
+
+                              <label className="flex items-center space-x-2 mt-4 text-sm text-gray-300 cursor-pointer">
+                                <input
+                                  type="checkbox"
+                                  checked={form.confirmed}
+                                  onChange={(e) => updateForm(ticket.ticketId, 'confirmed', e.target.checked)}
+                                  className="h-4 w-4 rounded border-white/20 bg-white/5"
+                                />
+                                <span>Check in this passenger. I confirm the details above are correct.</span>
+                              </label>
+                            </>
+                          )}
+                        </div>
+                      );
+                    })}
+
+                    {currentLeg.window.status === 'Open' && pendingTickets.length > 0 && (
+                      <Button
+                        onClick={handleCheckIn}
+                        disabled={submitting}
+                        className="w-full bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                      >
+                        {submitting ? (
+                          <>
+                            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                            Checking in...
+                          </>
+                        ) : (
+                          <>
+                            <CheckCircle className="mr-2 h-4 w-4" />
+                            Check In
+                          </>
+                        )}
+                      </Button>
+                    )}
+                  </CardContent>
+                </Card>
+              )}
+            </motion.div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default CheckIn;
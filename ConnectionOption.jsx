@@ -0,0 +1,105 @@
+import React from 'react';
+import { Plane, MapPin, ArrowRight, Clock, CheckCircle, Repeat } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { getFarePrice, getAvailableFareClasses } from './fares';
+import { formatDuration } from './searchFilters';
+
+const formatTime = (time) => (time ? time.slice(0, 5) : '--:--');
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+const formatLayover = (layover) =>
+  `${formatDuration(layover.minutes)} layover in ${layover.airportIata}${layover.airport ? ` (${layover.airport})` : ''}`;
+
+// One journey with changes of plane from api/Flights/search/itinerary. Its fares are the
+// totals for every flight, and selecting it selects all of them for the leg.
+const ConnectionOption = ({ connection, selected, onSelect }) => {
+  const { flights, layovers } = connection;
+  const first = flights[0];
+  const last = flights[flights.length - 1];
+  const hubs = layovers.map(layover => layover.airportIata);
+
+  return (
+    <div
+      className={`p-4 rounded-lg border transition-all ${
+        selected ? 'border-blue-400 bg-blue-500/10' : 'border-white/10 hover:border-white/20'
+      }`}
+    >
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div className="flex items-center space-x-4">
+          <div className="p-2 bg-purple-500/20 rounded-lg">
+            <Repeat className="h-5 w-5 text-purple-400" />
+          </div>
+          <div>
+            <p className="font-semibold text-white">
+              {[...new Set(flights.map(flight => flight.airlineName))].join(' + ')}
+              {' · '}
+              {connection.stops === 1 ? '1 stop' : `${connection.stops} stops`}
+            </p>
+            <div className="flex flex-wrap items-center gap-x-3 text-sm text-gray-400">
+              <span className="flex items-center">
+                <MapPin className="h-3 w-3 mr-1" />
+                {[first.departureIata, ...hubs, last.arrivalIata].join(' → ')}
+              </span>
+              <span className="flex items-center">
+                <Clock className="h-3 w-3 mr-1" />
+                {formatTime(connection.departureTime)} – {formatTime(connection.arrivalTime)}
+                {last.flightDate !== first.flightDate && ` (${formatDay(last.flightDate)})`}
+                {` · ${formatDuration(connection.durationMinutes)}`}
+              </span>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-4">
+          <div className="flex flex-wrap gap-2">
+            {getAvailableFareClasses(connection).map(fareClass => (
+              <Badge key={fareClass} className="bg-white/10 text-gray-200 border-white/20">
+                {fareClass} ₹{getFarePrice(connection, fareClass)}
+              </Badge>
+            ))}
+          </div>
+          <Button
+            type="button"
+            onClick={onSelect}
+            variant={selected ? 'default' : 'outline'}
+            className={selected ? 'bg-blue-600 hover:bg-blue-700' : 'border-white/20 text-white hover:bg-white/10'}
+          >
+            {selected ? (
+              <>
+                <CheckCircle className="mr-2 h-4 w-4" />
+                Selected
+              </>
+            ) : 'Select'}
+          </Button>
+        </div>
+      </div>
+
+      <div className="mt-3 pl-14 space-y-1 text-xs text-gray-400">
+        {flights.map((flight, index) => (
+          <React.Fragment key={flight.id}>
+            <p className="flex items-center">
+              <Plane className="h-3 w-3 mr-1 text-blue-400" />
+              {flight.flightNumber} · {formatDay(flight.flightDate)} · {flight.departureIata}{' '}
+              {formatTime(flight.departureTime)}
+              <ArrowRight className="h-3 w-3 mx-1" />
+              {flight.arrivalIata} {formatTime(flight.arrivalTime)}
+            </p>
+            {layovers[index] && (
+              <p className="text-yellow-300/80">
+                {formatLayover(layovers[index])}
+                {layovers[index].arrivalTerminal && layovers[index].departureTerminal &&
+                  layovers[index].arrivalTerminal !== layovers[index].departureTerminal &&
+                  ` · change from terminal ${layovers[index].arrivalTerminal} to ${layovers[index].departureTerminal}`}
+              </p>
+            )}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ConnectionOption;
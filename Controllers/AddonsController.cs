@@ -0,0 +1,208 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using flynest.Models;
+using flynest.Services;
+
+namespace flynest.Controllers
+{
+    // Add-on catalog: the extras each airline sells and what they cost.
+    // Passengers' picks live in passenger_addons (see BookingsController).
+    [Route("api/[controller]")]
+    [ApiController]
+    public class AddonsController : ControllerBase
+    {
+        private readonly FlynestDbContext _context;
+
+        public AddonsController(FlynestDbContext context)
+        {
+            _context = context;
+        }
+
+        // GET: api/Addons
+        [HttpGet]
+        public async Task<IActionResult> GetAddons()
+        {
+            var addons = await _context.Addons
+                .Include(a => a.Airline)
+                .OrderBy(a => a.Airline.Name)
+                .ThenBy(a => a.Code)
+                .ThenBy(a => a.Price)
+                .ToListAsync();
+
+            return Ok(addons.Select(ToResponse));
+        }
+
+        // GET: api/Addons/airline/5
+        [HttpGet("airline/{airlineId}")]
+        public async Task<IActionResult> GetAddonsByAirline(int airlineId)
+        {
+            var addons = await _context.Addons
+                .Include(a => a.Airline)
+                .Where(a => a.AirlineId == airlineId)
+                .OrderBy(a => a.Code)
+                .ThenBy(a => a.Price)
+                .ToListAsync();
+
+            return Ok(addons.Select(ToResponse));
+        }
+
+        // GET: api/Addons/flight/5
+        // What a passenger can add on this flight
+        [HttpGet("flight/{flightId}")]
+        public async Task<IActionResult> GetAddonsForFlight(long flightId)
+        {
+            var flight = await _context.Flights.FindAsync(flightId);
+            if (flight == null)
+            {
+                return NotFound();
+            }
+
+            var addons = await Addons.ForFlightAsync(_context, flight);
+            return Ok(addons.Select(a => new { a.AddonId, a.Code, a.Name, a.Description, a.Price }));
+        }
+
+        // POST: api/Addons
+        [HttpPost]
+        public async Task<IActionResult> PostAddon(AddonDto dto)
+        {
+            var error = await Validate(dto);
+            if (error != null)
+            {
+                return BadRequest(new { message = error });
+            }
+
+            var addon = new Addon();
+            Apply(addon, dto);
+            _context.Addons.Add(addon);
+
+            try
+            {
+                await _context.SaveChangesAsync();
+            }
+            catch (DbUpdateException)
+            {
+                return Conflict(new { message = $"This airline already sells an add-on called \"{addon.Name}\"." });
+            }
+
+            await _context.Entry(addon).Reference(a => a.Airline).LoadAsync();
+            return CreatedAtAction(nameof(GetAddonsByAirline), new { airlineId = addon.AirlineId }, ToResponse(addon));
+        }
+
+        // PUT: api/Addons/5
+        // New prices apply to new bookings; add-ons already bought keep what was charged
+        [HttpPut("{id}")]
+        public async Task<IActionResult> PutAddon(int id, AddonDto dto)
+        {
+            var addon = await _context.Addons.FindAsync(id);
+            if (addon == null)
+            {
+                return NotFound();
+            }
+
+            var error = await Validate(dto);
+            if (error != null)
+            {
+                return BadRequest(new { message = error });
+            }
+
+            Apply(addon, dto);
+
+            try
+            {
+                await _context.SaveChangesAsync();
+            }
+            catch (DbUpdateException)
+            {
+                return Conflict(new { message = $"This airline already sells an add-on called \"{addon.Name}\"." });
+            }
+
+            return NoContent();
+        }
+
+        // DELETE: api/Addons/5
+        // Add-ons that passengers have bought are only retired, so bookings and manifests keep their names
+        [HttpDelete("{id}")]
+        public async Task<IActionResult> DeleteAddon(int id)
+        {
+            var addon = await _context.Addons.FindAsync(id);
+            if (addon == null)
+            {
+                return NotFound();
+            }
+
+            if (await _context.PassengerAddons.AnyAsync(pa => pa.AddonId == id))
+            {
+                addon.IsActive = false;
+            }
+            else
+            {
+                _context.Addons.Remove(addon);
+            }
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+
+        private async Task<string?> Validate(AddonDto dto)
+        {
+            if (!Addons.Codes.Contains(dto.Code))
+            {
+                return "Choose baggage, meal, priority or legroom.";
+            }
+            if (string.IsNullOrWhiteSpace(dto.Name))
+            {
+                return "Name is required.";
+            }
+            if (dto.Price < 0)
+            {
+                return "Price cannot be negative.";
+            }
+            if (!await _context.Airlines.AnyAsync(a => a.Id == dto.AirlineId))
+            {
+                return "Airline not found.";
+            }
+            return null;
+        }
+
+        private static void Apply(Addon addon, AddonDto dto)
+        {
+            addon.AirlineId = dto.AirlineId;
+            addon.Code = dto.Code;
+            addon.Name = dto.Name.Trim();
+            addon.Description = dto.Description;
+            addon.Price = dto.Price;
+            addon.IsActive = dto.IsActive;
+        }
+
+        private static object ToResponse(Addon addon)
+        {
+            return new
+            {
+                addon.AddonId,
+                addon.AirlineId,
+                AirlineName = addon.Airline?.Name,
+                AirlineIata = addon.Airline?.IataCode,
+                addon.Code,
+                addon.Name,
+                addon.Description,
+                addon.Price,
+                addon.IsActive
+            };
+        }
+    }
+
+    public class AddonDto
+    {
+        public int AirlineId { get; set; }
+        public string Code { get; set; } = "";
+        public string Name { get; set; } = "";
+        public string? Description { get; set; }
+        public decimal Price { get; set; }
+        public bool IsActive { get; set; } = true;
+    }
+}
@@ -13,6 +13,9 @@ namespace flynest.Controllers
     [ApiController]
     public class AirportsController : ControllerBase
     {
+        private const int DefaultSuggestionCount = 8;
+        private const int MaxSuggestionCount = 20;
+
         private readonly FlynestDbContext _context;
 
         public AirportsController(FlynestDbContext context)
@@ -27,6 +30,56 @@ namespace flynest.Controllers
             return await _context.Airports.ToListAsync();
         }
 
+        // GET: api/Airports/search?q=lon&limit=8
+        // Typeahead for the flight search form. Matches the IATA code, airport name, city or
+        // country; exact and leading IATA matches come first, then airports whose city starts
+        // with the text. Only airports with an IATA code are returned, since that is what
+        // flight search matches on.
+        [HttpGet("search")]
+        public async Task<ActionResult<IEnumerable<AirportSuggestion>>> SearchAirports([FromQuery] string? q, [FromQuery] int limit = DefaultSuggestionCount)
+        {
+            var term = q?.Trim();
+            if (string.IsNullOrEmpty(term))
+            {
+                return Ok(new List<AirportSuggestion>());
+            }
+            limit = Math.Clamp(limit, 1, MaxSuggestionCount);
+            var code = term.ToUpperInvariant();
+
+            // airports.city is free text; fall back to it when city_id is not set
+            var matches =
+                from a in _context.Airports
+                join c in _context.Cities on a.CityId equals (int?)c.Id into cities
+                from c in cities.DefaultIfEmpty()
+                join co in _context.Countries on a.CountryIso2 equals co.Iso2 into countries
+                from co in countries.DefaultIfEmpty()
+                where a.IataCode != null && a.IataCode != "" &&
+                    (a.IataCode.StartsWith(code) ||
+                     a.Name.Contains(term) ||
+                     a.City.Contains(term) ||
+                     c.Name.Contains(term) ||
+                     co.Name.Contains(term))
+                let city = c != null ? c.Name : a.City
+                orderby
+                    a.IataCode == code ? 0 :
+                    a.IataCode.StartsWith(code) ? 1 :
+                    city.StartsWith(term) ? 2 : 3,
+                    city,
+                    a.Name
+                select new AirportSuggestion
+                {
+                    Id = a.Id,
+                    IataCode = a.IataCode,
+                    Name = a.Name,
+                    City = city,
+                    CountryIso2 = a.CountryIso2,
+                    CountryName = co != null ? co.Name : null,
+                    Timezone = a.Timezone
+                };
+
+            return await matches.Take(limit).ToListAsync();
+        }
+
         // GET: api/Airports/5
         [HttpGet("{id}")]
         public async Task<ActionResult<Airport>> GetAirport(int id)
@@ -104,4 +157,15 @@ namespace flynest.Controllers
             return _context.Airports.Any(e => e.Id == id);
         }
     }
+
+    public class AirportSuggestion
+    {
+        public int Id { get; set; }
+        public string IataCode { get; set; } = "";
+        public string? Name { get; set; }
+        public string? City { get; set; }
+        public string? CountryIso2 { get; set; }
+        public string? CountryName { get; set; }
+        public string? Timezone { get; set; }
+    }
 }
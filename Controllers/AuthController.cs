@@ -1,4 +1,5 @@
 ﻿using flynest.Models;
+using flynest.Services;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Configuration;
 using Microsoft.IdentityModel.Tokens;
@@ -88,6 +89,7 @@ namespace flynest.Controllers
             };
 
             _context.Users.Add(user);
+            EmailQueue.Queue(_context, user.Email, EmailTemplates.Registration(user, MailSettings.FromConfiguration(_config)));
             await _context.SaveChangesAsync();
 
             // Auto-login after registration
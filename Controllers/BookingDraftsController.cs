@@ -0,0 +1,160 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using flynest.Models;
+using flynest.Services;
+
+namespace flynest.Controllers
+{
+    // Unfinished bookings: the selected flights, passenger list and step reached.
+    // Drafts are removed once their booking is paid (see PaymentsController.ConfirmPayment).
+    [Route("api/[controller]")]
+    [ApiController]
+    public class BookingDraftsController : ControllerBase
+    {
+        private static readonly string[] Steps = { "details", "seats", "addons", "payment" };
+
+        private readonly FlynestDbContext _context;
+
+        public BookingDraftsController(FlynestDbContext context)
+        {
+            _context = context;
+        }
+
+        // GET: api/BookingDrafts/user/5
+        [HttpGet("user/{userId}")]
+        public async Task<ActionResult<IEnumerable<BookingDraft>>> GetDraftsByUser(int userId)
+        {
+            await BookingHolds.ExpireAsync(_context);
+
+            var drafts = await _context.BookingDrafts
+                .Include(d => d.Booking)
+                .Where(d => d.UserId == userId)
+                .OrderByDescending(d => d.UpdatedAt)
+                .ToListAsync();
+
+            await ReopenLapsedDrafts(drafts);
+
+            return Ok(drafts.Where(d => d.Booking?.Status != "Confirmed"));
+        }
+
+        // GET: api/BookingDrafts/5
+        [HttpGet("{id}")]
+        public async Task<ActionResult<BookingDraft>> GetDraft(int id)
+        {
+            await BookingHolds.ExpireAsync(_context);
+
+            var draft = await _context.BookingDrafts
+                .Include(d => d.Booking)
+                .FirstOrDefaultAsync(d => d.DraftId == id);
+
+            if (draft == null)
+            {
+                return NotFound();
+            }
+
+            await ReopenLapsedDrafts(new List<BookingDraft> { draft });
+
+            return draft;
+        }
+
+        // POST: api/BookingDrafts
+        [HttpPost]
+        public async Task<ActionResult<BookingDraft>> PostDraft(BookingDraftDto dto)
+        {
+            if (!Steps.Contains(dto.Step))
+            {
+                return BadRequest(new { message = "Unknown booking step." });
+            }
+
+            var draft = new BookingDraft
+            {
+                UserId = dto.UserId,
+                Step = dto.Step,
+                Data = dto.Data,
+                BookingId = dto.BookingId,
+                CreatedAt = DateTime.Now,
+                UpdatedAt = DateTime.Now
+            };
+
+            _context.BookingDrafts.Add(draft);
+            await _context.SaveChangesAsync();
+
+            return CreatedAtAction(nameof(GetDraft), new { id = draft.DraftId }, draft);
+        }
+
+        // PUT: api/BookingDrafts/5
+        [HttpPut("{id}")]
+        public async Task<IActionResult> PutDraft(int id, BookingDraftDto dto)
+        {
+            if (!Steps.Contains(dto.Step))
+            {
+                return BadRequest(new { message = "Unknown booking step." });
+            }
+
+            var draft = await _context.BookingDrafts.FindAsync(id);
+            if (draft == null)
+            {
+                return NotFound();
+            }
+
+            draft.Step = dto.Step;
+            draft.Data = dto.Data;
+            draft.BookingId = dto.BookingId;
+            draft.UpdatedAt = DateTime.Now;
+
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+
+        // DELETE: api/BookingDrafts/5
+        [HttpDelete("{id}")]
+        public async Task<IActionResult> DeleteDraft(int id)
+        {
+            var draft = await _context.BookingDrafts.FindAsync(id);
+            if (draft == null)
+            {
+                return NotFound();
+            }
+
+            _context.BookingDrafts.Remove(draft);
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+
+        // A draft whose hold lapsed goes back to seat selection so the user can book again
+        private async Task ReopenLapsedDrafts(List<BookingDraft> drafts)
+        {
+            var lapsed = drafts.Where(d => d.Booking?.Status == "Cancelled").ToList();
+            if (lapsed.Count == 0)
+            {
+                return;
+            }
+
+            foreach (var draft in lapsed)
+            {
+                draft.Step = "seats";
+                draft.BookingId = null;
+                draft.Booking = null;
+                draft.UpdatedAt = DateTime.Now;
+            }
+
+            await _context.SaveChangesAsync();
+        }
+    }
+
+    public class BookingDraftDto
+    {
+        public int UserId { get; set; }
+        public string Step { get; set; } = "details";
+        // JSON snapshot of the booking form, owned by the client
+        public string? Data { get; set; }
+        public int? BookingId { get; set; }
+    }
+}
@@ -5,7 +5,9 @@ using System.Threading.Tasks;
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
 using flynest.Models;
+using flynest.Services;
 
 namespace flynest.Controllers
 {
@@ -14,16 +16,22 @@ namespace flynest.Controllers
     public class BookingsController : ControllerBase
     {
         private readonly FlynestDbContext _context;
+        private readonly IConfiguration _config;
 
-        public BookingsController(FlynestDbContext context)
+        private const string LookupFailedMessage = "No booking matches that reference and last name.";
+
+        public BookingsController(FlynestDbContext context, IConfiguration config)
         {
             _context = context;
+            _config = config;
         }
 
         // ✅ GET: api/Bookings
         [HttpGet]
         public async Task<ActionResult<IEnumerable<Booking>>> GetBookings()
         {
+            await BookingHolds.ExpireAsync(_context);
+
             return await _context.Bookings
                 .Include(b => b.User)
                 .Include(b => b.Flight)
@@ -34,9 +42,14 @@ namespace flynest.Controllers
         [HttpGet("{id}")]
         public async Task<ActionResult<Booking>> GetBooking(int id)
         {
+            await BookingHolds.ExpireAsync(_context);
+
             var booking = await _context.Bookings
                 .Include(b => b.User)
                 .Include(b => b.Flight)
+                .Include(b => b.Tickets)
+                .Include(b => b.BookingFlights)
+                    .ThenInclude(bf => bf.Flight)
                 .FirstOrDefaultAsync(b => b.BookingId == id);
 
             if (booking == null)
@@ -56,6 +69,35 @@ namespace flynest.Controllers
                 return BadRequest();
             }
 
+            var existing = await _context.Bookings.AsNoTracking().FirstOrDefaultAsync(b => b.BookingId == id);
+            if (existing == null)
+            {
+                return NotFound();
+            }
+
+            // Bookings are only confirmed by a payment and only cancelled through the
+            // cancellation endpoints, which price the refund
+            if (booking.Status != null && booking.Status != existing.Status)
+            {
+                return booking.Status == "Confirmed"
+                    ? Conflict(new { message = "Bookings are confirmed by paying for them (api/Payments/confirm)." })
+                    : booking.Status == "Cancelled"
+                        ? Conflict(new { message = "Cancel bookings through api/Bookings/{id}/cancel." })
+                        : BadRequest(new { message = "The booking status can't be changed here." });
+            }
+
+            // Status, price, reference and dates are server-owned; the flight only changes
+            // through api/Bookings/{id}/change and a booking never moves to another user
+            booking.FlightId = existing.FlightId;
+            booking.UserId = existing.UserId;
+            booking.Status = existing.Status;
+            booking.Amount = existing.Amount;
+            booking.Pnr = existing.Pnr;
+            booking.TripType = existing.TripType;
+            booking.BookingDate = existing.BookingDate;
+            booking.HoldExpiresAt = existing.HoldExpiresAt;
+            booking.CancelledAt = existing.CancelledAt;
+
             _context.Entry(booking).State = EntityState.Modified;
 
             try
@@ -81,9 +123,15 @@ namespace flynest.Controllers
         [HttpGet("user/{id}")]
         public async Task<ActionResult<IEnumerable<Booking>>> GetBookingsByUserId(int id)
         {
+            await BookingHolds.ExpireAsync(_context);
+
             var bookings = await _context.Bookings
                 .Include(b => b.User)
                 .Include(b => b.Flight)
+                .Include(b => b.Tickets)
+                .Include(b => b.BookingFlights)
+                    .ThenInclude(bf => bf.Flight)
+                .Include(b => b.Refunds)
                 .Where(b => b.UserId == id)
                 .ToListAsync();
 
@@ -117,28 +165,796 @@ namespace flynest.Controllers
 
 
         // ✅ POST: api/Bookings
+        // Starts an empty Pending booking; it is priced on the server as tickets are added
         [HttpPost]
         public async Task<ActionResult<Booking>> PostBooking(Booking booking)
         {
+            if (booking.Passengers.Count > 0 || booking.Tickets.Count > 0)
+            {
+                return BadRequest(new { message = "Add passengers through api/Bookings/with-passengers or api/Tickets." });
+            }
+
             booking.BookingDate = DateTime.Now; // Ensure date is set on API side if not passed
+            booking.TripType ??= "OneWay";
+            booking.Status = "Pending";
+            booking.Amount = 0;
+            booking.CancelledAt = null;
+            booking.Pnr = await BookingReferences.NewPnrAsync(_context);
+            BookingHolds.Start(booking);
+            if (booking.FlightId != null)
+            {
+                booking.BookingFlights.Add(new BookingFlight { FlightId = booking.FlightId.Value, LegNumber = 1 });
+            }
+            _context.Bookings.Add(booking);
+            await _context.SaveChangesAsync();
+
+            return CreatedAtAction(nameof(GetBooking), new { id = booking.BookingId }, booking);
+        }
+
+        // ✅ POST: api/Bookings/itinerary
+        // One booking covering several flights (round-trip / multi-city)
+        [HttpPost("itinerary")]
+        public async Task<ActionResult<Booking>> PostItineraryBooking(ItineraryBookingDto dto)
+        {
+            if (dto.FlightIds == null || dto.FlightIds.Count == 0)
+            {
+                return BadRequest(new { message = "At least one flight is required." });
+            }
+
+            var flights = await _context.Flights
+                .Where(f => dto.FlightIds.Contains(f.Id))
+                .ToListAsync();
+
+            if (flights.Count != dto.FlightIds.Distinct().Count())
+            {
+                return BadRequest(new { message = "One or more flights were not found." });
+            }
+            var connectionError = ConnectionError(dto.FlightIds, flights.ToDictionary(f => f.Id));
+            if (connectionError != null)
+            {
+                return BadRequest(new { message = connectionError });
+            }
+
+            var booking = new Booking
+            {
+                Pnr = await BookingReferences.NewPnrAsync(_context),
+                UserId = dto.UserId,
+                FlightId = dto.FlightIds[0],
+                TripType = dto.TripType ?? "MultiCity",
+                // Priced on the server as tickets are added
+                Amount = 0,
+                Status = "Pending",
+                BookingDate = DateTime.Now
+            };
+            BookingHolds.Start(booking);
+
+            for (int i = 0; i < dto.FlightIds.Count; i++)
+            {
+                booking.BookingFlights.Add(new BookingFlight { FlightId = dto.FlightIds[i], LegNumber = i + 1 });
+            }
+
             _context.Bookings.Add(booking);
             await _context.SaveChangesAsync();
 
             return CreatedAtAction(nameof(GetBooking), new { id = booking.BookingId }, booking);
         }
 
+        // ✅ POST: api/Bookings/with-passengers
+        // Creates the booking, its legs, passengers and tickets in one transaction.
+        // Validation errors name the failing passenger (0-based) and field.
+        [HttpPost("with-passengers")]
+        public async Task<IActionResult> PostBookingWithPassengers(BookingWithPassengersDto dto)
+        {
+            if (dto.FlightIds == null || dto.FlightIds.Count == 0)
+            {
+                return BadRequest(new { message = "At least one flight is required." });
+            }
+            if (dto.Passengers == null || dto.Passengers.Count == 0)
+            {
+                return BadRequest(new { message = "At least one passenger is required." });
+            }
+
+            await BookingHolds.ExpireAsync(_context);
+
+            var flights = await _context.Flights
+                .Where(f => dto.FlightIds.Contains(f.Id))
+                .ToDictionaryAsync(f => f.Id);
+
+            if (flights.Count != dto.FlightIds.Distinct().Count())
+            {
+                return BadRequest(new { message = "One or more flights were not found." });
+            }
+            var connectionError = ConnectionError(dto.FlightIds, flights);
+            if (connectionError != null)
+            {
+                return BadRequest(new { message = connectionError });
+            }
+
+            // A waitlisted customer taking up their offer books the seats set aside for them
+            Waitlist? offer = null;
+            if (dto.WaitlistId != null)
+            {
+                offer = await _context.Waitlists.FindAsync(dto.WaitlistId.Value);
+                if (offer == null || offer.UserId != dto.UserId)
+                {
+                    return BadRequest(new { message = "Waitlist offer not found." });
+                }
+                if (offer.Status != WaitlistOffers.Offered)
+                {
+                    return Conflict(new { message = "This waitlist offer is no longer open." });
+                }
+                if (!dto.FlightIds.Contains(offer.FlightId))
+                {
+                    return BadRequest(new { message = "The waitlist offer is for a different flight." });
+                }
+            }
+
+            var booking = new Booking
+            {
+                Pnr = await BookingReferences.NewPnrAsync(_context),
+                UserId = dto.UserId,
+                FlightId = dto.FlightIds[0],
+                TripType = dto.TripType ?? (dto.FlightIds.Count > 1 ? "MultiCity" : "OneWay"),
+                Status = "Pending",
+                BookingDate = DateTime.Now
+            };
+            BookingHolds.Start(booking);
+
+            for (int leg = 0; leg < dto.FlightIds.Count; leg++)
+            {
+                booking.BookingFlights.Add(new BookingFlight { FlightId = dto.FlightIds[leg], LegNumber = leg + 1 });
+            }
+
+            var passportNumbers = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            var chosenSeats = new HashSet<string>();
+            var seatRequests = new List<(int PassengerIndex, int Leg, Flight Flight, string SeatNumber)>();
+            var passengerTypes = new List<string>();
+            decimal amount = 0;
+
+            // Age categories use the first day of travel; passport validity the last
+            var today = DateOnly.FromDateTime(DateTime.Today);
+            var firstTravelDate = flights.Values.Min(f => f.FlightDate) ?? today;
+            var lastTravelDate = flights.Values.Max(f => f.FlightDate) ?? today;
+            var countryCodes = await _context.Countries.Select(c => c.Iso2).ToListAsync();
+            var airplanes = await SeatLayout.AirplanesForAsync(_context, flights.Values);
+
+            for (int i = 0; i < dto.Passengers.Count; i++)
+            {
+                var p = dto.Passengers[i];
+
+                if (string.IsNullOrWhiteSpace(p.FullName))
+                {
+                    return PassengerError(i, "fullName", "Full name is required.");
+                }
+                if (!new[] { "Male", "Female", "Other" }.Contains(p.Gender, StringComparer.OrdinalIgnoreCase))
+                {
+                    return PassengerError(i, "gender", "Gender must be Male, Female or Other.");
+                }
+                if (p.DateOfBirth == null)
+                {
+                    return PassengerError(i, "dateOfBirth", "Date of birth is required.");
+                }
+                if (p.DateOfBirth > today || PassengerRules.AgeOn(p.DateOfBirth.Value, today) > PassengerRules.MaxAge)
+                {
+                    return PassengerError(i, "dateOfBirth", "Date of birth is not valid.");
+                }
+                if (string.IsNullOrWhiteSpace(p.Nationality) || !countryCodes.Contains(p.Nationality, StringComparer.OrdinalIgnoreCase))
+                {
+                    return PassengerError(i, "nationality", "Select a nationality from the list.");
+                }
+                if (string.IsNullOrWhiteSpace(p.PassportNumber))
+                {
+                    return PassengerError(i, "passportNumber", "Passport number is required.");
+                }
+
+                var passportNumber = p.PassportNumber.Trim().ToUpperInvariant();
+                if (!PassengerRules.PassportPattern.IsMatch(passportNumber))
+                {
+                    return PassengerError(i, "passportNumber", "Passport number must be 6 to 9 letters or digits.");
+                }
+                if (p.PassportExpiry == null)
+                {
+                    return PassengerError(i, "passportExpiry", "Passport expiry date is required.");
+                }
+                if (!PassengerRules.IsPassportValidFor(p.PassportExpiry.Value, lastTravelDate))
+                {
+                    return PassengerError(i, "passportExpiry", $"Passport must be valid for at least {PassengerRules.PassportValidityMonths} months after your last flight.");
+                }
+                if (!passportNumbers.Add(passportNumber))
+                {
+                    return PassengerError(i, "passportNumber", "This passport number is used by another passenger in this booking.");
+                }
+                // Travellers rebook often, but can't hold two active tickets on the same flight
+                var alreadyBooked = await _context.Tickets.AnyAsync(t =>
+                    t.Passenger.PassportNumber == passportNumber &&
+                    t.Booking.Status != "Cancelled" &&
+                    dto.FlightIds.Contains(t.FlightId ?? t.Booking.FlightId ?? 0));
+                if (alreadyBooked)
+                {
+                    return PassengerError(i, "passportNumber", "This passport number is already booked on one of these flights.");
+                }
+
+                var passengerType = PassengerRules.TypeFor(p.DateOfBirth.Value, firstTravelDate);
+                passengerTypes.Add(passengerType);
+
+                var fareClass = p.FareClass ?? FareClasses.Economy;
+                // The seats set aside for an offer are in the class the customer waitlisted for
+                if (offer != null && fareClass != (offer.FareClass ?? FareClasses.Economy))
+                {
+                    return PassengerError(i, "fareClass", $"Your waitlist offer is for {offer.FareClass ?? FareClasses.Economy} class.");
+                }
+                var passenger = new Passenger
+                {
+                    FullName = p.FullName.Trim(),
+                    Gender = p.Gender,
+                    Age = PassengerRules.AgeOn(p.DateOfBirth.Value, firstTravelDate),
+                    DateOfBirth = p.DateOfBirth,
+                    Nationality = p.Nationality.ToUpperInvariant(),
+                    PassportNumber = passportNumber,
+                    PassportExpiry = p.PassportExpiry,
+                    PassengerType = passengerType
+                };
+                booking.Passengers.Add(passenger);
+
+                // One ticket per leg, in the same class throughout
+                for (int leg = 0; leg < dto.FlightIds.Count; leg++)
+                {
+                    var flight = flights[dto.FlightIds[leg]];
+                    var fare = FareClasses.PriceFor(flight, fareClass);
+                    if (fare == null)
+                    {
+                        return PassengerError(i, "fareClass", $"{fareClass} class is not available on flight {flight.FlightNumber}.");
+                    }
+
+                    // Infants sit on an adult's lap and never hold a seat
+                    var seatNumber = passengerType != PassengerRules.Infant && p.Seats != null && leg < p.Seats.Count
+                        ? p.Seats[leg]?.Trim().ToUpperInvariant()
+                        : null;
+                    if (!string.IsNullOrEmpty(seatNumber))
+                    {
+                        var seatError = SeatLayout.SeatError(airplanes.GetValueOrDefault(flight.Id), flight, seatNumber, fareClass);
+                        if (seatError != null)
+                        {
+                            return PassengerError(i, "seat", seatError, leg);
+                        }
+                        if (!chosenSeats.Add($"{flight.Id}:{seatNumber}"))
+                        {
+                            return PassengerError(i, "seat", $"Seat {seatNumber} on flight {flight.FlightNumber} is assigned to another passenger.", leg);
+                        }
+                        seatRequests.Add((i, leg, flight, seatNumber));
+                    }
+
+                    amount += fare.Value;
+                    booking.Tickets.Add(new Ticket
+                    {
+                        Passenger = passenger,
+                        FlightId = flight.Id,
+                        SeatNumber = seatNumber,
+                        Class = fareClass,
+                        FareAmount = fare,
+                        TicketNumber = Ticketing.NewTicketNumber()
+                    });
+                }
+            }
+
+            var groupError = PassengerRules.CheckGroup(passengerTypes);
+            if (groupError != null)
+            {
+                return BadRequest(new { message = groupError, field = "passengers" });
+            }
+
+            // The server prices the booking; the client total is display only
+            booking.Amount = amount;
+
+            var seatsNeeded = passengerTypes.Count(type => type != PassengerRules.Infant);
+            if (offer != null && seatsNeeded > offer.PartySize)
+            {
+                return BadRequest(new { message = $"Your waitlist offer is for {offer.PartySize} seat(s).", field = "passengers" });
+            }
+
+            using var transaction = await _context.Database.BeginTransactionAsync();
+            try
+            {
+                // Count the free seats under a lock so two customers can't both take the last one
+                await SeatInventory.LockAsync(_context, dto.FlightIds);
+                var availability = await SeatInventory.AvailabilityAsync(_context, flights.Values, offer?.WaitlistId);
+                for (int leg = 0; leg < dto.FlightIds.Count; leg++)
+                {
+                    var flight = flights[dto.FlightIds[leg]];
+                    var legAvailability = availability.First(a => a.FlightId == flight.Id);
+                    var shortage = SeatInventory.ShortageMessage(legAvailability, flight, seatsNeeded);
+                    if (shortage != null)
+                    {
+                        await transaction.RollbackAsync();
+                        return Conflict(new { message = shortage, field = "availability", legIndex = leg, legAvailability.Available });
+                    }
+                }
+
+                // Checked under the same lock, so two customers can't pick the same seat at once
+                foreach (var seat in seatRequests)
+                {
+                    if (await Ticketing.IsSeatTakenAsync(_context, seat.Flight.Id, seat.SeatNumber))
+                    {
+                        await transaction.RollbackAsync();
+                        return PassengerError(seat.PassengerIndex, "seat", $"Seat {seat.SeatNumber} on flight {seat.Flight.FlightNumber} has already been taken.", seat.Leg);
+                    }
+                }
+
+                _context.Bookings.Add(booking);
+                if (offer != null)
+                {
+                    offer.Status = WaitlistOffers.Booked;
+                    offer.Booking = booking;
+                }
+                await _context.SaveChangesAsync();
+                await transaction.CommitAsync();
+            }
+            catch (DbUpdateException)
+            {
+                await transaction.RollbackAsync();
+                return Conflict(new { message = "The booking could not be saved. Please check the passenger details and try again." });
+            }
+
+            return CreatedAtAction(nameof(GetBooking), new { id = booking.BookingId }, new
+            {
+                booking.BookingId,
+                booking.Pnr,
+                booking.TripType,
+                booking.Amount,
+                booking.Status,
+                booking.HoldExpiresAt,
+                Passengers = booking.Passengers.Select(x => new { x.PassengerId, x.FullName })
+            });
+        }
+
+        // GET: api/Bookings/5/addons
+        [HttpGet("{id}/addons")]
+        public async Task<IActionResult> GetBookingAddons(int id)
+        {
+            var booking = await _context.Bookings.FindAsync(id);
+            if (booking == null)
+            {
+                return NotFound();
+            }
+
+            return Ok(await AddonSummary(booking));
+        }
+
+        // PUT: api/Bookings/5/addons
+        // Replaces the add-ons on an unpaid booking and reprices it at the airlines' current prices
+        [HttpPut("{id}/addons")]
+        public async Task<IActionResult> PutBookingAddons(int id, BookingAddonsDto dto)
+        {
+            var booking = await LoadWithTickets(id);
+            if (booking == null)
+            {
+                return NotFound();
+            }
+            if (booking.Status == "Cancelled")
+            {
+                return Conflict(new { message = "The hold on this booking has expired. Please book again." });
+            }
+            if (booking.Status != "Pending")
+            {
+                return Conflict(new { message = "Add-ons can only be changed before the booking is paid." });
+            }
+
+            var legs = booking.BookingFlights.Count > 0
+                ? booking.BookingFlights.OrderBy(bf => bf.LegNumber).Select(bf => bf.Flight).ToList()
+                : new List<Flight> { booking.Flight };
+            var passengers = booking.Passengers.OrderBy(p => p.PassengerId).ToList();
+            var catalog = new Dictionary<long, List<Addon>>();
+            foreach (var flight in legs)
+            {
+                catalog[flight.Id] = await Addons.ForFlightAsync(_context, flight);
+            }
+
+            var selected = new List<PassengerAddon>();
+            foreach (var pick in dto.Addons)
+            {
+                var passengerIndex = passengers.FindIndex(p => p.PassengerId == pick.PassengerId);
+                if (passengerIndex == -1)
+                {
+                    return BadRequest(new { message = "Passenger is not on this booking." });
+                }
+                var legIndex = legs.FindIndex(f => f.Id == pick.FlightId);
+                if (legIndex == -1)
+                {
+                    return BadRequest(new { message = "Flight is not part of this booking." });
+                }
+
+                var addon = catalog[pick.FlightId].FirstOrDefault(a => a.AddonId == pick.AddonId);
+                if (addon == null)
+                {
+                    return PassengerError(passengerIndex, "addons", $"This add-on is not sold on flight {legs[legIndex].FlightNumber}.", legIndex);
+                }
+                if (!Addons.IsAllowedFor(addon, passengers[passengerIndex]))
+                {
+                    return PassengerError(passengerIndex, "addons", $"{addon.Name} is not available for infants.", legIndex);
+                }
+                if (selected.Any(pa => pa.PassengerId == pick.PassengerId && pa.FlightId == pick.FlightId && pa.Addon.Code == addon.Code))
+                {
+                    return PassengerError(passengerIndex, "addons", $"Choose only one {addon.Code} option per flight.", legIndex);
+                }
+
+                selected.Add(new PassengerAddon
+                {
+                    BookingId = id,
+                    PassengerId = pick.PassengerId,
+                    FlightId = pick.FlightId,
+                    AddonId = addon.AddonId,
+                    Addon = addon,
+                    Price = addon.Price,
+                    CreatedAt = DateTime.Now
+                });
+            }
+
+            var existing = await _context.PassengerAddons.Where(pa => pa.BookingId == id).ToListAsync();
+            booking.Amount = (booking.Amount ?? 0) - existing.Sum(pa => pa.Price) + selected.Sum(pa => pa.Price);
+
+            using var transaction = await _context.Database.BeginTransactionAsync();
+            _context.PassengerAddons.RemoveRange(existing);
+            _context.PassengerAddons.AddRange(selected);
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            return Ok(await AddonSummary(booking));
+        }
+
+        // GET: api/Bookings/5/refund-quote
+        // What the refund policy would return if the booking were cancelled now
+        [HttpGet("{id}/refund-quote")]
+        public async Task<IActionResult> GetRefundQuote(int id)
+        {
+            var booking = await LoadWithTickets(id);
+            if (booking == null)
+            {
+                return NotFound();
+            }
+
+            return await RefundQuote(booking);
+        }
+
+        // POST: api/Bookings/5/cancel
+        // Cancels without deleting anything; passengers, tickets and payments stay as history
+        // and the refund owed under the policy is recorded against the original payment.
+        [HttpPost("{id}/cancel")]
+        public async Task<IActionResult> CancelBooking(int id, CancelBookingDto? dto)
+        {
+            var booking = await LoadWithTickets(id);
+            if (booking == null)
+            {
+                return NotFound();
+            }
+
+            return await Cancel(booking, dto?.Reason);
+        }
+
+        // POST: api/Bookings/lookup
+        // Guest "Manage booking": finds a booking by its reference and any passenger's last name
+        [HttpPost("lookup")]
+        public async Task<IActionResult> LookupBooking(BookingLookupDto dto)
+        {
+            var booking = await LoadByReference(dto);
+            if (booking == null)
+            {
+                return NotFound(new { message = LookupFailedMessage });
+            }
+
+            return Ok(await GuestView(booking));
+        }
+
+        // POST: api/Bookings/lookup/refund-quote
+        [HttpPost("lookup/refund-quote")]
+        public async Task<IActionResult> GetGuestRefundQuote(BookingLookupDto dto)
+        {
+            var booking = await LoadByReference(dto);
+            if (booking == null)
+            {
+                return NotFound(new { message = LookupFailedMessage });
+            }
+
+            return await RefundQuote(booking);
+        }
+
+        // POST: api/Bookings/lookup/cancel
+        // Same rules and refund as a signed-in cancellation
+        [HttpPost("lookup/cancel")]
+        public async Task<IActionResult> CancelGuestBooking(GuestCancelBookingDto dto)
+        {
+            var booking = await LoadByReference(dto);
+            if (booking == null)
+            {
+                return NotFound(new { message = LookupFailedMessage });
+            }
+
+            return await Cancel(booking, dto.Reason);
+        }
+
+        private async Task<IActionResult> RefundQuote(Booking booking)
+        {
+            var error = CancellationError(booking, out var departure);
+            if (error != null)
+            {
+                return Conflict(new { message = error });
+            }
+
+            var payments = await PaymentBalancesAsync(booking.BookingId);
+            return Ok(RefundPolicy.FromConfiguration(_config).Quote(booking, payments, departure));
+        }
+
+        private async Task<IActionResult> Cancel(Booking booking, string? reason)
+        {
+            var id = booking.BookingId;
+            var error = CancellationError(booking, out var departure);
+            if (error != null)
+            {
+                return Conflict(new { message = error });
+            }
+
+            var payments = await PaymentBalancesAsync(id);
+            var quote = RefundPolicy.FromConfiguration(_config).Quote(booking, payments, departure);
+
+            var refunds = new List<Refund>();
+            using var transaction = await _context.Database.BeginTransactionAsync();
+
+            booking.Status = "Cancelled";
+            booking.CancelledAt = DateTime.Now;
+            booking.HoldExpiresAt = null;
+            _context.BookingDrafts.RemoveRange(_context.BookingDrafts.Where(d => d.BookingId == id));
+            Notifications.Add(_context, booking, Notifications.BookingCancelled,
+                "Booking cancelled",
+                $"Booking {booking.Pnr} has been cancelled.");
+
+            // One refund per payment the money goes back to
+            foreach (var (payment, amount) in RefundPolicy.Split(payments, quote.Amount))
+            {
+                refunds.Add(new Refund
+                {
+                    BookingId = id,
+                    PaymentId = payment.PaymentId,
+                    Amount = amount,
+                    Currency = payment.Currency ?? quote.Currency,
+                    RefundPercent = quote.Percent,
+                    RefundStatus = "pending",
+                    Reason = reason,
+                    CreatedAt = DateTime.Now
+                });
+            }
+            _context.Refunds.AddRange(refunds);
+            if (refunds.Count > 0)
+            {
+                Notifications.Add(_context, booking, Notifications.RefundInitiated,
+                    "Refund on its way",
+                    $"A refund of {quote.Currency} {quote.Amount:N2} ({quote.Percent:0.#}%) for booking {booking.Pnr} has been started.");
+            }
+
+            EmailQueue.Queue(_context, booking.User?.Email, EmailTemplates.Cancellation(booking, refunds.Count > 0 ? quote : null, MailSettings.FromConfiguration(_config)));
+            Ticketing.ReleaseSeats(booking.Tickets);
+
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            await WaitlistOffers.OfferFreedSeatsAsync(_context, FlightIdsOf(booking));
+
+            return Ok(new
+            {
+                booking.BookingId,
+                booking.Status,
+                booking.CancelledAt,
+                RefundId = refunds.FirstOrDefault()?.RefundId,
+                RefundIds = refunds.Select(r => r.RefundId),
+                Refund = quote
+            });
+        }
+
+        // GET: api/Bookings/5/change-quote?fromFlightId=1&toFlightId=7
+        // Fare difference and change fee for moving one leg to another flight
+        [HttpGet("{id}/change-quote")]
+        public async Task<IActionResult> GetChangeQuote(int id, [FromQuery] long fromFlightId, [FromQuery] long toFlightId)
+        {
+            var booking = await LoadWithTickets(id);
+            if (booking == null)
+            {
+                return NotFound();
+            }
+
+            var (quote, _, _, error) = await PrepareChange(booking, fromFlightId, toFlightId);
+            if (error != null)
+            {
+                return error;
+            }
+
+            return Ok(quote);
+        }
+
+        // POST: api/Bookings/5/change
+        // Moves one leg to another flight on the same route. Passengers, tickets and payments are kept;
+        // the tickets are repriced, a positive balance must be paid first and a negative one is refunded.
+        [HttpPost("{id}/change")]
+        public async Task<IActionResult> ChangeFlight(int id, ChangeFlightDto dto)
+        {
+            var booking = await LoadWithTickets(id);
+            if (booking == null)
+            {
+                return NotFound();
+            }
+
+            // A retried request whose payment is already recorded has nothing left to do
+            if (!string.IsNullOrEmpty(dto.PaymentId) &&
+                await _context.Payments.AnyAsync(p => p.StripePaymentId == dto.PaymentId && p.BookingId == id))
+            {
+                return Ok(new { booking.BookingId, booking.FlightId, booking.Amount });
+            }
+
+            var (quote, leg, tickets, error) = await PrepareChange(booking, dto.FromFlightId, dto.ToFlightId);
+            if (error != null)
+            {
+                return error;
+            }
+
+            if (quote!.AmountDue > 0 && string.IsNullOrWhiteSpace(dto.PaymentId))
+            {
+                return StatusCode(StatusCodes.Status402PaymentRequired, new { message = "Pay the fare difference and change fee to complete the change.", quote });
+            }
+
+            var newFlight = await _context.Flights.FindAsync(dto.ToFlightId);
+            var payments = quote.AmountDue < 0 ? await PaymentBalancesAsync(id) : new List<PaymentBalance>();
+
+            using var transaction = await _context.Database.BeginTransactionAsync();
+
+            // Someone may have taken the last seats since the check above
+            await SeatInventory.LockAsync(_context, new[] { newFlight!.Id });
+            var (_, _, _, seatError) = await PrepareChange(booking, dto.FromFlightId, dto.ToFlightId);
+            if (seatError != null)
+            {
+                await transaction.RollbackAsync();
+                return seatError;
+            }
+
+            // Add-ons already paid for travel with the passengers
+            var addons = await _context.PassengerAddons
+                .Where(pa => pa.BookingId == id && pa.FlightId == dto.FromFlightId)
+                .ToListAsync();
+            foreach (var addon in addons)
+            {
+                addon.FlightId = newFlight!.Id;
+            }
+
+            foreach (var ticket in tickets!)
+            {
+                // Seats and check-in don't carry over to a different aircraft
+                ticket.FlightId = newFlight!.Id;
+                ticket.FareAmount = FareClasses.PriceFor(newFlight, ticket.Class ?? FareClasses.Economy);
+                ticket.SeatNumber = null;
+                ticket.CheckedInAt = null;
+                ticket.BoardingSequence = null;
+            }
+            if (leg != null)
+            {
+                leg.Flight = newFlight!;
+                leg.FlightId = newFlight!.Id;
+            }
+            if (booking.FlightId == dto.FromFlightId)
+            {
+                booking.Flight = newFlight;
+                booking.FlightId = newFlight!.Id;
+            }
+            booking.Amount = (booking.Amount ?? 0) + quote.AmountDue;
+
+            var change = new BookingChange
+            {
+                BookingId = id,
+                FromFlightId = dto.FromFlightId,
+                ToFlightId = newFlight!.Id,
+                FareDifference = quote.FareDifference,
+                ChangeFee = quote.ChangeFee,
+                ChangedAt = DateTime.Now
+            };
+
+            if (quote.AmountDue > 0)
+            {
+                change.Payment = new Payment
+                {
+                    BookingId = id,
+                    UserId = booking.UserId,
+                    StripePaymentId = dto.PaymentId,
+                    Amount = quote.AmountDue,
+                    Currency = quote.Currency,
+                    PaymentStatus = "succeeded",
+                    PaymentMethodType = dto.PaymentMethodType,
+                    ReceiptUrl = dto.ReceiptUrl,
+                    CreatedAt = DateTime.Now
+                };
+                Notifications.Add(_context, booking, Notifications.PaymentSucceeded,
+                    "Payment received",
+                    $"We received {quote.Currency} {quote.AmountDue:N2} for the flight change on booking {booking.Pnr}.");
+                EmailQueue.Queue(_context, booking.User?.Email, EmailTemplates.PaymentReceipt(
+                    change.Payment, booking, $"Change to flight {newFlight.FlightNumber}", MailSettings.FromConfiguration(_config)));
+            }
+            else if (quote.AmountDue < 0)
+            {
+                // The change records the first refund; a difference spread over several
+                // payments refunds each of them
+                var refunds = RefundPolicy.Split(payments, -quote.AmountDue)
+                    .Select(part => new Refund
+                    {
+                        BookingId = id,
+                        PaymentId = part.Payment.PaymentId,
+                        Amount = part.Amount,
+                        Currency = part.Payment.Currency ?? quote.Currency,
+                        RefundStatus = "pending",
+                        Reason = $"Flight change to {newFlight.FlightNumber}",
+                        CreatedAt = DateTime.Now
+                    })
+                    .ToList();
+                if (refunds.Count > 0)
+                {
+                    change.Refund = refunds[0];
+                    _context.Refunds.AddRange(refunds.Skip(1));
+                    Notifications.Add(_context, booking, Notifications.RefundInitiated,
+                        "Refund on its way",
+                        $"A refund of {quote.Currency} {refunds.Sum(r => r.Amount):N2} for the flight change on booking {booking.Pnr} has been started.");
+                }
+            }
+
+            _context.BookingChanges.Add(change);
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            await WaitlistOffers.OfferFreedSeatsAsync(_context, new[] { dto.FromFlightId });
+
+            return Ok(new
+            {
+                booking.BookingId,
+                booking.FlightId,
+                booking.Amount,
+                change.ChangeId,
+                Quote = quote
+            });
+        }
+
         // ✅ DELETE: api/Bookings/5
         [HttpDelete("{id}")]
         public async Task<IActionResult> DeleteBooking(int id)
         {
-            var booking = await _context.Bookings.FindAsync(id);
+            var booking = await _context.Bookings
+                .Include(b => b.BookingFlights)
+                .FirstOrDefaultAsync(b => b.BookingId == id);
             if (booking == null)
             {
                 return NotFound();
             }
 
+            // Only an unpaid hold can simply go away; anything paid for is cancelled, which
+            // releases its seats and refunds it. The lock keeps a payment confirmation
+            // (api/Payments/confirm) from landing in between.
+            using var transaction = await _context.Database.BeginTransactionAsync();
+            await _context.Database.ExecuteSqlInterpolatedAsync(
+                $"SELECT booking_id FROM booking WITH (UPDLOCK, HOLDLOCK) WHERE booking_id = {id}");
+            await _context.Entry(booking).ReloadAsync();
+            if (booking.Status != "Pending" ||
+                await _context.Payments.AnyAsync(p => p.BookingId == id && p.PaymentStatus == "succeeded"))
+            {
+                return Conflict(new { message = "Only unpaid bookings can be deleted. Cancel it through POST api/Bookings/{id}/cancel instead." });
+            }
+
+            var flightIds = FlightIdsOf(booking);
+
+            _context.BookingDrafts.RemoveRange(_context.BookingDrafts.Where(d => d.BookingId == id));
+            foreach (var entry in await _context.Waitlists.Where(w => w.BookingId == id).ToListAsync())
+            {
+                entry.BookingId = null;
+            }
+            foreach (var notification in await _context.Notifications.Where(n => n.BookingId == id).ToListAsync())
+            {
+                notification.BookingId = null;
+            }
             _context.Bookings.Remove(booking);
             await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            await WaitlistOffers.OfferFreedSeatsAsync(_context, flightIds);
 
             return NoContent();
         }
@@ -147,5 +963,352 @@ namespace flynest.Controllers
         {
             return _context.Bookings.Any(e => e.BookingId == id);
         }
+
+        // Null when every leg leaves after the one before has landed, with time to connect
+        // where the customer changes planes
+        private string? ConnectionError(List<long> flightIds, IReadOnlyDictionary<long, Flight> flights)
+        {
+            var policy = ConnectionPolicy.FromConfiguration(_config);
+            for (int leg = 1; leg < flightIds.Count; leg++)
+            {
+                var error = policy.ConnectionError(flights[flightIds[leg - 1]], flights[flightIds[leg]]);
+                if (error != null)
+                {
+                    return error;
+                }
+            }
+            return null;
+        }
+
+        private async Task<Booking?> LoadWithTickets(int id)
+        {
+            await BookingHolds.ExpireAsync(_context);
+
+            return await WithTickets().FirstOrDefaultAsync(b => b.BookingId == id);
+        }
+
+        // Null unless both the reference and the last name match, so a lookup can't tell
+        // a wrong name from a wrong reference
+        private async Task<Booking?> LoadByReference(BookingLookupDto dto)
+        {
+            var pnr = BookingReferences.Normalize(dto.Pnr);
+            if (pnr.Length != BookingReferences.Length)
+            {
+                return null;
+            }
+
+            await BookingHolds.ExpireAsync(_context);
+
+            var booking = await WithTickets().FirstOrDefaultAsync(b => b.Pnr == pnr);
+            return booking != null && BookingReferences.HasPassengerNamed(booking, dto.LastName) ? booking : null;
+        }
+
+        private IQueryable<Booking> WithTickets()
+        {
+            return _context.Bookings
+                .Include(b => b.User)
+                .Include(b => b.Flight)
+                .Include(b => b.Passengers)
+                .Include(b => b.Tickets)
+                .Include(b => b.BookingFlights)
+                    .ThenInclude(bf => bf.Flight);
+        }
+
+        // What a guest sees: no account details or internal ids
+        private async Task<object> GuestView(Booking booking)
+        {
+            // Older single-flight bookings have no legs recorded
+            var legs = booking.BookingFlights.Count > 0
+                ? booking.BookingFlights.OrderBy(bf => bf.LegNumber).Select(bf => bf.Flight).ToList()
+                : new List<Flight> { booking.Flight };
+
+            var refunds = await _context.Refunds
+                .Where(r => r.BookingId == booking.BookingId)
+                .OrderBy(r => r.CreatedAt)
+                .Select(r => new { r.Amount, r.Currency, r.RefundStatus, r.CreatedAt })
+                .ToListAsync();
+
+            return new
+            {
+                booking.Pnr,
+                booking.Status,
+                booking.TripType,
+                booking.Amount,
+                booking.BookingDate,
+                booking.HoldExpiresAt,
+                booking.CancelledAt,
+                CanCancel = CancellationError(booking, out _) == null,
+                Flights = legs.Where(f => f != null).Select(f => new
+                {
+                    f.Id,
+                    f.FlightNumber,
+                    f.AirlineName,
+                    f.DepartureAirport,
+                    f.DepartureIata,
+                    f.ArrivalAirport,
+                    f.ArrivalIata,
+                    f.FlightDate
+                }),
+                Passengers = booking.Passengers.OrderBy(p => p.PassengerId).Select(p => new
+                {
+                    p.FullName,
+                    p.PassengerType,
+                    Tickets = booking.Tickets
+                        .Where(t => t.PassengerId == p.PassengerId)
+                        .Select(t => new { t.TicketNumber, FlightId = t.FlightId ?? booking.FlightId, t.Class, t.SeatNumber })
+                }),
+                Refunds = refunds
+            };
+        }
+
+        private static string? CancellationError(Booking booking, out DateTime departure)
+        {
+            departure = RefundPolicy.DepartureOf(booking) ?? DateTime.MaxValue;
+
+            if (booking.Status == "Cancelled")
+            {
+                return "This booking is already cancelled.";
+            }
+            if (departure <= DateTime.UtcNow)
+            {
+                return "This flight has already departed and can no longer be cancelled.";
+            }
+            return null;
+        }
+
+        // Checks a change from one leg to another flight and prices it.
+        // Returns the error to send back when the change is not allowed.
+        private async Task<(FlightChangeQuote? Quote, BookingFlight? Leg, List<Ticket>? Tickets, IActionResult? Error)> PrepareChange(
+            Booking booking, long fromFlightId, long toFlightId)
+        {
+            if (booking.Status != "Confirmed")
+            {
+                return (null, null, null, Conflict(new { message = "Only confirmed bookings can be changed." }));
+            }
+
+            var legs = booking.BookingFlights.OrderBy(bf => bf.LegNumber).ToList();
+            var leg = legs.FirstOrDefault(bf => bf.FlightId == fromFlightId);
+            var oldFlight = leg?.Flight ?? (booking.FlightId == fromFlightId ? booking.Flight : null);
+            if (oldFlight == null)
+            {
+                return (null, null, null, BadRequest(new { message = "Flight is not part of this booking." }));
+            }
+
+            var policy = FlightChangePolicy.FromConfiguration(_config);
+            if (!policy.IsOpen(oldFlight))
+            {
+                return (null, null, null, Conflict(new { message = $"Flights can only be changed up to {policy.ClosesHoursBefore} hours before departure." }));
+            }
+
+            var newFlight = await _context.Flights.FindAsync(toFlightId);
+            if (newFlight == null)
+            {
+                return (null, null, null, NotFound(new { message = "The new flight was not found." }));
+            }
+            if (newFlight.Id == oldFlight.Id)
+            {
+                return (null, null, null, BadRequest(new { message = "Choose a different flight." }));
+            }
+            if (newFlight.DepartureIata != oldFlight.DepartureIata || newFlight.ArrivalIata != oldFlight.ArrivalIata)
+            {
+                return (null, null, null, BadRequest(new { message = "The new flight must fly the same route." }));
+            }
+            if (!policy.IsOpen(newFlight))
+            {
+                return (null, null, null, Conflict(new { message = "The new flight departs too soon to change to." }));
+            }
+
+            // Keep the itinerary in order: the new flight can't leave before the previous leg or after the next one
+            var legIndex = leg == null ? -1 : legs.IndexOf(leg);
+            if (legIndex > 0 && newFlight.FlightDate < legs[legIndex - 1].Flight.FlightDate)
+            {
+                return (null, null, null, BadRequest(new { message = "The new flight departs before the previous leg of your trip." }));
+            }
+            if (legIndex >= 0 && legIndex < legs.Count - 1 && newFlight.FlightDate > legs[legIndex + 1].Flight.FlightDate)
+            {
+                return (null, null, null, BadRequest(new { message = "The new flight departs after the next leg of your trip." }));
+            }
+
+            // On a connecting trip the new flight still needs time to connect with the legs either side
+            var connectionPolicy = ConnectionPolicy.FromConfiguration(_config);
+            var connectionError =
+                (legIndex > 0 ? connectionPolicy.ConnectionError(legs[legIndex - 1].Flight, newFlight) : null) ??
+                (legIndex >= 0 && legIndex < legs.Count - 1 ? connectionPolicy.ConnectionError(newFlight, legs[legIndex + 1].Flight) : null);
+            if (connectionError != null)
+            {
+                return (null, null, null, BadRequest(new { message = connectionError }));
+            }
+
+            var tickets = booking.Tickets.Where(t => (t.FlightId ?? booking.FlightId) == fromFlightId).ToList();
+            var passportNumbers = booking.Passengers
+                .Where(p => tickets.Any(t => t.PassengerId == p.PassengerId))
+                .Select(p => p.PassportNumber)
+                .ToList();
+            var alreadyBooked = await _context.Tickets.AnyAsync(t =>
+                (t.FlightId ?? t.Booking.FlightId) == newFlight.Id &&
+                t.Booking.Status != "Cancelled" &&
+                passportNumbers.Contains(t.Passenger.PassportNumber));
+            if (alreadyBooked)
+            {
+                return (null, null, null, Conflict(new { message = "One of your passengers is already booked on that flight." }));
+            }
+
+            var seatsNeeded = booking.Passengers.Count(p =>
+                p.PassengerType != PassengerRules.Infant && tickets.Any(t => t.PassengerId == p.PassengerId));
+            var availability = (await SeatInventory.AvailabilityAsync(_context, new List<Flight> { newFlight })).First();
+            var shortage = SeatInventory.ShortageMessage(availability, newFlight, seatsNeeded);
+            if (shortage != null)
+            {
+                return (null, null, null, Conflict(new { message = shortage }));
+            }
+
+            var quote = policy.Quote(tickets, newFlight);
+            if (quote == null)
+            {
+                return (null, null, null, BadRequest(new { message = $"Flight {newFlight.FlightNumber} does not sell every class on this booking." }));
+            }
+
+            return (quote, leg, tickets, null);
+        }
+
+        // Add-on lines for the booking summary and receipts
+        private async Task<object> AddonSummary(Booking booking)
+        {
+            var lines = await _context.PassengerAddons
+                .Where(pa => pa.BookingId == booking.BookingId)
+                .OrderBy(pa => pa.PassengerId)
+                .ThenBy(pa => pa.FlightId)
+                .Select(pa => new
+                {
+                    pa.PassengerAddonId,
+                    pa.PassengerId,
+                    pa.Passenger.FullName,
+                    pa.FlightId,
+                    pa.Flight.FlightNumber,
+                    pa.AddonId,
+                    pa.Addon.Code,
+                    pa.Addon.Name,
+                    pa.Price
+                })
+                .ToListAsync();
+
+            return new
+            {
+                booking.BookingId,
+                booking.Amount,
+                AddonsTotal = lines.Sum(line => line.Price),
+                Addons = lines
+            };
+        }
+
+        // Every flight the booking holds seats on, including bookings made before legs existed
+        private static List<long> FlightIdsOf(Booking booking)
+        {
+            var flightIds = booking.BookingFlights.Select(bf => bf.FlightId).ToList();
+            if (booking.FlightId != null)
+            {
+                flightIds.Add(booking.FlightId.Value);
+            }
+            return flightIds;
+        }
+
+        // Successful payments on the booking, oldest first, with what is left of each after
+        // earlier refunds (failed refunds gave nothing back). Fully refunded payments are left out.
+        private async Task<List<PaymentBalance>> PaymentBalancesAsync(int bookingId)
+        {
+            var payments = await _context.Payments
+                .Where(p => p.BookingId == bookingId && p.PaymentStatus == "succeeded")
+                .OrderBy(p => p.CreatedAt)
+                .ThenBy(p => p.PaymentId)
+                .ToListAsync();
+            var refunded = await _context.Refunds
+                .Where(r => r.BookingId == bookingId && r.RefundStatus != "failed")
+                .GroupBy(r => r.PaymentId)
+                .Select(g => new { PaymentId = g.Key, Amount = g.Sum(r => r.Amount) })
+                .ToDictionaryAsync(x => x.PaymentId, x => x.Amount);
+
+            return payments
+                .Select(p => new PaymentBalance
+                {
+                    Payment = p,
+                    Remaining = (p.Amount ?? 0) - refunded.GetValueOrDefault(p.PaymentId)
+                })
+                .Where(b => b.Remaining > 0)
+                .ToList();
+        }
+
+        private BadRequestObjectResult PassengerError(int passengerIndex, string field, string message, int? legIndex = null)
+        {
+            return BadRequest(new { message, passengerIndex, field, legIndex });
+        }
+    }
+
+    public class BookingAddonsDto
+    {
+        public List<BookingAddonPickDto> Addons { get; set; } = new();
+    }
+
+    public class BookingAddonPickDto
+    {
+        public int PassengerId { get; set; }
+        public long FlightId { get; set; }
+        public int AddonId { get; set; }
+    }
+
+    public class CancelBookingDto
+    {
+        public string? Reason { get; set; }
+    }
+
+    public class BookingLookupDto
+    {
+        public string? Pnr { get; set; }
+        public string? LastName { get; set; }
+    }
+
+    public class GuestCancelBookingDto : BookingLookupDto
+    {
+        public string? Reason { get; set; }
+    }
+
+    public class ChangeFlightDto
+    {
+        public long FromFlightId { get; set; }
+        public long ToFlightId { get; set; }
+        // Gateway payment for a positive balance; not needed when the change costs nothing or is refunded
+        public string? PaymentId { get; set; }
+        public string? PaymentMethodType { get; set; }
+        public string? ReceiptUrl { get; set; }
+    }
+
+    public class ItineraryBookingDto
+    {
+        public int UserId { get; set; }
+        public string? TripType { get; set; }
+        public List<long> FlightIds { get; set; } = new();
+    }
+
+    public class BookingWithPassengersDto
+    {
+        public int UserId { get; set; }
+        public string? TripType { get; set; }
+        public List<long> FlightIds { get; set; } = new();
+        public List<BookingPassengerDto> Passengers { get; set; } = new();
+        // Set when the booking takes up a waitlist offer
+        public int? WaitlistId { get; set; }
+    }
+
+    public class BookingPassengerDto
+    {
+        public string? FullName { get; set; }
+        public string? Gender { get; set; }
+        public DateOnly? DateOfBirth { get; set; }
+        // ISO 3166 alpha-2 code from the countries table
+        public string? Nationality { get; set; }
+        public string? PassportNumber { get; set; }
+        public DateOnly? PassportExpiry { get; set; }
+        public string? FareClass { get; set; }
+        // Seat per leg, in the same order as FlightIds
+        public List<string?>? Seats { get; set; }
     }
 }
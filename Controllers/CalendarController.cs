@@ -0,0 +1,150 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Security.Cryptography;
+using System.Text;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using flynest.Models;
+using flynest.Services;
+
+namespace flynest.Controllers
+{
+    // Booked trips as iCalendar: a one-off .ics per booking, and a private feed per user
+    // that calendar apps poll. The feed URL carries a random token instead of the user id,
+    // so anyone holding it can read the trips; resetting the token revokes the old URL.
+    [Route("api/[controller]")]
+    [ApiController]
+    public class CalendarController : ControllerBase
+    {
+        private const string CalendarContentType = "text/calendar";
+
+        private readonly FlynestDbContext _context;
+
+        public CalendarController(FlynestDbContext context)
+        {
+            _context = context;
+        }
+
+        // GET: api/Calendar/booking/5
+        [HttpGet("booking/{bookingId}")]
+        public async Task<IActionResult> GetBookingCalendar(int bookingId)
+        {
+            var booking = await WithFlights(_context.Bookings)
+                .FirstOrDefaultAsync(b => b.BookingId == bookingId);
+            if (booking == null)
+            {
+                return NotFound(new { message = "Booking not found." });
+            }
+            if (booking.Status != "Confirmed")
+            {
+                return BadRequest(new { message = "Only confirmed bookings can be added to a calendar." });
+            }
+
+            var ics = TripCalendar.Build(new[] { booking }, $"Flynest trip {booking.Pnr}");
+            return File(Encoding.UTF8.GetBytes(ics), CalendarContentType, $"flynest_{booking.Pnr}.ics");
+        }
+
+        // GET: api/Calendar/feed/user/5
+        // 404 until the user turns the feed on
+        [HttpGet("feed/user/{userId}")]
+        public async Task<IActionResult> GetFeed(int userId)
+        {
+            var feed = await _context.CalendarFeeds.FindAsync(userId);
+            if (feed == null)
+            {
+                return NotFound();
+            }
+            return Ok(ToResponse(feed));
+        }
+
+        // POST: api/Calendar/feed/user/5
+        // Turns the feed on, or replaces the token so the previous URL stops working
+        [HttpPost("feed/user/{userId}")]
+        public async Task<IActionResult> ResetFeed(int userId)
+        {
+            if (!await _context.Users.AnyAsync(u => u.UserId == userId))
+            {
+                return NotFound(new { message = "User not found." });
+            }
+
+            var feed = await _context.CalendarFeeds.FindAsync(userId);
+            if (feed == null)
+            {
+                feed = new CalendarFeed { UserId = userId };
+                _context.CalendarFeeds.Add(feed);
+            }
+            feed.Token = NewToken();
+            feed.CreatedAt = DateTime.Now;
+
+            await _context.SaveChangesAsync();
+            return Ok(ToResponse(feed));
+        }
+
+        // DELETE: api/Calendar/feed/user/5
+        [HttpDelete("feed/user/{userId}")]
+        public async Task<IActionResult> DeleteFeed(int userId)
+        {
+            var feed = await _context.CalendarFeeds.FindAsync(userId);
+            if (feed == null)
+            {
+                return NotFound();
+            }
+
+            _context.CalendarFeeds.Remove(feed);
+            await _context.SaveChangesAsync();
+            return NoContent();
+        }
+
+        // GET: api/Calendar/feed/{token}.ics
+        // Confirmed bookings, plus paid bookings that were cancelled so subscribed calendars
+        // drop their events. Built on every request, so flight changes show up on the next poll.
+        [HttpGet("feed/{token}.ics", Name = nameof(GetFeedCalendar))]
+        public async Task<IActionResult> GetFeedCalendar(string token)
+        {
+            var feed = await _context.CalendarFeeds.FirstOrDefaultAsync(f => f.Token == token);
+            if (feed == null)
+            {
+                return NotFound();
+            }
+
+            // Expired holds would otherwise never appear as cancelled here
+            await BookingHolds.ExpireAsync(_context);
+
+            var bookings = await WithFlights(_context.Bookings)
+                .Where(b => b.UserId == feed.UserId &&
+                    (b.Status == "Confirmed" ||
+                     (b.Status == "Cancelled" && _context.Payments.Any(p => p.BookingId == b.BookingId && p.PaymentStatus == "succeeded"))))
+                .OrderBy(b => b.BookingDate)
+                .ToListAsync();
+
+            var ics = TripCalendar.Build(bookings, "Flynest trips");
+            return File(Encoding.UTF8.GetBytes(ics), CalendarContentType);
+        }
+
+        private static IQueryable<Booking> WithFlights(IQueryable<Booking> bookings)
+        {
+            return bookings
+                .Include(b => b.Flight)
+                .Include(b => b.BookingFlights)
+                    .ThenInclude(bf => bf.Flight)
+                .Include(b => b.BookingChanges);
+        }
+
+        private static string NewToken()
+        {
+            return Convert.ToHexString(RandomNumberGenerator.GetBytes(32)).ToLowerInvariant();
+        }
+
+        private object ToResponse(CalendarFeed feed)
+        {
+            return new
+            {
+                feed.CreatedAt,
+                Url = Url.RouteUrl(nameof(GetFeedCalendar), new { token = feed.Token }, Request.Scheme)
+            };
+        }
+    }
+}
@@ -0,0 +1,366 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using flynest.Models;
+using flynest.Services;
+
+namespace flynest.Controllers
+{
+    // Online check-in: once the window opens, passengers confirm their travel document
+    // and seat per flight, and every checked-in ticket gets a boarding pass.
+    [Route("api/[controller]")]
+    [ApiController]
+    public class CheckInController : ControllerBase
+    {
+        private readonly FlynestDbContext _context;
+        private readonly IConfiguration _config;
+
+        public CheckInController(FlynestDbContext context, IConfiguration config)
+        {
+            _context = context;
+            _config = config;
+        }
+
+        // GET: api/CheckIn/window
+        [HttpGet("window")]
+        public ActionResult<CheckInPolicy> GetWindow()
+        {
+            return CheckInPolicy.FromConfiguration(_config);
+        }
+
+        // GET: api/CheckIn/booking/5
+        // Each leg with its check-in window and the tickets to check in
+        [HttpGet("booking/{bookingId}")]
+        public async Task<IActionResult> GetCheckIn(int bookingId)
+        {
+            var booking = await LoadBooking(bookingId);
+            if (booking == null)
+            {
+                return NotFound();
+            }
+            if (booking.Status != "Confirmed")
+            {
+                return Conflict(new { message = "Only confirmed bookings can be checked in." });
+            }
+
+            var policy = CheckInPolicy.FromConfiguration(_config);
+
+            return Ok(new
+            {
+                booking.BookingId,
+                booking.Pnr,
+                Legs = Legs(booking).Select(flight => new
+                {
+                    Flight = flight,
+                    Window = new
+                    {
+                        OpensAt = policy.OpensAt(flight),
+                        ClosesAt = policy.ClosesAt(flight),
+                        Status = policy.StatusOf(flight)
+                    },
+                    Tickets = TicketsFor(booking, flight).Select(ticket => new
+                    {
+                        ticket.TicketId,
+                        ticket.TicketNumber,
+                        ticket.SeatNumber,
+                        ticket.Class,
+                        ticket.CheckedInAt,
+                        Passenger = PassengerOf(booking, ticket) is Passenger p
+                            ? new
+                            {
+                                p.PassengerId,
+                                p.FullName,
+                                p.PassengerType,
+                                p.DateOfBirth,
+                                p.Nationality,
+                                p.PassportNumber,
+                                p.PassportExpiry
+                            }
+                            : null
+                    })
+                })
+            });
+        }
+
+        // POST: api/CheckIn/booking/5
+        // Checks in the listed tickets on one flight. Tickets already checked in are left as they are.
+        [HttpPost("booking/{bookingId}")]
+        public async Task<IActionResult> PostCheckIn(int bookingId, CheckInDto dto)
+        {
+            var booking = await LoadBooking(bookingId);
+            if (booking == null)
+            {
+                return NotFound();
+            }
+            if (booking.Status != "Confirmed")
+            {
+                return Conflict(new { message = "Only confirmed bookings can be checked in." });
+            }
+
+            var legs = Legs(booking);
+            var flight = legs.FirstOrDefault(f => f.Id == dto.FlightId);
+            if (flight == null)
+            {
+                return BadRequest(new { message = "Flight is not part of this booking." });
+            }
+
+            var policy = CheckInPolicy.FromConfiguration(_config);
+            var status = policy.StatusOf(flight);
+            if (status == CheckInPolicy.NotOpen)
+            {
+                return Conflict(new { message = $"Check-in for flight {flight.FlightNumber} opens {policy.OpensAt(flight):g} UTC." });
+            }
+            if (status == CheckInPolicy.Closed)
+            {
+                return Conflict(new { message = $"Check-in for flight {flight.FlightNumber} has closed." });
+            }
+            if (dto.Passengers.Count == 0)
+            {
+                return BadRequest(new { message = "Choose at least one passenger to check in." });
+            }
+
+            var lastTravelDate = legs.Max(f => f.FlightDate) ?? DateOnly.FromDateTime(DateTime.Today);
+            var countryCodes = await _context.Countries.Select(c => c.Iso2).ToListAsync();
+            var chosenSeats = new HashSet<string>();
+            var checkIns = new List<(int PassengerIndex, Ticket Ticket, string? SeatNumber)>();
+            var airplane = (await SeatLayout.AirplanesForAsync(_context, new[] { flight })).GetValueOrDefault(flight.Id);
+
+            for (int i = 0; i < dto.Passengers.Count; i++)
+            {
+                var p = dto.Passengers[i];
+                var ticket = TicketsFor(booking, flight).FirstOrDefault(t => t.TicketId == p.TicketId);
+                if (ticket == null)
+                {
+                    return PassengerError(i, "ticket", "This ticket is not on this flight.");
+                }
+                if (ticket.CheckedInAt != null)
+                {
+                    continue;
+                }
+
+                var passenger = PassengerOf(booking, ticket);
+                if (passenger == null)
+                {
+                    return PassengerError(i, "ticket", "This ticket has no passenger.");
+                }
+
+                var nationality = (p.Nationality ?? passenger.Nationality)?.ToUpperInvariant();
+                if (string.IsNullOrEmpty(nationality) || !countryCodes.Contains(nationality, StringComparer.OrdinalIgnoreCase))
+                {
+                    return PassengerError(i, "nationality", "Select a nationality from the list.");
+                }
+
+                var passportNumber = (p.PassportNumber ?? passenger.PassportNumber)?.Trim().ToUpperInvariant();
+                if (string.IsNullOrEmpty(passportNumber) || !PassengerRules.PassportPattern.IsMatch(passportNumber))
+                {
+                    return PassengerError(i, "passportNumber", "Passport number must be 6 to 9 letters or digits.");
+                }
+                // A corrected passport gets the checks it had when the booking was made
+                if (passportNumber != passenger.PassportNumber)
+                {
+                    if (booking.Passengers.Any(other => other != passenger && other.PassportNumber == passportNumber))
+                    {
+                        return PassengerError(i, "passportNumber", "This passport number is used by another passenger in this booking.");
+                    }
+                    var alreadyBooked = await _context.Tickets.AnyAsync(t =>
+                        t.Passenger.PassportNumber == passportNumber &&
+                        t.BookingId != booking.BookingId &&
+                        t.Booking.Status != "Cancelled" &&
+                        (t.FlightId ?? t.Booking.FlightId) == flight.Id);
+                    if (alreadyBooked)
+                    {
+                        return PassengerError(i, "passportNumber", $"This passport number is already booked on flight {flight.FlightNumber}.");
+                    }
+                }
+
+                var passportExpiry = p.PassportExpiry ?? passenger.PassportExpiry;
+                if (passportExpiry == null || !PassengerRules.IsPassportValidFor(passportExpiry.Value, lastTravelDate))
+                {
+                    return PassengerError(i, "passportExpiry", $"Passport must be valid for at least {PassengerRules.PassportValidityMonths} months after your last flight.");
+                }
+
+                // Infants sit on an adult's lap and never hold a seat
+                string? seatNumber = null;
+                if (passenger.PassengerType != PassengerRules.Infant)
+                {
+                    seatNumber = string.IsNullOrEmpty(p.SeatNumber) ? ticket.SeatNumber : p.SeatNumber.Trim().ToUpperInvariant();
+                    if (string.IsNullOrEmpty(seatNumber))
+                    {
+                        return PassengerError(i, "seat", "Choose a seat before checking in.");
+                    }
+                    if (seatNumber != ticket.SeatNumber)
+                    {
+                        var seatError = SeatLayout.SeatError(airplane, flight, seatNumber, ticket.Class ?? FareClasses.Economy);
+                        if (seatError != null)
+                        {
+                            return PassengerError(i, "seat", seatError);
+                        }
+                    }
+                    if (!chosenSeats.Add(seatNumber))
+                    {
+                        return PassengerError(i, "seat", $"Seat {seatNumber} is already chosen for another passenger.");
+                    }
+                }
+
+                passenger.Nationality = nationality;
+                passenger.PassportNumber = passportNumber;
+                passenger.PassportExpiry = passportExpiry;
+                checkIns.Add((i, ticket, seatNumber));
+            }
+
+            // Seats and boarding sequence numbers are read under the flight lock, so passengers
+            // checking in at the same moment can't share a seat or a place in the queue
+            using var transaction = await _context.Database.BeginTransactionAsync();
+            await SeatInventory.LockAsync(_context, new[] { flight.Id });
+
+            foreach (var checkIn in checkIns)
+            {
+                if (checkIn.SeatNumber != null &&
+                    checkIn.SeatNumber != checkIn.Ticket.SeatNumber &&
+                    await Ticketing.IsSeatTakenAsync(_context, flight.Id, checkIn.SeatNumber))
+                {
+                    await transaction.RollbackAsync();
+                    return PassengerError(checkIn.PassengerIndex, "seat", $"Seat {checkIn.SeatNumber} has already been taken.");
+                }
+            }
+
+            var sequence = await _context.Tickets
+                .Where(t => (t.FlightId ?? t.Booking.FlightId) == flight.Id)
+                .MaxAsync(t => t.BoardingSequence) ?? 0;
+            foreach (var checkIn in checkIns)
+            {
+                checkIn.Ticket.SeatNumber = checkIn.SeatNumber;
+                checkIn.Ticket.CheckedInAt = DateTime.Now;
+                checkIn.Ticket.BoardingSequence = ++sequence;
+            }
+
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            return Ok(BoardingPasses(booking, new List<Flight> { flight }));
+        }
+
+        // GET: api/CheckIn/booking/5/boarding-passes
+        [HttpGet("booking/{bookingId}/boarding-passes")]
+        public async Task<IActionResult> GetBoardingPasses(int bookingId)
+        {
+            var booking = await LoadBooking(bookingId);
+            if (booking == null)
+            {
+                return NotFound();
+            }
+
+            return Ok(BoardingPasses(booking, Legs(booking)));
+        }
+
+        private Task<Booking?> LoadBooking(int bookingId)
+        {
+            return _context.Bookings
+                .Include(b => b.Flight)
+                .Include(b => b.Passengers)
+                .Include(b => b.Tickets)
+                .Include(b => b.BookingFlights)
+                    .ThenInclude(bf => bf.Flight)
+                .FirstOrDefaultAsync(b => b.BookingId == bookingId);
+        }
+
+        // Older single-flight bookings have no legs recorded
+        private static List<Flight> Legs(Booking booking)
+        {
+            return booking.BookingFlights.Count > 0
+                ? booking.BookingFlights.OrderBy(bf => bf.LegNumber).Select(bf => bf.Flight).ToList()
+                : new List<Flight> { booking.Flight };
+        }
+
+        private static IEnumerable<Ticket> TicketsFor(Booking booking, Flight flight)
+        {
+            return booking.Tickets
+                .Where(t => (t.FlightId ?? booking.FlightId) == flight.Id)
+                .OrderBy(t => t.PassengerId);
+        }
+
+        private static Passenger? PassengerOf(Booking booking, Ticket ticket)
+        {
+            return booking.Passengers.FirstOrDefault(p => p.PassengerId == ticket.PassengerId);
+        }
+
+        // Same layout as the e-ticket coupons, for checked-in tickets only
+        private static object BoardingPasses(Booking booking, List<Flight> flights)
+        {
+            var bookingReference = booking.Pnr;
+            var passes = new List<object>();
+
+            foreach (var flight in flights)
+            {
+                foreach (var ticket in TicketsFor(booking, flight).Where(t => t.CheckedInAt != null))
+                {
+                    var passenger = PassengerOf(booking, ticket);
+                    if (passenger == null)
+                    {
+                        continue;
+                    }
+
+                    passes.Add(new
+                    {
+                        ticket.TicketId,
+                        ticket.TicketNumber,
+                        passenger.FullName,
+                        passenger.PassengerType,
+                        ticket.SeatNumber,
+                        ticket.Class,
+                        ticket.CheckedInAt,
+                        ticket.BoardingSequence,
+                        Flight = new
+                        {
+                            flight.FlightNumber,
+                            flight.FlightDate,
+                            flight.AirlineName,
+                            flight.AirlineIata,
+                            flight.DepartureAirport,
+                            flight.DepartureIata,
+                            flight.DepartureTerminal,
+                            flight.DepartureGate,
+                            flight.ArrivalAirport,
+                            flight.ArrivalIata,
+                            flight.ArrivalTerminal
+                        },
+                        Barcode = BoardingBarcode.Encode(passenger, ticket, flight, bookingReference, ticket.BoardingSequence ?? 0, checkedIn: true)
+                    });
+                }
+            }
+
+            return new
+            {
+                booking.BookingId,
+                BookingReference = bookingReference,
+                IssuedAt = DateTime.Now,
+                Coupons = passes
+            };
+        }
+
+        private BadRequestObjectResult PassengerError(int passengerIndex, string field, string message)
+        {
+            return BadRequest(new { message, passengerIndex, field });
+        }
+    }
+
+    public class CheckInDto
+    {
+        public long FlightId { get; set; }
+        public List<CheckInPassengerDto> Passengers { get; set; } = new();
+    }
+
+    public class CheckInPassengerDto
+    {
+        public int TicketId { get; set; }
+        public string? Nationality { get; set; }
+        public string? PassportNumber { get; set; }
+        public DateOnly? PassportExpiry { get; set; }
+        public string? SeatNumber { get; set; }
+    }
+}
@@ -1,11 +1,15 @@
 ﻿using System;
 using System.Collections.Generic;
 using System.Linq;
+using System.Text.Json;
+using System.Threading;
 using System.Threading.Tasks;
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
 using flynest.Models;
+using flynest.Services;
 
 namespace flynest.Controllers
 {
@@ -13,11 +17,17 @@ namespace flynest.Controllers
     [ApiController]
     public class FlightsController : ControllerBase
     {
+        // Proxies close event streams that stay quiet for too long
+        private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(20);
+        private static readonly JsonSerializerOptions EventJson = new(JsonSerializerDefaults.Web);
+
         private readonly FlynestDbContext _context;
+        private readonly IConfiguration _config;
 
-        public FlightsController(FlynestDbContext context)
+        public FlightsController(FlynestDbContext context, IConfiguration config)
         {
             _context = context;
+            _config = config;
         }
 
         // GET: api/Flights
@@ -41,15 +51,23 @@ namespace flynest.Controllers
             return flight;
         }
 
-        // ✅ NEW: Search by departureAirport, arrivalAirport, and flightDate
-        // GET: api/Flights/search
+        // ✅ NEW: Search by departureIata, arrivalIata, and flightDate
+        // GET: api/Flights/search?departureIata=DEL&arrivalIata=BOM&flightDate=2025-07-20
+        // Airports are IATA codes, as picked from api/Airports/search. Optional filters and
+        // sort (see FlightFilterOptions): &airlines=6E&departFrom=06:00&maxPrice=8000&sort=price
         [HttpGet("search")]
         public async Task<ActionResult<IEnumerable<Flight>>> SearchFlights(
-     [FromQuery] string departureAirport,
-     [FromQuery] string arrivalAirport,
-     [FromQuery] string flightDate)
+     [FromQuery] string departureIata,
+     [FromQuery] string arrivalIata,
+     [FromQuery] string flightDate,
+     [FromQuery] FlightFilterOptions filters)
         {
-            Console.WriteLine($"Searching: from={departureAirport}, to={arrivalAirport}, date={flightDate}");
+            Console.WriteLine($"Searching: from={departureIata}, to={arrivalIata}, date={flightDate}");
+
+            if (string.IsNullOrWhiteSpace(departureIata) || string.IsNullOrWhiteSpace(arrivalIata))
+            {
+                return BadRequest("Choose the departure and arrival airports.");
+            }
 
             if (!DateOnly.TryParse(flightDate, out var parsedDate))
             {
@@ -57,12 +75,13 @@ namespace flynest.Controllers
                 return BadRequest("Invalid date format. Use YYYY-MM-DD.");
             }
 
-            var flights = await _context.Flights
-                .Where(f =>
-                    f.DepartureAirport == departureAirport &&
-                    f.ArrivalAirport == arrivalAirport &&
-                    f.FlightDate == parsedDate)
-                .ToListAsync();
+            var filterError = FlightFilters.Validate(filters);
+            if (filterError != null)
+            {
+                return BadRequest(filterError);
+            }
+
+            var flights = await FindFlights(departureIata, arrivalIata, parsedDate, filters);
 
             if (!flights.Any())
             {
@@ -73,6 +92,158 @@ namespace flynest.Controllers
             return Ok(flights);
         }
 
+        // ✅ NEW: Search several legs at once (round-trip and multi-city)
+        // POST: api/Flights/search/itinerary
+        // Each leg lists direct flights and, unless filters.maxStops is 0, connections with
+        // up to ConnectionPolicy.MaxStops stops
+        [HttpPost("search/itinerary")]
+        public async Task<ActionResult<IEnumerable<ItineraryLegResult>>> SearchItinerary([FromBody] ItinerarySearchDto search)
+        {
+            if (search?.Legs == null || search.Legs.Count == 0)
+            {
+                return BadRequest("At least one leg is required.");
+            }
+            var filterError = search.Filters != null ? FlightFilters.Validate(search.Filters) : null;
+            if (filterError != null)
+            {
+                return BadRequest(filterError);
+            }
+
+            await BookingHolds.ExpireAsync(_context);
+
+            var connectionPolicy = ConnectionPolicy.FromConfiguration(_config);
+            var results = new List<ItineraryLegResult>();
+            DateOnly? previousDate = null;
+
+            for (int i = 0; i < search.Legs.Count; i++)
+            {
+                var leg = search.Legs[i];
+                if (string.IsNullOrWhiteSpace(leg.DepartureIata) || string.IsNullOrWhiteSpace(leg.ArrivalIata))
+                {
+                    return BadRequest($"Choose the departure and arrival airports on leg {i + 1}.");
+                }
+                if (!DateOnly.TryParse(leg.FlightDate, out var parsedDate))
+                {
+                    return BadRequest($"Invalid date format on leg {i + 1}. Use YYYY-MM-DD.");
+                }
+
+                if (previousDate.HasValue && parsedDate < previousDate.Value)
+                {
+                    return BadRequest($"Leg {i + 1} departs before leg {i}.");
+                }
+                previousDate = parsedDate;
+
+                var flights = await FindFlights(leg.DepartureIata, leg.ArrivalIata, parsedDate, search.Filters);
+                var connections = search.Filters?.MaxStops == 0
+                    ? new List<Connection>()
+                    : FlightFilters.FilterAndSort(
+                        await Connections.FindAsync(_context, connectionPolicy, NormalizeIata(leg.DepartureIata), NormalizeIata(leg.ArrivalIata), parsedDate),
+                        search.Filters);
+                results.Add(new ItineraryLegResult
+                {
+                    LegNumber = i + 1,
+                    DepartureIata = NormalizeIata(leg.DepartureIata),
+                    ArrivalIata = NormalizeIata(leg.ArrivalIata),
+                    FlightDate = leg.FlightDate,
+                    Flights = flights,
+                    Availability = await SeatInventory.AvailabilityAsync(_context, flights),
+                    Durations = flights
+                        .Select(f => new FlightDuration { FlightId = f.Id, Minutes = FlightTimes.DurationMinutes(f) })
+                        .ToList(),
+                    Connections = connections
+                });
+            }
+
+            return Ok(results);
+        }
+
+        // GET: api/Flights/search/fare-calendar?departureIata=DEL&arrivalIata=BOM&date=2025-07-20
+        // GET: api/Flights/search/fare-calendar?departureIata=DEL&arrivalIata=BOM&month=2025-07
+        // Cheapest fare per day for the flexible-dates search: three days either side of
+        // `date`, or every day of `month`. Days before today are left out.
+        [HttpGet("search/fare-calendar")]
+        public async Task<IActionResult> GetFareCalendar(
+            [FromQuery] string departureIata,
+            [FromQuery] string arrivalIata,
+            [FromQuery] string? date,
+            [FromQuery] string? month,
+            [FromQuery] string? fareClass)
+        {
+            if (string.IsNullOrWhiteSpace(departureIata) || string.IsNullOrWhiteSpace(arrivalIata))
+            {
+                return BadRequest("Choose the departure and arrival airports.");
+            }
+            if (fareClass != null && !FareClasses.All.Contains(fareClass))
+            {
+                return BadRequest($"Fare class must be one of {string.Join(", ", FareClasses.All)}.");
+            }
+
+            DateOnly fromDate;
+            DateOnly toDate;
+            if (!string.IsNullOrEmpty(month))
+            {
+                if (!DateOnly.TryParseExact($"{month}-01", "yyyy-MM-dd", out fromDate))
+                {
+                    return BadRequest("Invalid month format. Use YYYY-MM.");
+                }
+                toDate = fromDate.AddMonths(1).AddDays(-1);
+            }
+            else if (DateOnly.TryParse(date, out var parsedDate))
+            {
+                fromDate = parsedDate.AddDays(-FareCalendar.FlexibleDays);
+                toDate = parsedDate.AddDays(FareCalendar.FlexibleDays);
+            }
+            else
+            {
+                return BadRequest("Give a date (YYYY-MM-DD) or a month (YYYY-MM).");
+            }
+
+            var today = DateOnly.FromDateTime(DateTime.Today);
+            if (fromDate < today)
+            {
+                fromDate = today;
+            }
+            if (toDate < fromDate)
+            {
+                return BadRequest("These dates are in the past.");
+            }
+
+            await BookingHolds.ExpireAsync(_context);
+
+            var from = NormalizeIata(departureIata);
+            var to = NormalizeIata(arrivalIata);
+            var days = await FareCalendar.BuildAsync(_context, from, to, fromDate, toDate, fareClass);
+
+            return Ok(new
+            {
+                DepartureIata = from,
+                ArrivalIata = to,
+                FromDate = fromDate,
+                ToDate = toDate,
+                Days = days
+            });
+        }
+
+        // Filtered in the database, sorted here (duration needs the airports' time zones)
+        private async Task<List<Flight>> FindFlights(string departureIata, string arrivalIata, DateOnly flightDate, FlightFilterOptions? filters = null)
+        {
+            var from = NormalizeIata(departureIata);
+            var to = NormalizeIata(arrivalIata);
+            var query = _context.Flights
+                .Where(f =>
+                    f.DepartureIata == from &&
+                    f.ArrivalIata == to &&
+                    f.FlightDate == flightDate);
+
+            var flights = await FlightFilters.Apply(query, filters).ToListAsync();
+            return FlightFilters.Sort(flights, filters);
+        }
+
+        private static string NormalizeIata(string iata)
+        {
+            return iata.Trim().ToUpperInvariant();
+        }
+
 
 
         // GET: api/Flights/by-date
@@ -87,6 +258,190 @@ namespace flynest.Controllers
             return flights.Any() ? Ok(flights) : NotFound("No flights found on this date.");
         }
 
+        // GET: api/Flights/availability?ids=1&ids=2
+        // Seats left to sell on each flight
+        [HttpGet("availability")]
+        public async Task<ActionResult<IEnumerable<SeatAvailability>>> GetAvailability([FromQuery] List<long> ids)
+        {
+            await BookingHolds.ExpireAsync(_context);
+
+            var flights = await _context.Flights.Where(f => ids.Contains(f.Id)).ToListAsync();
+            return await SeatInventory.AvailabilityAsync(_context, flights);
+        }
+
+        // GET: api/Flights/status/stream?ids=1&ids=2
+        // Server-sent events: the current status of each flight, then every change saved
+        // through PutFlight or PutStatus until the browser disconnects
+        [HttpGet("status/stream")]
+        public async Task StreamStatus([FromQuery] List<long> ids)
+        {
+            if (ids.Count == 0)
+            {
+                Response.StatusCode = StatusCodes.Status400BadRequest;
+                return;
+            }
+
+            var cancellation = HttpContext.RequestAborted;
+            Response.ContentType = "text/event-stream";
+            Response.Headers.CacheControl = "no-cache";
+            Response.Headers["X-Accel-Buffering"] = "no";
+
+            // Subscribe before reading the current state so a change saved in between isn't lost
+            using var subscription = FlightStatusUpdates.Subscribe(ids);
+            try
+            {
+                var flights = await _context.Flights.Where(f => ids.Contains(f.Id)).ToListAsync(cancellation);
+                foreach (var flight in flights)
+                {
+                    await WriteEventAsync(FlightStatusUpdates.Snapshot(flight), cancellation);
+                }
+
+                while (!cancellation.IsCancellationRequested)
+                {
+                    using var wait = CancellationTokenSource.CreateLinkedTokenSource(cancellation);
+                    wait.CancelAfter(HeartbeatInterval);
+                    try
+                    {
+                        var update = await subscription.Updates.ReadAsync(wait.Token);
+                        await WriteEventAsync(update, cancellation);
+                    }
+                    catch (OperationCanceledException) when (!cancellation.IsCancellationRequested)
+                    {
+                        await Response.WriteAsync(": keep-alive\n\n", cancellation);
+                        await Response.Body.FlushAsync(cancellation);
+                    }
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Browser closed the connection
+            }
+        }
+
+        // PUT: api/Flights/5/status
+        // Admin update of the live fields; pushed to everyone watching the flight
+        [HttpPut("{id}/status")]
+        public async Task<IActionResult> PutStatus(long id, FlightStatusDto dto)
+        {
+            var flight = await _context.Flights.FindAsync(id);
+            if (flight == null)
+            {
+                return NotFound();
+            }
+            if (!FlightStatusUpdates.Statuses.Contains(dto.FlightStatus))
+            {
+                return BadRequest(new { message = $"Flight status must be one of: {string.Join(", ", FlightStatusUpdates.Statuses)}." });
+            }
+            if (dto.DepartureDelay < 0 || dto.ArrivalDelay < 0)
+            {
+                return BadRequest(new { message = "Delays can't be negative." });
+            }
+
+            var before = await _context.Flights.AsNoTracking().FirstAsync(f => f.Id == id);
+
+            flight.FlightStatus = dto.FlightStatus;
+            flight.DepartureDelay = dto.DepartureDelay;
+            flight.ArrivalDelay = dto.ArrivalDelay;
+            flight.DepartureTerminal = dto.DepartureTerminal;
+            flight.DepartureGate = dto.DepartureGate;
+            flight.ArrivalTerminal = dto.ArrivalTerminal;
+            flight.ArrivalGate = dto.ArrivalGate;
+            flight.ArrivalBaggage = dto.ArrivalBaggage;
+            await _context.SaveChangesAsync();
+
+            FlightStatusUpdates.Publish(flight);
+            await Notifications.ScheduleChangedAsync(_context, before, flight, MailSettings.FromConfiguration(_config));
+
+            return Ok(FlightStatusUpdates.Snapshot(flight));
+        }
+
+        // PUT: api/Flights/5/overbooking
+        // Admin-set number of seats sold beyond the aircraft's capacity
+        [HttpPut("{id}/overbooking")]
+        public async Task<IActionResult> PutOverbookingAllowance(long id, OverbookingDto dto)
+        {
+            var flight = await _context.Flights.FindAsync(id);
+            if (flight == null)
+            {
+                return NotFound();
+            }
+
+            var capacity = await _context.Airplanes
+                .Where(a => a.Id == flight.AircraftId)
+                .Select(a => a.Capacity)
+                .FirstOrDefaultAsync();
+            if (dto.OverbookingAllowance < 0 || (capacity != null && dto.OverbookingAllowance > capacity))
+            {
+                return BadRequest(new { message = "Overbooking allowance must be between 0 and the aircraft's capacity." });
+            }
+
+            flight.OverbookingAllowance = dto.OverbookingAllowance;
+            await _context.SaveChangesAsync();
+            await WaitlistOffers.OfferFreedSeatsAsync(_context, new[] { id });
+
+            var availability = await SeatInventory.AvailabilityAsync(_context, new List<Flight> { flight });
+            return Ok(availability.First());
+        }
+
+        // GET: api/Flights/5/manifest
+        // Passengers on confirmed bookings with their seats, check-in and add-ons,
+        // plus add-on counts for ground handling and catering
+        [HttpGet("{id}/manifest")]
+        public async Task<IActionResult> GetManifest(long id)
+        {
+            var flight = await _context.Flights.FindAsync(id);
+            if (flight == null)
+            {
+                return NotFound();
+            }
+
+            var tickets = await _context.Tickets
+                .Include(t => t.Passenger)
+                .Include(t => t.Booking)
+                .Where(t => (t.FlightId ?? t.Booking.FlightId) == id && t.Booking.Status == "Confirmed")
+                .OrderBy(t => t.SeatNumber)
+                .ToListAsync();
+
+            var addons = await _context.PassengerAddons
+                .Include(pa => pa.Addon)
+                .Where(pa => pa.FlightId == id && pa.Booking.Status == "Confirmed")
+                .ToListAsync();
+
+            return Ok(new
+            {
+                Flight = new
+                {
+                    flight.Id,
+                    flight.FlightNumber,
+                    flight.FlightDate,
+                    flight.AirlineName,
+                    flight.DepartureIata,
+                    flight.ArrivalIata
+                },
+                Passengers = tickets.Select(t => new
+                {
+                    t.TicketNumber,
+                    t.BookingId,
+                    t.Booking.Pnr,
+                    t.Passenger?.FullName,
+                    t.Passenger?.PassengerType,
+                    t.Passenger?.Nationality,
+                    t.Passenger?.PassportNumber,
+                    t.Class,
+                    t.SeatNumber,
+                    t.CheckedInAt,
+                    t.BoardingSequence,
+                    Addons = addons
+                        .Where(pa => pa.PassengerId == t.PassengerId)
+                        .Select(pa => new { pa.Addon.Code, pa.Addon.Name })
+                }),
+                AddonCounts = addons
+                    .GroupBy(pa => new { pa.Addon.Code, pa.Addon.Name })
+                    .Select(g => new { g.Key.Code, g.Key.Name, Count = g.Count() })
+                    .OrderBy(c => c.Code)
+            });
+        }
+
         // PUT: api/Flights/5
         [HttpPut("{id}")]
         public async Task<IActionResult> PutFlight(long id, Flight flight)
@@ -96,6 +451,8 @@ namespace flynest.Controllers
                 return BadRequest();
             }
 
+            var before = await _context.Flights.AsNoTracking().FirstOrDefaultAsync(f => f.Id == id);
+
             _context.Entry(flight).State = EntityState.Modified;
 
             try
@@ -114,6 +471,15 @@ namespace flynest.Controllers
                 }
             }
 
+            FlightStatusUpdates.Publish(flight);
+            if (before != null)
+            {
+                await Notifications.ScheduleChangedAsync(_context, before, flight, MailSettings.FromConfiguration(_config));
+            }
+
+            // Swapping in a bigger aircraft frees seats for the waitlist
+            await WaitlistOffers.OfferFreedSeatsAsync(_context, new[] { id });
+
             return NoContent();
         }
 
@@ -128,6 +494,8 @@ namespace flynest.Controllers
         }
 
         // DELETE: api/Flights/5
+        // Only flights nobody has booked or waitlisted can be deleted; others are cancelled
+        // through PUT api/Flights/5/status so bookings keep their history
         [HttpDelete("{id}")]
         public async Task<IActionResult> DeleteFlight(long id)
         {
@@ -137,15 +505,83 @@ namespace flynest.Controllers
                 return NotFound();
             }
 
+            var referenced =
+                await _context.Bookings.AnyAsync(b => b.FlightId == id) ||
+                await _context.BookingFlights.AnyAsync(bf => bf.FlightId == id) ||
+                await _context.Tickets.AnyAsync(t => t.FlightId == id) ||
+                await _context.PassengerAddons.AnyAsync(pa => pa.FlightId == id) ||
+                await _context.BookingChanges.AnyAsync(c => c.FromFlightId == id || c.ToFlightId == id) ||
+                await _context.Waitlists.AnyAsync(w => w.FlightId == id);
+            if (referenced)
+            {
+                return Conflict(new { message = $"Flight {flight.FlightNumber} has bookings or a waitlist. Cancel it instead of deleting it." });
+            }
+
             _context.Flights.Remove(flight);
             await _context.SaveChangesAsync();
 
             return NoContent();
         }
 
+        private async Task WriteEventAsync(FlightStatusUpdate update, CancellationToken cancellation)
+        {
+            await Response.WriteAsync($"data: {JsonSerializer.Serialize(update, EventJson)}\n\n", cancellation);
+            await Response.Body.FlushAsync(cancellation);
+        }
+
         private bool FlightExists(long id)
         {
             return _context.Flights.Any(e => e.Id == id);
         }
     }
+
+    public class ItinerarySearchDto
+    {
+        public List<ItineraryLegDto> Legs { get; set; } = new();
+        // Applied to every leg
+        public FlightFilterOptions? Filters { get; set; }
+    }
+
+    public class ItineraryLegDto
+    {
+        public string DepartureIata { get; set; } = "";
+        public string ArrivalIata { get; set; } = "";
+        public string FlightDate { get; set; } = "";
+    }
+
+    public class ItineraryLegResult
+    {
+        public int LegNumber { get; set; }
+        public string DepartureIata { get; set; } = "";
+        public string ArrivalIata { get; set; } = "";
+        public string FlightDate { get; set; } = "";
+        public List<Flight> Flights { get; set; } = new();
+        public List<SeatAvailability> Availability { get; set; } = new();
+        public List<FlightDuration> Durations { get; set; } = new();
+        public List<Connection> Connections { get; set; } = new();
+    }
+
+    public class FlightDuration
+    {
+        public long FlightId { get; set; }
+        // Null when the flight has no scheduled times
+        public int? Minutes { get; set; }
+    }
+
+    public class OverbookingDto
+    {
+        public int OverbookingAllowance { get; set; }
+    }
+
+    public class FlightStatusDto
+    {
+        public string FlightStatus { get; set; } = FlightStatusUpdates.Scheduled;
+        public int? DepartureDelay { get; set; }
+        public int? ArrivalDelay { get; set; }
+        public string? DepartureTerminal { get; set; }
+        public string? DepartureGate { get; set; }
+        public string? ArrivalTerminal { get; set; }
+        public string? ArrivalGate { get; set; }
+        public string? ArrivalBaggage { get; set; }
+    }
 }
@@ -0,0 +1,109 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using flynest.Models;
+using flynest.Services;
+
+namespace flynest.Controllers
+{
+    // Notification inbox. Notifications are written by the booking, payment and flight
+    // endpoints (see Services/Notifications); reading the inbox also raises check-in
+    // openings and lapsed holds, which have no request of their own.
+    [Route("api/[controller]")]
+    [ApiController]
+    public class NotificationsController : ControllerBase
+    {
+        private const int PageSize = 50;
+
+        private readonly FlynestDbContext _context;
+        private readonly IConfiguration _config;
+
+        public NotificationsController(FlynestDbContext context, IConfiguration config)
+        {
+            _context = context;
+            _config = config;
+        }
+
+        // GET: api/Notifications/user/5
+        // Newest first, up to 50
+        [HttpGet("user/{userId}")]
+        public async Task<IActionResult> GetNotifications(int userId, [FromQuery] bool unreadOnly = false)
+        {
+            await Sweep(userId);
+
+            var notifications = await _context.Notifications
+                .Include(n => n.Booking)
+                .Where(n => n.UserId == userId && (!unreadOnly || n.ReadAt == null))
+                .OrderByDescending(n => n.CreatedAt)
+                .ThenByDescending(n => n.NotificationId)
+                .Take(PageSize)
+                .ToListAsync();
+
+            return Ok(notifications.Select(n => new
+            {
+                n.NotificationId,
+                n.Type,
+                n.Title,
+                n.Message,
+                n.BookingId,
+                n.Booking?.Pnr,
+                n.CreatedAt,
+                n.ReadAt
+            }));
+        }
+
+        // GET: api/Notifications/user/5/unread-count
+        [HttpGet("user/{userId}/unread-count")]
+        public async Task<IActionResult> GetUnreadCount(int userId)
+        {
+            await Sweep(userId);
+
+            var count = await _context.Notifications.CountAsync(n => n.UserId == userId && n.ReadAt == null);
+            return Ok(new { Count = count });
+        }
+
+        // POST: api/Notifications/5/read
+        [HttpPost("{id}/read")]
+        public async Task<IActionResult> MarkAsRead(int id)
+        {
+            var notification = await _context.Notifications.FindAsync(id);
+            if (notification == null)
+            {
+                return NotFound();
+            }
+
+            notification.ReadAt ??= DateTime.Now;
+            await _context.SaveChangesAsync();
+            return NoContent();
+        }
+
+        // POST: api/Notifications/user/5/read-all
+        [HttpPost("user/{userId}/read-all")]
+        public async Task<IActionResult> MarkAllAsRead(int userId)
+        {
+            var unread = await _context.Notifications
+                .Where(n => n.UserId == userId && n.ReadAt == null)
+                .ToListAsync();
+
+            var now = DateTime.Now;
+            foreach (var notification in unread)
+            {
+                notification.ReadAt = now;
+            }
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+
+        private async Task Sweep(int userId)
+        {
+            await BookingHolds.ExpireAsync(_context);
+            await Notifications.CheckInOpenedAsync(_context, CheckInPolicy.FromConfiguration(_config), userId);
+        }
+    }
+}
@@ -5,7 +5,9 @@ using System.Threading.Tasks;
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
 using flynest.Models;
+using flynest.Services;
 
 namespace flynest.Controllers
 {
@@ -14,10 +16,12 @@ namespace flynest.Controllers
     public class PaymentsController : ControllerBase
     {
         private readonly FlynestDbContext _context;
+        private readonly IConfiguration _config;
 
-        public PaymentsController(FlynestDbContext context)
+        public PaymentsController(FlynestDbContext context, IConfiguration config)
         {
             _context = context;
+            _config = config;
         }
 
         // GET: api/Payments
@@ -47,6 +51,12 @@ namespace flynest.Controllers
         {
             var payments = await _context.Payments
                 .Include(p => p.Booking) // include booking if needed
+                    .ThenInclude(b => b.Tickets) // fare classes for the history view
+                .Include(p => p.Booking)
+                    .ThenInclude(b => b.PassengerAddons) // add-on lines on the receipt
+                        .ThenInclude(pa => pa.Addon)
+                .Include(p => p.Booking)
+                    .ThenInclude(b => b.BookingChanges) // tells flight-change payments apart
                 .Include(p => p.User)    // include user if navigation property exists
                 .Where(p => p.UserId == userId)
                 .ToListAsync();
@@ -97,12 +107,167 @@ namespace flynest.Controllers
         [HttpPost]
         public async Task<ActionResult<Payment>> PostPayment(Payment payment)
         {
+            var booking = await _context.Bookings.FirstOrDefaultAsync(b => b.BookingId == payment.BookingId);
+            if (booking != null && (booking.Status == "Cancelled" || BookingHolds.IsExpired(booking)))
+            {
+                return Conflict(new { message = "The hold on this booking has expired." });
+            }
+
             _context.Payments.Add(payment);
             await _context.SaveChangesAsync();
 
             return CreatedAtAction("GetPayment", new { id = payment.PaymentId }, payment);
         }
 
+        // POST: api/Payments/confirm
+        // Records the gateway payment and confirms the booking in one step.
+        // Idempotent on PaymentId: repeating a confirmation returns the original result.
+        [HttpPost("confirm")]
+        public async Task<IActionResult> ConfirmPayment(ConfirmPaymentDto dto)
+        {
+            if (string.IsNullOrWhiteSpace(dto.PaymentId))
+            {
+                return BadRequest(new { message = "Payment id is required." });
+            }
+
+            var existing = await _context.Payments.FirstOrDefaultAsync(p => p.StripePaymentId == dto.PaymentId);
+            if (existing != null)
+            {
+                return await ReplayConfirmation(existing, dto.BookingId);
+            }
+
+            // Everything the confirmation email shows
+            var booking = await _context.Bookings
+                .Include(b => b.User)
+                .Include(b => b.Flight)
+                .Include(b => b.Passengers)
+                .Include(b => b.Tickets)
+                .Include(b => b.BookingFlights)
+                    .ThenInclude(bf => bf.Flight)
+                .FirstOrDefaultAsync(b => b.BookingId == dto.BookingId);
+            if (booking == null)
+            {
+                return NotFound(new { message = "Booking not found." });
+            }
+            if (booking.Status == "Confirmed")
+            {
+                return Conflict(new { message = "This booking has already been paid for." });
+            }
+            if (booking.Status == "Cancelled" || BookingHolds.IsExpired(booking))
+            {
+                return Conflict(new { message = "The hold on this booking has expired." });
+            }
+            // The booking total is authoritative, not the amount the client sends
+            if (booking.Amount is not > 0)
+            {
+                return Conflict(new { message = "This booking has no total to pay yet." });
+            }
+
+            var payment = new Payment
+            {
+                BookingId = booking.BookingId,
+                UserId = booking.UserId,
+                StripePaymentId = dto.PaymentId,
+                Amount = booking.Amount,
+                Currency = dto.Currency ?? "INR",
+                PaymentStatus = "succeeded",
+                PaymentMethodType = dto.PaymentMethodType,
+                ReceiptUrl = dto.ReceiptUrl,
+                CreatedAt = DateTime.Now
+            };
+
+            using var transaction = await _context.Database.BeginTransactionAsync();
+            try
+            {
+                // Two confirmations with different gateway ids are taken one at a time; the
+                // second sees the booking as it was left by the first
+                await _context.Database.ExecuteSqlInterpolatedAsync(
+                    $"SELECT booking_id FROM booking WITH (UPDLOCK, HOLDLOCK) WHERE booking_id = {booking.BookingId}");
+                await _context.Entry(booking).ReloadAsync();
+
+                existing = await _context.Payments.FirstOrDefaultAsync(p => p.StripePaymentId == dto.PaymentId);
+                if (existing != null)
+                {
+                    await transaction.RollbackAsync();
+                    return await ReplayConfirmation(existing, dto.BookingId);
+                }
+                if (booking.Status == "Confirmed")
+                {
+                    await transaction.RollbackAsync();
+                    return Conflict(new { message = "This booking has already been paid for." });
+                }
+                if (booking.Status == "Cancelled" || BookingHolds.IsExpired(booking))
+                {
+                    await transaction.RollbackAsync();
+                    return Conflict(new { message = "The hold on this booking has expired." });
+                }
+                payment.Amount = booking.Amount;
+
+                _context.Payments.Add(payment);
+                booking.Status = "Confirmed";
+                booking.HoldExpiresAt = null;
+                Notifications.Add(_context, booking, Notifications.PaymentSucceeded,
+                    "Payment received",
+                    $"We received {payment.Currency} {payment.Amount:N2} for booking {booking.Pnr}.");
+                Notifications.Add(_context, booking, Notifications.BookingConfirmed,
+                    "Booking confirmed",
+                    $"Booking {booking.Pnr} is confirmed. Your e-ticket is ready in My Bookings.");
+                var mail = MailSettings.FromConfiguration(_config);
+                EmailQueue.Queue(_context, booking.User?.Email, EmailTemplates.BookingConfirmed(booking, mail));
+                EmailQueue.Queue(_context, booking.User?.Email, EmailTemplates.PaymentReceipt(payment, booking, "Flight booking", mail));
+                // The booking is finished, so its draft is no longer needed
+                _context.BookingDrafts.RemoveRange(_context.BookingDrafts.Where(d => d.BookingId == booking.BookingId));
+                await _context.SaveChangesAsync();
+                await transaction.CommitAsync();
+            }
+            catch (DbUpdateException)
+            {
+                // A concurrent retry with the same payment id won the race
+                await transaction.RollbackAsync();
+                _context.ChangeTracker.Clear();
+
+                existing = await _context.Payments.FirstOrDefaultAsync(p => p.StripePaymentId == dto.PaymentId);
+                if (existing == null)
+                {
+                    throw;
+                }
+                return await ReplayConfirmation(existing, dto.BookingId);
+            }
+
+            return Ok(new { booking.BookingId, booking.Status, payment.PaymentId, payment.StripePaymentId });
+        }
+
+        // POST: api/Payments/failed
+        // A declined or abandoned gateway payment; nothing is recorded but the customer's notification
+        [HttpPost("failed")]
+        public async Task<IActionResult> ReportFailedPayment(FailedPaymentDto dto)
+        {
+            var booking = await _context.Bookings.FirstOrDefaultAsync(b => b.BookingId == dto.BookingId);
+            if (booking == null)
+            {
+                return NotFound(new { message = "Booking not found." });
+            }
+            if (booking.Status != "Pending" || BookingHolds.IsExpired(booking))
+            {
+                return NoContent();
+            }
+
+            // Gateway messages such as "Your card was declined." are passed on, kept short
+            var reason = (dto.Reason ?? "").Trim().TrimEnd('.');
+            if (reason.Length > 120)
+            {
+                reason = reason[..120];
+            }
+            var detail = reason.Length > 0 ? $" ({reason})" : "";
+            var hold = booking.HoldExpiresAt != null ? $" Your seats are held until {booking.HoldExpiresAt:HH:mm}." : "";
+            Notifications.Add(_context, booking, Notifications.PaymentFailed,
+                "Payment not completed",
+                $"Payment for booking {booking.Pnr} didn't go through{detail}.{hold}");
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+
         // DELETE: api/Payments/5
         [HttpDelete("{id}")]
         public async Task<IActionResult> DeletePayment(int id)
@@ -113,6 +278,18 @@ namespace flynest.Controllers
                 return NotFound();
             }
 
+            // Change history keeps the change itself, just not the deleted money movement
+            var refunds = await _context.Refunds.Where(r => r.PaymentId == id).ToListAsync();
+            var refundIds = refunds.Select(r => r.RefundId).ToList();
+            var changes = await _context.BookingChanges
+                .Where(c => c.PaymentId == id || (c.RefundId != null && refundIds.Contains(c.RefundId.Value)))
+                .ToListAsync();
+            foreach (var change in changes)
+            {
+                if (change.PaymentId == id) change.PaymentId = null;
+                if (change.RefundId != null && refundIds.Contains(change.RefundId.Value)) change.RefundId = null;
+            }
+            _context.Refunds.RemoveRange(refunds);
             _context.Payments.Remove(payment);
             await _context.SaveChangesAsync();
 
@@ -123,5 +300,32 @@ namespace flynest.Controllers
         {
             return _context.Payments.Any(e => e.PaymentId == id);
         }
+
+        private async Task<IActionResult> ReplayConfirmation(Payment payment, int bookingId)
+        {
+            if (payment.BookingId != bookingId)
+            {
+                return Conflict(new { message = "This payment belongs to a different booking." });
+            }
+
+            var booking = await _context.Bookings.FirstAsync(b => b.BookingId == bookingId);
+            return Ok(new { booking.BookingId, booking.Status, payment.PaymentId, payment.StripePaymentId });
+        }
+    }
+
+    public class ConfirmPaymentDto
+    {
+        public int BookingId { get; set; }
+        // Gateway payment id (stored as stripe_payment_id)
+        public string PaymentId { get; set; } = string.Empty;
+        public string? Currency { get; set; }
+        public string? PaymentMethodType { get; set; }
+        public string? ReceiptUrl { get; set; }
+    }
+
+    public class FailedPaymentDto
+    {
+        public int BookingId { get; set; }
+        public string? Reason { get; set; }
     }
 }
@@ -0,0 +1,165 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using flynest.Models;
+using flynest.Services;
+
+namespace flynest.Controllers
+{
+    // Co-travellers a user has saved for quick passenger entry
+    [Route("api/[controller]")]
+    [ApiController]
+    public class SavedTravellersController : ControllerBase
+    {
+        private readonly FlynestDbContext _context;
+
+        public SavedTravellersController(FlynestDbContext context)
+        {
+            _context = context;
+        }
+
+        // GET: api/SavedTravellers/user/5
+        [HttpGet("user/{userId}")]
+        public async Task<ActionResult<IEnumerable<SavedTraveller>>> GetTravellersByUser(int userId)
+        {
+            return await _context.SavedTravellers
+                .Where(t => t.UserId == userId)
+                .OrderBy(t => t.FullName)
+                .ToListAsync();
+        }
+
+        // GET: api/SavedTravellers/5
+        [HttpGet("{id}")]
+        public async Task<ActionResult<SavedTraveller>> GetTraveller(int id)
+        {
+            var traveller = await _context.SavedTravellers.FindAsync(id);
+
+            if (traveller == null)
+            {
+                return NotFound();
+            }
+
+            return traveller;
+        }
+
+        // POST: api/SavedTravellers
+        [HttpPost]
+        public async Task<ActionResult<SavedTraveller>> PostTraveller(SavedTraveller traveller)
+        {
+            var error = Validate(traveller) ?? await ValidateNationality(traveller);
+            if (error != null)
+            {
+                return BadRequest(new { message = error });
+            }
+
+            traveller.PassportNumber = traveller.PassportNumber.Trim().ToUpperInvariant();
+            if (await PassportSaved(traveller.UserId, traveller.PassportNumber, null))
+            {
+                return Conflict(new { message = "A traveller with this passport number is already saved." });
+            }
+
+            traveller.CreatedAt = DateTime.Now;
+            _context.SavedTravellers.Add(traveller);
+            await _context.SaveChangesAsync();
+
+            return CreatedAtAction(nameof(GetTraveller), new { id = traveller.TravellerId }, traveller);
+        }
+
+        // PUT: api/SavedTravellers/5
+        [HttpPut("{id}")]
+        public async Task<IActionResult> PutTraveller(int id, SavedTraveller traveller)
+        {
+            if (id != traveller.TravellerId)
+            {
+                return BadRequest();
+            }
+
+            var error = Validate(traveller) ?? await ValidateNationality(traveller);
+            if (error != null)
+            {
+                return BadRequest(new { message = error });
+            }
+
+            var existing = await _context.SavedTravellers.FindAsync(id);
+            if (existing == null)
+            {
+                return NotFound();
+            }
+
+            traveller.PassportNumber = traveller.PassportNumber.Trim().ToUpperInvariant();
+            if (await PassportSaved(existing.UserId, traveller.PassportNumber, id))
+            {
+                return Conflict(new { message = "A traveller with this passport number is already saved." });
+            }
+
+            // The owner never changes through an update
+            existing.FullName = traveller.FullName;
+            existing.Gender = traveller.Gender;
+            existing.DateOfBirth = traveller.DateOfBirth;
+            existing.Nationality = traveller.Nationality;
+            existing.PassportNumber = traveller.PassportNumber;
+            existing.PassportExpiry = traveller.PassportExpiry;
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+
+        // DELETE: api/SavedTravellers/5
+        [HttpDelete("{id}")]
+        public async Task<IActionResult> DeleteTraveller(int id)
+        {
+            var traveller = await _context.SavedTravellers.FindAsync(id);
+            if (traveller == null)
+            {
+                return NotFound();
+            }
+
+            _context.SavedTravellers.Remove(traveller);
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+
+        private static string? Validate(SavedTraveller traveller)
+        {
+            if (string.IsNullOrWhiteSpace(traveller.FullName))
+            {
+                return "Full name is required.";
+            }
+            if (string.IsNullOrWhiteSpace(traveller.PassportNumber))
+            {
+                return "Passport number is required.";
+            }
+            if (!PassengerRules.PassportPattern.IsMatch(traveller.PassportNumber.Trim().ToUpperInvariant()))
+            {
+                return "Passport number must be 6 to 9 letters or digits.";
+            }
+            if (traveller.DateOfBirth != null && traveller.DateOfBirth > DateOnly.FromDateTime(DateTime.Today))
+            {
+                return "Date of birth cannot be in the future.";
+            }
+            return null;
+        }
+
+        private async Task<string?> ValidateNationality(SavedTraveller traveller)
+        {
+            if (traveller.Nationality != null && !await _context.Countries.AnyAsync(c => c.Iso2 == traveller.Nationality))
+            {
+                return "Select a nationality from the list.";
+            }
+            return null;
+        }
+
+        private Task<bool> PassportSaved(int userId, string passportNumber, int? exceptId)
+        {
+            return _context.SavedTravellers.AnyAsync(t =>
+                t.UserId == userId &&
+                t.PassportNumber == passportNumber &&
+                t.TravellerId != exceptId);
+        }
+    }
+}
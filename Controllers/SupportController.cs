@@ -0,0 +1,77 @@
+﻿using System;
+using System.Net.Mail;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Configuration;
+using flynest.Models;
+using flynest.Services;
+
+namespace flynest.Controllers
+{
+    // Contact form on the Support page. The message goes to the support inbox by email
+    // and the customer gets an acknowledgement; both are sent through the email outbox.
+    [Route("api/[controller]")]
+    [ApiController]
+    public class SupportController : ControllerBase
+    {
+        private const int MaxSubjectLength = 150;
+        private const int MaxMessageLength = 5000;
+
+        private readonly FlynestDbContext _context;
+        private readonly IConfiguration _config;
+
+        public SupportController(FlynestDbContext context, IConfiguration config)
+        {
+            _context = context;
+            _config = config;
+        }
+
+        // POST: api/Support
+        [HttpPost]
+        public async Task<IActionResult> PostSupportMessage(SupportMessageDto dto)
+        {
+            var name = dto.Name?.Trim();
+            var email = dto.Email?.Trim();
+            var subject = dto.Subject?.Trim();
+            var message = dto.Message?.Trim();
+
+            if (string.IsNullOrEmpty(name) || string.IsNullOrEmpty(email) ||
+                string.IsNullOrEmpty(subject) || string.IsNullOrEmpty(message))
+            {
+                return BadRequest(new { message = "Please fill in all fields." });
+            }
+            // Both end up in email headers (subject and display name), so no line breaks
+            if (name.IndexOfAny(new[] { '\r', '\n' }) != -1 || subject.IndexOfAny(new[] { '\r', '\n' }) != -1)
+            {
+                return BadRequest(new { message = "Name and subject must be on a single line." });
+            }
+            if (!MailAddress.TryCreate(email, out _))
+            {
+                return BadRequest(new { message = "Please enter a valid email address." });
+            }
+            if (subject.Length > MaxSubjectLength)
+            {
+                return BadRequest(new { message = $"Subject must be at most {MaxSubjectLength} characters." });
+            }
+            if (message.Length > MaxMessageLength)
+            {
+                return BadRequest(new { message = $"Message must be at most {MaxMessageLength} characters." });
+            }
+
+            var mail = MailSettings.FromConfiguration(_config);
+            EmailQueue.Queue(_context, mail.SupportAddress, EmailTemplates.SupportRequest(name, email, subject, message), replyTo: email);
+            EmailQueue.Queue(_context, email, EmailTemplates.SupportAcknowledgement(name, subject), replyTo: mail.SupportAddress);
+            await _context.SaveChangesAsync();
+
+            return Ok(new { message = "Thank you for contacting us. We'll get back to you within 24 hours." });
+        }
+    }
+
+    public class SupportMessageDto
+    {
+        public string? Name { get; set; }
+        public string? Email { get; set; }
+        public string? Subject { get; set; }
+        public string? Message { get; set; }
+    }
+}
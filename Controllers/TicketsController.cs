@@ -6,6 +6,7 @@ using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
 using flynest.Models;
+using flynest.Services;
 
 namespace flynest.Controllers
 {
@@ -41,6 +42,107 @@ namespace flynest.Controllers
             return ticket;
         }
 
+        // GET: api/Tickets/flight/5/taken-seats
+        // Seats already held by a non-cancelled booking on this flight
+        [HttpGet("flight/{flightId}/taken-seats")]
+        public async Task<ActionResult<IEnumerable<string>>> GetTakenSeats(long flightId)
+        {
+            // Release seats held by lapsed Pending bookings first
+            await BookingHolds.ExpireAsync(_context);
+
+            var seats = await _context.Tickets
+                .Where(t => (t.FlightId ?? t.Booking.FlightId) == flightId &&
+                            t.Booking.Status != "Cancelled" &&
+                            t.SeatNumber != null)
+                .Select(t => t.SeatNumber)
+                .ToListAsync();
+
+            return Ok(seats);
+        }
+
+        // GET: api/Tickets/booking/5/eticket
+        // Everything printed on the e-ticket, one entry per passenger per leg, with boarding barcode data
+        [HttpGet("booking/{bookingId}/eticket")]
+        public async Task<IActionResult> GetETicket(int bookingId)
+        {
+            var booking = await _context.Bookings
+                .Include(b => b.User)
+                .Include(b => b.Flight)
+                .Include(b => b.Passengers)
+                .Include(b => b.Tickets)
+                .Include(b => b.BookingFlights)
+                    .ThenInclude(bf => bf.Flight)
+                .FirstOrDefaultAsync(b => b.BookingId == bookingId);
+
+            if (booking == null)
+            {
+                return NotFound();
+            }
+            if (booking.Status != "Confirmed")
+            {
+                return Conflict(new { message = "E-tickets are issued once the booking is confirmed." });
+            }
+
+            // Older single-flight bookings have no legs recorded
+            var legs = booking.BookingFlights.Count > 0
+                ? booking.BookingFlights.OrderBy(bf => bf.LegNumber).Select(bf => bf.Flight).ToList()
+                : new List<Flight> { booking.Flight };
+            var passengers = booking.Passengers.OrderBy(p => p.PassengerId).ToList();
+            var bookingReference = booking.Pnr;
+
+            var coupons = new List<object>();
+            foreach (var flight in legs.Where(f => f != null))
+            {
+                for (int i = 0; i < passengers.Count; i++)
+                {
+                    var passenger = passengers[i];
+                    var ticket = booking.Tickets.FirstOrDefault(t =>
+                        t.PassengerId == passenger.PassengerId && (t.FlightId ?? booking.FlightId) == flight.Id);
+                    if (ticket == null)
+                    {
+                        continue;
+                    }
+
+                    coupons.Add(new
+                    {
+                        ticket.TicketNumber,
+                        passenger.FullName,
+                        passenger.PassengerType,
+                        ticket.SeatNumber,
+                        ticket.Class,
+                        ticket.FareAmount,
+                        Flight = new
+                        {
+                            flight.FlightNumber,
+                            flight.FlightDate,
+                            flight.AirlineName,
+                            flight.AirlineIata,
+                            flight.DepartureAirport,
+                            flight.DepartureIata,
+                            flight.DepartureTerminal,
+                            flight.DepartureGate,
+                            flight.ArrivalAirport,
+                            flight.ArrivalIata,
+                            flight.ArrivalTerminal
+                        },
+                        Barcode = BoardingBarcode.Encode(passenger, ticket, flight, bookingReference, i + 1)
+                    });
+                }
+            }
+
+            return Ok(new
+            {
+                booking.BookingId,
+                BookingReference = bookingReference,
+                booking.BookingDate,
+                booking.Amount,
+                booking.TripType,
+                BookedBy = booking.User?.Name,
+                IssuedAt = DateTime.Now,
+                Coupons = coupons
+            });
+        }
+
         // PUT: api/Tickets/5
         // To protect from overposting attacks, see https://go.microsoft.com/fwlink/?linkid=2123754
         [HttpPut("{id}")]
@@ -77,8 +179,105 @@ namespace flynest.Controllers
         [HttpPost]
         public async Task<ActionResult<Ticket>> PostTicket(Ticket ticket)
         {
-            _context.Tickets.Add(ticket);
-            await _context.SaveChangesAsync();
+            await BookingHolds.ExpireAsync(_context);
+
+            var booking = await _context.Bookings
+                .Include(b => b.Passengers)
+                .Include(b => b.Tickets)
+                .Include(b => b.BookingFlights)
+                    .ThenInclude(bf => bf.Flight)
+                .FirstOrDefaultAsync(b => b.BookingId == ticket.BookingId);
+            if (booking == null)
+            {
+                return BadRequest(new { message = "Booking not found." });
+            }
+            if (booking.Status == "Cancelled")
+            {
+                return Conflict(new { message = "This booking has been cancelled." });
+            }
+            if (booking.Status != "Pending")
+            {
+                return Conflict(new { message = "Tickets can only be added before the booking is paid." });
+            }
+
+            // Tickets without a flight belong to the booking's first leg
+            ticket.FlightId ??= booking.FlightId;
+            var leg = booking.BookingFlights.FirstOrDefault(bf => bf.FlightId == ticket.FlightId);
+            if (leg == null)
+            {
+                return BadRequest(new { message = "Flight is not part of this booking." });
+            }
+
+            var passenger = booking.Passengers.FirstOrDefault(p => p.PassengerId == ticket.PassengerId);
+            if (passenger == null)
+            {
+                return BadRequest(new { message = "Passenger is not on this booking." });
+            }
+            if (booking.Tickets.Any(t => t.PassengerId == passenger.PassengerId && (t.FlightId ?? booking.FlightId) == ticket.FlightId))
+            {
+                return Conflict(new { message = "This passenger already has a ticket for this flight." });
+            }
+
+            // Fare always comes from the flight, never from the client
+            ticket.Class ??= FareClasses.Economy;
+            var fare = FareClasses.PriceFor(leg.Flight, ticket.Class);
+            if (fare == null)
+            {
+                return BadRequest(new { message = $"{ticket.Class} class is not available on this flight." });
+            }
+            ticket.FareAmount = fare;
+            booking.Amount = (booking.Amount ?? 0) + fare.Value;
+
+            // Infants sit on an adult's lap and never hold a seat
+            var isInfant = passenger.PassengerType == PassengerRules.Infant;
+            ticket.SeatNumber = isInfant ? null : ticket.SeatNumber?.Trim().ToUpperInvariant();
+            if (!string.IsNullOrEmpty(ticket.SeatNumber))
+            {
+                var airplane = (await SeatLayout.AirplanesForAsync(_context, new[] { leg.Flight })).GetValueOrDefault(leg.Flight.Id);
+                var seatError = SeatLayout.SeatError(airplane, leg.Flight, ticket.SeatNumber, ticket.Class);
+                if (seatError != null)
+                {
+                    return BadRequest(new { message = seatError });
+                }
+            }
+
+            if (string.IsNullOrEmpty(ticket.TicketNumber))
+            {
+                ticket.TicketNumber = Ticketing.NewTicketNumber();
+            }
+
+            using var transaction = await _context.Database.BeginTransactionAsync();
+            try
+            {
+                // Same checks as booking with passengers, under the flight lock so the last
+                // seat (or a chosen seat) can't go to two customers
+                await SeatInventory.LockAsync(_context, new[] { leg.Flight.Id });
+                if (!isInfant)
+                {
+                    var availability = (await SeatInventory.AvailabilityAsync(_context, new List<Flight> { leg.Flight })).First();
+                    var shortage = SeatInventory.ShortageMessage(availability, leg.Flight, 1);
+                    if (shortage != null)
+                    {
+                        await transaction.RollbackAsync();
+                        return Conflict(new { message = shortage });
+                    }
+                }
+                if (!string.IsNullOrEmpty(ticket.SeatNumber) && await Ticketing.IsSeatTakenAsync(_context, ticket.FlightId, ticket.SeatNumber))
+                {
+                    await transaction.RollbackAsync();
+                    return Conflict(new { message = $"Seat {ticket.SeatNumber} has already been taken." });
+                }
+
+                _context.Tickets.Add(ticket);
+                await _context.SaveChangesAsync();
+                await transaction.CommitAsync();
+            }
+            catch (DbUpdateException) when (!string.IsNullOrEmpty(ticket.SeatNumber))
+            {
+                // The unique seat index caught a seat taken without going through the lock
+                await transaction.RollbackAsync();
+                return Conflict(new { message = $"Seat {ticket.SeatNumber} has already been taken." });
+            }
 
             return CreatedAtAction("GetTicket", new { id = ticket.TicketId }, ticket);
         }
@@ -87,12 +286,19 @@ namespace flynest.Controllers
         [HttpDelete("{id}")]
         public async Task<IActionResult> DeleteTicket(int id)
         {
-            var ticket = await _context.Tickets.FindAsync(id);
+            var ticket = await _context.Tickets
+                .Include(t => t.Booking)
+                .FirstOrDefaultAsync(t => t.TicketId == id);
             if (ticket == null)
             {
                 return NotFound();
             }
 
+            // An unpaid booking stops charging for the ticket
+            if (ticket.Booking?.Status == "Pending")
+            {
+                ticket.Booking.Amount = (ticket.Booking.Amount ?? 0) - (ticket.FareAmount ?? 0);
+            }
             _context.Tickets.Remove(ticket);
             await _context.SaveChangesAsync();
 
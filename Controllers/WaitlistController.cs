@@ -0,0 +1,174 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using flynest.Models;
+using flynest.Services;
+
+namespace flynest.Controllers
+{
+    // Waitlist for sold-out flights. Offers are made by WaitlistOffers as seats free up
+    // and taken up through api/Bookings/with-passengers with the waitlist id.
+    [Route("api/[controller]")]
+    [ApiController]
+    public class WaitlistController : ControllerBase
+    {
+        private readonly FlynestDbContext _context;
+
+        public WaitlistController(FlynestDbContext context)
+        {
+            _context = context;
+        }
+
+        // GET: api/Waitlist/user/5
+        // The user's waitlist entries, newest first, with their place in each queue
+        [HttpGet("user/{userId}")]
+        public async Task<IActionResult> GetWaitlistByUser(int userId)
+        {
+            await BookingHolds.ExpireAsync(_context);
+
+            var entries = await _context.Waitlists
+                .Include(w => w.Flight)
+                .Where(w => w.UserId == userId)
+                .OrderByDescending(w => w.CreatedAt)
+                .ToListAsync();
+
+            var flightIds = entries.Select(w => w.FlightId).Distinct().ToList();
+            var queues = await _context.Waitlists
+                .Where(w => flightIds.Contains(w.FlightId) && w.Status == WaitlistOffers.Waiting)
+                .ToListAsync();
+
+            return Ok(entries.Select(w => ToResponse(w, PositionOf(w, queues))));
+        }
+
+        // POST: api/Waitlist
+        // Only flights without room for the whole party can be joined
+        [HttpPost]
+        public async Task<IActionResult> JoinWaitlist(JoinWaitlistDto dto)
+        {
+            await BookingHolds.ExpireAsync(_context);
+
+            var flight = await _context.Flights.FindAsync(dto.FlightId);
+            if (flight == null)
+            {
+                return NotFound(new { message = "Flight not found." });
+            }
+            if (dto.PartySize < 1 || dto.PartySize > WaitlistOffers.MaxPartySize)
+            {
+                return BadRequest(new { message = $"Party size must be between 1 and {WaitlistOffers.MaxPartySize}." });
+            }
+
+            var fareClass = dto.FareClass ?? FareClasses.Economy;
+            if (FareClasses.PriceFor(flight, fareClass) == null)
+            {
+                return BadRequest(new { message = $"{fareClass} class is not available on flight {flight.FlightNumber}." });
+            }
+            if (flight.FlightDate < DateOnly.FromDateTime(DateTime.Today))
+            {
+                return BadRequest(new { message = "This flight has already departed." });
+            }
+
+            var alreadyWaiting = await _context.Waitlists.AnyAsync(w =>
+                w.UserId == dto.UserId &&
+                w.FlightId == dto.FlightId &&
+                (w.Status == WaitlistOffers.Waiting || w.Status == WaitlistOffers.Offered));
+            if (alreadyWaiting)
+            {
+                return Conflict(new { message = "You are already on the waitlist for this flight." });
+            }
+
+            var availability = (await SeatInventory.AvailabilityAsync(_context, new List<Flight> { flight })).First();
+            if (SeatInventory.ShortageMessage(availability, flight, dto.PartySize) == null)
+            {
+                return Conflict(new { message = "Seats are available on this flight. Book them now.", availability.Available });
+            }
+
+            var entry = new Waitlist
+            {
+                UserId = dto.UserId,
+                FlightId = flight.Id,
+                PartySize = dto.PartySize,
+                FareClass = fareClass,
+                Status = WaitlistOffers.Waiting,
+                CreatedAt = DateTime.Now
+            };
+            _context.Waitlists.Add(entry);
+            await _context.SaveChangesAsync();
+
+            var queue = await _context.Waitlists
+                .Where(w => w.FlightId == flight.Id && w.Status == WaitlistOffers.Waiting)
+                .ToListAsync();
+
+            return CreatedAtAction(nameof(GetWaitlistByUser), new { userId = entry.UserId }, ToResponse(entry, PositionOf(entry, queue)));
+        }
+
+        // DELETE: api/Waitlist/5
+        // Leaving keeps the entry as history; seats offered to it pass to the next in line
+        [HttpDelete("{id}")]
+        public async Task<IActionResult> LeaveWaitlist(int id)
+        {
+            var entry = await _context.Waitlists.FindAsync(id);
+            if (entry == null)
+            {
+                return NotFound();
+            }
+            if (entry.Status != WaitlistOffers.Waiting && entry.Status != WaitlistOffers.Offered)
+            {
+                return Conflict(new { message = "This waitlist entry is already closed." });
+            }
+
+            var wasOffered = entry.Status == WaitlistOffers.Offered;
+            entry.Status = WaitlistOffers.Cancelled;
+            await _context.SaveChangesAsync();
+
+            if (wasOffered)
+            {
+                await WaitlistOffers.OfferFreedSeatsAsync(_context, new[] { entry.FlightId });
+            }
+
+            return NoContent();
+        }
+
+        // 1-based place among parties still waiting on the flight; null once offered or closed
+        private static int? PositionOf(Waitlist entry, List<Waitlist> queues)
+        {
+            if (entry.Status != WaitlistOffers.Waiting)
+            {
+                return null;
+            }
+            return queues.Count(w =>
+                w.FlightId == entry.FlightId &&
+                (w.CreatedAt < entry.CreatedAt || (w.CreatedAt == entry.CreatedAt && w.WaitlistId <= entry.WaitlistId)));
+        }
+
+        private static object ToResponse(Waitlist entry, int? position)
+        {
+            return new
+            {
+                entry.WaitlistId,
+                entry.UserId,
+                entry.FlightId,
+                entry.PartySize,
+                entry.FareClass,
+                entry.Status,
+                entry.CreatedAt,
+                entry.OfferedAt,
+                entry.OfferExpiresAt,
+                entry.BookingId,
+                Position = position,
+                Flight = entry.Flight
+            };
+        }
+    }
+
+    public class JoinWaitlistDto
+    {
+        public int UserId { get; set; }
+        public long FlightId { get; set; }
+        public int PartySize { get; set; } = 1;
+        public string? FareClass { get; set; }
+    }
+}
@@ -2,13 +2,30 @@ import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet';
 import { motion } from 'framer-motion';
 import { Link } from 'react-router-dom';
-import { Plane, Calendar, CreditCard, TrendingUp, Loader2 } from 'lucide-react';
+import { Plane, Calendar, CreditCard, TrendingUp, Loader2, ArrowRight, X, Clock } from 'lucide-react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { useAuth } from '@/context/AuthContext';
 import { toast } from '@/components/ui/use-toast';
-import { bookingAPI } from '@/services/api';
+import { bookingAPI, bookingDraftAPI, checkInAPI, waitlistAPI } from '@/services/api';
+import { DEFAULT_CHECK_IN_WINDOW, getBookingCheckInStatus, getCheckInProgress } from './checkInWindow';
+import { WAITLIST_STATUS_LABELS, getOfferBookingState, isOfferOpen, isWaitlistOpen } from './waitlist';
+import { getBookingFlights, getTrackedFlightIds, useFlightStatus } from './flightStatus';
+import FlightStatusPanel from './FlightStatusPanel';
+
+const DRAFT_STEP_LABELS = {
+  details: 'Passenger details',
+  seats: 'Seat selection',
+  addons: 'Add-ons',
+  payment: 'Awaiting payment'
+};
+
+// Steps taken after the booking exists have their own page
+const DRAFT_STEP_PAGES = {
+  addons: '/add-ons',
+  payment: '/airline-booking'
+};
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -18,6 +35,10 @@ const Dashboard = () => {
     totalSpent: 0,
     recentBookings: []
   });
+  const [drafts, setDrafts] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [trackedFlightIds, setTrackedFlightIds] = useState([]);
+  const withLiveStatus = useFlightStatus(trackedFlightIds);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -30,16 +51,39 @@ const Dashboard = () => {
       setLoading(true);
       setError(null);
 
-      const bookingsResponse = await bookingAPI.getByUser(user?.userId || user?.id);
+      const [bookingsResponse, draftsResponse, checkInWindowResponse, waitlistResponse] = await Promise.all([
+        bookingAPI.getByUser(user?.userId || user?.id),
+        // Drafts are a convenience; don't fail the dashboard over them
+        bookingDraftAPI.getByUser(user?.userId || user?.id).catch((draftError) => {
+          console.error('Error fetching booking drafts:', draftError);
+          return { data: [] };
+        }),
+        checkInAPI.getWindow().catch((windowError) => {
+          console.error('Error fetching check-in window:', windowError);
+          return { data: DEFAULT_CHECK_IN_WINDOW };
+        }),
+        waitlistAPI.getByUser(user?.userId || user?.id).catch((waitlistError) => {
+          console.error('Error fetching waitlist:', waitlistError);
+          return { data: [] };
+        })
+      ]);
+      const checkInWindow = checkInWindowResponse.data;
       const bookings = bookingsResponse.data;
+      setDrafts((draftsResponse.data || []).map(mapDraft).filter(draft => draft.legs.length > 0));
+      setWaitlist((waitlistResponse.data || []).filter(isWaitlistOpen));
+      setTrackedFlightIds(getTrackedFlightIds(bookings));
 
-      const totalBookings = bookings.length;
+      // Cancelled bookings (including lapsed holds) don't count towards the totals
+      const activeBookings = bookings.filter(booking => booking.status?.toLowerCase() !== 'cancelled');
+      const totalBookings = activeBookings.length;
       const upcomingFlights = bookings.filter(
         booking =>
           new Date(booking.flightDate) > new Date() &&
           booking.status?.toLowerCase() !== 'cancelled'
       ).length;
-      const totalSpent = bookings.reduce((sum, booking) => sum + (booking.amount || 0), 0);
+      const totalSpent = bookings
+        .filter(booking => booking.status?.toLowerCase() === 'confirmed')
+        .reduce((sum, booking) => sum + (booking.amount || 0), 0);
 
       const recentBookings = bookings
         .sort((a, b) => new Date(b.bookingDate) - new Date(a.bookingDate))
@@ -51,7 +95,11 @@ const Dashboard = () => {
           to: booking.arrivalCity,
           date: booking.flightDate,
           status: booking.status?.toLowerCase(),
-          amount: booking.amount
+          amount: booking.amount,
+          flights: getBookingFlights(booking),
+          checkIn: booking.status?.toLowerCase() === 'confirmed'
+            ? { ...getCheckInProgress(booking), status: getBookingCheckInStatus(booking, checkInWindow) }
+            : null
         }));
 
       setStats({
@@ -73,6 +121,55 @@ const Dashboard = () => {
     }
   };
 
+  // Summarise a saved booking draft for the "continue booking" list
+  const mapDraft = (draft) => {
+    let data = {};
+    try {
+      data = JSON.parse(draft.data || '{}');
+    } catch (parseError) {
+      console.error('Invalid booking draft data:', parseError);
+    }
+    const legs = (data.itinerary?.flights || [data.flightData]).filter(Boolean);
+    return {
+      id: draft.draftId,
+      step: draft.step,
+      updatedAt: draft.updatedAt,
+      legs,
+      passengerCount: data.passengers?.length || 0,
+      link: DRAFT_STEP_PAGES[draft.step]
+        ? `${DRAFT_STEP_PAGES[draft.step]}?draft=${draft.draftId}`
+        : `/passenger-info?draft=${draft.draftId}`
+    };
+  };
+
+  const discardDraft = async (draftId) => {
+    try {
+      await bookingDraftAPI.delete(draftId);
+      setDrafts(drafts.filter(draft => draft.id !== draftId));
+    } catch (discardError) {
+      console.error('Error discarding booking draft:', discardError);
+      toast({
+        title: 'Error',
+        description: 'Failed to discard the booking. Please try again.',
+        variant: 'destructive'
+      });
+    }
+  };
+
+  const leaveWaitlist = async (waitlistId) => {
+    try {
+      await waitlistAPI.leave(waitlistId);
+      setWaitlist(waitlist.filter(entry => entry.waitlistId !== waitlistId));
+    } catch (leaveError) {
+      console.error('Error leaving waitlist:', leaveError);
+      toast({
+        title: 'Error',
+        description: leaveError.response?.data?.message || 'Failed to leave the waitlist. Please try again.',
+        variant: 'destructive'
+      });
+    }
+  };
+
   const quickActions = [
     {
       title: 'Search Flights',
@@ -210,6 +307,134 @@ const Dashboard = () => {
             </Card>
           </motion.div>
 
+          {drafts.length > 0 && (
+            <motion.div
+              initial={{ opacity: 0, y: 30 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.8, delay: 0.15 }}
+              className="mb-8"
+            >
+              <Card className="glass-effect border-yellow-500/30">
+                <CardHeader>
+                  <CardTitle className="text-white">Unfinished Bookings</CardTitle>
+                  <CardDescription className="text-gray-400">
+                    Pick up where you left off
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {drafts.map((draft) => (
+                    <div
+                      key={draft.id}
+                      className="p-4 rounded-lg border border-white/10 hover:border-white/20 transition-all flex items-center justify-between"
+                    >
+                      <div className="flex items-center space-x-3">
+                        <div className="p-2 bg-yellow-500/20 rounded-lg">
+                          <Plane className="h-4 w-4 text-yellow-400" />
+                        </div>
+                        <div>
+                          <h3 className="font-semibold text-white">
+                            {draft.legs[0].departureAirport} → {draft.legs[draft.legs.length - 1].arrivalAirport}
+                          </h3>
+                          <p className="text-sm text-gray-400">
+                            {draft.legs.map(leg => leg.flightNumber).join(' · ')}
+                            {' · '}
+                            {new Date(draft.legs[0].flightDate).toLocaleDateString()}
+                            {draft.passengerCount > 0 && ` · ${draft.passengerCount} passenger(s)`}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {DRAFT_STEP_LABELS[draft.step]} · saved {new Date(draft.updatedAt).toLocaleString()}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <Link to={draft.link}>
+                          <Button className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700">
+                            Continue Booking
+                            <ArrowRight className="ml-2 h-4 w-4" />
+                          </Button>
+                        </Link>
+                        <Button
+                          variant="ghost"
+                          onClick={() => discardDraft(draft.id)}
+                          className="text-gray-400 hover:text-white hover:bg-white/10"
+                          title="Discard"
+                        >
+                          <X className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            </motion.div>
+          )}
+
+          {waitlist.length > 0 && (
+            <motion.div
+              initial={{ opacity: 0, y: 30 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.8, delay: 0.15 }}
+              className="mb-8"
+            >
+              <Card className="glass-effect border-green-500/30">
+                <CardHeader>
+                  <CardTitle className="text-white">Waitlist</CardTitle>
+                  <CardDescription className="text-gray-400">
+                    Sold-out flights you're waiting on. Offered seats are held for a limited time.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {waitlist.map((entry) => (
+                    <div
+                      key={entry.waitlistId}
+                      className="p-4 rounded-lg border border-white/10 hover:border-white/20 transition-all flex items-center justify-between"
+                    >
+                      <div className="flex items-center space-x-3">
+                        <div className="p-2 bg-green-500/20 rounded-lg">
+                          <Clock className="h-4 w-4 text-green-400" />
+                        </div>
+                        <div>
+                          <h3 className="font-semibold text-white">
+                            {entry.flight?.departureAirport} → {entry.flight?.arrivalAirport}
+                          </h3>
+                          <p className="text-sm text-gray-400">
+                            {entry.flight?.flightNumber}
+                            {' · '}
+                            {new Date(entry.flight?.flightDate).toLocaleDateString()}
+                            {` · ${entry.partySize} seat(s), ${entry.fareClass}`}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {isOfferOpen(entry)
+                              ? `Seats held for you until ${new Date(entry.offerExpiresAt).toLocaleString()}`
+                              : `${WAITLIST_STATUS_LABELS[entry.status]} · number ${entry.position} in line`}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        {isOfferOpen(entry) && (
+                          <Link to="/passenger-info" state={getOfferBookingState(entry)}>
+                            <Button className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700">
+                              Complete Booking
+                              <ArrowRight className="ml-2 h-4 w-4" />
+                            </Button>
+                          </Link>
+                        )}
+                        <Button
+                          variant="ghost"
+                          onClick={() => leaveWaitlist(entry.waitlistId)}
+                          className="text-gray-400 hover:text-white hover:bg-white/10"
+                          title="Leave waitlist"
+                        >
+                          <X className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            </motion.div>
+          )}
+
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
             <motion.div
               initial={{ opacity: 0, x: -30 }}
@@ -290,9 +515,27 @@ const Dashboard = () => {
                                 <Calendar className="h-4 w-4" />
                                 <span>{new Date(booking.date).toLocaleDateString()}</span>
                               </div>
+                              {booking.checkIn?.total > 0 && booking.checkIn.checkedIn === booking.checkIn.total && (
+                                <span className="text-green-400">Checked in</span>
+                              )}
+                              {booking.checkIn?.status === 'Open' && booking.checkIn.checkedIn < booking.checkIn.total && (
+                                <Link to={`/check-in/${booking.id}`} className="text-blue-400 hover:text-blue-300">
+                                  Check-in open
+                                </Link>
+                              )}
                             </div>
                             <span className="font-semibold text-white">₹{booking.amount?.toLocaleString()}</span>
                           </div>
+                          {booking.flights
+                            .filter(flight => trackedFlightIds.includes(flight.id))
+                            .map(flight => (
+                              <div key={flight.id} className="flex items-center justify-between mt-3 pt-3 border-t border-white/10">
+                                <span className="text-sm text-gray-400">
+                                  {flight.flightNumber} · {flight.departureIata} → {flight.arrivalIata}
+                                </span>
+                                <FlightStatusPanel flight={withLiveStatus(flight)} compact />
+                              </div>
+                            ))}
                         </div>
                       ))}
                       <Link to="/bookings">
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronLeft, ChevronRight, TrendingDown } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { flightAPI } from '@/services/api';
+
+const VIEWS = [
+  { value: 'week', label: '±3 days' },
+  { value: 'month', label: 'Whole month' }
+];
+
+// Dates are YYYY-MM-DD strings; parse them as local days so the weekday doesn't shift
+const toLocalDate = (date) => new Date(`${date}T00:00:00`);
+
+const shiftMonth = (month, delta) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const shifted = new Date(year, monthIndex - 1 + delta, 1);
+  return `${shifted.getFullYear()}-${String(shifted.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const formatFare = (fare) => `₹${Number(fare).toLocaleString('en-IN')}`;
+
+// Cheapest fare per day around the searched date (or over a month) from one call to
+// api/Flights/search/fare-calendar. Picking a day searches that date instead.
+const FareCalendar = ({ departureIata, arrivalIata, date, onSelectDate }) => {
+  const [view, setView] = useState('week');
+  const [month, setMonth] = useState(date.slice(0, 7));
+  const [days, setDays] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    setMonth(date.slice(0, 7));
+  }, [date]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCalendar = async () => {
+      try {
+        setLoading(true);
+        const response = await flightAPI.getFareCalendar({
+          departureIata,
+          arrivalIata,
+          ...(view === 'month' ? { month } : { date })
+        });
+        if (!cancelled) setDays(response.data?.days || []);
+      } catch (error) {
+        console.error('Error fetching fare calendar:', error);
+        if (!cancelled) setDays([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchCalendar();
+    return () => { cancelled = true; };
+  }, [departureIata, arrivalIata, date, view, month]);
+
+  const cheapest = days.find(day => day.isCheapest);
+  // Month view lines days up under their weekday
+  const leadingBlanks = view === 'month' && days.length > 0 ? toLocalDate(days[0].date).getDay() : 0;
+
+  return (
+    <div className="mb-4 p-4 rounded-lg border border-white/10 bg-white/5">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="flex gap-2">
+          {VIEWS.map(option => (
+            <Button
+              key={option.value}
+              type="button"
+              size="sm"
+              variant="outline"
+              onClick={() => setView(option.value)}
+              className={
+                view === option.value
+                  ? 'border-blue-400 bg-blue-500/20 text-white'
+                  : 'border-white/20 text-gray-300 hover:bg-white/10'
+              }
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+        {view === 'month' && (
+          <div className="flex items-center gap-2 text-white">
+            <Button
+              type="button"
+              size="sm"
+              variant="ghost"
+              onClick={() => setMonth(shiftMonth(month, -1))}
+              disabled={month <= new Date().toISOString().slice(0, 7)}
+              className="text-gray-300 hover:text-white hover:bg-white/10"
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <span className="text-sm w-28 text-center">
+              {toLocalDate(`${month}-01`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' })}
+            </span>
+            <Button
+              type="button"
+              size="sm"
+              variant="ghost"
+              onClick={() => setMonth(shiftMonth(month, 1))}
+              className="text-gray-300 hover:text-white hover:bg-white/10"
+            >
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
+        </div>
+      ) : days.length === 0 ? (
+        <p className="text-sm text-gray-400 text-center py-4">No fares to show for these dates.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-7 gap-2">
+            {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank_${i}`} />)}
+            {days.map(day => {
+              const isSearched = day.date === date;
+              const bookable = day.cheapestFare != null;
+              return (
+                <button
+                  key={day.date}
+                  type="button"
+                  onClick={() => onSelectDate(day.date)}
+                  disabled={isSearched || !bookable}
+                  className={`rounded-lg border p-2 text-center transition-all ${
+                    isSearched
+                      ? 'border-blue-400 bg-blue-500/20'
+                      : day.isCheapest
+                        ? 'border-green-400/50 bg-green-500/10 hover:bg-green-500/20'
+                        : 'border-white/10 hover:border-white/30'
+                  } ${!bookable && !isSearched ? 'opacity-50 cursor-not-allowed' : ''}`}
+                >
+                  <p className="text-xs text-gray-400">
+                    {toLocalDate(day.date).toLocaleDateString('en-IN', { weekday: 'short' })}
+                  </p>
+                  <p className="text-sm font-semibold text-white">
+                    {toLocalDate(day.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}
+                  </p>
+                  <p className={`text-xs ${day.isCheapest ? 'text-green-400' : 'text-gray-300'}`}>
+                    {bookable ? formatFare(day.cheapestFare) : day.soldOut ? 'Sold out' : '—'}
+                  </p>
+                </button>
+              );
+            })}
+          </div>
+          {cheapest && (
+            <p className="flex items-center text-xs text-green-400 mt-3">
+              <TrendingDown className="h-3 w-3 mr-1" />
+              Cheapest: {toLocalDate(cheapest.date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })}
+              {' '}from {formatFare(cheapest.cheapestFare)} ({cheapest.fareClass})
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FareCalendar;
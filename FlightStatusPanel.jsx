@@ -0,0 +1,63 @@
+import React from 'react';
+import { Clock, DoorOpen, Luggage } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { FLIGHT_STATUS_COLORS, formatDelay } from './flightStatus';
+
+// Live status of one booked flight: status, delays, departure gate and baggage belt.
+// `flight` is a flight merged with its latest update from useFlightStatus.
+const FlightStatusPanel = ({ flight, compact = false }) => {
+  if (!flight) return null;
+
+  const status = flight.flightStatus || 'Scheduled';
+  const departureDelay = formatDelay(flight.departureDelay);
+  const arrivalDelay = formatDelay(flight.arrivalDelay);
+  const gate = [
+    flight.departureTerminal && `Terminal ${flight.departureTerminal}`,
+    flight.departureGate && `Gate ${flight.departureGate}`
+  ].filter(Boolean).join(' · ');
+
+  if (compact) {
+    return (
+      <div className="flex items-center space-x-2 text-sm">
+        <Badge className={FLIGHT_STATUS_COLORS[status] || FLIGHT_STATUS_COLORS.Scheduled}>{status}</Badge>
+        {departureDelay && <span className="text-yellow-400">+{departureDelay}</span>}
+        {flight.departureGate && <span className="text-gray-400">Gate {flight.departureGate}</span>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-lg border border-white/10 bg-white/5 p-3 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-gray-400">
+          {flight.flightNumber} · {flight.departureIata} → {flight.arrivalIata}
+        </span>
+        <Badge className={FLIGHT_STATUS_COLORS[status] || FLIGHT_STATUS_COLORS.Scheduled}>{status}</Badge>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 text-sm">
+        <div className="flex items-center space-x-2">
+          <Clock className="h-4 w-4 text-yellow-400" />
+          <span className={departureDelay || arrivalDelay ? 'text-yellow-300' : 'text-white'}>
+            {departureDelay || arrivalDelay
+              ? [departureDelay && `Departs ${departureDelay} late`, arrivalDelay && `Arrives ${arrivalDelay} late`]
+                  .filter(Boolean)
+                  .join(', ')
+              : 'On time'}
+          </span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <DoorOpen className="h-4 w-4 text-blue-400" />
+          <span className="text-white">{gate || 'Gate not assigned'}</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Luggage className="h-4 w-4 text-green-400" />
+          <span className="text-white">
+            {flight.arrivalBaggage ? `Baggage ${flight.arrivalBaggage}` : 'Baggage belt not assigned'}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FlightStatusPanel;
@@ -0,0 +1,866 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Search, Plane, Calendar, CalendarRange, MapPin, ArrowRight, Plus, Trash2, CheckCircle, RefreshCw, Clock,
+  SlidersHorizontal, X
+} from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from '@/components/ui/use-toast';
+import { useAuth } from '@/context/AuthContext';
+import { airportAPI, flightAPI, waitlistAPI } from '@/services/api';
+import { FARE_CLASSES, getFarePrice, getAvailableFareClasses } from './fares';
+import { getAvailabilityLabel, isSoldOut } from './seatAvailability';
+import { MAX_PARTY_SIZE } from './waitlist';
+import AirportInput from './AirportInput';
+import FareCalendar from './FareCalendar';
+import ConnectionOption from './ConnectionOption';
+import {
+  SORT_OPTIONS, STOP_OPTIONS, TIME_WINDOWS, EMPTY_FILTERS, readSearch, writeSearch, readFilters, writeFilters,
+  countActiveFilters, getAirlineOptions, filterFlights, sortFlights, formatDuration
+} from './searchFilters';
+
+const TRIP_TYPES = [
+  { value: 'OneWay', label: 'One Way' },
+  { value: 'RoundTrip', label: 'Round Trip' },
+  { value: 'MultiCity', label: 'Multi-City' }
+];
+
+const MAX_LEGS = 5;
+
+// Airports are suggestions picked in AirportInput; `key` keeps each row's input state
+// with its leg when a multi-city leg is removed
+let nextLegKey = 0;
+const emptyLeg = () => ({
+  key: nextLegKey++,
+  departure: null,
+  arrival: null,
+  flightDate: ''
+});
+
+// Legs actually sent to the API; a round trip is the outbound leg reversed
+const buildSearchLegs = (tripType, legs, returnDate) => {
+  if (tripType === 'RoundTrip') {
+    return [
+      legs[0],
+      {
+        departure: legs[0].arrival,
+        arrival: legs[0].departure,
+        flightDate: returnDate
+      }
+    ];
+  }
+  return legs;
+};
+
+const toApiLeg = (leg) => ({
+  departureIata: leg.departure.iataCode,
+  arrivalIata: leg.arrival.iataCode,
+  flightDate: leg.flightDate
+});
+
+const Flights = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = readFilters(searchParams);
+  const [tripType, setTripType] = useState('OneWay');
+  const [legs, setLegs] = useState([emptyLeg()]);
+  const [returnDate, setReturnDate] = useState('');
+  const [flexibleDates, setFlexibleDates] = useState(false);
+  const [results, setResults] = useState([]);
+  const [searchedLegs, setSearchedLegs] = useState([]);
+  const [selectedFlights, setSelectedFlights] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [hasSearched, setHasSearched] = useState(false);
+  const [waitlistFlight, setWaitlistFlight] = useState(null); // sold-out flight being joined
+  const [waitlistForm, setWaitlistForm] = useState({ partySize: 1, fareClass: 'Economy' });
+  const [joiningWaitlist, setJoiningWaitlist] = useState(false);
+  const [waitlistedFlightIds, setWaitlistedFlightIds] = useState([]);
+
+  // Opened from a shared or bookmarked link: fill in the form and run the search
+  useEffect(() => {
+    restoreSearch();
+  }, []);
+
+  const restoreSearch = async () => {
+    const saved = readSearch(searchParams);
+    if (saved.legs.length === 0) return;
+
+    try {
+      const codes = [...new Set(saved.legs.flatMap(leg => [leg.departureIata, leg.arrivalIata]))];
+      const airports = {};
+      await Promise.all(codes.map(async (code) => {
+        const response = await airportAPI.search(code, 1);
+        const airport = (response.data || []).find(a => a.iataCode === code.toUpperCase());
+        if (airport) airports[code] = airport;
+      }));
+
+      const savedTripType = TRIP_TYPES.some(type => type.value === saved.tripType) ? saved.tripType : 'OneWay';
+      const savedLegs = saved.legs.map(leg => ({
+        ...emptyLeg(),
+        departure: airports[leg.departureIata] || null,
+        arrival: airports[leg.arrivalIata] || null,
+        flightDate: leg.flightDate
+      }));
+      setTripType(savedTripType);
+      setLegs(savedTripType === 'RoundTrip' ? savedLegs.slice(0, 1) : savedLegs);
+      setReturnDate(saved.returnDate);
+      setFlexibleDates(saved.flexibleDates);
+
+      const searchLegs = buildSearchLegs(savedTripType, savedLegs, saved.returnDate);
+      if (searchLegs.every(leg => leg.departure && leg.arrival && leg.flightDate)) {
+        runSearch(searchLegs);
+      }
+    } catch (error) {
+      console.error('Error restoring search:', error);
+    }
+  };
+
+  const changeTripType = (value) => {
+    setTripType(value);
+    setResults([]);
+    setSelectedFlights({});
+    setHasSearched(false);
+    if (value === 'MultiCity' && legs.length < 2) {
+      setLegs([...legs, emptyLeg()]);
+    } else if (value !== 'MultiCity') {
+      setLegs([legs[0]]);
+    }
+  };
+
+  const updateLeg = (index, field, value) => {
+    const updatedLegs = [...legs];
+    updatedLegs[index] = { ...updatedLegs[index], [field]: value };
+    setLegs(updatedLegs);
+  };
+
+  const addLeg = () => {
+    if (legs.length < MAX_LEGS) {
+      // Next leg starts where the previous one ended
+      setLegs([...legs, { ...emptyLeg(), departure: legs[legs.length - 1].arrival }]);
+    }
+  };
+
+  const removeLeg = (index) => {
+    if (legs.length > 2) {
+      setLegs(legs.filter((_, i) => i !== index));
+    }
+  };
+
+  const getSearchLegs = () => buildSearchLegs(tripType, legs, returnDate);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+
+    const searchLegs = getSearchLegs();
+    const incompleteLeg = searchLegs.findIndex(leg =>
+      !leg.departure || !leg.arrival || !leg.flightDate
+    );
+    if (incompleteLeg !== -1) {
+      toast({
+        title: "Missing Information",
+        description: tripType === 'RoundTrip' && incompleteLeg === 1
+          ? "Please choose a return date."
+          : `Please pick origin and destination from the suggestions and choose a date for flight ${incompleteLeg + 1}.`,
+        variant: "destructive"
+      });
+      return;
+    }
+    const sameAirportLeg = searchLegs.findIndex(leg => leg.departure.iataCode === leg.arrival.iataCode);
+    if (sameAirportLeg !== -1) {
+      toast({
+        title: "Invalid Route",
+        description: `Origin and destination must be different for flight ${sameAirportLeg + 1}.`,
+        variant: "destructive"
+      });
+      return;
+    }
+
+    setSearchParams(writeSearch(searchParams, { tripType, legs: searchLegs.map(toApiLeg), flexibleDates }));
+    await runSearch(searchLegs);
+  };
+
+  const runSearch = async (searchLegs) => {
+    setLoading(true);
+    setSelectedFlights({});
+    try {
+      const response = await flightAPI.searchItinerary({ legs: searchLegs.map(toApiLeg) });
+      setResults(response.data || []);
+      setSearchedLegs(searchLegs);
+      setHasSearched(true);
+    } catch (error) {
+      console.error('Error searching flights:', error);
+      toast({
+        title: "Search Failed",
+        description: typeof error.response?.data === 'string'
+          ? error.response.data
+          : "Failed to search flights. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // A day picked in a leg's fare calendar: run the last search again with that date,
+  // and show the date in the form too
+  const selectCalendarDate = (legIndex, date) => {
+    if (tripType === 'RoundTrip' && legIndex === 1) {
+      setReturnDate(date);
+    } else {
+      setLegs(legs.map((leg, index) => (index === legIndex ? { ...leg, flightDate: date } : leg)));
+    }
+    const updatedLegs = searchedLegs.map((leg, index) => (index === legIndex ? { ...leg, flightDate: date } : leg));
+    setSearchParams(
+      writeSearch(searchParams, { tripType, legs: updatedLegs.map(toApiLeg), flexibleDates }),
+      { replace: true }
+    );
+    runSearch(updatedLegs);
+  };
+
+  const toggleFlexibleDates = () => {
+    const params = new URLSearchParams(searchParams);
+    if (flexibleDates) params.delete('flex');
+    else params.set('flex', '1');
+    setFlexibleDates(!flexibleDates);
+    setSearchParams(params, { replace: true });
+  };
+
+  // Filters live in the URL only; replace so each tweak doesn't add a history entry
+  const updateFilters = (changes) => {
+    setSearchParams(writeFilters(searchParams, { ...filters, ...changes }), { replace: true });
+  };
+
+  const toggleAirline = (airline) => {
+    updateFilters({
+      airlines: filters.airlines.includes(airline)
+        ? filters.airlines.filter(a => a !== airline)
+        : [...filters.airlines, airline]
+    });
+  };
+
+  const clearFilters = () => {
+    updateFilters({ ...EMPTY_FILTERS, sort: filters.sort });
+  };
+
+  // Each leg's choice is a direct flight or a connection, kept as the flights it books
+  const selectFlight = (legIndex, flight) => {
+    setSelectedFlights({ ...selectedFlights, [legIndex]: { key: `flight-${flight.id}`, flights: [flight] } });
+  };
+
+  const selectConnection = (legIndex, connection) => {
+    setSelectedFlights({ ...selectedFlights, [legIndex]: { key: connection.id, flights: connection.flights } });
+  };
+
+  const openWaitlist = (flight) => {
+    if (!user) {
+      toast({
+        title: "Login Required",
+        description: "Please log in to join the waitlist.",
+        variant: "destructive"
+      });
+      navigate('/login');
+      return;
+    }
+    setWaitlistForm({ partySize: 1, fareClass: getAvailableFareClasses(flight)[0] || 'Economy' });
+    setWaitlistFlight(flight);
+  };
+
+  const joinWaitlist = async () => {
+    try {
+      setJoiningWaitlist(true);
+      const response = await waitlistAPI.join({
+        userId: user.userId || user.id,
+        flightId: waitlistFlight.id,
+        partySize: Number(waitlistForm.partySize),
+        fareClass: waitlistForm.fareClass
+      });
+      setWaitlistedFlightIds([...waitlistedFlightIds, waitlistFlight.id]);
+      toast({
+        title: "Added to Waitlist",
+        description: `You are number ${response.data?.position} in line for flight ${waitlistFlight.flightNumber}. If seats free up we'll hold them for you; check your dashboard for the offer.`
+      });
+      setWaitlistFlight(null);
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to join the waitlist.",
+        variant: "destructive"
+      });
+    } finally {
+      setJoiningWaitlist(false);
+    }
+  };
+
+  const allLegsSelected = results.length > 0 && results.every((_, index) => selectedFlights[index]);
+
+  const handleContinue = () => {
+    const flights = results.flatMap((_, index) => selectedFlights[index].flights);
+    navigate('/passenger-info', {
+      state: {
+        flightData: flights[0],
+        itinerary: flights.length > 1 ? { tripType, flights } : null
+      }
+    });
+  };
+
+  const formatDate = (dateString) =>
+    new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    }).format(new Date(dateString));
+
+  const activeFilterCount = countActiveFilters(filters);
+  const airlineOptions = getAirlineOptions(results.flatMap(legResult => [
+    ...legResult.flights,
+    ...(legResult.connections || []).flatMap(connection => connection.flights)
+  ]));
+
+  const getLegTitle = (index) => {
+    if (tripType === 'RoundTrip') return index === 0 ? 'Outbound' : 'Return';
+    if (tripType === 'MultiCity') return `Flight ${index + 1}`;
+    return 'Available Flights';
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Search Flights - Flynest</title>
+        <meta name="description" content="Search one-way, round-trip and multi-city flights with Flynest." />
+      </Helmet>
+
+      <div className="min-h-screen pt-20 pb-12">
+        <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+            className="mb-8"
+          >
+            <h1 className="text-4xl font-bold text-white mb-2">
+              Search Flights
+            </h1>
+            <p className="text-gray-300">Find flights for your next trip</p>
+          </motion.div>
+
+          {/* Search Form */}
+          <Card className="glass-effect border-white/10 mb-8">
+            <CardContent className="p-6">
+              <div className="flex flex-wrap gap-2 mb-6">
+                {TRIP_TYPES.map(type => (
+                  <Button
+                    key={type.value}
+                    type="button"
+                    variant="outline"
+                    onClick={() => changeTripType(type.value)}
+                    className={
+                      tripType === type.value
+                        ? 'border-blue-400 bg-blue-500/20 text-white'
+                        : 'border-white/20 text-gray-300 hover:bg-white/10'
+                    }
+                  >
+                    {type.label}
+                  </Button>
+                ))}
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={toggleFlexibleDates}
+                  className={
+                    flexibleDates
+                      ? 'border-green-400 bg-green-500/20 text-white'
+                      : 'border-white/20 text-gray-300 hover:bg-white/10'
+                  }
+                >
+                  <CalendarRange className="mr-2 h-4 w-4" />
+                  Flexible Dates
+                </Button>
+              </div>
+
+              <form onSubmit={handleSearch} className="space-y-4">
+                {legs.map((leg, index) => (
+                  <div key={leg.key} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                    <div>
+                      <Label htmlFor={`from_${index}`} className="text-white">
+                        {tripType === 'MultiCity' ? `From (Flight ${index + 1})` : 'From'}
+                      </Label>
+                      <AirportInput
+                        id={`from_${index}`}
+                        value={leg.departure}
+                        onChange={(airport) => updateLeg(index, 'departure', airport)}
+                        placeholder="City, airport or code"
+                      />
+                    </div>
+                    <div>
+                      <Label htmlFor={`to_${index}`} className="text-white">To</Label>
+                      <AirportInput
+                        id={`to_${index}`}
+                        value={leg.arrival}
+                        onChange={(airport) => updateLeg(index, 'arrival', airport)}
+                        placeholder="City, airport or code"
+                      />
+                    </div>
+                    <div>
+                      <Label htmlFor={`date_${index}`} className="text-white">
+                        {tripType === 'RoundTrip' ? 'Departure' : 'Date'}
+                      </Label>
+                      <Input
+                        id={`date_${index}`}
+                        type="date"
+                        value={leg.flightDate}
+                        onChange={(e) => updateLeg(index, 'flightDate', e.target.value)}
+                        className="bg-white/5 border-white/10 text-white"
+                      />
+                    </div>
+                    {tripType === 'RoundTrip' && (
+                      <div>
+                        <Label htmlFor="return_date" className="text-white">Return</Label>
+                        <Input
+                          id="return_date"
+                          type="date"
+                          min={leg.flightDate}
+                          value={returnDate}
+                          onChange={(e) => setReturnDate(e.target.value)}
+                          className="bg-white/5 border-white/10 text-white"
+                        />
+                      </div>
+                    )}
+                    {tripType === 'MultiCity' && legs.length > 2 && (
+                      <Button
+                        type="button"
+                        variant="outline"
+                        onClick={() => removeLeg(index)}
+                        className="text-red-400 border-red-400/30 hover:bg-red-400/10"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    )}
+                  </div>
+                ))}
+
+                <div className="flex flex-wrap gap-3 pt-2">
+                  {tripType === 'MultiCity' && legs.length < MAX_LEGS && (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={addLeg}
+                      className="border-white/20 text-white hover:bg-white/10"
+                    >
+                      <Plus className="mr-2 h-4 w-4" />
+                      Add Flight
+                    </Button>
+                  )}
+                  <Button
+                    type="submit"
+                    disabled={loading}
+                    className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                  >
+                    {loading ? (
+                      <RefreshCw className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <Search className="mr-2 h-4 w-4" />
+                    )}
+                    Search Flights
+                  </Button>
+                </div>
+              </form>
+            </CardContent>
+          </Card>
+
+          {/* Filters and sorting, applied to every leg */}
+          {hasSearched && airlineOptions.length > 0 && (
+            <Card className="glass-effect border-white/10 mb-6">
+              <CardContent className="p-6 space-y-4">
+                <div className="flex items-center justify-between">
+                  <span className="flex items-center text-white font-semibold">
+                    <SlidersHorizontal className="h-4 w-4 mr-2" />
+                    Filter & Sort
+                  </span>
+                  {activeFilterCount > 0 && (
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      onClick={clearFilters}
+                      className="text-gray-300 hover:text-white hover:bg-white/10"
+                    >
+                      <X className="h-4 w-4 mr-1" />
+                      Clear filters ({activeFilterCount})
+                    </Button>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+                  <div>
+                    <Label className="text-gray-400">Sort by</Label>
+                    <Select value={filters.sort} onValueChange={(value) => updateFilters({ sort: value })}>
+                      <SelectTrigger className="bg-white/5 border-white/10 text-white">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {SORT_OPTIONS.map(option => (
+                          <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div>
+                    <Label className="text-gray-400">Departure</Label>
+                    <Select
+                      value={filters.depart || 'any'}
+                      onValueChange={(value) => updateFilters({ depart: value === 'any' ? '' : value })}
+                    >
+                      <SelectTrigger className="bg-white/5 border-white/10 text-white">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="any">Any time</SelectItem>
+                        {TIME_WINDOWS.map(window => (
+                          <SelectItem key={window.value} value={window.value}>{window.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div>
+                    <Label className="text-gray-400">Arrival</Label>
+                    <Select
+                      value={filters.arrive || 'any'}
+                      onValueChange={(value) => updateFilters({ arrive: value === 'any' ? '' : value })}
+                    >
+                      <SelectTrigger className="bg-white/5 border-white/10 text-white">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="any">Any time</SelectItem>
+                        {TIME_WINDOWS.map(window => (
+                          <SelectItem key={window.value} value={window.value}>{window.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div>
+                    <Label className="text-gray-400">Class</Label>
+                    <Select
+                      value={filters.fareClass || 'any'}
+                      onValueChange={(value) => updateFilters({ fareClass: value === 'any' ? '' : value })}
+                    >
+                      <SelectTrigger className="bg-white/5 border-white/10 text-white">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="any">Any class</SelectItem>
+                        {FARE_CLASSES.map(fareClass => (
+                          <SelectItem key={fareClass} value={fareClass}>{fareClass}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div>
+                    <Label className="text-gray-400">Stops</Label>
+                    <Select
+                      value={filters.stops || 'any'}
+                      onValueChange={(value) => updateFilters({ stops: value === 'any' ? '' : value })}
+                    >
+                      <SelectTrigger className="bg-white/5 border-white/10 text-white">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="any">Any number</SelectItem>
+                        {STOP_OPTIONS.map(option => (
+                          <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                  <div>
+                    <Label htmlFor="min_price" className="text-gray-400">Min price (₹)</Label>
+                    <Input
+                      id="min_price"
+                      type="number"
+                      min="0"
+                      value={filters.minPrice}
+                      onChange={(e) => updateFilters({ minPrice: e.target.value })}
+                      className="bg-white/5 border-white/10 text-white"
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="max_price" className="text-gray-400">Max price (₹)</Label>
+                    <Input
+                      id="max_price"
+                      type="number"
+                      min="0"
+                      value={filters.maxPrice}
+                      onChange={(e) => updateFilters({ maxPrice: e.target.value })}
+                      className="bg-white/5 border-white/10 text-white"
+                    />
+                  </div>
+                  <div className="md:col-span-2">
+                    <Label className="text-gray-400">Airlines</Label>
+                    <div className="flex flex-wrap gap-2 mt-1">
+                      {airlineOptions.map(airline => (
+                        <Button
+                          key={airline.value}
+                          type="button"
+                          size="sm"
+                          variant="outline"
+                          onClick={() => toggleAirline(airline.value)}
+                          className={
+                            filters.airlines.includes(airline.value)
+                              ? 'border-blue-400 bg-blue-500/20 text-white'
+                              : 'border-white/20 text-gray-300 hover:bg-white/10'
+                          }
+                        >
+                          {airline.label}
+                        </Button>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Results per leg */}
+          {results.map((legResult, legIndex) => {
+            const durations = Object.fromEntries((legResult.durations || []).map(d => [d.flightId, d.minutes]));
+            const visibleFlights = sortFlights(filterFlights(legResult.flights, filters), filters, durations);
+            const connections = legResult.connections || [];
+            const visibleConnections = sortFlights(filterFlights(connections, filters), filters);
+            const total = legResult.flights.length + connections.length;
+            const shown = visibleFlights.length + visibleConnections.length;
+            return (
+              <Card key={legResult.legNumber} className="glass-effect border-white/10 mb-6">
+                <CardHeader>
+                  <CardTitle className="text-white flex items-center space-x-2">
+                    <Plane className="h-5 w-5" />
+                    <span>{getLegTitle(legIndex)}</span>
+                    <span className="text-sm font-normal text-gray-400">
+                      {legResult.departureIata} → {legResult.arrivalIata} · {formatDate(legResult.flightDate)}
+                      {shown < total && ` · Showing ${shown} of ${total}`}
+                    </span>
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  {flexibleDates && (
+                    <FareCalendar
+                      departureIata={legResult.departureIata}
+                      arrivalIata={legResult.arrivalIata}
+                      date={legResult.flightDate}
+                      onSelectDate={(date) => selectCalendarDate(legIndex, date)}
+                    />
+                  )}
+                  {total === 0 ? (
+                    <p className="text-gray-400 text-center py-6">No flights found for this route and date.</p>
+                  ) : shown === 0 ? (
+                    <p className="text-gray-400 text-center py-6">No flights match your filters.</p>
+                  ) : (
+                    <div className="space-y-3">
+                      {visibleFlights.map(flight => {
+                        const isSelected = selectedFlights[legIndex]?.key === `flight-${flight.id}`;
+                        const availability = legResult.availability?.find(a => a.flightId === flight.id);
+                        const availabilityLabel = getAvailabilityLabel(availability);
+                        const soldOut = isSoldOut(availability);
+                        return (
+                          <div
+                            key={flight.id}
+                            className={`flex flex-col md:flex-row md:items-center justify-between gap-4 p-4 rounded-lg border transition-all ${
+                              isSelected ? 'border-blue-400 bg-blue-500/10' : 'border-white/10 hover:border-white/20'
+                            }`}
+                          >
+                            <div className="flex items-center space-x-4">
+                              <div className="p-2 bg-blue-500/20 rounded-lg">
+                                <Plane className="h-5 w-5 text-blue-400" />
+                              </div>
+                              <div>
+                                <p className="font-semibold text-white">
+                                  {flight.airlineName} · {flight.flightNumber}
+                                </p>
+                                <div className="flex items-center space-x-3 text-sm text-gray-400">
+                                  <span className="flex items-center">
+                                    <MapPin className="h-3 w-3 mr-1" />
+                                    {flight.departureIata || flight.departureAirport}
+                                    <ArrowRight className="h-3 w-3 mx-1" />
+                                    {flight.arrivalIata || flight.arrivalAirport}
+                                  </span>
+                                  <span className="flex items-center">
+                                    <Calendar className="h-3 w-3 mr-1" />
+                                    {formatDate(flight.flightDate)}
+                                  </span>
+                                  {flight.departureTime && (
+                                    <span className="flex items-center">
+                                      <Clock className="h-3 w-3 mr-1" />
+                                      {flight.departureTime.slice(0, 5)}
+                                      {flight.arrivalTime && ` – ${flight.arrivalTime.slice(0, 5)}`}
+                                      {durations[flight.id] != null && ` · ${formatDuration(durations[flight.id])}`}
+                                    </span>
+                                  )}
+                                </div>
+                              </div>
+                            </div>
+
+                            <div className="flex items-center space-x-4">
+                              {availabilityLabel && (
+                                <Badge
+                                  className={
+                                    soldOut
+                                      ? 'bg-red-500/20 text-red-400 border-red-500/30'
+                                      : 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30'
+                                  }
+                                >
+                                  {availabilityLabel}
+                                </Badge>
+                              )}
+                              <div className="flex flex-wrap gap-2">
+                                {getAvailableFareClasses(flight).map(fareClass => (
+                                  <Badge key={fareClass} className="bg-white/10 text-gray-200 border-white/20">
+                                    {fareClass} ₹{getFarePrice(flight, fareClass)}
+                                  </Badge>
+                                ))}
+                              </div>
+                              {soldOut ? (
+                                <Button
+                                  type="button"
+                                  variant="outline"
+                                  onClick={() => openWaitlist(flight)}
+                                  disabled={waitlistedFlightIds.includes(flight.id)}
+                                  className="border-yellow-400/30 text-yellow-300 hover:bg-yellow-400/10"
+                                >
+                                  <Clock className="mr-2 h-4 w-4" />
+                                  {waitlistedFlightIds.includes(flight.id) ? 'On Waitlist' : 'Join Waitlist'}
+                                </Button>
+                              ) : (
+                                <Button
+                                  type="button"
+                                  onClick={() => selectFlight(legIndex, flight)}
+                                  variant={isSelected ? 'default' : 'outline'}
+                                  className={isSelected ? 'bg-blue-600 hover:bg-blue-700' : 'border-white/20 text-white hover:bg-white/10'}
+                                >
+                                  {isSelected ? (
+                                    <>
+                                      <CheckCircle className="mr-2 h-4 w-4" />
+                                      Selected
+                                    </>
+                                  ) : 'Select'}
+                                </Button>
+                              )}
+                            </div>
+                          </div>
+                        );
+                      })}
+                      {visibleConnections.length > 0 && (
+                        <p className="text-sm text-gray-400 pt-2">Connecting flights</p>
+                      )}
+                      {visibleConnections.map(connection => (
+                        <ConnectionOption
+                          key={connection.id}
+                          connection={connection}
+                          selected={selectedFlights[legIndex]?.key === connection.id}
+                          onSelect={() => selectConnection(legIndex, connection)}
+                        />
+                      ))}
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+            );
+          })}
+
+          {hasSearched && results.length > 0 && (
+            <div className="flex justify-end">
+              <Button
+                onClick={handleContinue}
+                disabled={!allLegsSelected}
+                className="bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700"
+              >
+                Continue to Passenger Details
+                <ArrowRight className="ml-2 h-4 w-4" />
+              </Button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Join Waitlist Modal */}
+      {waitlistFlight && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-slate-800 rounded-lg p-6 w-full max-w-md mx-4"
+          >
+            <h3 className="text-xl font-bold text-white mb-2">Join Waitlist</h3>
+            <p className="text-sm text-gray-400 mb-4">
+              Flight {waitlistFlight.flightNumber} is sold out. When seats free up they are offered to the
+              waitlist in the order people joined, and held for you for a limited time.
+            </p>
+            <div className="space-y-4">
+              <div>
+                <Label htmlFor="waitlist_party" className="text-gray-400">Seats needed</Label>
+                <Input
+                  id="waitlist_party"
+                  type="number"
+                  min="1"
+                  max={MAX_PARTY_SIZE}
+                  value={waitlistForm.partySize}
+                  onChange={(e) => setWaitlistForm({ ...waitlistForm, partySize: e.target.value })}
+                  className="bg-white/5 border-white/20 text-white"
+                />
+                <p className="text-xs text-gray-500 mt-1">Infants on a lap don't need a seat.</p>
+              </div>
+              <div>
+                <Label className="text-gray-400">Class</Label>
+                <Select
+                  value={waitlistForm.fareClass}
+                  onValueChange={(value) => setWaitlistForm({ ...waitlistForm, fareClass: value })}
+                >
+                  <SelectTrigger className="bg-white/5 border-white/20 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {getAvailableFareClasses(waitlistFlight).map(fareClass => (
+                      <SelectItem key={fareClass} value={fareClass}>
+                        {fareClass} · ₹{getFarePrice(waitlistFlight, fareClass)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <div className="flex space-x-2 mt-6">
+              <Button
+                onClick={joinWaitlist}
+                disabled={joiningWaitlist || !(Number(waitlistForm.partySize) >= 1 && Number(waitlistForm.partySize) <= MAX_PARTY_SIZE)}
+                className="flex-1 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+              >
+                {joiningWaitlist ? 'Joining...' : 'Join Waitlist'}
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => setWaitlistFlight(null)}
+                className="flex-1"
+              >
+                Cancel
+              </Button>
+            </div>
+          </motion.div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default Flights;
@@ -4,8 +4,19 @@
 -- ============================================
 
 -- Drop tables if exist (for clean execution)
+IF OBJECT_ID('email_outbox', 'U') IS NOT NULL DROP TABLE email_outbox;
+IF OBJECT_ID('notifications', 'U') IS NOT NULL DROP TABLE notifications;
+IF OBJECT_ID('calendar_feeds', 'U') IS NOT NULL DROP TABLE calendar_feeds;
+IF OBJECT_ID('waitlist', 'U') IS NOT NULL DROP TABLE waitlist;
+IF OBJECT_ID('saved_travellers', 'U') IS NOT NULL DROP TABLE saved_travellers;
+IF OBJECT_ID('booking_drafts', 'U') IS NOT NULL DROP TABLE booking_drafts;
+IF OBJECT_ID('passenger_addons', 'U') IS NOT NULL DROP TABLE passenger_addons;
+IF OBJECT_ID('addons', 'U') IS NOT NULL DROP TABLE addons;
+IF OBJECT_ID('booking_changes', 'U') IS NOT NULL DROP TABLE booking_changes;
+IF OBJECT_ID('refunds', 'U') IS NOT NULL DROP TABLE refunds;
 IF OBJECT_ID('payment', 'U') IS NOT NULL DROP TABLE payment;
 IF OBJECT_ID('ticket', 'U') IS NOT NULL DROP TABLE ticket;
+IF OBJECT_ID('booking_flights', 'U') IS NOT NULL DROP TABLE booking_flights;
 IF OBJECT_ID('passengers', 'U') IS NOT NULL DROP TABLE passengers;
 IF OBJECT_ID('booking', 'U') IS NOT NULL DROP TABLE booking;
 IF OBJECT_ID('users', 'U') IS NOT NULL DROP TABLE users;
@@ -131,6 +142,10 @@ INSERT INTO airplanes (name, model, registration_number, airline_iata, capacity)
 CREATE TABLE flights (
     id BIGINT IDENTITY(1,1) PRIMARY KEY,
     flight_date DATE,
+    -- Scheduled local times at each airport (see the *_timezone columns); an arrival_time
+    -- earlier than departure_time lands on a later day
+    departure_time TIME NULL,
+    arrival_time TIME NULL,
     flight_status VARCHAR(50),
     departure_airport VARCHAR(100),
     departure_timezone VARCHAR(100),
@@ -152,15 +167,21 @@ CREATE TABLE flights (
     airline_icao VARCHAR(10),
     flight_number VARCHAR(50),
     aircraft_id INT,
+    -- Per-class fares; NULL means the class is not sold on this flight
+    economy_price DECIMAL(10,2),
+    business_price DECIMAL(10,2),
+    first_price DECIMAL(10,2),
+    -- Seats the admin allows to be sold beyond the aircraft's capacity
+    overbooking_allowance INT NOT NULL DEFAULT 0 CHECK (overbooking_allowance >= 0),
     FOREIGN KEY (aircraft_id) REFERENCES airplanes(id)
 );
 
-INSERT INTO flights (flight_date, flight_status, departure_airport, departure_timezone, departure_iata, departure_icao, departure_terminal, departure_gate, departure_delay, arrival_airport, arrival_timezone, arrival_iata, arrival_icao, arrival_terminal, arrival_gate, arrival_baggage, arrival_delay, airline_name, airline_iata, airline_icao, flight_number, aircraft_id) VALUES
-('2025-08-01', 'Scheduled', 'Indira Gandhi International Airport', 'Asia/Kolkata', 'DEL', 'VIDP', 'T3', 'G12', 10, 'John F. Kennedy International Airport', 'America/New_York', 'JFK', 'KJFK', '4', 'B7', 'Belt 3', 5, 'Air India', 'AI', 'AIC', 'AI101', 1),
-('2025-08-02', 'Scheduled', 'Chhatrapati Shivaji Maharaj International Airport', 'Asia/Kolkata', 'BOM', 'VABB', 'T2', 'F6', 5, 'Dubai International Airport', 'Asia/Dubai', 'DXB', 'OMDB', '1', 'C3', 'Belt 5', 3, 'IndiGo', '6E', 'IGO', '6E121', 2),
-('2025-08-03', 'Scheduled', 'John F. Kennedy International Airport', 'America/New_York', 'JFK', 'KJFK', 'T1', 'D8', 0, 'London Heathrow Airport', 'Europe/London', 'LHR', 'EGLL', '5', 'A2', 'Belt 6', 2, 'Delta Airlines', 'DL', 'DAL', 'DL404', 3),
-('2025-08-04', 'Scheduled', 'Dubai International Airport', 'Asia/Dubai', 'DXB', 'OMDB', 'T3', 'E10', 0, 'London Heathrow Airport', 'Europe/London', 'LHR', 'EGLL', '5', 'B1', 'Belt 8', 0, 'Emirates', 'EK', 'UAE', 'EK502', 4),
-('2025-08-05', 'Scheduled', 'London Heathrow Airport', 'Europe/London', 'LHR', 'EGLL', 'T4', 'H4', 15, 'Indira Gandhi International Airport', 'Asia/Kolkata', 'DEL', 'VIDP', '3', 'C4', 'Belt 9', 10, 'British Airways', 'BA', 'BAW', 'BA257', 5);
+INSERT INTO flights (flight_date, departure_time, arrival_time, flight_status, departure_airport, departure_timezone, departure_iata, departure_icao, departure_terminal, departure_gate, departure_delay, arrival_airport, arrival_timezone, arrival_iata, arrival_icao, arrival_terminal, arrival_gate, arrival_baggage, arrival_delay, airline_name, airline_iata, airline_icao, flight_number, aircraft_id, economy_price, business_price, first_price) VALUES
+('2025-08-01', '02:15', '07:45', 'Scheduled', 'Indira Gandhi International Airport', 'Asia/Kolkata', 'DEL', 'VIDP', 'T3', 'G12', 10, 'John F. Kennedy International Airport', 'America/New_York', 'JFK', 'KJFK', '4', 'B7', 'Belt 3', 5, 'Air India', 'AI', 'AIC', 'AI101', 1, 45000.00, 120000.00, NULL),
+('2025-08-02', '09:40', '11:50', 'Scheduled', 'Chhatrapati Shivaji Maharaj International Airport', 'Asia/Kolkata', 'BOM', 'VABB', 'T2', 'F6', 5, 'Dubai International Airport', 'Asia/Dubai', 'DXB', 'OMDB', '1', 'C3', 'Belt 5', 3, 'IndiGo', '6E', 'IGO', '6E121', 2, 12000.00, 30000.00, NULL),
+('2025-08-03', '18:30', '06:40', 'Scheduled', 'John F. Kennedy International Airport', 'America/New_York', 'JFK', 'KJFK', 'T1', 'D8', 0, 'London Heathrow Airport', 'Europe/London', 'LHR', 'EGLL', '5', 'A2', 'Belt 6', 2, 'Delta Airlines', 'DL', 'DAL', 'DL404', 3, 38000.00, 95000.00, 210000.00),
+('2025-08-04', '14:25', '18:55', 'Scheduled', 'Dubai International Airport', 'Asia/Dubai', 'DXB', 'OMDB', 'T3', 'E10', 0, 'London Heathrow Airport', 'Europe/London', 'LHR', 'EGLL', '5', 'B1', 'Belt 8', 0, 'Emirates', 'EK', 'UAE', 'EK502', 4, 32000.00, 88000.00, 190000.00),
+('2025-08-05', '10:05', '00:45', 'Scheduled', 'London Heathrow Airport', 'Europe/London', 'LHR', 'EGLL', 'T4', 'H4', 15, 'Indira Gandhi International Airport', 'Asia/Kolkata', 'DEL', 'VIDP', '3', 'C4', 'Belt 9', 10, 'British Airways', 'BA', 'BAW', 'BA257', 5, 41000.00, 110000.00, NULL);
 
 -- Continue with users, booking, passengers, ticket, payment (with sample data)
 -- Table: users
@@ -183,20 +204,45 @@ INSERT INTO users (name, email, password, phone) VALUES
 -- Table: booking
 CREATE TABLE booking (
     booking_id INT IDENTITY(1,1) PRIMARY KEY,
+    pnr CHAR(6) NOT NULL UNIQUE, -- booking reference shown to customers; booking_id stays internal
     user_id INT,
     flight_id BIGINT,
     booking_date DATETIME DEFAULT GETDATE(),
+    amount DECIMAL(10,2),
+    trip_type VARCHAR(20) DEFAULT 'OneWay' CHECK (trip_type IN ('OneWay','RoundTrip','MultiCity')),
     status VARCHAR(20) CHECK (status IN ('Confirmed','Pending','Cancelled')),
+    hold_expires_at DATETIME NULL, -- Pending bookings are cancelled after this
+    cancelled_at DATETIME NULL,
     FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
     FOREIGN KEY (flight_id) REFERENCES flights(id) ON DELETE CASCADE
 );
 
-INSERT INTO booking (user_id, flight_id, status) VALUES
-(1, 1, 'Confirmed'),
-(2, 2, 'Pending'),
-(3, 3, 'Confirmed'),
-(4, 4, 'Pending'),
-(5, 5, 'Confirmed');
+INSERT INTO booking (pnr, user_id, flight_id, amount, status) VALUES
+('K7QX2M', 1, 1, 45000.00, 'Confirmed'),
+('R4TNW8', 2, 2, 30000.00, 'Pending'),
+('H9CZP3', 3, 3, 38000.00, 'Confirmed'),
+('B6MVJ5', 4, 4, 190000.00, 'Pending'),
+('YD3FQ7', 5, 5, 41000.00, 'Confirmed');
+
+-- Table: booking_flights
+-- Legs of a booking in travel order. booking.flight_id keeps the first leg.
+CREATE TABLE booking_flights (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    booking_id INT NOT NULL,
+    flight_id BIGINT NOT NULL,
+    leg_number INT NOT NULL,
+    UNIQUE (booking_id, leg_number),
+    FOREIGN KEY (booking_id) REFERENCES booking(booking_id) ON DELETE CASCADE,
+    -- No cascade here: flights already cascade to booking (multiple cascade paths)
+    FOREIGN KEY (flight_id) REFERENCES flights(id)
+);
+
+INSERT INTO booking_flights (booking_id, flight_id, leg_number) VALUES
+(1, 1, 1),
+(2, 2, 1),
+(3, 3, 1),
+(4, 4, 1),
+(5, 5, 1);
 
 -- Table: passengers
 CREATE TABLE passengers (
@@ -204,34 +250,55 @@ CREATE TABLE passengers (
     booking_id INT,
     full_name VARCHAR(100),
     gender VARCHAR(10) CHECK (gender IN ('Male','Female','Other')),
-    age INT,
-    passport_number VARCHAR(50) UNIQUE,
-    FOREIGN KEY (booking_id) REFERENCES booking(booking_id) ON DELETE CASCADE
+    age INT, -- on the first day of travel, derived from date_of_birth
+    date_of_birth DATE,
+    nationality VARCHAR(10),
+    passport_number VARCHAR(50),
+    passport_expiry DATE,
+    passenger_type VARCHAR(10) CHECK (passenger_type IN ('Adult','Child','Infant')),
+    -- The same traveller may appear on many bookings, but only once per booking
+    UNIQUE (booking_id, passport_number),
+    FOREIGN KEY (booking_id) REFERENCES booking(booking_id) ON DELETE CASCADE,
+    FOREIGN KEY (nationality) REFERENCES countries(iso2)
 );
 
-INSERT INTO passengers (booking_id, full_name, gender, age, passport_number) VALUES
-(1, 'John Doe', 'Male', 32, 'P12345678'),
-(2, 'Jane Smith', 'Female', 28, 'P23456789'),
-(3, 'Rahul Sharma', 'Male', 35, 'P34567890'),
-(4, 'Priya Kapoor', 'Female', 30, 'P45678901'),
-(5, 'David Miller', 'Male', 40, 'P56789012');
+INSERT INTO passengers (booking_id, full_name, gender, age, date_of_birth, nationality, passport_number, passport_expiry, passenger_type) VALUES
+(1, 'John Doe', 'Male', 32, '1993-03-14', 'US', 'P12345678', '2031-05-01', 'Adult'),
+(2, 'Jane Smith', 'Female', 28, '1997-07-22', 'GB', 'P23456789', '2030-11-15', 'Adult'),
+(3, 'Rahul Sharma', 'Male', 35, '1990-01-09', 'IN', 'P34567890', '2032-02-28', 'Adult'),
+(4, 'Priya Kapoor', 'Female', 30, '1995-06-30', 'IN', 'P45678901', '2029-09-10', 'Adult'),
+(5, 'David Miller', 'Male', 40, '1985-04-18', 'GB', 'P56789012', '2031-12-31', 'Adult');
 
 -- Table: ticket
 CREATE TABLE ticket (
     ticket_id INT IDENTITY(1,1) PRIMARY KEY,
     booking_id INT,
+    passenger_id INT,
+    flight_id BIGINT,
     ticket_number VARCHAR(50) UNIQUE,
     seat_number VARCHAR(10),
     class VARCHAR(20) CHECK (class IN ('Economy','Business','First')),
-    FOREIGN KEY (booking_id) REFERENCES booking(booking_id) ON DELETE CASCADE
+    fare_amount DECIMAL(10,2),
+    checked_in_at DATETIME NULL, -- set by online check-in
+    boarding_sequence INT NULL, -- check-in order on the flight, printed on the boarding pass
+    -- One ticket per passenger per leg
+    UNIQUE (passenger_id, flight_id),
+    FOREIGN KEY (booking_id) REFERENCES booking(booking_id) ON DELETE CASCADE,
+    -- No cascade here: passengers already cascade from booking (multiple cascade paths)
+    FOREIGN KEY (passenger_id) REFERENCES passengers(passenger_id),
+    FOREIGN KEY (flight_id) REFERENCES flights(id)
 );
 
-INSERT INTO ticket (booking_id, ticket_number, seat_number, class) VALUES
-(1, 'TCKT1001', '12A', 'Economy'),
-(2, 'TCKT1002', '14B', 'Business'),
-(3, 'TCKT1003', '15C', 'Economy'),
-(4, 'TCKT1004', '16D', 'First'),
-(5, 'TCKT1005', '17E', 'Economy');
+-- A seat belongs to one ticket per flight; cancelled tickets release their seat_number
+CREATE UNIQUE INDEX UX_ticket_flight_seat ON ticket (flight_id, seat_number)
+    WHERE flight_id IS NOT NULL AND seat_number IS NOT NULL;
+
+INSERT INTO ticket (booking_id, passenger_id, flight_id, ticket_number, seat_number, class, fare_amount) VALUES
+(1, 1, 1, 'TCKT1001', '12A', 'Economy', 45000.00),
+(2, 2, 2, 'TCKT1002', '14B', 'Business', 30000.00),
+(3, 3, 3, 'TCKT1003', '15C', 'Economy', 38000.00),
+(4, 4, 4, 'TCKT1004', '16D', 'First', 190000.00),
+(5, 5, 5, 'TCKT1005', '17E', 'Economy', 41000.00);
 
 -- Table: payment
 CREATE TABLE payment (
@@ -253,3 +320,196 @@ INSERT INTO payment (booking_id, stripe_payment_id, amount, currency, payment_st
 (3, 'pi_1122334455', 700.00, 'USD', 'succeeded', 'card', 'https://stripe.com/receipt3'),
 (4, 'pi_2233445566', 450.00, 'AED', 'pending', 'card', 'https://stripe.com/receipt4'),
 (5, 'pi_3344556677', 650.00, 'GBP', 'succeeded', 'card', 'https://stripe.com/receipt5');
+
+-- Table: refunds
+-- Money owed back on a cancelled booking, worked out by the configured refund policy
+CREATE TABLE refunds (
+    refund_id INT IDENTITY(1,1) PRIMARY KEY,
+    booking_id INT NOT NULL,
+    payment_id INT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(10),
+    refund_percent DECIMAL(5,1), -- share of the payment refunded
+    refund_status VARCHAR(20) DEFAULT 'pending' CHECK (refund_status IN ('pending','succeeded','failed')),
+    reason VARCHAR(255),
+    created_at DATETIME DEFAULT GETDATE(),
+    FOREIGN KEY (booking_id) REFERENCES booking(booking_id) ON DELETE CASCADE,
+    -- No cascade here: payment already cascades from booking (multiple cascade paths)
+    FOREIGN KEY (payment_id) REFERENCES payment(payment_id)
+);
+
+-- Table: booking_changes
+-- History of flight changes on a booking with what was collected or refunded
+CREATE TABLE booking_changes (
+    change_id INT IDENTITY(1,1) PRIMARY KEY,
+    booking_id INT NOT NULL,
+    from_flight_id BIGINT NOT NULL,
+    to_flight_id BIGINT NOT NULL,
+    fare_difference DECIMAL(10,2) NOT NULL,
+    change_fee DECIMAL(10,2) NOT NULL,
+    payment_id INT NULL, -- extra amount collected
+    refund_id INT NULL, -- amount returned when the new fare is lower
+    changed_at DATETIME DEFAULT GETDATE(),
+    FOREIGN KEY (booking_id) REFERENCES booking(booking_id) ON DELETE CASCADE,
+    -- No cascade on the rest: booking already cascades to all of them (multiple cascade paths)
+    FOREIGN KEY (from_flight_id) REFERENCES flights(id),
+    FOREIGN KEY (to_flight_id) REFERENCES flights(id),
+    FOREIGN KEY (payment_id) REFERENCES payment(payment_id),
+    FOREIGN KEY (refund_id) REFERENCES refunds(refund_id)
+);
+
+-- Table: addons
+-- Extras each airline sells per passenger and flight, priced by the admin.
+-- code groups the options a passenger picks one of (e.g. 15 kg or 25 kg of baggage).
+CREATE TABLE addons (
+    addon_id INT IDENTITY(1,1) PRIMARY KEY,
+    airline_id INT NOT NULL,
+    code VARCHAR(20) NOT NULL CHECK (code IN ('baggage','meal','priority','legroom')),
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255),
+    price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+    is_active BIT NOT NULL DEFAULT 1, -- retired options stay for bookings that already have them
+    UNIQUE (airline_id, name),
+    FOREIGN KEY (airline_id) REFERENCES airlines(id) ON DELETE CASCADE
+);
+
+INSERT INTO addons (airline_id, code, name, description, price) VALUES
+(1, 'baggage', 'Extra 15 kg', 'One additional checked bag up to 15 kg', 2500.00),
+(1, 'baggage', 'Extra 25 kg', 'One additional checked bag up to 25 kg', 4000.00),
+(1, 'meal', 'Vegetarian meal', 'Hot vegetarian meal', 450.00),
+(1, 'meal', 'Non-vegetarian meal', 'Hot non-vegetarian meal', 550.00),
+(1, 'priority', 'Priority boarding', 'Board in the first group', 600.00),
+(1, 'legroom', 'Extra legroom', 'Exit row or front-row seat', 1500.00),
+(2, 'baggage', 'Extra 15 kg', 'One additional checked bag up to 15 kg', 2200.00),
+(2, 'meal', 'Vegetarian meal', 'Pre-booked vegetarian meal', 350.00),
+(2, 'priority', 'Priority boarding', 'Board in the first group', 400.00),
+(2, 'legroom', 'Extra legroom', 'Exit row or front-row seat', 1200.00),
+(3, 'baggage', 'Extra 23 kg', 'One additional checked bag up to 23 kg', 3500.00),
+(3, 'meal', 'Vegan meal', 'Plant-based meal', 0.00),
+(3, 'priority', 'Priority boarding', 'Board in the first group', 1000.00),
+(4, 'baggage', 'Extra 10 kg', 'Ten more kilograms on your allowance', 3000.00),
+(4, 'meal', 'Hindu meal', 'No beef or pork', 0.00),
+(4, 'legroom', 'Extra legroom', 'Exit row seat', 2500.00),
+(5, 'baggage', 'Extra 23 kg', 'One additional checked bag up to 23 kg', 3800.00),
+(5, 'priority', 'Priority boarding', 'Board in the first group', 900.00);
+
+-- Table: passenger_addons
+-- Add-ons bought for a passenger on one flight, at the price charged then
+CREATE TABLE passenger_addons (
+    passenger_addon_id INT IDENTITY(1,1) PRIMARY KEY,
+    booking_id INT NOT NULL,
+    passenger_id INT NOT NULL,
+    flight_id BIGINT NOT NULL,
+    addon_id INT NOT NULL,
+    price DECIMAL(10,2) NOT NULL,
+    created_at DATETIME DEFAULT GETDATE(),
+    UNIQUE (passenger_id, flight_id, addon_id),
+    FOREIGN KEY (booking_id) REFERENCES booking(booking_id) ON DELETE CASCADE,
+    -- No cascade on the rest: booking and airlines already cascade to them (multiple cascade paths)
+    FOREIGN KEY (passenger_id) REFERENCES passengers(passenger_id),
+    FOREIGN KEY (flight_id) REFERENCES flights(id),
+    FOREIGN KEY (addon_id) REFERENCES addons(addon_id)
+);
+
+-- Table: booking_drafts
+-- Unfinished bookings so the flow survives reloads; data is the client's JSON snapshot
+CREATE TABLE booking_drafts (
+    draft_id INT IDENTITY(1,1) PRIMARY KEY,
+    user_id INT NOT NULL,
+    step VARCHAR(20) NOT NULL CHECK (step IN ('details','seats','addons','payment')),
+    data NVARCHAR(MAX),
+    booking_id INT NULL,
+    created_at DATETIME DEFAULT GETDATE(),
+    updated_at DATETIME DEFAULT GETDATE(),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    -- No cascade here: users already cascade to booking (multiple cascade paths)
+    FOREIGN KEY (booking_id) REFERENCES booking(booking_id)
+);
+
+-- Table: saved_travellers
+-- Co-traveller profiles a user can reuse when entering passengers
+CREATE TABLE saved_travellers (
+    traveller_id INT IDENTITY(1,1) PRIMARY KEY,
+    user_id INT NOT NULL,
+    full_name VARCHAR(100) NOT NULL,
+    gender VARCHAR(10) CHECK (gender IN ('Male','Female','Other')),
+    date_of_birth DATE,
+    nationality VARCHAR(10),
+    passport_number VARCHAR(50) NOT NULL,
+    passport_expiry DATE,
+    created_at DATETIME DEFAULT GETDATE(),
+    UNIQUE (user_id, passport_number),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (nationality) REFERENCES countries(iso2)
+);
+
+INSERT INTO saved_travellers (user_id, full_name, gender, date_of_birth, nationality, passport_number, passport_expiry) VALUES
+(1, 'Mary Doe', 'Female', '1995-02-11', 'US', 'P56781234', '2030-08-20'),
+(3, 'Anita Sharma', 'Female', '1992-10-05', 'IN', 'P67892345', '2033-01-17');
+
+-- Table: waitlist
+-- Customers queued for a sold-out flight, first come first served. When seats free up the
+-- next party that fits is offered them until offer_expires_at; booking_id is set once taken up.
+CREATE TABLE waitlist (
+    waitlist_id INT IDENTITY(1,1) PRIMARY KEY,
+    user_id INT NOT NULL,
+    flight_id BIGINT NOT NULL,
+    party_size INT NOT NULL CHECK (party_size > 0),
+    fare_class VARCHAR(20) DEFAULT 'Economy' CHECK (fare_class IN ('Economy','Business','First')),
+    status VARCHAR(20) DEFAULT 'Waiting' CHECK (status IN ('Waiting','Offered','Booked','Expired','Cancelled')),
+    created_at DATETIME DEFAULT GETDATE(),
+    offered_at DATETIME NULL,
+    offer_expires_at DATETIME NULL,
+    booking_id INT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (flight_id) REFERENCES flights(id) ON DELETE CASCADE,
+    -- No cascade here: users and flights already cascade to booking (multiple cascade paths)
+    FOREIGN KEY (booking_id) REFERENCES booking(booking_id)
+);
+
+-- Table: calendar_feeds
+-- Private iCalendar subscription per user; the token is the whole credential, so
+-- resetting it revokes the old URL and deleting the row turns the feed off
+CREATE TABLE calendar_feeds (
+    user_id INT PRIMARY KEY,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT GETDATE(),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Table: notifications
+-- In-app inbox: booking, payment, refund, schedule and check-in events per user.
+-- dedupe_key marks events raised by a sweep (check-in opening) so each is sent once.
+CREATE TABLE notifications (
+    notification_id INT IDENTITY(1,1) PRIMARY KEY,
+    user_id INT NOT NULL,
+    booking_id INT NULL,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('BookingConfirmed','PaymentSucceeded','PaymentFailed','BookingCancelled','RefundInitiated','ScheduleChanged','CheckInOpen')),
+    title VARCHAR(150) NOT NULL,
+    message VARCHAR(500) NOT NULL,
+    dedupe_key VARCHAR(100) NULL,
+    created_at DATETIME DEFAULT GETDATE(),
+    read_at DATETIME NULL,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    -- No cascade here: users already cascade to booking (multiple cascade paths)
+    FOREIGN KEY (booking_id) REFERENCES booking(booking_id)
+);
+
+-- Table: email_outbox
+-- Transactional emails queued with the change they report and sent by a background worker
+-- through the configured SMTP server; failures are retried until max attempts, then Failed
+CREATE TABLE email_outbox (
+    email_id INT IDENTITY(1,1) PRIMARY KEY,
+    to_address VARCHAR(100) NOT NULL,
+    reply_to VARCHAR(100) NULL,
+    template VARCHAR(30) NOT NULL CHECK (template IN ('Registration','BookingConfirmed','PaymentReceipt','Cancellation','ScheduleChanged','SupportRequest','SupportAcknowledgement')),
+    subject NVARCHAR(200) NOT NULL,
+    html_body NVARCHAR(MAX) NOT NULL,
+    text_body NVARCHAR(MAX) NOT NULL,
+    status VARCHAR(20) DEFAULT 'Queued' CHECK (status IN ('Queued','Sent','Failed')),
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME DEFAULT GETDATE(),
+    last_error NVARCHAR(500) NULL,
+    created_at DATETIME DEFAULT GETDATE(),
+    sent_at DATETIME NULL
+);
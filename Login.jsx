@@ -140,6 +140,12 @@ const Login = () => {
                     Sign up
                   </Link>
                 </p>
+                <p className="text-gray-300">
+                  Booked already?{' '}
+                  <Link to="/manage-booking" className="text-blue-400 hover:text-blue-300 font-medium">
+                    Manage your booking
+                  </Link>
+                </p>
                 
                 {/* <div className="text-sm text-gray-400">
                   <p>Demo Accounts:</p>
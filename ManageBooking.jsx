@@ -0,0 +1,426 @@
+import React, { useState } from 'react';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import {
+  Search, Plane, Calendar, MapPin, Users, CreditCard, CheckCircle, XCircle, Clock, AlertTriangle, ArrowRight
+} from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from '@/components/ui/use-toast';
+import { bookingAPI } from '@/services/api';
+
+const PNR_LENGTH = 6;
+
+// Public "Manage booking": look a booking up by its reference and a passenger's last name,
+// without logging in, and view or cancel it under the same rules as My Bookings
+const ManageBooking = () => {
+  const [lookup, setLookup] = useState({ pnr: '', lastName: '' });
+  const [booking, setBooking] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [showCancelModal, setShowCancelModal] = useState(false);
+  const [refundQuote, setRefundQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
+  const [cancellingBooking, setCancellingBooking] = useState(false);
+
+  const canSearch = lookup.pnr.trim().length === PNR_LENGTH && lookup.lastName.trim();
+
+  const findBooking = async () => {
+    const response = await bookingAPI.lookup({ pnr: lookup.pnr.trim(), lastName: lookup.lastName.trim() });
+    setBooking(response.data);
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    try {
+      setSearching(true);
+      setBooking(null);
+      await findBooking();
+    } catch (error) {
+      console.error('Error looking up booking:', error);
+      toast({
+        title: "Booking Not Found",
+        description: error.response?.data?.message || "Failed to look up the booking. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleCancelBooking = async () => {
+    setRefundQuote(null);
+    setShowCancelModal(true);
+
+    try {
+      setQuoteLoading(true);
+      const response = await bookingAPI.getGuestRefundQuote({ pnr: booking.pnr, lastName: lookup.lastName.trim() });
+      setRefundQuote(response.data);
+    } catch (error) {
+      console.error('Error fetching refund quote:', error);
+      toast({
+        title: "Cannot Cancel",
+        description: error.response?.data?.message || "Failed to work out the refund. Please try again.",
+        variant: "destructive"
+      });
+      setShowCancelModal(false);
+    } finally {
+      setQuoteLoading(false);
+    }
+  };
+
+  const closeCancelModal = () => {
+    setShowCancelModal(false);
+    setRefundQuote(null);
+  };
+
+  const confirmCancellation = async () => {
+    try {
+      setCancellingBooking(true);
+      const response = await bookingAPI.cancelGuest({ pnr: booking.pnr, lastName: lookup.lastName.trim() });
+      const refund = response.data?.refund;
+
+      toast({
+        title: "Booking Cancelled",
+        description: refund?.amount > 0
+          ? `A refund of ${formatRefundAmount(refund.amount, refund.currency)} will be processed within 5-6 business days.`
+          : "Your booking has been cancelled. No refund is due under the cancellation policy.",
+      });
+
+      closeCancelModal();
+      await findBooking();
+    } catch (error) {
+      console.error('Error cancelling booking:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to cancel booking. Please try again or contact support.",
+        variant: "destructive"
+      });
+    } finally {
+      setCancellingBooking(false);
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    }).format(new Date(dateString));
+
+  const formatRefundAmount = (amount, currency = 'INR') =>
+    new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(amount || 0);
+
+  const getStatusColor = (status) => {
+    switch (status?.toLowerCase()) {
+      case 'confirmed':
+        return 'bg-green-500/20 text-green-400 border-green-500/30';
+      case 'cancelled':
+        return 'bg-red-500/20 text-red-400 border-red-500/30';
+      case 'pending':
+        return 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30';
+      default:
+        return 'bg-gray-500/20 text-gray-400 border-gray-500/30';
+    }
+  };
+
+  const getStatusIcon = (status) => {
+    switch (status?.toLowerCase()) {
+      case 'confirmed':
+        return <CheckCircle className="h-4 w-4" />;
+      case 'cancelled':
+        return <XCircle className="h-4 w-4" />;
+      default:
+        return <Clock className="h-4 w-4" />;
+    }
+  };
+
+  const getFlightNumber = (flightId) =>
+    booking?.flights.find(flight => flight.id === flightId)?.flightNumber;
+
+  const refundTotal = (booking?.refunds || []).reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
+  return (
+    <>
+      <Helmet>
+        <title>Manage Booking - Flynest</title>
+        <meta name="description" content="Find your Flynest booking with its reference and last name to view or cancel it." />
+      </Helmet>
+
+      <div className="min-h-screen pt-20 pb-12">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+            className="mb-8"
+          >
+            <h1 className="text-4xl font-bold text-white mb-2">
+              Manage Booking
+            </h1>
+            <p className="text-gray-300">
+              Enter your booking reference and the last name of any passenger on the booking
+            </p>
+          </motion.div>
+
+          {/* Lookup Form */}
+          <Card className="glass-effect border-white/10 mb-8">
+            <CardContent className="p-6">
+              <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                <div>
+                  <Label htmlFor="pnr" className="text-white">Booking Reference</Label>
+                  <Input
+                    id="pnr"
+                    value={lookup.pnr}
+                    maxLength={PNR_LENGTH}
+                    onChange={(e) => setLookup({ ...lookup, pnr: e.target.value.toUpperCase() })}
+                    placeholder="e.g. K7QX2M"
+                    className="bg-white/5 border-white/10 text-white placeholder:text-gray-400 font-mono uppercase"
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="last_name" className="text-white">Last Name</Label>
+                  <Input
+                    id="last_name"
+                    value={lookup.lastName}
+                    onChange={(e) => setLookup({ ...lookup, lastName: e.target.value })}
+                    placeholder="As on the passport"
+                    className="bg-white/5 border-white/10 text-white placeholder:text-gray-400"
+                  />
+                </div>
+                <Button
+                  type="submit"
+                  disabled={!canSearch || searching}
+                  className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                >
+                  <Search className="mr-2 h-4 w-4" />
+                  {searching ? 'Searching...' : 'Find Booking'}
+                </Button>
+              </form>
+            </CardContent>
+          </Card>
+
+          {/* Booking */}
+          {booking && (
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+            >
+              <Card className="glass-effect border-white/10">
+                <CardHeader>
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-2">
+                      {getStatusIcon(booking.status)}
+                      <Badge className={getStatusColor(booking.status)}>
+                        {booking.status}
+                      </Badge>
+                      {booking.tripType && booking.tripType !== 'OneWay' && (
+                        <Badge className="bg-blue-500/20 text-blue-300 border-blue-500/30">
+                          {booking.tripType === 'RoundTrip' ? 'Round Trip' : 'Multi-City'}
+                        </Badge>
+                      )}
+                    </div>
+                    <div className="text-right">
+                      <p className="text-sm text-gray-400">Booking Reference</p>
+                      <p className="font-mono text-white">{booking.pnr}</p>
+                    </div>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  {/* Flights */}
+                  <div className="space-y-3">
+                    {booking.flights.map((flight, index) => (
+                      <div key={flight.id} className="flex items-center justify-between p-3 rounded-lg border border-white/10">
+                        <div className="flex items-center space-x-3">
+                          <div className="p-2 bg-blue-500/20 rounded-lg">
+                            <Plane className="h-4 w-4 text-blue-400" />
+                          </div>
+                          <div>
+                            <p className="font-semibold text-white">
+                              {booking.flights.length > 1 && `Flight ${index + 1} · `}
+                              {flight.airlineName} · {flight.flightNumber}
+                            </p>
+                            <p className="flex items-center text-sm text-gray-400">
+                              <MapPin className="h-3 w-3 mr-1" />
+                              {flight.departureIata || flight.departureAirport}
+                              <ArrowRight className="h-3 w-3 mx-1" />
+                              {flight.arrivalIata || flight.arrivalAirport}
+                            </p>
+                          </div>
+                        </div>
+                        <span className="flex items-center text-sm text-gray-300">
+                          <Calendar className="h-3 w-3 mr-1" />
+                          {formatDate(flight.flightDate)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+
+                  {/* Passengers */}
+                  <div>
+                    <p className="flex items-center text-sm text-gray-400 mb-2">
+                      <Users className="h-4 w-4 mr-2" />
+                      Passengers
+                    </p>
+                    <div className="space-y-2">
+                      {booking.passengers.map((passenger, index) => (
+                        <div key={index} className="p-3 rounded-lg bg-white/5">
+                          <p className="text-white">
+                            {passenger.fullName}
+                            <span className="ml-2 text-xs text-gray-400">{passenger.passengerType}</span>
+                          </p>
+                          {passenger.tickets.map(ticket => (
+                            <p key={ticket.ticketNumber} className="text-sm text-gray-400">
+                              {getFlightNumber(ticket.flightId)} · {ticket.class} · Seat {ticket.seatNumber || 'at check-in'} · {ticket.ticketNumber}
+                            </p>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Amount */}
+                  <div className="flex items-center justify-between border-t border-white/10 pt-4">
+                    <span className="flex items-center text-gray-400">
+                      <CreditCard className="h-4 w-4 mr-2" />
+                      Total
+                    </span>
+                    <span className="font-bold text-white text-lg">₹{booking.amount}</span>
+                  </div>
+
+                  {refundTotal > 0 && (
+                    <div className="flex items-center justify-between text-sm bg-green-500/10 p-3 rounded-lg">
+                      <span className="text-green-300">Refund</span>
+                      <span className="text-green-300">
+                        {formatRefundAmount(refundTotal, booking.refunds[0].currency)} · {booking.refunds[booking.refunds.length - 1].refundStatus}
+                      </span>
+                    </div>
+                  )}
+
+                  {booking.status?.toLowerCase() === 'pending' && booking.holdExpiresAt && (
+                    <div className="flex items-center space-x-2 text-sm text-yellow-400 bg-yellow-500/10 p-3 rounded-lg">
+                      <Clock className="h-4 w-4" />
+                      <span>
+                        Awaiting payment until {new Date(booking.holdExpiresAt).toLocaleString()}. Sign in to pay.
+                      </span>
+                    </div>
+                  )}
+
+                  {booking.canCancel && (
+                    <Button
+                      onClick={handleCancelBooking}
+                      variant="outline"
+                      className="w-full border-red-400/30 text-red-400 hover:bg-red-400/10"
+                    >
+                      <XCircle className="mr-2 h-4 w-4" />
+                      Cancel Booking
+                    </Button>
+                  )}
+
+                  {booking.status?.toLowerCase() !== 'cancelled' && !booking.canCancel && (
+                    <div className="flex items-center space-x-2 text-sm text-orange-400 bg-orange-500/10 p-3 rounded-lg">
+                      <AlertTriangle className="h-4 w-4" />
+                      <span>This flight has departed and can no longer be cancelled</span>
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+            </motion.div>
+          )}
+        </div>
+      </div>
+
+      {/* Cancellation Modal */}
+      {showCancelModal && booking && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+        >
+          <motion.div
+            initial={{ scale: 0.9, y: 20 }}
+            animate={{ scale: 1, y: 0 }}
+            className="w-full max-w-md"
+          >
+            <Card className="glass-effect border-red-500/30">
+              <CardHeader>
+                <CardTitle className="text-white flex items-center space-x-2">
+                  <AlertTriangle className="h-5 w-5 text-red-400" />
+                  <span>Cancel Booking</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <p className="text-gray-300">
+                  Are you sure you want to cancel booking {booking.pnr}?
+                </p>
+
+                {quoteLoading || !refundQuote ? (
+                  <div className="flex items-center justify-center py-6">
+                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
+                  </div>
+                ) : (
+                  <div className="bg-white/5 border border-white/10 rounded-lg p-4 space-y-2">
+                    <div className="flex items-center justify-between">
+                      <span className="text-gray-400">Amount paid</span>
+                      <span className="text-white">{formatRefundAmount(refundQuote.paidAmount, refundQuote.currency)}</span>
+                    </div>
+                    {refundQuote.lines?.length > 1 && refundQuote.lines.map(line => (
+                      <div key={line.fareClass} className="flex items-center justify-between text-sm">
+                        <span className="text-gray-400">{line.fareClass} fares</span>
+                        <span className="text-gray-300">{line.percent}% refundable</span>
+                      </div>
+                    ))}
+                    <div className="flex items-center justify-between border-t border-white/10 pt-2">
+                      <span className="font-semibold text-white">Refund ({refundQuote.percent}%)</span>
+                      <span className="font-bold text-green-400 text-lg">
+                        {formatRefundAmount(refundQuote.amount, refundQuote.currency)}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-400">
+                      {refundQuote.paidAmount > 0
+                        ? `Based on cancelling ${Math.floor(refundQuote.hoursBeforeDeparture / 24)} days before departure. Refunds go back to the original payment within 5-6 business days.`
+                        : 'No payment has been taken for this booking, so nothing is refunded.'}
+                    </p>
+                  </div>
+                )}
+
+                <div className="flex space-x-3">
+                  <Button
+                    variant="outline"
+                    onClick={closeCancelModal}
+                    className="flex-1 border-gray-400/30 text-gray-300 hover:bg-gray-400/10"
+                  >
+                    Keep Booking
+                  </Button>
+                  <Button
+                    onClick={confirmCancellation}
+                    disabled={cancellingBooking || quoteLoading || !refundQuote}
+                    className="flex-1 bg-red-500 hover:bg-red-600"
+                  >
+                    {cancellingBooking ? (
+                      <>
+                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                        Cancelling...
+                      </>
+                    ) : (
+                      <>
+                        <XCircle className="mr-2 h-4 w-4" />
+                        Cancel Booking
+                      </>
+                    )}
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          </motion.div>
+        </motion.div>
+      )}
+    </>
+  );
+};
+
+export default ManageBooking;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Bell, CheckCheck } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '@/context/AuthContext';
+import { notificationAPI } from '@/services/api';
+import { UNREAD_POLL_INTERVAL, formatNotificationTime, getNotificationLink } from './notifications';
+
+const PREVIEW_COUNT = 5;
+
+// Bell with unread count for the layout header; opens the latest notifications
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const userId = user?.userId || user?.id;
+
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    fetchUnreadCount();
+    const timer = setInterval(fetchUnreadCount, UNREAD_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [userId]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const fetchUnreadCount = async () => {
+    try {
+      const response = await notificationAPI.getUnreadCount(userId);
+      setUnreadCount(response.data?.count || 0);
+    } catch (error) {
+      console.error('Error fetching unread notifications:', error);
+    }
+  };
+
+  const toggleOpen = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+
+    setOpen(true);
+    try {
+      setLoading(true);
+      const response = await notificationAPI.getByUser(userId);
+      setNotifications((response.data || []).slice(0, PREVIEW_COUNT));
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelect = async (notification) => {
+    setOpen(false);
+    if (!notification.readAt) {
+      setUnreadCount(count => Math.max(count - 1, 0));
+      notificationAPI.markAsRead(notification.notificationId).catch((error) => {
+        console.error('Error marking notification as read:', error);
+      });
+    }
+    const link = getNotificationLink(notification);
+    if (link) navigate(link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllAsRead(userId);
+      setUnreadCount(0);
+      setNotifications(notifications.map(n => ({ ...n, readAt: n.readAt || new Date().toISOString() })));
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  if (!userId) return null;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <Button
+        variant="ghost"
+        onClick={toggleOpen}
+        className="relative text-gray-300 hover:text-white hover:bg-white/10"
+        title="Notifications"
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </Button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-slate-800 border border-white/10 rounded-lg shadow-xl z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+            <span className="font-semibold text-white">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="text-xs text-blue-400 hover:text-blue-300 flex items-center"
+              >
+                <CheckCheck className="h-3 w-3 mr-1" />
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
+            </div>
+          ) : notifications.length === 0 ? (
+            <p className="text-sm text-gray-400 text-center py-6">You're all caught up.</p>
+          ) : (
+            <div className="max-h-96 overflow-y-auto">
+              {notifications.map(notification => (
+                <button
+                  key={notification.notificationId}
+                  onClick={() => handleSelect(notification)}
+                  className={`w-full text-left px-4 py-3 border-b border-white/5 hover:bg-white/5 ${notification.readAt ? '' : 'bg-blue-500/5'}`}
+                >
+                  <div className="flex items-start space-x-2">
+                    <span
+                      className={`mt-1.5 h-2 w-2 rounded-full flex-shrink-0 ${notification.readAt ? 'bg-transparent' : 'bg-blue-400'}`}
+                    />
+                    <div>
+                      <p className="text-sm font-medium text-white">{notification.title}</p>
+                      <p className="text-xs text-gray-400">{notification.message}</p>
+                      <p className="text-xs text-gray-500 mt-1">{formatNotificationTime(notification.createdAt)}</p>
+                    </div>
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <Link
+            to="/notifications"
+            onClick={() => setOpen(false)}
+            className="block text-center text-sm text-blue-400 hover:text-blue-300 py-3"
+          >
+            View all notifications
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import {
+  Bell, CheckCheck, CheckCircle, CreditCard, XCircle, RotateCcw, Clock, Plane, ChevronRight
+} from 'lucide-react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
+import { useAuth } from '@/context/AuthContext';
+import { notificationAPI } from '@/services/api';
+import { NOTIFICATION_COLORS, formatNotificationTime, getNotificationLink } from './notifications';
+
+const NOTIFICATION_ICONS = {
+  BookingConfirmed: CheckCircle,
+  PaymentSucceeded: CreditCard,
+  PaymentFailed: CreditCard,
+  BookingCancelled: XCircle,
+  RefundInitiated: RotateCcw,
+  ScheduleChanged: Clock,
+  CheckInOpen: Plane
+};
+
+const Notifications = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const userId = user?.userId || user?.id;
+
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showUnreadOnly, setShowUnreadOnly] = useState(false);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, []);
+
+  const fetchNotifications = async () => {
+    try {
+      setLoading(true);
+      const response = await notificationAPI.getByUser(userId);
+      setNotifications(response.data || []);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load notifications.",
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const markRead = (notificationId) =>
+    setNotifications(current => current.map(n =>
+      n.notificationId === notificationId && !n.readAt ? { ...n, readAt: new Date().toISOString() } : n
+    ));
+
+  const handleOpen = async (notification) => {
+    if (!notification.readAt) {
+      markRead(notification.notificationId);
+      try {
+        await notificationAPI.markAsRead(notification.notificationId);
+      } catch (error) {
+        console.error('Error marking notification as read:', error);
+      }
+    }
+    const link = getNotificationLink(notification);
+    if (link) navigate(link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllAsRead(userId);
+      setNotifications(current => current.map(n => ({ ...n, readAt: n.readAt || new Date().toISOString() })));
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      toast({
+        title: "Error",
+        description: "Failed to mark notifications as read. Please try again.",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const unreadCount = notifications.filter(n => !n.readAt).length;
+  const shown = showUnreadOnly ? notifications.filter(n => !n.readAt) : notifications;
+
+  return (
+    <>
+      <Helmet>
+        <title>Notifications - Flynest</title>
+        <meta name="description" content="Updates about your Flynest bookings, payments and flights." />
+      </Helmet>
+
+      <div className="min-h-screen pt-20 pb-12">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <motion.div
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+            className="mb-8 flex items-end justify-between"
+          >
+            <div>
+              <h1 className="text-4xl font-bold text-white mb-2">Notifications</h1>
+              <p className="text-gray-300">
+                {unreadCount > 0 ? `${unreadCount} unread` : 'You\'re all caught up'}
+              </p>
+            </div>
+            <div className="flex space-x-2">
+              <Button
+                variant="outline"
+                onClick={() => setShowUnreadOnly(!showUnreadOnly)}
+                className="border-white/20 text-white hover:bg-white/10"
+              >
+                {showUnreadOnly ? 'Show All' : 'Unread Only'}
+              </Button>
+              {unreadCount > 0 && (
+                <Button
+                  onClick={handleMarkAllRead}
+                  className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                >
+                  <CheckCheck className="mr-2 h-4 w-4" />
+                  Mark All Read
+                </Button>
+              )}
+            </div>
+          </motion.div>
+
+          <motion.div
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8, delay: 0.1 }}
+          >
+            <Card className="glass-effect border-white/10">
+              <CardContent className="p-0">
+                {loading ? (
+                  <div className="flex items-center justify-center py-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+                  </div>
+                ) : shown.length === 0 ? (
+                  <div className="text-center py-12">
+                    <Bell className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                    <p className="text-gray-400">
+                      {showUnreadOnly ? 'No unread notifications.' : 'No notifications yet.'}
+                    </p>
+                  </div>
+                ) : (
+                  shown.map(notification => {
+                    const Icon = NOTIFICATION_ICONS[notification.type] || Bell;
+                    const link = getNotificationLink(notification);
+                    return (
+                      <button
+                        key={notification.notificationId}
+                        onClick={() => handleOpen(notification)}
+                        className={`w-full text-left p-4 border-b border-white/10 last:border-b-0 hover:bg-white/5 transition-all flex items-start space-x-4 ${notification.readAt ? '' : 'bg-blue-500/5'}`}
+                      >
+                        <div className={`p-2 rounded-lg ${NOTIFICATION_COLORS[notification.type] || 'text-blue-400 bg-blue-500/20'}`}>
+                          <Icon className="h-4 w-4" />
+                        </div>
+                        <div className="flex-1">
+                          <div className="flex items-center justify-between">
+                            <h3 className={`text-white ${notification.readAt ? '' : 'font-semibold'}`}>
+                              {notification.title}
+                            </h3>
+                            <span className="text-xs text-gray-500">{formatNotificationTime(notification.createdAt)}</span>
+                          </div>
+                          <p className="text-sm text-gray-400 mt-1">{notification.message}</p>
+                        </div>
+                        {link && <ChevronRight className="h-4 w-4 text-gray-500 self-center" />}
+                      </button>
+                    );
+                  })
+                )}
+              </CardContent>
+            </Card>
+          </motion.div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Notifications;
@@ -1,8 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet';
 import { motion } from 'framer-motion';
-import { useNavigate, useLocation } from 'react-router-dom';
-import { ArrowLeft, User, Plane, Calendar, MapPin, CreditCard } from 'lucide-react';
+import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, User, Users, Plane, Calendar, MapPin, CreditCard, Armchair } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -10,75 +10,279 @@ import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { toast } from '@/components/ui/use-toast';
 import { useAuth } from '@/context/AuthContext';
-import { bookingAPI, passengerAPI } from '@/services/api';
+import { bookingAPI, airplaneAPI, ticketAPI, bookingDraftAPI, savedTravellerAPI, countryAPI, flightAPI } from '@/services/api';
+import SeatMap from './SeatMap';
+import { getFarePrice, getAvailableFareClasses } from './fares';
+import { getPassengerType, normalizePassport, validatePassenger, validatePassengerGroup } from './passengerRules';
+import { getAvailabilityLabel, getSeatsLeft } from './seatAvailability';
+
+// Field names in booking API errors -> passenger form fields
+const SERVER_FIELDS = {
+  fullName: 'full_name',
+  gender: 'gender',
+  dateOfBirth: 'date_of_birth',
+  nationality: 'nationality',
+  passportNumber: 'passport_number',
+  passportExpiry: 'passport_expiry',
+  fareClass: 'fare_class'
+};
+
+const FIELD_LABELS = {
+  full_name: 'Full Name',
+  gender: 'Gender',
+  date_of_birth: 'Date of Birth',
+  nationality: 'Nationality',
+  passport_number: 'Passport Number',
+  passport_expiry: 'Passport Expiry',
+  fare_class: 'Class'
+};
 
 const PassengerInfo = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { user } = useAuth();
-  
-  // Get flight data from navigation state
-  const flightData = location.state?.flightData;
+  const [searchParams] = useSearchParams();
+
+  // After a reload there is no navigation state, only the ?draft= id in the URL
+  const [draftId, setDraftId] = useState(searchParams.get('draft'));
+  const [restored, setRestored] = useState(null); // { flightData, itinerary, waitlist } from a saved draft
+  const [draftLoading, setDraftLoading] = useState(!location.state?.flightData && !!searchParams.get('draft'));
+
+  // Get flight data from navigation state, or from the restored draft
+  const flightData = location.state?.flightData || restored?.flightData;
+  // Round-trip and multi-city searches pass every leg; one-way passes just flightData
+  const itinerary = location.state?.itinerary || restored?.itinerary;
+  const legs = itinerary?.flights || [flightData];
+  // Set when taking up a waitlist offer: the seats set aside for the party on this flight
+  const waitlist = location.state?.waitlist || restored?.waitlist;
+  const defaultFareClass = waitlist?.fareClass || 'Economy';
   
   const [passengers, setPassengers] = useState([{
     full_name: '',
     gender: '',
-    age: '',
-    passport_number: ''
+    date_of_birth: '',
+    nationality: '',
+    passport_number: '',
+    passport_expiry: '',
+    fare_class: defaultFareClass,
+    seats: {}
   }]);
   
   const [loading, setLoading] = useState(false);
-
-  // If no flight data, redirect back to flights page
-  if (!flightData) {
-    navigate('/flights');
-    return null;
-  }
+  const [step, setStep] = useState('details'); // 'details' | 'seats'
+  const [seatMaps, setSeatMaps] = useState({}); // flightId -> { airplane, takenSeats }
+  const [seatsLoading, setSeatsLoading] = useState(false);
+  const [activePassenger, setActivePassenger] = useState(0);
+  const [activeLeg, setActiveLeg] = useState(0);
+  const [fieldErrors, setFieldErrors] = useState({}); // passenger index -> { field: message }
+  const [groupError, setGroupError] = useState(null); // booking-level rule, e.g. infants need adults
+  const [savedTravellers, setSavedTravellers] = useState([]);
+  const [countries, setCountries] = useState([]);
+  const [availability, setAvailability] = useState({}); // flightId -> seats left to sell
 
   const addPassenger = () => {
     setPassengers([...passengers, {
       full_name: '',
       gender: '',
-      age: '',
-      passport_number: ''
+      date_of_birth: '',
+      nationality: '',
+      passport_number: '',
+      passport_expiry: '',
+      fare_class: defaultFareClass,
+      seats: {}
     }]);
   };
 
   const removePassenger = (index) => {
     if (passengers.length > 1) {
       setPassengers(passengers.filter((_, i) => i !== index));
+      // Errors are keyed by position, which just shifted
+      setFieldErrors({});
+      setGroupError(null);
     }
   };
 
   const updatePassenger = (index, field, value) => {
     const updatedPassengers = [...passengers];
     updatedPassengers[index][field] = value;
+    // Seats belong to a cabin, so a class change releases the chosen seats
+    if (field === 'fare_class') {
+      updatedPassengers[index].seats = {};
+    }
     setPassengers(updatedPassengers);
+    if (fieldErrors[index]?.[field]) {
+      const { [field]: _cleared, ...rest } = fieldErrors[index];
+      setFieldErrors({ ...fieldErrors, [index]: rest });
+    }
+    if (field === 'date_of_birth') {
+      setGroupError(null);
+    }
   };
 
-  const validateForm = () => {
-    for (let i = 0; i < passengers.length; i++) {
-      const passenger = passengers[i];
-      console.log(`Validating passenger ${i + 1}:`, passenger);
-      
-      if (!passenger.full_name || !passenger.full_name.trim()) {
-        console.log(`Passenger ${i + 1} missing full_name`);
-        return false;
-      }
-      if (!passenger.gender) {
-        console.log(`Passenger ${i + 1} missing gender`);
-        return false;
-      }
-      if (!passenger.age || passenger.age <= 0) {
-        console.log(`Passenger ${i + 1} missing or invalid age`);
-        return false;
+  const isTravellerSaved = (passportNumber) =>
+    !!passportNumber && savedTravellers.some(t => t.passportNumber?.toLowerCase() === passportNumber.trim().toLowerCase());
+
+  // Pre-fill a passenger card from a saved co-traveller profile
+  const fillFromSavedTraveller = (index, travellerId) => {
+    const traveller = savedTravellers.find(t => String(t.travellerId) === travellerId);
+    if (!traveller) return;
+
+    const updatedPassengers = [...passengers];
+    updatedPassengers[index] = {
+      ...updatedPassengers[index],
+      full_name: traveller.fullName || '',
+      gender: traveller.gender?.toLowerCase() || '',
+      date_of_birth: traveller.dateOfBirth?.slice(0, 10) || '',
+      nationality: traveller.nationality || '',
+      passport_number: traveller.passportNumber || '',
+      passport_expiry: traveller.passportExpiry?.slice(0, 10) || '',
+      save_traveller: false
+    };
+    setPassengers(updatedPassengers);
+    setFieldErrors({ ...fieldErrors, [index]: {} });
+  };
+
+  // Passengers ticked "save for later" become saved travellers once the booking exists
+  const saveNewTravellers = async () => {
+    const toSave = passengers.filter(p => p.save_traveller && !isTravellerSaved(p.passport_number));
+    for (const passenger of toSave) {
+      try {
+        await savedTravellerAPI.create({
+          userId: user?.userId || user?.id,
+          fullName: passenger.full_name.trim(),
+          gender: passenger.gender,
+          dateOfBirth: passenger.date_of_birth,
+          nationality: passenger.nationality,
+          passportNumber: normalizePassport(passenger.passport_number),
+          passportExpiry: passenger.passport_expiry
+        });
+      } catch (error) {
+        // Not worth failing the booking over
+        console.error('Error saving traveller:', error);
       }
-      if (!passenger.passport_number || !passenger.passport_number.trim()) {
-        console.log(`Passenger ${i + 1} missing passport_number`);
-        return false;
+    }
+  };
+
+  const getFieldError = (index, field) => fieldErrors[index]?.[field] || null;
+
+  const inputClass = (index, field) =>
+    `bg-white/5 text-white placeholder:text-gray-400 ${getFieldError(index, field) ? 'border-red-500' : 'border-white/10'}`;
+
+  // A passenger travels in the same class on every leg, so only offer classes sold on all of them.
+  // The seat map draws each leg's cabin from that flight's own fares.
+  const fareClasses = getAvailableFareClasses(flightData)
+    .filter(fareClass => legs.every(leg => getFarePrice(leg, fareClass) != null));
+  const getLegsFare = (fareClass) => legs.reduce((sum, leg) => sum + (getFarePrice(leg, fareClass) ?? 0), 0);
+  const getPassengerFare = (passenger) => getLegsFare(passenger.fare_class);
+  const totalAmount = passengers.reduce((sum, passenger) => sum + getPassengerFare(passenger), 0);
+
+  // Age categories use the first day of travel; passport validity the last
+  const travelDate = legs[0]?.flightDate;
+  const lastTravelDate = legs[legs.length - 1]?.flightDate;
+  const passengerTypes = passengers.map(passenger => getPassengerType(passenger.date_of_birth, travelDate));
+  // Infants sit on an adult's lap, so they skip seat selection
+  const needsSeat = (index) => passengerTypes[index] !== 'Infant';
+
+  // The itinerary can take as many seated passengers as its fullest leg has seats,
+  // or as many as a waitlist offer set aside
+  const seatsLeft = waitlist ? waitlist.partySize : getSeatsLeft(legs.map(leg => availability[leg.id]));
+  const seatedCount = passengers.filter((_, index) => needsSeat(index)).length;
+  const availabilityError = seatsLeft !== null && seatedCount > seatsLeft
+    ? (waitlist
+      ? `Your waitlist offer is for ${seatsLeft} seat(s). Remove ${seatedCount - seatsLeft} passenger(s).`
+      : seatsLeft === 0
+      ? 'This flight is sold out.'
+      : `Only ${seatsLeft} seat(s) left. Remove ${seatedCount - seatsLeft} passenger(s) or choose another flight.`)
+    : null;
+
+  const loadAvailability = async () => {
+    try {
+      const response = await flightAPI.getAvailability(legs.map(leg => leg.id));
+      setAvailability(Object.fromEntries((response.data || []).map(a => [a.flightId, a])));
+    } catch (error) {
+      console.error('Error loading seat availability:', error);
+    }
+  };
+
+  // With overbooking a leg can sell more seats than the cabin has. Once every seat on the
+  // map is taken, the remaining passengers get theirs at check-in.
+  const hasFreeSeat = (leg) => {
+    const seatMap = seatMaps[leg.id];
+    if (!seatMap?.airplane) return true;
+    const chosen = passengers.filter((p, index) => needsSeat(index) && p.seats[leg.id]).length;
+    return (seatMap.airplane.capacity || 0) - seatMap.takenSeats.length - chosen > 0;
+  };
+
+  const validateForm = () => {
+    const countryCodes = countries.map(country => country.iso2);
+    const errors = {};
+    passengers.forEach((passenger, index) => {
+      const passengerErrors = validatePassenger(passenger, { travelDate, lastTravelDate, countryCodes });
+      if (Object.keys(passengerErrors).length > 0) {
+        errors[index] = passengerErrors;
       }
+    });
+    setFieldErrors(errors);
+
+    const bookingError = Object.keys(errors).length === 0
+      ? validatePassengerGroup(passengerTypes) || availabilityError
+      : null;
+    setGroupError(bookingError);
+
+    return Object.keys(errors).length === 0 && !bookingError;
+  };
+
+  // Load the cabin layout and the seats already taken on every leg
+  const loadSeatMap = async () => {
+    setSeatsLoading(true);
+    try {
+      const loaded = await Promise.all(legs.map(async (leg) => {
+        const [airplaneResponse, takenSeatsResponse] = await Promise.all([
+          airplaneAPI.getById(leg.aircraftId),
+          ticketAPI.getTakenSeats(leg.id)
+        ]);
+        return [leg.id, { airplane: airplaneResponse.data, takenSeats: takenSeatsResponse.data || [] }];
+      }));
+      setSeatMaps(Object.fromEntries(loaded));
+    } catch (error) {
+      console.error('Error loading seat map:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load the seat map. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setSeatsLoading(false);
+    }
+  };
+
+  const currentLeg = legs[activeLeg];
+  const currentSeatMap = seatMaps[currentLeg?.id];
+
+  const selectSeat = (seatNumber) => {
+    const legId = currentLeg.id;
+    const ownerIndex = passengers.findIndex(p => p.seats[legId] === seatNumber);
+    if (ownerIndex !== -1 && ownerIndex !== activePassenger) {
+      toast({
+        title: "Seat Unavailable",
+        description: `Seat ${seatNumber} is already assigned to Passenger ${ownerIndex + 1}.`,
+        variant: "destructive"
+      });
+      return;
+    }
+
+    // Clicking the active passenger's own seat again clears it
+    const newSeat = ownerIndex === activePassenger ? '' : seatNumber;
+    const updatedPassengers = [...passengers];
+    const passenger = updatedPassengers[activePassenger];
+    updatedPassengers[activePassenger] = { ...passenger, seats: { ...passenger.seats, [legId]: newSeat } };
+    setPassengers(updatedPassengers);
+
+    // Move on to the next passenger still without a seat on this leg
+    if (newSeat) {
+      const nextIndex = passengers.findIndex((p, i) => i !== activePassenger && needsSeat(i) && !p.seats[legId]);
+      if (nextIndex !== -1) setActivePassenger(nextIndex);
     }
-    return true;
   };
 
   const handleSubmit = async (e) => {
@@ -87,94 +291,105 @@ const PassengerInfo = () => {
     if (!validateForm()) {
       toast({
         title: "Validation Error",
-        description: "Please fill in all passenger information fields.",
+        description: validatePassengerGroup(passengerTypes) || availabilityError || "Please fix the highlighted passenger fields.",
         variant: "destructive"
       });
+      setStep('details');
+      return;
+    }
+
+    if (step === 'details') {
+      setActivePassenger(Math.max(passengerTypes.findIndex(type => type !== 'Infant'), 0));
+      setActiveLeg(0);
+      setStep('seats');
       return;
     }
 
+    for (let legIndex = 0; legIndex < legs.length; legIndex++) {
+      if (!hasFreeSeat(legs[legIndex])) continue;
+      const passengerWithoutSeat = passengers.findIndex((p, i) => needsSeat(i) && !p.seats[legs[legIndex].id]);
+      if (passengerWithoutSeat !== -1) {
+        setActiveLeg(legIndex);
+        setActivePassenger(passengerWithoutSeat);
+        toast({
+          title: "Seat Required",
+          description: legs.length > 1
+            ? `Please select a seat for Passenger ${passengerWithoutSeat + 1} on flight ${legs[legIndex].flightNumber}.`
+            : `Please select a seat for Passenger ${passengerWithoutSeat + 1}.`,
+          variant: "destructive"
+        });
+        return;
+      }
+    }
+
     // Debug: Log the passenger data being submitted
     console.log('Passengers data to submit:', passengers);
 
     setLoading(true);
     
     try {
-      // First, create the booking
+      // Booking, passengers and tickets are saved together; nothing is kept if any passenger fails
       const bookingData = {
         userId: user.userId || user.id,
-        flightId: flightData.id,
-        flightNumber: flightData.flightNumber,
-        departureCity: flightData.departureAirport,
-        arrivalCity: flightData.arrivalAirport,
-        flightDate: flightData.flightDate,
-        amount: flightData.price ?? 0,
-        status: 'Pending'
+        tripType: itinerary?.tripType || 'OneWay',
+        flightIds: legs.map(leg => leg.id),
+        passengers: passengers.map((passenger, index) => ({
+          fullName: passenger.full_name,
+          gender: passenger.gender,
+          dateOfBirth: passenger.date_of_birth,
+          nationality: passenger.nationality,
+          passportNumber: normalizePassport(passenger.passport_number),
+          passportExpiry: passenger.passport_expiry,
+          fareClass: passenger.fare_class,
+          seats: legs.map(leg => (needsSeat(index) && passenger.seats[leg.id]) || null)
+        })),
+        waitlistId: waitlist?.waitlistId
       };
 
       console.log('Creating booking with data:', bookingData);
       console.log('API Base URL:', import.meta.env.VITE_API_URL || 'https://localhost:44327/api');
-      console.log('User token:', localStorage.getItem('flynest_token'));
-      
-      const bookingResponse = await bookingAPI.create(bookingData);
+
+      const bookingResponse = await bookingAPI.createWithPassengers(bookingData);
       console.log('Booking response:', bookingResponse);
-      
-      // Extract booking ID - try different possible field names
-      const bookingId = bookingResponse.data?.bookingId || 
-                       bookingResponse.data?.id || 
-                       bookingResponse.data?.booking_id ||
-                       bookingResponse.data?.bookingId;
-      
+
+      const bookingId = bookingResponse.data?.bookingId;
       console.log('Extracted booking ID:', bookingId);
 
       if (!bookingId) {
         throw new Error('Failed to get booking ID from response');
       }
 
-      // Now create passengers using the PassengersController
-      console.log('Creating passengers for booking ID:', bookingId);
-      
-      // Try creating passengers one by one to identify which one fails
-      for (let i = 0; i < passengers.length; i++) {
-        const passenger = passengers[i];
-        console.log(`Creating passenger ${i + 1}:`, passenger);
-        
-        // Use exact C# model field names (PascalCase) from PassengersController
-        const passengerData = {
-          BookingId: bookingId,
-          FullName: passenger.full_name,
-          Gender: passenger.gender,
-          Age: parseInt(passenger.age),
-          PassportNumber: passenger.passport_number
-        };
-        console.log(`Sending passenger ${i + 1} data:`, passengerData);
-        console.log('Passenger API URL:', `${import.meta.env.VITE_API_URL || 'https://localhost:44327/api'}/Passengers`);
-        
-        try {
-          const passengerResponse = await passengerAPI.create(passengerData);
-          console.log(`Passenger ${i + 1} created successfully:`, passengerResponse);
-        } catch (passengerError) {
-          console.error(`Failed to create passenger ${i + 1}:`, passengerError);
-          console.error('Passenger error details:', {
-            message: passengerError.message,
-            response: passengerError.response?.data,
-            status: passengerError.response?.status
-          });
-          throw passengerError;
-        }
-      }
-
       toast({
         title: "Booking Created Successfully",
         description: "Your booking and passenger information have been saved."
       });
 
-      // Redirect to airline booking page with booking ID
-      navigate('/airline-booking', { 
-        state: { 
-          bookingId: bookingId,
-          flightData: flightData,
-          passengerCount: passengers.length
-        } 
+      const paymentState = {
+        bookingId: bookingId,
+        pnr: bookingResponse.data?.pnr,
+        flightData: flightData,
+        itinerary: itinerary,
+        holdExpiresAt: bookingResponse.data?.holdExpiresAt,
+        passengerCount: passengers.length,
+        totalAmount: bookingResponse.data?.amount ?? totalAmount,
+        fareBreakdown: passengers.map(passenger => ({
+          fullName: passenger.full_name,
+          fareClass: passenger.fare_class,
+          price: getPassengerFare(passenger)
+        })),
+        // Add-ons are picked per saved passenger
+        passengers: (bookingResponse.data?.passengers || []).map((passenger, index) => ({
+          passengerId: passenger.passengerId,
+          fullName: passenger.fullName,
+          passengerType: passengerTypes[index]
+        }))
+      };
+      await saveDraft('addons', { bookingId, payment: paymentState });
+      await saveNewTravellers();
+
+      // On to add-ons, then payment
+      navigate(draftId ? `/add-ons?draft=${draftId}` : '/add-ons', {
+        state: paymentState
       });
 
     } catch (error) {
@@ -192,9 +407,34 @@ const PassengerInfo = () => {
       } else if (error.response?.data?.title) {
         errorMessage = error.response.data.title;
       }
-      
+
+      // Point the user at the passenger and field the server rejected
+      const { passengerIndex, field, legIndex } = error.response?.data || {};
+      if (field === 'passengers') {
+        setGroupError(errorMessage);
+        setStep('details');
+      } else if (field === 'availability') {
+        // Others booked the last seats in the meantime
+        setGroupError(errorMessage);
+        setStep('details');
+        loadAvailability();
+      } else if (passengerIndex !== undefined && passengerIndex !== null) {
+        setActivePassenger(passengerIndex);
+        if (field === 'seat') {
+          // Someone else may have just taken it; show the latest seat map
+          setActiveLeg(legIndex ?? 0);
+          loadSeatMap();
+        } else {
+          const passengerField = SERVER_FIELDS[field] || field;
+          setFieldErrors({ ...fieldErrors, [passengerIndex]: { ...fieldErrors[passengerIndex], [passengerField]: errorMessage } });
+          setStep('details');
+        }
+      }
+
       toast({
-        title: "Error",
+        title: passengerIndex !== undefined && passengerIndex !== null
+          ? `Passenger ${passengerIndex + 1}: ${FIELD_LABELS[SERVER_FIELDS[field]] || 'Error'}`
+          : "Error",
         description: errorMessage,
         variant: "destructive"
       });
@@ -203,6 +443,131 @@ const PassengerInfo = () => {
     }
   };
 
+  // Booking drafts: saved as the user goes so a reload or a new login can pick up here
+  const getDraftData = (extra = {}) => JSON.stringify({ flightData, itinerary, waitlist, passengers, ...extra });
+
+  const saveDraft = async (draftStep, { bookingId = null, payment } = {}) => {
+    if (!draftId) return;
+    try {
+      await bookingDraftAPI.update(draftId, {
+        userId: user?.userId || user?.id,
+        step: draftStep,
+        bookingId,
+        data: getDraftData(payment ? { payment } : {})
+      });
+    } catch (error) {
+      console.error('Error saving booking draft:', error);
+    }
+  };
+
+  const createDraft = async () => {
+    try {
+      const response = await bookingDraftAPI.create({
+        userId: user?.userId || user?.id,
+        step: 'details',
+        data: getDraftData()
+      });
+      const newDraftId = response.data?.draftId;
+      setDraftId(newDraftId);
+      // Keep the id in the URL so a reload can find the draft
+      navigate(`/passenger-info?draft=${newDraftId}`, { replace: true, state: location.state });
+    } catch (error) {
+      console.error('Error creating booking draft:', error);
+    }
+  };
+
+  const restoreDraft = async () => {
+    try {
+      const response = await bookingDraftAPI.getById(draftId);
+      const draft = response.data;
+      const data = JSON.parse(draft.data || '{}');
+
+      if (String(draft.userId) !== String(user?.userId || user?.id) || !data.flightData) {
+        navigate('/flights');
+        return;
+      }
+      if (draft.step === 'addons' && draft.bookingId) {
+        navigate(`/add-ons?draft=${draftId}`, { replace: true });
+        return;
+      }
+      if (draft.step === 'payment' && draft.bookingId) {
+        navigate(`/airline-booking?draft=${draftId}`, { replace: true });
+        return;
+      }
+
+      setRestored({ flightData: data.flightData, itinerary: data.itinerary, waitlist: data.waitlist });
+      if (data.passengers?.length) setPassengers(data.passengers);
+      setStep(draft.step === 'seats' ? 'seats' : 'details');
+    } catch (error) {
+      console.error('Error restoring booking draft:', error);
+      navigate('/flights');
+    } finally {
+      setDraftLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (location.state?.flightData) {
+      if (!draftId) createDraft();
+    } else if (draftId) {
+      restoreDraft();
+    }
+  }, []);
+
+  useEffect(() => {
+    const fetchSavedTravellers = async () => {
+      try {
+        const response = await savedTravellerAPI.getByUser(user?.userId || user?.id);
+        setSavedTravellers(response.data || []);
+      } catch (error) {
+        console.error('Error fetching saved travellers:', error);
+      }
+    };
+    fetchSavedTravellers();
+  }, []);
+
+  useEffect(() => {
+    const fetchCountries = async () => {
+      try {
+        const response = await countryAPI.getAll();
+        setCountries(response.data || []);
+      } catch (error) {
+        console.error('Error fetching countries:', error);
+      }
+    };
+    fetchCountries();
+  }, []);
+
+  // Autosave the form shortly after the user stops typing
+  useEffect(() => {
+    if (!draftId || !flightData || loading) return;
+    const timer = setTimeout(() => saveDraft(step), 800);
+    return () => clearTimeout(timer);
+  }, [passengers, step, draftId, loading]);
+
+  useEffect(() => {
+    if (flightData) loadAvailability();
+  }, [flightData?.id]);
+
+  // Seat maps are (re)loaded whenever the seat step is shown
+  useEffect(() => {
+    if (step === 'seats' && flightData) loadSeatMap();
+  }, [step, flightData?.id]);
+
+  if (draftLoading) {
+    return (
+      <div className="min-h-screen pt-20 pb-12 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+      </div>
+    );
+  }
+
+  // If no flight data, redirect back to flights page
+  if (!flightData) {
+    navigate('/flights');
+    return null;
+  }
+
   return (
     <>
       <Helmet>
@@ -244,44 +609,68 @@ const PassengerInfo = () => {
               </CardTitle>
             </CardHeader>
             <CardContent>
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-white">
-                <div className="flex items-center space-x-2">
-                  <MapPin className="h-4 w-4 text-blue-400" />
-                  <div>
-                    <p className="text-sm text-gray-400">From</p>
-                    <p className="font-medium">{flightData.departureAirport}</p>
-                  </div>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <MapPin className="h-4 w-4 text-green-400" />
-                  <div>
-                    <p className="text-sm text-gray-400">To</p>
-                    <p className="font-medium">{flightData.arrivalAirport}</p>
-                  </div>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <Calendar className="h-4 w-4 text-purple-400" />
-                  <div>
-                    <p className="text-sm text-gray-400">Date</p>
-                    <p className="font-medium">
-                      {new Intl.DateTimeFormat('en-IN', {
-                        year: 'numeric',
-                        month: 'short',
-                        day: 'numeric'
-                      }).format(new Date(flightData.flightDate))}
+              {legs.map((leg, legIndex) => (
+                <div key={leg.id} className={legIndex > 0 ? 'mt-4 pt-4 border-t border-white/10' : ''}>
+                  {legs.length > 1 && (
+                    <p className="text-sm text-blue-300 mb-2">
+                      Flight {legIndex + 1} · {leg.flightNumber}
                     </p>
+                  )}
+                  {!waitlist && getAvailabilityLabel(availability[leg.id]) && (
+                    <p className="text-sm text-yellow-400 mb-2">
+                      {getAvailabilityLabel(availability[leg.id])}
+                    </p>
+                  )}
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-white">
+                    <div className="flex items-center space-x-2">
+                      <MapPin className="h-4 w-4 text-blue-400" />
+                      <div>
+                        <p className="text-sm text-gray-400">From</p>
+                        <p className="font-medium">{leg.departureAirport}</p>
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <MapPin className="h-4 w-4 text-green-400" />
+                      <div>
+                        <p className="text-sm text-gray-400">To</p>
+                        <p className="font-medium">{leg.arrivalAirport}</p>
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <Calendar className="h-4 w-4 text-purple-400" />
+                      <div>
+                        <p className="text-sm text-gray-400">Date</p>
+                        <p className="font-medium">
+                          {new Intl.DateTimeFormat('en-IN', {
+                            year: 'numeric',
+                            month: 'short',
+                            day: 'numeric'
+                          }).format(new Date(leg.flightDate))}
+                        </p>
+                      </div>
+                    </div>
                   </div>
                 </div>
-              </div>
+              ))}
+              {waitlist && (
+                <div className="mt-4 p-3 rounded-lg border border-green-400/30 bg-green-500/10 text-green-300 text-sm">
+                  Waitlist offer: {waitlist.partySize} seat(s) are held for you until{' '}
+                  {new Date(waitlist.offerExpiresAt).toLocaleString()}. Complete your booking before then.
+                </div>
+              )}
               <div className="mt-4 pt-4 border-t border-white/10">
                 <div className="flex justify-between items-center">
                   <div>
-                    <p className="text-sm text-gray-400">Flight</p>
-                    <p className="font-medium text-white">{flightData.flightNumber}</p>
+                    <p className="text-sm text-gray-400">{legs.length > 1 ? 'Flights' : 'Flight'}</p>
+                    <p className="font-medium text-white">{legs.map(leg => leg.flightNumber).join(' · ')}</p>
                   </div>
-                  <div>
-                    <p className="text-sm text-gray-400">Price</p>
-                    <p className="font-bold text-white text-xl">₹{flightData.price}</p>
+                  <div className="flex space-x-6">
+                    {fareClasses.map(fareClass => (
+                      <div key={fareClass} className="text-right">
+                        <p className="text-sm text-gray-400">{fareClass}</p>
+                        <p className="font-bold text-white text-xl">₹{getLegsFare(fareClass)}</p>
+                      </div>
+                    ))}
                   </div>
                 </div>
               </div>
@@ -289,135 +678,394 @@ const PassengerInfo = () => {
           </Card>
 
           {/* Passenger Information Form */}
-          <Card className="glass-effect border-white/10">
-            <CardHeader>
-              <CardTitle className="text-white flex items-center space-x-2">
-                <User className="h-5 w-5" />
-                <span>Passenger Details</span>
-              </CardTitle>
-            </CardHeader>
-            <CardContent>
-              <form onSubmit={handleSubmit} className="space-y-6">
-                {passengers.map((passenger, index) => (
-                  <div key={index} className="border border-white/10 rounded-lg p-6">
-                    <div className="flex items-center justify-between mb-4">
-                      <h3 className="text-lg font-semibold text-white">
-                        Passenger {index + 1}
-                      </h3>
-                      {passengers.length > 1 && (
+          {step === 'details' && (
+            <Card className="glass-effect border-white/10">
+              <CardHeader>
+                <CardTitle className="text-white flex items-center space-x-2">
+                  <User className="h-5 w-5" />
+                  <span>Passenger Details</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={handleSubmit} className="space-y-6">
+                  {groupError && (
+                    <div className="p-4 rounded-lg border border-red-400/30 bg-red-500/10 text-red-300 text-sm">
+                      {groupError}
+                    </div>
+                  )}
+
+                  {passengers.map((passenger, index) => (
+                    <div key={index} className="border border-white/10 rounded-lg p-6">
+                      <div className="flex items-center justify-between mb-4">
+                        <h3 className="text-lg font-semibold text-white flex items-center">
+                          Passenger {index + 1}
+                          {passengerTypes[index] && (
+                            <span className="ml-3 px-2 py-0.5 rounded-full text-xs font-medium bg-blue-500/20 text-blue-300">
+                              {passengerTypes[index]}
+                            </span>
+                          )}
+                        </h3>
+                        <div className="flex items-center space-x-2">
+                          {savedTravellers.length > 0 && (
+                            <Select value="" onValueChange={(value) => fillFromSavedTraveller(index, value)}>
+                              <SelectTrigger className="w-56 bg-white/5 border-white/10 text-white">
+                                <Users className="mr-2 h-4 w-4" />
+                                <SelectValue placeholder="Add from saved travellers" />
+                              </SelectTrigger>
+                              <SelectContent>
+                                {savedTravellers.map(traveller => (
+                                  <SelectItem key={traveller.travellerId} value={String(traveller.travellerId)}>
+                                    {traveller.fullName}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          )}
+                          {passengers.length > 1 && (
+                            <Button
+                              type="button"
+                              variant="outline"
+                              onClick={() => removePassenger(index)}
+                              className="text-red-400 border-red-400/30 hover:bg-red-400/10"
+                            >
+                              Remove
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                      
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                          <Label htmlFor={`full_name_${index}`} className="text-white">
+                            Full Name
+                          </Label>
+                          <Input
+                            id={`full_name_${index}`}
+                            value={passenger.full_name}
+                            onChange={(e) => updatePassenger(index, 'full_name', e.target.value)}
+                            placeholder="Enter full name"
+                            className={inputClass(index, 'full_name')}
+                            required
+                          />
+                          {getFieldError(index, 'full_name') && (
+                            <p className="text-sm text-red-400 mt-1">{getFieldError(index, 'full_name')}</p>
+                          )}
+                        </div>
+                        
+                        <div>
+                          <Label htmlFor={`gender_${index}`} className="text-white">
+                            Gender
+                          </Label>
+                          <Select 
+                            value={passenger.gender} 
+                            onValueChange={(value) => updatePassenger(index, 'gender', value)}
+                            required
+                          >
+                            <SelectTrigger className={inputClass(index, 'gender')}>
+                              <SelectValue placeholder="Select gender" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value="male">Male</SelectItem>
+                              <SelectItem value="female">Female</SelectItem>
+                              <SelectItem value="other">Other</SelectItem>
+                            </SelectContent>
+                          </Select>
+                          {getFieldError(index, 'gender') && (
+                            <p className="text-sm text-red-400 mt-1">{getFieldError(index, 'gender')}</p>
+                          )}
+                        </div>
+                        
+                        <div>
+                          <Label htmlFor={`date_of_birth_${index}`} className="text-white">
+                            Date of Birth
+                          </Label>
+                          <Input
+                            id={`date_of_birth_${index}`}
+                            type="date"
+                            value={passenger.date_of_birth}
+                            onChange={(e) => updatePassenger(index, 'date_of_birth', e.target.value)}
+                            className={inputClass(index, 'date_of_birth')}
+                            required
+                          />
+                          {getFieldError(index, 'date_of_birth') && (
+                            <p className="text-sm text-red-400 mt-1">{getFieldError(index, 'date_of_birth')}</p>
+                          )}
+                        </div>
+
+                        <div>
+                          <Label htmlFor={`nationality_${index}`} className="text-white">
+                            Nationality
+                          </Label>
+                          <Select
+                            value={passenger.nationality}
+                            onValueChange={(value) => updatePassenger(index, 'nationality', value)}
+                          >
+                            <SelectTrigger id={`nationality_${index}`} className={inputClass(index, 'nationality')}>
+                              <SelectValue placeholder="Select nationality" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {countries.map(country => (
+                                <SelectItem key={country.iso2} value={country.iso2}>
+                                  {country.name} ({country.iso2})
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                          {getFieldError(index, 'nationality') && (
+                            <p className="text-sm text-red-400 mt-1">{getFieldError(index, 'nationality')}</p>
+                          )}
+                        </div>
+                        
+                        <div>
+                          <Label htmlFor={`passport_${index}`} className="text-white">
+                            Passport Number
+                          </Label>
+                          <Input
+                            id={`passport_${index}`}
+                            value={passenger.passport_number}
+                            onChange={(e) => updatePassenger(index, 'passport_number', e.target.value)}
+                            placeholder="Enter passport number"
+                            className={inputClass(index, 'passport_number')}
+                            required
+                          />
+                          {getFieldError(index, 'passport_number') && (
+                            <p className="text-sm text-red-400 mt-1">{getFieldError(index, 'passport_number')}</p>
+                          )}
+                        </div>
+
+                        <div>
+                          <Label htmlFor={`passport_expiry_${index}`} className="text-white">
+                            Passport Expiry
+                          </Label>
+                          <Input
+                            id={`passport_expiry_${index}`}
+                            type="date"
+                            value={passenger.passport_expiry}
+                            onChange={(e) => updatePassenger(index, 'passport_expiry', e.target.value)}
+                            className={inputClass(index, 'passport_expiry')}
+                            required
+                          />
+                          {getFieldError(index, 'passport_expiry') && (
+                            <p className="text-sm text-red-400 mt-1">{getFieldError(index, 'passport_expiry')}</p>
+                          )}
+                        </div>
+
+                        <div>
+                          <Label htmlFor={`fare_class_${index}`} className="text-white">
+                            Class
+                          </Label>
+                          <Select
+                            value={passenger.fare_class}
+                            onValueChange={(value) => updatePassenger(index, 'fare_class', value)}
+                          >
+                            <SelectTrigger id={`fare_class_${index}`} className={inputClass(index, 'fare_class')}>
+                              <SelectValue placeholder="Select class" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {fareClasses.map(fareClass => (
+                                <SelectItem key={fareClass} value={fareClass}>
+                                  {fareClass} — ₹{getLegsFare(fareClass)}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                          {getFieldError(index, 'fare_class') && (
+                            <p className="text-sm text-red-400 mt-1">{getFieldError(index, 'fare_class')}</p>
+                          )}
+                        </div>
+
+                        <div className="flex items-end justify-end">
+                          <div className="text-right">
+                            <p className="text-sm text-gray-400">Fare</p>
+                            <p className="font-semibold text-white">₹{getPassengerFare(passenger)}</p>
+                          </div>
+                        </div>
+                      </div>
+
+                      {!isTravellerSaved(passenger.passport_number) && (
+                        <label className="flex items-center space-x-2 mt-4 text-sm text-gray-300 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={!!passenger.save_traveller}
+                            onChange={(e) => updatePassenger(index, 'save_traveller', e.target.checked)}
+                            className="h-4 w-4 rounded border-white/20 bg-white/5"
+                          />
+                          <span>Save this traveller for future bookings</span>
+                        </label>
+                      )}
+                    </div>
+                  ))}
+                  
+                  <div className="flex justify-between items-center text-white">
+                    <span className="text-gray-400">Total for {passengers.length} passenger(s)</span>
+                    <span className="font-bold text-xl">₹{totalAmount}</span>
+                  </div>
+
+                  <div className="flex justify-center">
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={addPassenger}
+                      disabled={seatsLeft !== null && seatedCount >= seatsLeft}
+                      className="border-white/20 text-white hover:bg-white/10"
+                    >
+                      + Add Another Passenger
+                    </Button>
+                  </div>
+                  
+                  <div className="pt-6 border-t border-white/10">
+                    <Button
+                      type="submit"
+                      disabled={loading}
+                      className="w-full bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                    >
+                      {loading ? (
+                        <>
+                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                          Processing...
+                        </>
+                      ) : (
+                        <>
+                          <Armchair className="mr-2 h-4 w-4" />
+                          Continue to Seat Selection
+                        </>
+                      )}
+                    </Button>
+                  </div>
+                </form>
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Seat Selection */}
+          {step === 'seats' && (
+            <Card className="glass-effect border-white/10">
+              <CardHeader>
+                <CardTitle className="text-white flex items-center space-x-2">
+                  <Armchair className="h-5 w-5" />
+                  <span>Select Seats</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={handleSubmit} className="space-y-6">
+                  {/* Leg picker */}
+                  {legs.length > 1 && (
+                    <div className="flex flex-wrap gap-2">
+                      {legs.map((leg, legIndex) => (
                         <Button
+                          key={leg.id}
                           type="button"
                           variant="outline"
-                          onClick={() => removePassenger(index)}
-                          className="text-red-400 border-red-400/30 hover:bg-red-400/10"
+                          onClick={() => setActiveLeg(legIndex)}
+                          className={
+                            legIndex === activeLeg
+                              ? 'border-purple-400 bg-purple-500/20 text-white'
+                              : 'border-white/20 text-gray-300 hover:bg-white/10'
+                          }
                         >
-                          Remove
+                          <Plane className="mr-2 h-4 w-4" />
+                          {leg.flightNumber}
+                          <span className="ml-2 text-xs text-gray-400">
+                            {leg.departureAirport} → {leg.arrivalAirport}
+                          </span>
                         </Button>
-                      )}
+                      ))}
                     </div>
-                    
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                      <div>
-                        <Label htmlFor={`full_name_${index}`} className="text-white">
-                          Full Name
-                        </Label>
-                        <Input
-                          id={`full_name_${index}`}
-                          value={passenger.full_name}
-                          onChange={(e) => updatePassenger(index, 'full_name', e.target.value)}
-                          placeholder="Enter full name"
-                          className="bg-white/5 border-white/10 text-white placeholder:text-gray-400"
-                          required
-                        />
-                      </div>
-                      
-                      <div>
-                        <Label htmlFor={`gender_${index}`} className="text-white">
-                          Gender
-                        </Label>
-                        <Select 
-                          value={passenger.gender} 
-                          onValueChange={(value) => updatePassenger(index, 'gender', value)}
-                          required
-                        >
-                          <SelectTrigger className="bg-white/5 border-white/10 text-white">
-                            <SelectValue placeholder="Select gender" />
-                          </SelectTrigger>
-                          <SelectContent>
-                            <SelectItem value="male">Male</SelectItem>
-                            <SelectItem value="female">Female</SelectItem>
-                            <SelectItem value="other">Other</SelectItem>
-                          </SelectContent>
-                        </Select>
-                      </div>
-                      
-                      <div>
-                        <Label htmlFor={`age_${index}`} className="text-white">
-                          Age
-                        </Label>
-                        <Input
-                          id={`age_${index}`}
-                          type="number"
-                          min="0"
-                          max="120"
-                          value={passenger.age}
-                          onChange={(e) => updatePassenger(index, 'age', e.target.value)}
-                          placeholder="Enter age"
-                          className="bg-white/5 border-white/10 text-white placeholder:text-gray-400"
-                          required
-                        />
-                      </div>
-                      
-                      <div>
-                        <Label htmlFor={`passport_${index}`} className="text-white">
-                          Passport Number
-                        </Label>
-                        <Input
-                          id={`passport_${index}`}
-                          value={passenger.passport_number}
-                          onChange={(e) => updatePassenger(index, 'passport_number', e.target.value)}
-                          placeholder="Enter passport number"
-                          className="bg-white/5 border-white/10 text-white placeholder:text-gray-400"
-                          required
-                        />
-                      </div>
+                  )}
+
+                  {/* Passenger picker */}
+                  <div className="flex flex-wrap gap-2">
+                    {passengers.map((passenger, index) => (
+                      <Button
+                        key={index}
+                        type="button"
+                        variant="outline"
+                        disabled={!needsSeat(index)}
+                        onClick={() => setActivePassenger(index)}
+                        className={
+                          index === activePassenger
+                            ? 'border-blue-400 bg-blue-500/20 text-white'
+                            : 'border-white/20 text-gray-300 hover:bg-white/10'
+                        }
+                      >
+                        {passenger.full_name || `Passenger ${index + 1}`}
+                        <span className="ml-2 text-xs text-gray-400">{passenger.fare_class}</span>
+                        <span className="ml-2 font-mono text-xs">
+                          {needsSeat(index) ? passenger.seats[currentLeg.id] || '—' : 'On lap'}
+                        </span>
+                      </Button>
+                    ))}
+                  </div>
+
+                  {seatsLoading ? (
+                    <div className="flex items-center justify-center py-12">
+                      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+                    </div>
+                  ) : currentSeatMap?.airplane ? (
+                    <>
+                      <p className="text-sm text-gray-400">
+                        {currentSeatMap.airplane.name || currentSeatMap.airplane.model} · {currentSeatMap.airplane.capacity} seats
+                      </p>
+                      {!hasFreeSeat(currentLeg) && passengers.some((p, i) => needsSeat(i) && !p.seats[currentLeg.id]) && (
+                        <p className="text-sm text-yellow-400">
+                          Every seat on this flight is taken. Passengers without a seat will be given one at check-in.
+                        </p>
+                      )}
+                      <SeatMap
+                        airplane={currentSeatMap.airplane}
+                        fareClasses={getAvailableFareClasses(currentLeg)}
+                        takenSeats={currentSeatMap.takenSeats}
+                        passengers={passengers.map((p, i) => ({ ...p, seat_number: (needsSeat(i) && p.seats[currentLeg.id]) || '' }))}
+                        activePassenger={activePassenger}
+                        onSelectSeat={selectSeat}
+                      />
+                    </>
+                  ) : (
+                    <div className="text-center py-8">
+                      <p className="text-gray-300 mb-4">The seat map could not be loaded.</p>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        onClick={loadSeatMap}
+                        className="border-white/20 text-white hover:bg-white/10"
+                      >
+                        Try Again
+                      </Button>
                     </div>
+                  )}
+
+                  <div className="pt-6 border-t border-white/10 flex space-x-3">
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => setStep('details')}
+                      className="border-white/20 text-white hover:bg-white/10"
+                    >
+                      <ArrowLeft className="mr-2 h-4 w-4" />
+                      Edit Passengers
+                    </Button>
+                    <Button
+                      type="submit"
+                      disabled={loading || seatsLoading || !currentSeatMap?.airplane}
+                      className="flex-1 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+                    >
+                      {loading ? (
+                        <>
+                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                          Processing...
+                        </>
+                      ) : (
+                        <>
+                          <CreditCard className="mr-2 h-4 w-4" />
+                          Continue to Payment
+                        </>
+                      )}
+                    </Button>
                   </div>
-                ))}
-                
-                <div className="flex justify-center">
-                  <Button
-                    type="button"
-                    variant="outline"
-                    onClick={addPassenger}
-                    className="border-white/20 text-white hover:bg-white/10"
-                  >
-                    + Add Another Passenger
-                  </Button>
-                </div>
-                
-                <div className="pt-6 border-t border-white/10">
-                  <Button
-                    type="submit"
-                    disabled={loading}
-                    className="w-full bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
-                  >
-                    {loading ? (
-                      <>
-                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                        Processing...
-                      </>
-                    ) : (
-                      <>
-                        <CreditCard className="mr-2 h-4 w-4" />
-                        Continue to Payment
-                      </>
-                    )}
-                  </Button>
-                </div>
-              </form>
-            </CardContent>
-          </Card>
+                </form>
+              </CardContent>
+            </Card>
+          )}
         </div>
       </div>
     </>
@@ -22,6 +22,17 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { toast } from '@/components/ui/use-toast';
 import { useAuth } from '@/context/AuthContext';
 import { paymentAPI, bookingAPI } from '@/services/api';
+import { summarizeFareClasses } from './fares';
+import { getAddonsTotal, summarizeAddons } from './addons';
+
+// Add-ons are paid with the booking itself, not with a later flight change
+const getPaymentAddons = (payment) => {
+  const booking = payment.booking || payment.Booking;
+  const paymentId = payment.payment_id || payment.PaymentId || payment.paymentId;
+  const changes = booking?.bookingChanges || booking?.BookingChanges || [];
+  if (changes.some(change => (change.paymentId ?? change.PaymentId) === paymentId)) return [];
+  return booking?.passengerAddons || booking?.PassengerAddons || [];
+};
 
 const PaymentHistory = () => {
   const navigate = useNavigate();
@@ -108,13 +119,16 @@ const PaymentHistory = () => {
        const mappedPayments = userPayments.map(payment => ({
          paymentId: payment.payment_id || payment.PaymentId || payment.paymentId,
          bookingId: payment.booking_id || payment.BookingId || payment.bookingId,
+         bookingReference: payment.booking?.pnr || payment.Booking?.Pnr,
          stripePaymentId: payment.stripe_payment_id || payment.StripePaymentId || payment.stripePaymentId,
          amount: payment.amount || payment.Amount,
          currency: payment.currency || payment.Currency,
          paymentStatus: payment.payment_status || payment.PaymentStatus || payment.paymentStatus,
          paymentMethodType: payment.payment_method_type || payment.PaymentMethodType || payment.paymentMethodType,
          receiptUrl: payment.receipt_url || payment.ReceiptUrl || payment.receiptUrl,
-         createdAt: payment.created_at || payment.CreatedAt || payment.createdAt
+         createdAt: payment.created_at || payment.CreatedAt || payment.createdAt,
+         fareClass: summarizeFareClasses(payment.booking?.tickets || payment.Booking?.Tickets),
+         addons: getPaymentAddons(payment)
        }));
       
       console.log('Mapped user payments:', mappedPayments);
@@ -169,7 +183,7 @@ const PaymentHistory = () => {
     if (searchTerm) {
       filtered = filtered.filter(payment =>
         payment.stripePaymentId?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        payment.bookingId?.toString().includes(searchTerm) ||
+        payment.bookingReference?.toLowerCase().includes(searchTerm.toLowerCase()) ||
         payment.amount?.toString().includes(searchTerm)
       );
     }
@@ -221,6 +235,12 @@ const PaymentHistory = () => {
   };
 
   const downloadReceipt = (payment) => {
+    const addonLines = summarizeAddons(payment.addons).map(addon =>
+      `  ${addon.name}${addon.count > 1 ? ` ×${addon.count}` : ''}: ₹${addon.total}`);
+    const addonSection = addonLines.length > 0
+      ? `Add-ons:\n${addonLines.join('\n')}\nAdd-ons Total: ₹${getAddonsTotal(payment.addons)}\n`
+      : '';
+
     // Create receipt content
     const receiptContent = `
 Flynest - Payment Receipt
@@ -228,8 +248,9 @@ Flynest - Payment Receipt
 
 Payment ID: ${payment.paymentId}
 Stripe Payment ID: ${payment.stripePaymentId}
-Booking ID: ${payment.bookingId}
-Amount: ₹${payment.amount}
+Booking Reference: ${payment.bookingReference}
+Class: ${payment.fareClass || 'N/A'}
+${addonSection}Amount: ₹${payment.amount}
 Currency: ${payment.currency}
 Payment Method: ${payment.paymentMethodType}
 Status: ${payment.paymentStatus}
@@ -496,8 +517,8 @@ Thank you for choosing Flynest!
                           <div className="flex items-center space-x-2">
                             <Receipt className="h-4 w-4 text-purple-400" />
                             <div>
-                              <p className="text-sm text-gray-400">Booking ID</p>
-                              <p className="font-medium text-white">{payment.bookingId}</p>
+                              <p className="text-sm text-gray-400">Booking Reference</p>
+                              <p className="font-medium text-white">{payment.bookingReference}</p>
                             </div>
                           </div>
                         </div>
@@ -515,6 +536,29 @@ Thank you for choosing Flynest!
                         </div>
                       </div>
 
+                      {/* Fare Class */}
+                      {payment.fareClass && (
+                        <div className="flex items-center space-x-2">
+                          <Receipt className="h-4 w-4 text-indigo-400" />
+                          <div>
+                            <p className="text-sm text-gray-400">Class</p>
+                            <p className="font-medium text-white">{payment.fareClass}</p>
+                          </div>
+                        </div>
+                      )}
+
+                      {payment.addons?.length > 0 && (
+                        <div className="flex items-center space-x-2">
+                          <Receipt className="h-4 w-4 text-pink-400" />
+                          <div>
+                            <p className="text-sm text-gray-400">Add-ons</p>
+                            <p className="font-medium text-white">
+                              {summarizeAddons(payment.addons).map(addon => addon.name).join(', ')}
+                            </p>
+                          </div>
+                        </div>
+                      )}
+
                       {/* Stripe Payment ID */}
                       <div className="flex items-center space-x-2">
                         <CreditCard className="h-4 w-4 text-orange-400" />
@@ -571,4 +615,4 @@ Thank you for choosing Flynest!
   );
 };
 
-export default PaymentHistory; 
\ No newline at end of file
+export default PaymentHistory; 
\ No newline at end of file
@@ -0,0 +1,73 @@
+import React from 'react';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { User, Mail, Phone } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { useAuth } from '@/context/AuthContext';
+import SavedTravellers from './SavedTravellers';
+import CalendarSubscription from './CalendarSubscription';
+
+const Profile = () => {
+  const { user } = useAuth();
+
+  const details = [
+    { label: 'Name', value: user?.name, icon: User, color: 'text-blue-400' },
+    { label: 'Email', value: user?.email, icon: Mail, color: 'text-green-400' },
+    { label: 'Phone', value: user?.phone, icon: Phone, color: 'text-purple-400' }
+  ];
+
+  return (
+    <>
+      <Helmet>
+        <title>My Profile - Flynest</title>
+        <meta name="description" content="Manage your Flynest account and saved travellers." />
+      </Helmet>
+
+      <div className="min-h-screen pt-20 pb-12">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <motion.div
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+            className="mb-8"
+          >
+            <h1 className="text-4xl font-bold text-white mb-2">My Profile</h1>
+            <p className="text-gray-300">Your account details and the people you travel with</p>
+          </motion.div>
+
+          <motion.div
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8, delay: 0.1 }}
+            className="space-y-8"
+          >
+            <Card className="glass-effect border-white/10">
+              <CardHeader>
+                <CardTitle className="text-white">Account</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {details.map(({ label, value, icon: Icon, color }) => (
+                    <div key={label} className="flex items-center space-x-2">
+                      <Icon className={`h-4 w-4 ${color}`} />
+                      <div>
+                        <p className="text-sm text-gray-400">{label}</p>
+                        <p className="font-medium text-white">{value || '—'}</p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+
+            <SavedTravellers />
+
+            <CalendarSubscription />
+          </motion.div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Profile;
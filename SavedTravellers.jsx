@@ -0,0 +1,339 @@
+import React, { useState, useEffect } from 'react';
+import { Users, Plus, Pencil, Trash2, Save, X } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from '@/components/ui/use-toast';
+import { useAuth } from '@/context/AuthContext';
+import { savedTravellerAPI, countryAPI } from '@/services/api';
+import { PASSPORT_PATTERN, normalizePassport } from './passengerRules';
+
+const emptyTraveller = {
+  fullName: '',
+  gender: '',
+  dateOfBirth: '',
+  nationality: '',
+  passportNumber: '',
+  passportExpiry: ''
+};
+
+// "Saved travellers" section of the profile page
+const SavedTravellers = () => {
+  const { user } = useAuth();
+  const userId = user?.userId || user?.id;
+
+  const [travellers, setTravellers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState(null); // traveller id, 'new' or null
+  const [form, setForm] = useState(emptyTraveller);
+  const [countries, setCountries] = useState([]);
+
+  useEffect(() => {
+    fetchTravellers();
+    fetchCountries();
+  }, []);
+
+  const fetchCountries = async () => {
+    try {
+      const response = await countryAPI.getAll();
+      setCountries(response.data || []);
+    } catch (error) {
+      console.error('Error fetching countries:', error);
+    }
+  };
+
+  const fetchTravellers = async () => {
+    try {
+      setLoading(true);
+      const response = await savedTravellerAPI.getByUser(userId);
+      setTravellers(response.data || []);
+    } catch (error) {
+      console.error('Error fetching saved travellers:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load saved travellers.",
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startAdd = () => {
+    setForm(emptyTraveller);
+    setEditingId('new');
+  };
+
+  const startEdit = (traveller) => {
+    setForm({
+      fullName: traveller.fullName || '',
+      gender: traveller.gender?.toLowerCase() || '',
+      dateOfBirth: traveller.dateOfBirth?.slice(0, 10) || '',
+      nationality: traveller.nationality || '',
+      passportNumber: traveller.passportNumber || '',
+      passportExpiry: traveller.passportExpiry?.slice(0, 10) || ''
+    });
+    setEditingId(traveller.travellerId);
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyTraveller);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (!form.fullName.trim() || !form.passportNumber.trim()) {
+      toast({
+        title: "Validation Error",
+        description: "Name and passport number are required.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    if (!PASSPORT_PATTERN.test(normalizePassport(form.passportNumber))) {
+      toast({
+        title: "Validation Error",
+        description: "Passport number must be 6 to 9 letters or digits.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    const travellerData = {
+      userId,
+      fullName: form.fullName.trim(),
+      gender: form.gender || null,
+      dateOfBirth: form.dateOfBirth || null,
+      nationality: form.nationality || null,
+      passportNumber: normalizePassport(form.passportNumber),
+      passportExpiry: form.passportExpiry || null
+    };
+
+    setSaving(true);
+    try {
+      if (editingId === 'new') {
+        await savedTravellerAPI.create(travellerData);
+      } else {
+        await savedTravellerAPI.update(editingId, { ...travellerData, travellerId: editingId });
+      }
+      toast({
+        title: "Traveller Saved",
+        description: `${travellerData.fullName} is ready for your next booking.`
+      });
+      cancelEdit();
+      fetchTravellers();
+    } catch (error) {
+      console.error('Error saving traveller:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to save traveller. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (traveller) => {
+    try {
+      await savedTravellerAPI.delete(traveller.travellerId);
+      setTravellers(travellers.filter(t => t.travellerId !== traveller.travellerId));
+      toast({
+        title: "Traveller Removed",
+        description: `${traveller.fullName} was removed from your saved travellers.`
+      });
+    } catch (error) {
+      console.error('Error deleting traveller:', error);
+      toast({
+        title: "Error",
+        description: "Failed to remove traveller. Please try again.",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const renderForm = () => (
+    <form onSubmit={handleSave} className="border border-white/10 rounded-lg p-4 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="traveller_name" className="text-white">Full Name</Label>
+          <Input
+            id="traveller_name"
+            value={form.fullName}
+            onChange={(e) => setForm({ ...form, fullName: e.target.value })}
+            placeholder="Enter full name"
+            className="bg-white/5 border-white/10 text-white placeholder:text-gray-400"
+          />
+        </div>
+        <div>
+          <Label htmlFor="traveller_gender" className="text-white">Gender</Label>
+          <Select value={form.gender} onValueChange={(value) => setForm({ ...form, gender: value })}>
+            <SelectTrigger id="traveller_gender" className="bg-white/5 border-white/10 text-white">
+              <SelectValue placeholder="Select gender" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="male">Male</SelectItem>
+              <SelectItem value="female">Female</SelectItem>
+              <SelectItem value="other">Other</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label htmlFor="traveller_dob" className="text-white">Date of Birth</Label>
+          <Input
+            id="traveller_dob"
+            type="date"
+            value={form.dateOfBirth}
+            onChange={(e) => setForm({ ...form, dateOfBirth: e.target.value })}
+            className="bg-white/5 border-white/10 text-white placeholder:text-gray-400"
+          />
+        </div>
+        <div>
+          <Label htmlFor="traveller_nationality" className="text-white">Nationality</Label>
+          <Select value={form.nationality} onValueChange={(value) => setForm({ ...form, nationality: value })}>
+            <SelectTrigger id="traveller_nationality" className="bg-white/5 border-white/10 text-white">
+              <SelectValue placeholder="Select nationality" />
+            </SelectTrigger>
+            <SelectContent>
+              {countries.map(country => (
+                <SelectItem key={country.iso2} value={country.iso2}>
+                  {country.name} ({country.iso2})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label htmlFor="traveller_passport" className="text-white">Passport Number</Label>
+          <Input
+            id="traveller_passport"
+            value={form.passportNumber}
+            onChange={(e) => setForm({ ...form, passportNumber: e.target.value })}
+            placeholder="Enter passport number"
+            className="bg-white/5 border-white/10 text-white placeholder:text-gray-400"
+          />
+        </div>
+        <div>
+          <Label htmlFor="traveller_passport_expiry" className="text-white">Passport Expiry</Label>
+          <Input
+            id="traveller_passport_expiry"
+            type="date"
+            value={form.passportExpiry}
+            onChange={(e) => setForm({ ...form, passportExpiry: e.target.value })}
+            className="bg-white/5 border-white/10 text-white placeholder:text-gray-400"
+          />
+        </div>
+      </div>
+      <div className="flex space-x-3">
+        <Button
+          type="submit"
+          disabled={saving}
+          className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+        >
+          <Save className="mr-2 h-4 w-4" />
+          {saving ? 'Saving...' : 'Save Traveller'}
+        </Button>
+        <Button
+          type="button"
+          variant="outline"
+          onClick={cancelEdit}
+          className="border-white/20 text-white hover:bg-white/10"
+        >
+          <X className="mr-2 h-4 w-4" />
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+
+  return (
+    <Card className="glass-effect border-white/10">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="text-white flex items-center space-x-2">
+              <Users className="h-5 w-5" />
+              <span>Saved Travellers</span>
+            </CardTitle>
+            <CardDescription className="text-gray-400">
+              People you often fly with. Pick them when entering passengers.
+            </CardDescription>
+          </div>
+          {editingId === null && (
+            <Button
+              variant="outline"
+              onClick={startAdd}
+              className="border-white/20 text-white hover:bg-white/10"
+            >
+              <Plus className="mr-2 h-4 w-4" />
+              Add Traveller
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {editingId === 'new' && renderForm()}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+          </div>
+        ) : travellers.length === 0 && editingId === null ? (
+          <p className="text-gray-400 text-center py-6">No saved travellers yet.</p>
+        ) : (
+          travellers.map((traveller) => (
+            editingId === traveller.travellerId ? (
+              <React.Fragment key={traveller.travellerId}>{renderForm()}</React.Fragment>
+            ) : (
+              <div
+                key={traveller.travellerId}
+                className="p-4 rounded-lg border border-white/10 hover:border-white/20 transition-all flex items-center justify-between"
+              >
+                <div>
+                  <h3 className="font-semibold text-white">{traveller.fullName}</h3>
+                  <p className="text-sm text-gray-400">
+                    {[
+                      traveller.gender,
+                      traveller.dateOfBirth && `Born ${new Date(traveller.dateOfBirth).toLocaleDateString()}`,
+                      traveller.nationality,
+                      traveller.passportNumber,
+                      traveller.passportExpiry && `Expires ${new Date(traveller.passportExpiry).toLocaleDateString()}`
+                    ]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  <Button
+                    variant="ghost"
+                    onClick={() => startEdit(traveller)}
+                    className="text-gray-300 hover:text-white hover:bg-white/10"
+                    title="Edit"
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    onClick={() => handleDelete(traveller)}
+                    className="text-red-400 hover:bg-red-400/10"
+                    title="Remove"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            )
+          ))
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SavedTravellers;
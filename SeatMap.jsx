@@ -0,0 +1,152 @@
+import React from 'react';
+
+// The server checks chosen seats against the same layout (Services/SeatLayout.cs); keep the
+// two in step. Seat letters per row for the aircraft families in our fleet.
+// A null entry marks an aisle.
+const getSeatLetters = (model = '') => {
+  const normalized = model.toUpperCase();
+
+  if (normalized.includes('A380') || normalized.includes('777')) {
+    return ['A', 'B', 'C', null, 'D', 'E', 'F', 'G', null, 'H', 'J', 'K'];
+  }
+  if (normalized.includes('787') || normalized.includes('A350') || normalized.includes('767')) {
+    return ['A', 'B', 'C', null, 'D', 'E', 'F', null, 'G', 'H', 'K'];
+  }
+  // Narrow-body default (A320, 737, ...)
+  return ['A', 'B', 'C', null, 'D', 'E', 'F'];
+};
+
+// Rows at the front of the cabin set aside for premium classes
+const getPremiumRows = (model = '') => {
+  const normalized = model.toUpperCase();
+
+  if (normalized.includes('A380') || normalized.includes('777')) {
+    return { First: 2, Business: 6 };
+  }
+  if (normalized.includes('787') || normalized.includes('A350') || normalized.includes('767')) {
+    return { First: 0, Business: 5 };
+  }
+  return { First: 0, Business: 2 };
+};
+
+// Build the cabin rows from the airplane's capacity and model.
+// Premium rows are only laid out for the classes the flight actually sells.
+export const buildCabinLayout = (airplane, fareClasses = ['Economy']) => {
+  const letters = getSeatLetters(airplane?.model);
+  const seatsPerRow = letters.filter(Boolean).length;
+  const capacity = airplane?.capacity || 0;
+  const rowCount = Math.ceil(capacity / seatsPerRow);
+  const premiumRows = getPremiumRows(airplane?.model);
+  const firstRows = fareClasses.includes('First') ? premiumRows.First : 0;
+  const businessRows = fareClasses.includes('Business') ? premiumRows.Business : 0;
+
+  const getRowClass = (row) => {
+    if (row <= firstRows) return 'First';
+    if (row <= firstRows + businessRows) return 'Business';
+    return 'Economy';
+  };
+
+  const rows = [];
+  let seatsLeft = capacity;
+  for (let row = 1; row <= rowCount; row++) {
+    const fareClass = getRowClass(row);
+    const seats = letters.map((letter) => {
+      if (!letter) return null;
+      if (seatsLeft <= 0) return { seatNumber: null, letter };
+      seatsLeft--;
+      return { seatNumber: `${row}${letter}`, letter, fareClass };
+    });
+    rows.push({ row, fareClass, seats });
+  }
+  return rows;
+};
+
+const SeatMap = ({ airplane, fareClasses, takenSeats = [], passengers = [], activePassenger, onSelectSeat }) => {
+  const rows = buildCabinLayout(airplane, fareClasses);
+  const activeFareClass = passengers[activePassenger]?.fare_class || 'Economy';
+
+  // Map of seat -> passenger index for seats chosen in this booking
+  const chosenSeats = passengers.reduce((acc, passenger, index) => {
+    if (passenger.seat_number) acc[passenger.seat_number] = index;
+    return acc;
+  }, {});
+
+  const getSeatClass = (seatNumber, fareClass) => {
+    if (takenSeats.includes(seatNumber)) {
+      return 'bg-gray-600/40 border-gray-600 text-gray-500 cursor-not-allowed';
+    }
+    if (chosenSeats[seatNumber] === activePassenger) {
+      return 'bg-gradient-to-r from-blue-500 to-purple-600 border-blue-400 text-white';
+    }
+    if (chosenSeats[seatNumber] !== undefined) {
+      return 'bg-purple-500/30 border-purple-400/50 text-purple-200';
+    }
+    if (fareClass !== activeFareClass) {
+      return 'bg-gray-600/40 border-gray-600 text-gray-500 cursor-not-allowed';
+    }
+    return 'bg-white/5 border-white/20 text-gray-300 hover:bg-green-500/20 hover:border-green-400/50';
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Legend */}
+      <div className="flex flex-wrap gap-4 text-sm text-gray-300">
+        <div className="flex items-center space-x-2">
+          <div className="w-4 h-4 rounded bg-white/5 border border-white/20"></div>
+          <span>Available</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <div className="w-4 h-4 rounded bg-gray-600/40 border border-gray-600"></div>
+          <span>Taken / other cabin</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <div className="w-4 h-4 rounded bg-gradient-to-r from-blue-500 to-purple-600"></div>
+          <span>Passenger {activePassenger + 1}</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <div className="w-4 h-4 rounded bg-purple-500/30 border border-purple-400/50"></div>
+          <span>Other passengers</span>
+        </div>
+      </div>
+
+      {/* Cabin */}
+      <div className="max-h-[480px] overflow-y-auto border border-white/10 rounded-lg p-4">
+        <div className="inline-block mx-auto space-y-1">
+          {rows.map(({ row, fareClass, seats }, rowIndex) => (
+            <React.Fragment key={row}>
+              {(rowIndex === 0 || rows[rowIndex - 1].fareClass !== fareClass) && (
+                <p className="text-xs uppercase tracking-wide text-gray-400 pt-2 pb-1 ml-8">{fareClass}</p>
+              )}
+              <div className="flex items-center space-x-1">
+                <span className="w-6 text-xs text-gray-500 text-right mr-2">{row}</span>
+                {seats.map((seat, index) => {
+                  if (!seat) {
+                    return <div key={`aisle-${index}`} className="w-4" />;
+                  }
+                  if (!seat.seatNumber) {
+                    return <div key={seat.letter} className="w-8 h-8" />;
+                  }
+                  const isUnavailable = takenSeats.includes(seat.seatNumber) || seat.fareClass !== activeFareClass;
+                  return (
+                    <button
+                      key={seat.seatNumber}
+                      type="button"
+                      disabled={isUnavailable}
+                      onClick={() => onSelectSeat(seat.seatNumber)}
+                      title={`${seat.seatNumber} · ${seat.fareClass}`}
+                      className={`w-8 h-8 rounded border text-xs font-medium transition-colors ${getSeatClass(seat.seatNumber, seat.fareClass)}`}
+                    >
+                      {seat.letter}
+                    </button>
+                  );
+                })}
+              </div>
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SeatMap;
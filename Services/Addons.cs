@@ -0,0 +1,33 @@
+﻿using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // Paid extras a passenger can add per flight. Each airline sells and prices its own
+    // options in the addons table; a passenger takes at most one option of each kind.
+    public static class Addons
+    {
+        public const string Baggage = "baggage";
+        public const string Meal = "meal";
+        public const string Priority = "priority";
+        public const string Legroom = "legroom";
+
+        public static readonly string[] Codes = { Baggage, Meal, Priority, Legroom };
+
+        // Extra legroom comes with a seat, and infants travel on an adult's lap
+        public static bool IsAllowedFor(Addon addon, Passenger passenger)
+        {
+            return addon.Code != Legroom || passenger.PassengerType != PassengerRules.Infant;
+        }
+
+        // Active options sold by the airline operating the flight
+        public static Task<List<Addon>> ForFlightAsync(FlynestDbContext context, Flight flight)
+        {
+            return context.Addons
+                .Where(a => a.IsActive && a.Airline.IataCode == flight.AirlineIata)
+                .OrderBy(a => a.Code)
+                .ThenBy(a => a.Price)
+                .ToListAsync();
+        }
+    }
+}
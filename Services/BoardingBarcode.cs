@@ -0,0 +1,99 @@
+﻿using System.Text;
+using System.Text.RegularExpressions;
+using flynest.Models;
+
+namespace flynest.Services
+{
+    // IATA Bar Coded Boarding Pass (BCBP, Resolution 792) data for one passenger on one flight.
+    // Only the mandatory single-leg fields are written; any 2D symbology (PDF417, Aztec, QR) can carry it.
+    public static class BoardingBarcode
+    {
+        private static readonly Regex FlightNumberPattern = new Regex("^(\\d{1,4})([A-Z]?)$");
+
+        public static string Encode(Passenger passenger, Ticket ticket, Flight flight, string bookingReference, int sequenceNumber, bool checkedIn = false)
+        {
+            var data = new StringBuilder();
+            data.Append('M');                                       // format code
+            data.Append('1');                                       // legs encoded
+            data.Append(Fixed(PassengerName(passenger.FullName), 20));
+            data.Append('E');                                       // electronic ticket
+            data.Append(Fixed(bookingReference, 7));
+            data.Append(Fixed(flight.DepartureIata, 3));
+            data.Append(Fixed(flight.ArrivalIata, 3));
+            data.Append(Fixed(flight.AirlineIata, 3));
+            data.Append(FlightNumber(flight));
+            data.Append(JulianDate(flight.FlightDate));
+            data.Append(CompartmentCode(ticket.Class));
+            data.Append(SeatNumber(ticket.SeatNumber));
+            data.Append(Fixed(sequenceNumber.ToString("D4"), 5));
+            data.Append(checkedIn ? '1' : '0');                     // passenger status
+            data.Append("00");                                      // no conditional items follow
+            return data.ToString();
+        }
+
+        // "John Doe" -> "DOE/JOHN"
+        private static string PassengerName(string? fullName)
+        {
+            var parts = Regex.Replace((fullName ?? "").ToUpperInvariant(), "[^A-Z ]", "")
+                .Split(' ', StringSplitOptions.RemoveEmptyEntries);
+
+            if (parts.Length == 0)
+            {
+                return "";
+            }
+            if (parts.Length == 1)
+            {
+                return parts[0];
+            }
+            return parts[^1] + "/" + string.Join("", parts[..^1]);
+        }
+
+        // Flight numbers are stored with the carrier prefix ("AI101"); BCBP wants "0101 "
+        private static string FlightNumber(Flight flight)
+        {
+            var number = (flight.FlightNumber ?? "").ToUpperInvariant();
+            if (!string.IsNullOrEmpty(flight.AirlineIata) && number.StartsWith(flight.AirlineIata))
+            {
+                number = number.Substring(flight.AirlineIata.Length);
+            }
+
+            var match = FlightNumberPattern.Match(number);
+            if (!match.Success)
+            {
+                return Fixed(number, 5);
+            }
+            return match.Groups[1].Value.PadLeft(4, '0') + Fixed(match.Groups[2].Value, 1);
+        }
+
+        private static string JulianDate(DateOnly? flightDate)
+        {
+            return flightDate?.DayOfYear.ToString("D3") ?? "   ";
+        }
+
+        private static char CompartmentCode(string? fareClass)
+        {
+            return fareClass switch
+            {
+                FareClasses.First => 'F',
+                FareClasses.Business => 'J',
+                _ => 'Y'
+            };
+        }
+
+        // "12A" -> "012A"; infants on a lap have no seat
+        private static string SeatNumber(string? seatNumber)
+        {
+            if (string.IsNullOrEmpty(seatNumber))
+            {
+                return Fixed("", 4);
+            }
+            return seatNumber.ToUpperInvariant().PadLeft(4, '0');
+        }
+
+        private static string Fixed(string? value, int length)
+        {
+            value ??= "";
+            return value.Length > length ? value.Substring(0, length) : value.PadRight(length);
+        }
+    }
+}
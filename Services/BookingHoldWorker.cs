@@ -0,0 +1,54 @@
+﻿using flynest.Models;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace flynest.Services
+{
+    // Cancels lapsed booking holds in the background, so their seats go back on sale (and to
+    // the waitlist) without waiting for someone to read bookings. Register it with:
+    //
+    //   builder.Services.AddHostedService<BookingHoldWorker>();
+    //
+    // Safe to run on several instances; BookingHolds.ExpireAsync lets only one cancel each booking.
+    public class BookingHoldWorker : BackgroundService
+    {
+        private static readonly TimeSpan PollInterval = TimeSpan.FromMinutes(1);
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly ILogger<BookingHoldWorker> _logger;
+
+        public BookingHoldWorker(IServiceScopeFactory scopeFactory, ILogger<BookingHoldWorker> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _logger = logger;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var context = scope.ServiceProvider.GetRequiredService<FlynestDbContext>();
+                    await BookingHolds.ExpireAsync(context);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    // Keep polling; reads still expire holds while the sweep is failing
+                    _logger.LogError(ex, "Expiring booking holds failed");
+                }
+
+                try
+                {
+                    await Task.Delay(PollInterval, stoppingToken);
+                }
+                catch (OperationCanceledException)
+                {
+                    break;
+                }
+            }
+        }
+    }
+}
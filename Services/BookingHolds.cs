@@ -0,0 +1,85 @@
+﻿using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // Pending bookings hold their seats only until hold_expires_at.
+    // Expired holds are cancelled by BookingHoldWorker, and again whenever bookings are read
+    // so a slow sweep never shows a lapsed hold. The seats they free go to the flight's waitlist.
+    public static class BookingHolds
+    {
+        public static readonly TimeSpan HoldDuration = TimeSpan.FromMinutes(15);
+
+        public static void Start(Booking booking)
+        {
+            booking.HoldExpiresAt = booking.Status == "Pending"
+                ? DateTime.Now.Add(HoldDuration)
+                : null;
+        }
+
+        public static bool IsExpired(Booking booking)
+        {
+            return booking.Status == "Pending"
+                && booking.HoldExpiresAt != null
+                && booking.HoldExpiresAt <= DateTime.Now;
+        }
+
+        // Move every Pending booking past its deadline to Cancelled
+        public static async Task ExpireAsync(FlynestDbContext context)
+        {
+            await WaitlistOffers.ExpireAsync(context);
+
+            var now = DateTime.Now;
+            var expired = await context.Bookings
+                .Where(b => b.Status == "Pending" && b.HoldExpiresAt != null && b.HoldExpiresAt <= now)
+                .ToListAsync();
+
+            if (expired.Count == 0)
+            {
+                return;
+            }
+
+            // Only the caller whose update still finds the booking Pending cancels it, so
+            // concurrent sweeps (or a payment arriving at the deadline) don't both act on it
+            var cancelled = new List<Booking>();
+            foreach (var booking in expired)
+            {
+                var updated = await context.Database.ExecuteSqlInterpolatedAsync(
+                    $"UPDATE booking SET status = 'Cancelled', cancelled_at = {now} WHERE booking_id = {booking.BookingId} AND status = 'Pending'");
+                if (updated == 1)
+                {
+                    booking.Status = "Cancelled";
+                    booking.CancelledAt = now;
+                    context.Entry(booking).State = EntityState.Unchanged;
+                    cancelled.Add(booking);
+                }
+            }
+
+            if (cancelled.Count == 0)
+            {
+                return;
+            }
+
+            var expiredIds = cancelled.Select(b => b.BookingId).ToList();
+            Ticketing.ReleaseSeats(await context.Tickets
+                .Where(t => expiredIds.Contains(t.Booking.BookingId))
+                .ToListAsync());
+
+            foreach (var booking in cancelled)
+            {
+                Notifications.Add(context, booking, Notifications.BookingCancelled,
+                    "Booking hold expired",
+                    $"Booking {booking.Pnr} was cancelled because payment wasn't completed in time.");
+            }
+
+            await context.SaveChangesAsync();
+
+            var flightIds = await context.BookingFlights
+                .Where(bf => expiredIds.Contains(bf.BookingId))
+                .Select(bf => bf.FlightId)
+                .ToListAsync();
+            flightIds.AddRange(cancelled.Where(b => b.FlightId != null).Select(b => b.FlightId!.Value));
+            await WaitlistOffers.OfferFreedSeatsAsync(context, flightIds);
+        }
+    }
+}
@@ -0,0 +1,57 @@
+﻿using System.Security.Cryptography;
+using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // Six-character booking reference (PNR) that customers quote to us and to the airline,
+    // and that guests use with a passenger's last name to manage a booking without logging in.
+    // Characters easily mixed up when read aloud (0/O, 1/I/L) are left out.
+    public static class BookingReferences
+    {
+        private const string Alphabet = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+        public const int Length = 6;
+
+        // Random, so references can't be guessed from one another; the unique index on
+        // booking.pnr backs up the check
+        public static async Task<string> NewPnrAsync(FlynestDbContext context)
+        {
+            while (true)
+            {
+                var chars = new char[Length];
+                for (int i = 0; i < Length; i++)
+                {
+                    chars[i] = Alphabet[RandomNumberGenerator.GetInt32(Alphabet.Length)];
+                }
+
+                var pnr = new string(chars);
+                if (!await context.Bookings.AnyAsync(b => b.Pnr == pnr))
+                {
+                    return pnr;
+                }
+            }
+        }
+
+        public static string Normalize(string? pnr)
+        {
+            return (pnr ?? "").Trim().ToUpperInvariant();
+        }
+
+        // True when any passenger's surname (the last word of their full name) matches
+        public static bool HasPassengerNamed(Booking booking, string? lastName)
+        {
+            var wanted = (lastName ?? "").Trim();
+            if (wanted.Length == 0)
+            {
+                return false;
+            }
+
+            return booking.Passengers.Any(p =>
+            {
+                var names = (p.FullName ?? "").Split(' ', StringSplitOptions.RemoveEmptyEntries);
+                return names.Length > 0 && string.Equals(names[^1], wanted, StringComparison.OrdinalIgnoreCase);
+            });
+        }
+    }
+}
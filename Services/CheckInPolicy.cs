@@ -0,0 +1,50 @@
+﻿using flynest.Models;
+using Microsoft.Extensions.Configuration;
+
+namespace flynest.Services
+{
+    // Online check-in window, read from the "CheckIn" configuration section:
+    //
+    //   "CheckIn": { "OpensHoursBefore": 48, "ClosesHoursBefore": 1 }
+    //
+    // Hours count back from the scheduled departure (FlightTimes.DeadlineDepartureUtc); times are UTC.
+    public class CheckInPolicy
+    {
+        public const string NotOpen = "NotOpen";
+        public const string Open = "Open";
+        public const string Closed = "Closed";
+
+        public double OpensHoursBefore { get; set; } = 48;
+        public double ClosesHoursBefore { get; set; } = 1;
+
+        public static CheckInPolicy FromConfiguration(IConfiguration config)
+        {
+            return config.GetSection("CheckIn").Get<CheckInPolicy>() ?? new CheckInPolicy();
+        }
+
+        public static DateTime? DepartureOf(Flight flight)
+        {
+            return FlightTimes.DeadlineDepartureUtc(flight);
+        }
+
+        public DateTime? OpensAt(Flight flight)
+        {
+            return DepartureOf(flight)?.AddHours(-OpensHoursBefore);
+        }
+
+        public DateTime? ClosesAt(Flight flight)
+        {
+            return DepartureOf(flight)?.AddHours(-ClosesHoursBefore);
+        }
+
+        public string StatusOf(Flight flight)
+        {
+            var now = DateTime.UtcNow;
+            if (OpensAt(flight) is not DateTime opensAt || now < opensAt)
+            {
+                return NotOpen;
+            }
+            return now < ClosesAt(flight) ? Open : Closed;
+        }
+    }
+}
@@ -0,0 +1,55 @@
+﻿using flynest.Models;
+using Microsoft.Extensions.Configuration;
+
+namespace flynest.Services
+{
+    // Rules for connecting flights, read from the "Connections" configuration section:
+    //
+    //   "Connections": { "MinConnectionMinutes": 60, "MaxLayoverHours": 24, "MaxStops": 2 }
+    //
+    // Layovers are measured between the scheduled arrival and departure in UTC, so each
+    // airport's own time zone is taken into account (see FlightTimes).
+    public class ConnectionPolicy
+    {
+        public int MinConnectionMinutes { get; set; } = 60;
+        public double MaxLayoverHours { get; set; } = 24;
+        // Search builds journeys with up to this many stops
+        public int MaxStops { get; set; } = 2;
+
+        public static ConnectionPolicy FromConfiguration(IConfiguration config)
+        {
+            return config.GetSection("Connections").Get<ConnectionPolicy>() ?? new ConnectionPolicy();
+        }
+
+        public bool IsValidLayover(DateTime arrivalUtc, DateTime departureUtc)
+        {
+            var layover = departureUtc - arrivalUtc;
+            return layover >= TimeSpan.FromMinutes(MinConnectionMinutes) && layover <= TimeSpan.FromHours(MaxLayoverHours);
+        }
+
+        // Null when `next` can follow `previous` in one booking, otherwise what to tell the
+        // customer. Flights without scheduled times can't be checked and are let through.
+        public string? ConnectionError(Flight previous, Flight next)
+        {
+            var arrival = FlightTimes.ArrivalUtc(previous);
+            var departure = FlightTimes.DepartureUtc(next);
+            if (arrival == null || departure == null)
+            {
+                return null;
+            }
+
+            var minutes = (int)(departure.Value - arrival.Value).TotalMinutes;
+            if (minutes < 0)
+            {
+                return $"Flight {next.FlightNumber} departs before flight {previous.FlightNumber} lands.";
+            }
+            // Only a change of planes at the same airport is a connection; other gaps are
+            // separate trips (round trip, multi-city) and may be any length
+            if (previous.ArrivalIata == next.DepartureIata && minutes < MinConnectionMinutes)
+            {
+                return $"Only {minutes} minutes to connect from flight {previous.FlightNumber} to {next.FlightNumber}; at least {MinConnectionMinutes} are needed.";
+            }
+            return null;
+        }
+    }
+}
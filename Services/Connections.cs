@@ -0,0 +1,163 @@
+﻿using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // One- and two-stop journeys built from the flights table for a route and date. Every
+    // layover respects ConnectionPolicy, airports aren't visited twice, and journeys with a
+    // sold-out flight are dropped. Direct flights are left to the regular search. Run
+    // BookingHolds.ExpireAsync first.
+    public static class Connections
+    {
+        // Shortest journeys are kept when there are more
+        public const int MaxResults = 20;
+
+        public static async Task<List<Connection>> FindAsync(FlynestDbContext context, ConnectionPolicy policy,
+            string departureIata, string arrivalIata, DateOnly flightDate)
+        {
+            if (policy.MaxStops < 1)
+            {
+                return new List<Connection>();
+            }
+
+            // Later legs may leave on the following days; one query covers them all
+            var extraDays = (int)Math.Ceiling(policy.MaxStops * policy.MaxLayoverHours / 24) + 1;
+            var lastDate = flightDate.AddDays(extraDays);
+            var candidates = await context.Flights
+                .Where(f =>
+                    f.FlightDate >= flightDate &&
+                    f.FlightDate <= lastDate &&
+                    f.DepartureTime != null &&
+                    f.ArrivalTime != null &&
+                    f.FlightStatus != FlightStatusUpdates.Cancelled)
+                .ToListAsync();
+
+            var timed = candidates
+                .Select(f => new TimedFlight(f, FlightTimes.DepartureUtc(f), FlightTimes.ArrivalUtc(f)))
+                .Where(t => t.DepartureUtc != null && t.ArrivalUtc != null)
+                .ToList();
+            var byOrigin = timed.ToLookup(t => t.Flight.DepartureIata);
+
+            var journeys = new List<List<TimedFlight>>();
+            foreach (var first in byOrigin[departureIata].Where(t => t.Flight.FlightDate == flightDate))
+            {
+                Extend(new List<TimedFlight> { first }, arrivalIata, byOrigin, policy, journeys);
+            }
+
+            var shortest = journeys
+                .OrderBy(j => j[^1].ArrivalUtc!.Value - j[0].DepartureUtc!.Value)
+                .ThenBy(j => j.Count)
+                .ToList();
+
+            var flights = shortest.SelectMany(j => j).Select(t => t.Flight).DistinctBy(f => f.Id).ToList();
+            var availability = (await SeatInventory.AvailabilityAsync(context, flights)).ToDictionary(a => a.FlightId);
+
+            return shortest
+                .Where(j => j.All(t => !availability[t.Flight.Id].SoldOut))
+                .Take(MaxResults)
+                .Select(ToConnection)
+                .ToList();
+        }
+
+        // Depth-first: adds every valid next flight until the destination or the stop limit
+        private static void Extend(List<TimedFlight> path, string destination, ILookup<string?, TimedFlight> byOrigin,
+            ConnectionPolicy policy, List<List<TimedFlight>> journeys)
+        {
+            var last = path[^1];
+            if (last.Flight.ArrivalIata == destination)
+            {
+                if (path.Count > 1)
+                {
+                    journeys.Add(new List<TimedFlight>(path));
+                }
+                return;
+            }
+            if (path.Count > policy.MaxStops)
+            {
+                return;
+            }
+
+            var visited = path.Select(t => t.Flight.DepartureIata).ToHashSet();
+            foreach (var next in byOrigin[last.Flight.ArrivalIata])
+            {
+                if (visited.Contains(next.Flight.ArrivalIata) ||
+                    !policy.IsValidLayover(last.ArrivalUtc!.Value, next.DepartureUtc!.Value))
+                {
+                    continue;
+                }
+                path.Add(next);
+                Extend(path, destination, byOrigin, policy, journeys);
+                path.RemoveAt(path.Count - 1);
+            }
+        }
+
+        private static Connection ToConnection(List<TimedFlight> journey)
+        {
+            var flights = journey.Select(t => t.Flight).ToList();
+            var layovers = new List<Layover>();
+            for (int i = 1; i < journey.Count; i++)
+            {
+                var arriving = journey[i - 1].Flight;
+                var departing = journey[i].Flight;
+                layovers.Add(new Layover
+                {
+                    AirportIata = arriving.ArrivalIata,
+                    Airport = arriving.ArrivalAirport,
+                    Minutes = (int)(journey[i].DepartureUtc!.Value - journey[i - 1].ArrivalUtc!.Value).TotalMinutes,
+                    ArrivalTerminal = arriving.ArrivalTerminal,
+                    DepartureTerminal = departing.DepartureTerminal
+                });
+            }
+
+            return new Connection
+            {
+                Id = string.Join("-", flights.Select(f => f.Id)),
+                Flights = flights,
+                Stops = flights.Count - 1,
+                DepartureTime = flights[0].DepartureTime,
+                ArrivalTime = flights[^1].ArrivalTime,
+                DurationMinutes = (int)(journey[^1].ArrivalUtc!.Value - journey[0].DepartureUtc!.Value).TotalMinutes,
+                Layovers = layovers,
+                EconomyPrice = TotalFare(flights, FareClasses.Economy),
+                BusinessPrice = TotalFare(flights, FareClasses.Business),
+                FirstPrice = TotalFare(flights, FareClasses.First)
+            };
+        }
+
+        // A class is only on sale for the journey when every flight sells it
+        private static decimal? TotalFare(List<Flight> flights, string fareClass)
+        {
+            var fares = flights.Select(f => FareClasses.PriceFor(f, fareClass)).ToList();
+            return fares.All(p => p != null) ? fares.Sum() : null;
+        }
+
+        private record TimedFlight(Flight Flight, DateTime? DepartureUtc, DateTime? ArrivalUtc);
+    }
+
+    // A journey with one or more changes of plane, booked as one itinerary. Times are local
+    // at the first and last airport; fares are per passenger for the whole journey.
+    public class Connection
+    {
+        // Flight ids joined with "-"
+        public string Id { get; set; } = "";
+        public List<Flight> Flights { get; set; } = new();
+        public int Stops { get; set; }
+        public TimeOnly? DepartureTime { get; set; }
+        public TimeOnly? ArrivalTime { get; set; }
+        // First departure to last arrival, layovers included
+        public int DurationMinutes { get; set; }
+        public List<Layover> Layovers { get; set; } = new();
+        public decimal? EconomyPrice { get; set; }
+        public decimal? BusinessPrice { get; set; }
+        public decimal? FirstPrice { get; set; }
+    }
+
+    public class Layover
+    {
+        public string? AirportIata { get; set; }
+        public string? Airport { get; set; }
+        public int Minutes { get; set; }
+        public string? ArrivalTerminal { get; set; }
+        public string? DepartureTerminal { get; set; }
+    }
+}
@@ -0,0 +1,94 @@
+﻿using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // Transactional email outbox (email_outbox). Emails are queued in the same save as the
+    // change they describe and sent afterwards by EmailQueueWorker, so a slow or unreachable
+    // mail server never fails a booking. Failed sends are retried with growing delays.
+    public static class EmailQueue
+    {
+        public const string Queued = "Queued";
+        public const string Sent = "Sent";
+        public const string Failed = "Failed";
+
+        private const int BatchSize = 20;
+        private const int MaxErrorLength = 500;
+
+        // Wait before the 2nd, 3rd, ... attempt; the last delay repeats
+        private static readonly TimeSpan[] RetryDelays =
+        {
+            TimeSpan.FromMinutes(1),
+            TimeSpan.FromMinutes(5),
+            TimeSpan.FromMinutes(15),
+            TimeSpan.FromHours(1),
+            TimeSpan.FromHours(4)
+        };
+
+        // Nothing is queued without an address
+        public static void Queue(FlynestDbContext context, string? toAddress, EmailContent email, string? replyTo = null)
+        {
+            if (string.IsNullOrWhiteSpace(toAddress))
+            {
+                return;
+            }
+
+            context.EmailOutboxes.Add(new EmailOutbox
+            {
+                ToAddress = toAddress.Trim(),
+                ReplyTo = replyTo,
+                Template = email.Template,
+                Subject = email.Subject,
+                HtmlBody = email.Html,
+                TextBody = email.Text,
+                Status = Queued,
+                Attempts = 0,
+                NextAttemptAt = DateTime.Now,
+                CreatedAt = DateTime.Now
+            });
+        }
+
+        // Sends what is due, oldest first. Each result is saved straight away so a crash
+        // mid-batch doesn't send the same email twice.
+        public static async Task SendDueAsync(FlynestDbContext context, IMailTransport transport, MailSettings settings, CancellationToken cancellationToken)
+        {
+            if (string.IsNullOrWhiteSpace(settings.Host))
+            {
+                return;
+            }
+
+            var now = DateTime.Now;
+            var due = await context.EmailOutboxes
+                .Where(e => e.Status == Queued && e.NextAttemptAt <= now)
+                .OrderBy(e => e.EmailId)
+                .Take(BatchSize)
+                .ToListAsync(cancellationToken);
+
+            foreach (var email in due)
+            {
+                email.Attempts++;
+                try
+                {
+                    await transport.SendAsync(email, settings, cancellationToken);
+                    email.Status = Sent;
+                    email.SentAt = DateTime.Now;
+                    email.LastError = null;
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    email.LastError = ex.Message.Length > MaxErrorLength ? ex.Message[..MaxErrorLength] : ex.Message;
+                    if (email.Attempts >= settings.MaxAttempts)
+                    {
+                        email.Status = Failed;
+                    }
+                    else
+                    {
+                        email.NextAttemptAt = DateTime.Now.Add(RetryDelays[Math.Min(email.Attempts, RetryDelays.Length) - 1]);
+                    }
+                }
+
+                await context.SaveChangesAsync(cancellationToken);
+            }
+        }
+    }
+}
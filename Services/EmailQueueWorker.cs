@@ -0,0 +1,59 @@
+﻿using flynest.Models;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace flynest.Services
+{
+    // Drains the email outbox in the background. Register it with the transport:
+    //
+    //   builder.Services.AddSingleton<IMailTransport, SmtpMailTransport>();
+    //   builder.Services.AddHostedService<EmailQueueWorker>();
+    //
+    // Run a single instance; two workers could pick up the same email.
+    public class EmailQueueWorker : BackgroundService
+    {
+        private static readonly TimeSpan PollInterval = TimeSpan.FromSeconds(15);
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly IMailTransport _transport;
+        private readonly IConfiguration _config;
+        private readonly ILogger<EmailQueueWorker> _logger;
+
+        public EmailQueueWorker(IServiceScopeFactory scopeFactory, IMailTransport transport, IConfiguration config, ILogger<EmailQueueWorker> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _transport = transport;
+            _config = config;
+            _logger = logger;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var context = scope.ServiceProvider.GetRequiredService<FlynestDbContext>();
+                    await EmailQueue.SendDueAsync(context, _transport, MailSettings.FromConfiguration(_config), stoppingToken);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    // Keep polling; a database outage shouldn't stop the worker for good
+                    _logger.LogError(ex, "Sending queued emails failed");
+                }
+
+                try
+                {
+                    await Task.Delay(PollInterval, stoppingToken);
+                }
+                catch (OperationCanceledException)
+                {
+                    break;
+                }
+            }
+        }
+    }
+}
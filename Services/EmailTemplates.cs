@@ -0,0 +1,202 @@
+﻿using System.Net;
+using System.Text;
+using flynest.Models;
+
+namespace flynest.Services
+{
+    public record EmailContent(string Template, string Subject, string Html, string Text);
+
+    // Subject, HTML and plain-text bodies for each transactional email. Values are
+    // HTML-encoded here, so callers pass raw data. Times are local to each airport.
+    public static class EmailTemplates
+    {
+        public static EmailContent Registration(User user, MailSettings settings)
+        {
+            var body = new EmailBody()
+                .Paragraph($"Hi {user.Name},")
+                .Paragraph("Welcome to Flynest! Your account is ready. Search flights, keep your co-travellers on file and manage every booking in one place.")
+                .Link("Find a flight", $"{settings.AppUrl}/flights");
+            return body.Build("Registration", "Welcome to Flynest");
+        }
+
+        // Booking needs User, Flight, BookingFlights.Flight, Passengers and Tickets loaded
+        public static EmailContent BookingConfirmed(Booking booking, MailSettings settings)
+        {
+            var body = new EmailBody()
+                .Paragraph($"Hi {booking.User?.Name},")
+                .Paragraph($"Your booking is confirmed. Your booking reference is {booking.Pnr}.")
+                .Heading("Itinerary");
+            foreach (var flight in Legs(booking))
+            {
+                body.Row(Route(flight), Schedule(flight));
+            }
+
+            body.Heading("E-ticket");
+            foreach (var passenger in booking.Passengers.OrderBy(p => p.PassengerId))
+            {
+                foreach (var ticket in booking.Tickets.Where(t => t.PassengerId == passenger.PassengerId))
+                {
+                    var flight = Legs(booking).FirstOrDefault(f => f.Id == (ticket.FlightId ?? booking.FlightId));
+                    body.Row(
+                        $"{passenger.FullName} · {flight?.FlightNumber}",
+                        $"Ticket {ticket.TicketNumber} · {ticket.Class} · Seat {ticket.SeatNumber ?? "not assigned"}");
+                }
+            }
+
+            body.Paragraph("Show your ticket number or the e-ticket PDF at check-in. Online check-in opens before departure.")
+                .Link("View booking and download e-ticket", $"{settings.AppUrl}/bookings?pnr={booking.Pnr}");
+            return body.Build("BookingConfirmed", $"Booking confirmed: {booking.Pnr}");
+        }
+
+        public static EmailContent PaymentReceipt(Payment payment, Booking booking, string description, MailSettings settings)
+        {
+            var body = new EmailBody()
+                .Paragraph($"Hi {booking.User?.Name},")
+                .Paragraph($"We received your payment for booking {booking.Pnr}.")
+                .Row("Amount", $"{payment.Currency} {payment.Amount:N2}")
+                .Row("For", description)
+                .Row("Payment method", payment.PaymentMethodType ?? "card")
+                .Row("Payment reference", payment.StripePaymentId ?? payment.PaymentId.ToString())
+                .Row("Date", $"{payment.CreatedAt:d MMM yyyy HH:mm}");
+            if (!string.IsNullOrEmpty(payment.ReceiptUrl))
+            {
+                body.Link("Card receipt", payment.ReceiptUrl);
+            }
+            body.Link("Payment history", $"{settings.AppUrl}/payments");
+            return body.Build("PaymentReceipt", $"Payment receipt: {booking.Pnr}");
+        }
+
+        // `refund` is null when nothing is refunded
+        public static EmailContent Cancellation(Booking booking, RefundQuote? refund, MailSettings settings)
+        {
+            var body = new EmailBody()
+                .Paragraph($"Hi {booking.User?.Name},")
+                .Paragraph($"Booking {booking.Pnr} has been cancelled.");
+            foreach (var flight in Legs(booking))
+            {
+                body.Row(Route(flight), Schedule(flight));
+            }
+            body.Paragraph(refund != null
+                ? $"A refund of {refund.Currency} {refund.Amount:N2} ({refund.Percent:0.#}% of your payment) has been started to your original payment method."
+                : "No refund is due for this booking under the fare rules.");
+            body.Link("My bookings", $"{settings.AppUrl}/bookings");
+            return body.Build("Cancellation", $"Booking cancelled: {booking.Pnr}");
+        }
+
+        public static EmailContent ScheduleChanged(Booking booking, Flight flight, IEnumerable<string> changes, MailSettings settings)
+        {
+            var body = new EmailBody()
+                .Paragraph($"Hi {booking.User?.Name},")
+                .Paragraph($"There is a change to flight {flight.FlightNumber} on your booking {booking.Pnr}:");
+            foreach (var change in changes)
+            {
+                body.Paragraph($"• {change}.");
+            }
+            body.Row(Route(flight), Schedule(flight))
+                .Paragraph("If the new schedule doesn't work for you, you can change or cancel the booking online.")
+                .Link("Manage booking", $"{settings.AppUrl}/bookings?pnr={booking.Pnr}");
+            return body.Build("ScheduleChanged", $"Schedule change: {flight.FlightNumber} ({booking.Pnr})");
+        }
+
+        // Sent to the support inbox; replying goes to the customer
+        public static EmailContent SupportRequest(string name, string email, string subject, string message)
+        {
+            var body = new EmailBody()
+                .Row("From", $"{name} <{email}>")
+                .Row("Subject", subject)
+                .Paragraph(message);
+            return body.Build("SupportRequest", $"[Support] {subject}");
+        }
+
+        public static EmailContent SupportAcknowledgement(string name, string subject)
+        {
+            var body = new EmailBody()
+                .Paragraph($"Hi {name},")
+                .Paragraph($"Thanks for contacting Flynest support about \"{subject}\". We'll get back to you within 24 hours.")
+                .Paragraph("If you have a booking reference, reply to this email with it so we can help faster.");
+            return body.Build("SupportAcknowledgement", $"We received your message: {subject}");
+        }
+
+        private static List<Flight> Legs(Booking booking)
+        {
+            var legs = booking.BookingFlights.Count > 0
+                ? booking.BookingFlights.OrderBy(bf => bf.LegNumber).Select(bf => bf.Flight).ToList()
+                : new List<Flight> { booking.Flight };
+            return legs.Where(f => f != null).ToList();
+        }
+
+        private static string Route(Flight flight)
+        {
+            return $"{flight.FlightNumber} {flight.DepartureIata} → {flight.ArrivalIata}";
+        }
+
+        private static string Schedule(Flight flight)
+        {
+            var parts = new List<string> { $"{flight.FlightDate:ddd d MMM yyyy}" };
+            if (flight.DepartureTime != null)
+            {
+                parts.Add($"departs {flight.DepartureTime:HH:mm}");
+            }
+            if (flight.ArrivalTime != null)
+            {
+                parts.Add($"arrives {flight.ArrivalTime:HH:mm}");
+            }
+            if (!string.IsNullOrWhiteSpace(flight.DepartureTerminal))
+            {
+                parts.Add($"terminal {flight.DepartureTerminal}");
+            }
+            return string.Join(" · ", parts);
+        }
+
+        // Builds both bodies side by side so they always say the same thing
+        private class EmailBody
+        {
+            private readonly StringBuilder _html = new();
+            private readonly StringBuilder _text = new();
+
+            public EmailBody Paragraph(string value)
+            {
+                _html.Append($"<p style=\"margin:0 0 12px\">{Encode(value).Replace("\n", "<br>")}</p>");
+                _text.Append(value).Append("\n\n");
+                return this;
+            }
+
+            public EmailBody Heading(string value)
+            {
+                _html.Append($"<h3 style=\"margin:20px 0 8px;color:#1e293b\">{Encode(value)}</h3>");
+                _text.Append(value.ToUpperInvariant()).Append('\n');
+                return this;
+            }
+
+            public EmailBody Row(string label, string value)
+            {
+                _html.Append($"<p style=\"margin:0 0 8px\"><strong>{Encode(label)}</strong><br>{Encode(value)}</p>");
+                _text.Append($"{label}: {value}\n");
+                return this;
+            }
+
+            public EmailBody Link(string label, string url)
+            {
+                _html.Append($"<p style=\"margin:16px 0\"><a href=\"{Encode(url)}\" style=\"background:#3b82f6;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none\">{Encode(label)}</a></p>");
+                _text.Append($"\n{label}: {url}\n");
+                return this;
+            }
+
+            public EmailContent Build(string template, string subject)
+            {
+                var html =
+                    "<div style=\"font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#334155\">" +
+                    "<div style=\"background:#3b82f6;color:#fff;padding:16px 24px;font-size:22px;font-weight:bold\">Flynest</div>" +
+                    $"<div style=\"padding:24px\">{_html}</div>" +
+                    "<div style=\"padding:12px 24px;font-size:12px;color:#94a3b8\">You're receiving this email because of activity on your Flynest account.</div>" +
+                    "</div>";
+                return new EmailContent(template, subject, html, $"{_text}\n— Flynest\n");
+            }
+
+            private static string Encode(string value)
+            {
+                return WebUtility.HtmlEncode(value);
+            }
+        }
+    }
+}
@@ -0,0 +1,97 @@
+﻿using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // Cheapest fare per day on a route, for the flexible-dates search. The whole range is
+    // read at once: one query for the route's flights and SeatInventory's grouped counts
+    // for their seats, however many days it covers. Sold-out flights don't count towards
+    // a day's fare; a day whose flights are all sold out is reported as such.
+    public static class FareCalendar
+    {
+        // Either side of the chosen date in the ±N days view
+        public const int FlexibleDays = 3;
+
+        // Airports are normalized IATA codes; fareClass limits fares to one class, otherwise
+        // the cheapest class on sale counts. Run BookingHolds.ExpireAsync first.
+        public static async Task<List<FareCalendarDay>> BuildAsync(FlynestDbContext context,
+            string departureIata, string arrivalIata, DateOnly fromDate, DateOnly toDate, string? fareClass = null)
+        {
+            var flights = await context.Flights
+                .Where(f =>
+                    f.DepartureIata == departureIata &&
+                    f.ArrivalIata == arrivalIata &&
+                    f.FlightDate >= fromDate &&
+                    f.FlightDate <= toDate &&
+                    f.FlightStatus != FlightStatusUpdates.Cancelled)
+                .ToListAsync();
+
+            var availability = (await SeatInventory.AvailabilityAsync(context, flights))
+                .ToDictionary(a => a.FlightId);
+
+            var byDate = flights
+                .Where(f => f.FlightDate != null)
+                .GroupBy(f => f.FlightDate!.Value)
+                .ToDictionary(g => g.Key, g => g.ToList());
+
+            var days = new List<FareCalendarDay>();
+            for (var date = fromDate; date <= toDate; date = date.AddDays(1))
+            {
+                var day = new FareCalendarDay { Date = date };
+                if (byDate.TryGetValue(date, out var dayFlights))
+                {
+                    day.FlightCount = dayFlights.Count;
+                    foreach (var flight in dayFlights.Where(f => !availability[f.Id].SoldOut))
+                    {
+                        foreach (var (cls, price) in Fares(flight, fareClass))
+                        {
+                            if (day.CheapestFare == null || price < day.CheapestFare)
+                            {
+                                day.CheapestFare = price;
+                                day.FareClass = cls;
+                                day.FlightId = flight.Id;
+                            }
+                        }
+                    }
+                    day.SoldOut = day.CheapestFare == null && dayFlights.All(f => availability[f.Id].SoldOut);
+                }
+                days.Add(day);
+            }
+
+            // Mark the cheapest day(s) so the calendar can highlight them
+            var lowest = days.Min(d => d.CheapestFare);
+            foreach (var day in days.Where(d => d.CheapestFare != null && d.CheapestFare == lowest))
+            {
+                day.IsCheapest = true;
+            }
+
+            return days;
+        }
+
+        private static IEnumerable<(string FareClass, decimal Price)> Fares(Flight flight, string? fareClass)
+        {
+            foreach (var cls in fareClass != null ? new[] { fareClass } : FareClasses.All)
+            {
+                var price = FareClasses.PriceFor(flight, cls);
+                if (price != null)
+                {
+                    yield return (cls, price.Value);
+                }
+            }
+        }
+    }
+
+    public class FareCalendarDay
+    {
+        public DateOnly Date { get; set; }
+        // Null when nothing is on sale that day
+        public decimal? CheapestFare { get; set; }
+        public string? FareClass { get; set; }
+        // The flight with the cheapest fare
+        public long? FlightId { get; set; }
+        public int FlightCount { get; set; }
+        // There are flights but none has a seat left
+        public bool SoldOut { get; set; }
+        public bool IsCheapest { get; set; }
+    }
+}
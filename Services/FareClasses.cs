@@ -0,0 +1,26 @@
+﻿using flynest.Models;
+
+namespace flynest.Services
+{
+    // Fare classes allowed by the ticket.class CHECK constraint
+    public static class FareClasses
+    {
+        public const string Economy = "Economy";
+        public const string Business = "Business";
+        public const string First = "First";
+
+        public static readonly string[] All = { Economy, Business, First };
+
+        // Fare for one passenger in the given class, or null when the flight does not sell it
+        public static decimal? PriceFor(Flight flight, string fareClass)
+        {
+            return fareClass switch
+            {
+                Economy => flight.EconomyPrice,
+                Business => flight.BusinessPrice,
+                First => flight.FirstPrice,
+                _ => null
+            };
+        }
+    }
+}
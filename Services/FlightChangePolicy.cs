@@ -0,0 +1,66 @@
+﻿using flynest.Models;
+using Microsoft.Extensions.Configuration;
+
+namespace flynest.Services
+{
+    // Rules for moving a confirmed booking to another flight on the same route,
+    // read from the "FlightChange" configuration section:
+    //
+    //   "FlightChange": { "FeePerPassenger": 1500, "ClosesHoursBefore": 24 }
+    public class FlightChangePolicy
+    {
+        public decimal FeePerPassenger { get; set; } = 1500;
+        public double ClosesHoursBefore { get; set; } = 24;
+
+        public static FlightChangePolicy FromConfiguration(IConfiguration config)
+        {
+            return config.GetSection("FlightChange").Get<FlightChangePolicy>() ?? new FlightChangePolicy();
+        }
+
+        // Hours count back from the scheduled departure (FlightTimes.DeadlineDepartureUtc)
+        public bool IsOpen(Flight flight)
+        {
+            var departure = FlightTimes.DeadlineDepartureUtc(flight);
+            return departure != null && DateTime.UtcNow < departure.Value.AddHours(-ClosesHoursBefore);
+        }
+
+        // Tickets keep their class; the new flight prices them. Null when a class is not sold there.
+        public FlightChangeQuote? Quote(IReadOnlyCollection<Ticket> tickets, Flight newFlight)
+        {
+            decimal oldFare = 0;
+            decimal newFare = 0;
+
+            foreach (var ticket in tickets)
+            {
+                var price = FareClasses.PriceFor(newFlight, ticket.Class ?? FareClasses.Economy);
+                if (price == null)
+                {
+                    return null;
+                }
+                oldFare += ticket.FareAmount ?? 0;
+                newFare += price.Value;
+            }
+
+            var changeFee = FeePerPassenger * tickets.Count;
+            return new FlightChangeQuote
+            {
+                OldFare = oldFare,
+                NewFare = newFare,
+                FareDifference = newFare - oldFare,
+                ChangeFee = changeFee,
+                AmountDue = newFare - oldFare + changeFee
+            };
+        }
+    }
+
+    public class FlightChangeQuote
+    {
+        public decimal OldFare { get; set; }
+        public decimal NewFare { get; set; }
+        public decimal FareDifference { get; set; }
+        public decimal ChangeFee { get; set; }
+        // Positive: collect from the customer. Negative: refund to the original payment.
+        public decimal AmountDue { get; set; }
+        public string Currency { get; set; } = "INR";
+    }
+}
@@ -0,0 +1,230 @@
+﻿using System.Globalization;
+using flynest.Models;
+
+namespace flynest.Services
+{
+    // Filters and sort order for flight search results. The search page applies the same
+    // rules in the browser (searchFilters.js), so a filtered link gives the same flights
+    // whichever side does the filtering. Times are local to each airport. Connections are
+    // filtered as whole journeys: the departure window applies to the first flight, the
+    // arrival window to the last, and every flight must be on one of the chosen airlines.
+    public static class FlightFilters
+    {
+        public const string SortDeparture = "departure";
+        public const string SortPrice = "price";
+        public const string SortDuration = "duration";
+
+        public static readonly string[] Sorts = { SortDeparture, SortPrice, SortDuration };
+
+        // Null when the filters are usable, otherwise what is wrong with them
+        public static string? Validate(FlightFilterOptions filters)
+        {
+            foreach (var (name, value) in new[]
+            {
+                ("departFrom", filters.DepartFrom), ("departTo", filters.DepartTo),
+                ("arriveFrom", filters.ArriveFrom), ("arriveTo", filters.ArriveTo)
+            })
+            {
+                if (!string.IsNullOrEmpty(value) && ParseTime(value) == null)
+                {
+                    return $"Invalid {name} time. Use HH:mm.";
+                }
+            }
+            if (filters.MaxStops < 0)
+            {
+                return "Max stops can't be negative.";
+            }
+            if (filters.MinPrice < 0 || filters.MaxPrice < 0)
+            {
+                return "Prices can't be negative.";
+            }
+            if (filters.MinPrice > filters.MaxPrice)
+            {
+                return "The minimum price is above the maximum price.";
+            }
+            if (!string.IsNullOrEmpty(filters.FareClass) && !FareClasses.All.Contains(filters.FareClass))
+            {
+                return $"Fare class must be one of {string.Join(", ", FareClasses.All)}.";
+            }
+            if (!string.IsNullOrEmpty(filters.Sort) && !Sorts.Contains(filters.Sort))
+            {
+                return $"Sort must be one of {string.Join(", ", Sorts)}.";
+            }
+            return null;
+        }
+
+        // Runs in the database. Call Validate first.
+        public static IQueryable<Flight> Apply(IQueryable<Flight> query, FlightFilterOptions? filters)
+        {
+            if (filters == null)
+            {
+                return query;
+            }
+
+            var airlines = filters.Airlines.Where(a => !string.IsNullOrWhiteSpace(a)).Select(a => a.Trim()).ToList();
+            if (airlines.Count > 0)
+            {
+                query = query.Where(f => airlines.Contains(f.AirlineIata) || airlines.Contains(f.AirlineName));
+            }
+
+            query = InWindow(query, ParseTime(filters.DepartFrom), ParseTime(filters.DepartTo), departure: true);
+            query = InWindow(query, ParseTime(filters.ArriveFrom), ParseTime(filters.ArriveTo), departure: false);
+
+            // A flight matches when it sells the chosen class (any class without one) at a
+            // fare inside the range
+            if (filters.MinPrice == null && filters.MaxPrice == null && string.IsNullOrEmpty(filters.FareClass))
+            {
+                return query;
+            }
+            var min = filters.MinPrice ?? 0;
+            var max = filters.MaxPrice;
+            return filters.FareClass switch
+            {
+                FareClasses.Economy => query.Where(f => f.EconomyPrice >= min && (max == null || f.EconomyPrice <= max)),
+                FareClasses.Business => query.Where(f => f.BusinessPrice >= min && (max == null || f.BusinessPrice <= max)),
+                FareClasses.First => query.Where(f => f.FirstPrice >= min && (max == null || f.FirstPrice <= max)),
+                _ => query.Where(f =>
+                    (f.EconomyPrice >= min && (max == null || f.EconomyPrice <= max)) ||
+                    (f.BusinessPrice >= min && (max == null || f.BusinessPrice <= max)) ||
+                    (f.FirstPrice >= min && (max == null || f.FirstPrice <= max)))
+            };
+        }
+
+        // Departure time by default. Flights missing the sort value go last; ties keep
+        // the cheaper flight first.
+        public static List<Flight> Sort(IEnumerable<Flight> flights, FlightFilterOptions? filters)
+        {
+            var fareClass = string.IsNullOrEmpty(filters?.FareClass) ? null : filters!.FareClass;
+            var byPrice = (Flight f) => LowestFare(f, fareClass) ?? decimal.MaxValue;
+
+            return (filters?.Sort switch
+            {
+                SortPrice => flights.OrderBy(byPrice).ThenBy(f => f.DepartureTime ?? TimeOnly.MaxValue),
+                SortDuration => flights.OrderBy(f => FlightTimes.DurationMinutes(f) ?? int.MaxValue).ThenBy(byPrice),
+                _ => flights.OrderBy(f => f.DepartureTime ?? TimeOnly.MaxValue).ThenBy(byPrice)
+            }).ToList();
+        }
+
+        // Connections are built in memory, so they are filtered there too
+        public static List<Connection> FilterAndSort(IEnumerable<Connection> connections, FlightFilterOptions? filters)
+        {
+            var fareClass = string.IsNullOrEmpty(filters?.FareClass) ? null : filters!.FareClass;
+            if (filters != null)
+            {
+                var airlines = filters.Airlines.Where(a => !string.IsNullOrWhiteSpace(a)).Select(a => a.Trim()).ToList();
+                var departFrom = ParseTime(filters.DepartFrom);
+                var departTo = ParseTime(filters.DepartTo);
+                var arriveFrom = ParseTime(filters.ArriveFrom);
+                var arriveTo = ParseTime(filters.ArriveTo);
+                var min = filters.MinPrice ?? 0;
+
+                connections = connections.Where(c =>
+                    (filters.MaxStops == null || c.Stops <= filters.MaxStops) &&
+                    (airlines.Count == 0 || c.Flights.All(f =>
+                        airlines.Contains(f.AirlineIata, StringComparer.OrdinalIgnoreCase) ||
+                        airlines.Contains(f.AirlineName, StringComparer.OrdinalIgnoreCase))) &&
+                    InWindow(c.DepartureTime, departFrom, departTo) &&
+                    InWindow(c.ArrivalTime, arriveFrom, arriveTo) &&
+                    (filters.MinPrice == null && filters.MaxPrice == null && fareClass == null ||
+                     (fareClass != null ? new[] { fareClass } : FareClasses.All)
+                        .Select(cls => ConnectionFare(c, cls))
+                        .Any(fare => fare >= min && (filters.MaxPrice == null || fare <= filters.MaxPrice))));
+            }
+
+            var byPrice = (Connection c) => LowestFare(cls => ConnectionFare(c, cls), fareClass) ?? decimal.MaxValue;
+            return (filters?.Sort switch
+            {
+                SortPrice => connections.OrderBy(byPrice).ThenBy(c => c.DepartureTime ?? TimeOnly.MaxValue),
+                SortDuration => connections.OrderBy(c => c.DurationMinutes).ThenBy(byPrice),
+                _ => connections.OrderBy(c => c.DepartureTime ?? TimeOnly.MaxValue).ThenBy(byPrice)
+            }).ToList();
+        }
+
+        private static decimal? LowestFare(Flight flight, string? fareClass)
+        {
+            return LowestFare(cls => FareClasses.PriceFor(flight, cls), fareClass);
+        }
+
+        private static decimal? LowestFare(Func<string, decimal?> priceFor, string? fareClass)
+        {
+            return fareClass != null
+                ? priceFor(fareClass)
+                : FareClasses.All.Select(priceFor).Min();
+        }
+
+        private static decimal? ConnectionFare(Connection connection, string fareClass)
+        {
+            return fareClass switch
+            {
+                FareClasses.Economy => connection.EconomyPrice,
+                FareClasses.Business => connection.BusinessPrice,
+                FareClasses.First => connection.FirstPrice,
+                _ => null
+            };
+        }
+
+        private static bool InWindow(TimeOnly? time, TimeOnly? from, TimeOnly? to)
+        {
+            if (from == null && to == null)
+            {
+                return true;
+            }
+            if (time == null)
+            {
+                return false;
+            }
+            var start = from ?? TimeOnly.MinValue;
+            var end = to ?? TimeOnly.MaxValue;
+            return start <= end
+                ? time >= start && time <= end
+                : time >= start || time <= end;
+        }
+
+        // A window whose end is before its start runs past midnight (22:00–02:00)
+        private static IQueryable<Flight> InWindow(IQueryable<Flight> query, TimeOnly? from, TimeOnly? to, bool departure)
+        {
+            if (from == null && to == null)
+            {
+                return query;
+            }
+            var start = from ?? TimeOnly.MinValue;
+            var end = to ?? TimeOnly.MaxValue;
+
+            if (start <= end)
+            {
+                return departure
+                    ? query.Where(f => f.DepartureTime >= start && f.DepartureTime <= end)
+                    : query.Where(f => f.ArrivalTime >= start && f.ArrivalTime <= end);
+            }
+            return departure
+                ? query.Where(f => f.DepartureTime >= start || f.DepartureTime <= end)
+                : query.Where(f => f.ArrivalTime >= start || f.ArrivalTime <= end);
+        }
+
+        private static TimeOnly? ParseTime(string? value)
+        {
+            return TimeOnly.TryParseExact(value, new[] { "HH:mm", "HH:mm:ss" }, CultureInfo.InvariantCulture, DateTimeStyles.None, out var time)
+                ? time
+                : null;
+        }
+    }
+
+    // Query string on api/Flights/search, "filters" on api/Flights/search/itinerary
+    public class FlightFilterOptions
+    {
+        // Airline IATA codes or names
+        public List<string> Airlines { get; set; } = new();
+        // "HH:mm", local time
+        public string? DepartFrom { get; set; }
+        public string? DepartTo { get; set; }
+        public string? ArriveFrom { get; set; }
+        public string? ArriveTo { get; set; }
+        public decimal? MinPrice { get; set; }
+        public decimal? MaxPrice { get; set; }
+        public string? FareClass { get; set; }
+        // Connections with more stops are left out; 0 means direct flights only
+        public int? MaxStops { get; set; }
+        // departure (default), price or duration
+        public string? Sort { get; set; }
+    }
+}
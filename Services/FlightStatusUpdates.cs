@@ -0,0 +1,97 @@
+﻿using System.Collections.Concurrent;
+using System.Threading.Channels;
+using flynest.Models;
+
+namespace flynest.Services
+{
+    // Pushes live status, delays, gates and baggage belts to browsers watching a flight
+    // (api/Flights/status/stream). Subscribers are held in memory, so updates only reach
+    // browsers connected to the same server instance that saved the change.
+    public static class FlightStatusUpdates
+    {
+        public const string Scheduled = "Scheduled";
+        public const string Delayed = "Delayed";
+        public const string Boarding = "Boarding";
+        public const string Departed = "Departed";
+        public const string Landed = "Landed";
+        public const string Cancelled = "Cancelled";
+        public const string Diverted = "Diverted";
+
+        public static readonly string[] Statuses = { Scheduled, Delayed, Boarding, Departed, Landed, Cancelled, Diverted };
+
+        // A slow browser only needs the newest state of each flight, so old updates are dropped
+        private const int BufferedUpdates = 32;
+
+        private static readonly ConcurrentDictionary<Guid, Subscription> Subscriptions = new();
+
+        public static FlightStatusUpdate Snapshot(Flight flight)
+        {
+            return new FlightStatusUpdate
+            {
+                FlightId = flight.Id,
+                FlightStatus = flight.FlightStatus,
+                DepartureDelay = flight.DepartureDelay,
+                ArrivalDelay = flight.ArrivalDelay,
+                DepartureTerminal = flight.DepartureTerminal,
+                DepartureGate = flight.DepartureGate,
+                ArrivalTerminal = flight.ArrivalTerminal,
+                ArrivalGate = flight.ArrivalGate,
+                ArrivalBaggage = flight.ArrivalBaggage
+            };
+        }
+
+        // Call after the change is saved
+        public static void Publish(Flight flight)
+        {
+            var update = Snapshot(flight);
+            foreach (var subscription in Subscriptions.Values.Where(s => s.FlightIds.Contains(flight.Id)))
+            {
+                subscription.Queue.Writer.TryWrite(update);
+            }
+        }
+
+        // Dispose the subscription when the connection closes
+        public static Subscription Subscribe(IEnumerable<long> flightIds)
+        {
+            var subscription = new Subscription(flightIds.ToHashSet());
+            Subscriptions[subscription.Id] = subscription;
+            return subscription;
+        }
+
+        public sealed class Subscription : IDisposable
+        {
+            internal Subscription(HashSet<long> flightIds)
+            {
+                FlightIds = flightIds;
+                Queue = Channel.CreateBounded<FlightStatusUpdate>(
+                    new BoundedChannelOptions(BufferedUpdates) { FullMode = BoundedChannelFullMode.DropOldest });
+            }
+
+            public Guid Id { get; } = Guid.NewGuid();
+            public HashSet<long> FlightIds { get; }
+            internal Channel<FlightStatusUpdate> Queue { get; }
+
+            public ChannelReader<FlightStatusUpdate> Updates => Queue.Reader;
+
+            public void Dispose()
+            {
+                Subscriptions.TryRemove(Id, out _);
+                Queue.Writer.TryComplete();
+            }
+        }
+    }
+
+    public class FlightStatusUpdate
+    {
+        public long FlightId { get; set; }
+        public string? FlightStatus { get; set; }
+        public int? DepartureDelay { get; set; }
+        public int? ArrivalDelay { get; set; }
+        public string? DepartureTerminal { get; set; }
+        public string? DepartureGate { get; set; }
+        public string? ArrivalTerminal { get; set; }
+        public string? ArrivalGate { get; set; }
+        public string? ArrivalBaggage { get; set; }
+        public DateTime UpdatedAt { get; set; } = DateTime.Now;
+    }
+}
@@ -0,0 +1,86 @@
+﻿using flynest.Models;
+
+namespace flynest.Services
+{
+    // Scheduled times are wall-clock times at each airport: departure_time on flight_date in
+    // departure_timezone, arrival_time in arrival_timezone. The arrival date isn't stored;
+    // it is the first arrival_time after departure, which covers overnight flights.
+    public static class FlightTimes
+    {
+        // Null when the flight has no scheduled time or its time zone is not recognised
+        public static DateTime? DepartureUtc(Flight flight)
+        {
+            if (flight.FlightDate == null || flight.DepartureTime == null)
+            {
+                return null;
+            }
+            return ToUtc(flight.FlightDate.Value.ToDateTime(flight.DepartureTime.Value), flight.DepartureTimezone);
+        }
+
+        // For deadlines (check-in, changes, refunds): the scheduled departure, or the start of
+        // flight_date when the flight has no time yet. A flight whose time zone is not
+        // recognised is read as UTC rather than in the server's own zone.
+        public static DateTime? DeadlineDepartureUtc(Flight flight)
+        {
+            if (flight.FlightDate == null)
+            {
+                return null;
+            }
+            var local = flight.FlightDate.Value.ToDateTime(flight.DepartureTime ?? TimeOnly.MinValue);
+            return ToUtc(local, flight.DepartureTimezone) ?? DateTime.SpecifyKind(local, DateTimeKind.Utc);
+        }
+
+        public static DateTime? ArrivalUtc(Flight flight)
+        {
+            var departure = DepartureUtc(flight);
+            if (departure == null || flight.ArrivalTime == null)
+            {
+                return null;
+            }
+
+            var date = flight.FlightDate!.Value.AddDays(-1);
+            DateTime? arrival;
+            do
+            {
+                date = date.AddDays(1);
+                arrival = ToUtc(date.ToDateTime(flight.ArrivalTime.Value), flight.ArrivalTimezone);
+            }
+            while (arrival != null && arrival <= departure);
+
+            return arrival;
+        }
+
+        // Scheduled time in the air, gate to gate; null when either time is unknown
+        public static int? DurationMinutes(Flight flight)
+        {
+            var departure = DepartureUtc(flight);
+            var arrival = ArrivalUtc(flight);
+            return departure != null && arrival != null
+                ? (int)(arrival.Value - departure.Value).TotalMinutes
+                : null;
+        }
+
+        private static DateTime? ToUtc(DateTime local, string? timeZoneId)
+        {
+            if (string.IsNullOrWhiteSpace(timeZoneId))
+            {
+                return null;
+            }
+
+            try
+            {
+                var zone = TimeZoneInfo.FindSystemTimeZoneById(timeZoneId);
+                return TimeZoneInfo.ConvertTimeToUtc(DateTime.SpecifyKind(local, DateTimeKind.Unspecified), zone);
+            }
+            catch (Exception ex) when (ex is TimeZoneNotFoundException || ex is InvalidTimeZoneException)
+            {
+                return null;
+            }
+            catch (ArgumentException)
+            {
+                // The local time falls in a daylight-saving gap; an hour later exists
+                return ToUtc(local.AddHours(1), timeZoneId);
+            }
+        }
+    }
+}
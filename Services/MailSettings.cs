@@ -0,0 +1,36 @@
+﻿using Microsoft.Extensions.Configuration;
+
+namespace flynest.Services
+{
+    // Outgoing mail, read from the "Mail" configuration section. In development point it at
+    // a local mail catcher (MailHog, Mailpit, smtp4dev) so nothing reaches real inboxes:
+    //
+    //   "Mail": {
+    //     "Host": "localhost", "Port": 1025, "EnableSsl": false,
+    //     "FromAddress": "no-reply@flynest.test", "SupportAddress": "support@flynest.test",
+    //     "AppUrl": "http://localhost:5173"
+    //   }
+    //
+    // Leave Host empty to keep emails queued without sending them.
+    public class MailSettings
+    {
+        public string? Host { get; set; }
+        public int Port { get; set; } = 25;
+        public bool EnableSsl { get; set; }
+        public string? UserName { get; set; }
+        public string? Password { get; set; }
+        public string FromAddress { get; set; } = "no-reply@flynest.com";
+        public string FromName { get; set; } = "Flynest";
+        // Where Support page messages go
+        public string SupportAddress { get; set; } = "support@flynest.com";
+        // Base URL of the web app, for links in emails
+        public string AppUrl { get; set; } = "http://localhost:5173";
+        // A message that still fails after this many tries is marked Failed
+        public int MaxAttempts { get; set; } = 6;
+
+        public static MailSettings FromConfiguration(IConfiguration config)
+        {
+            return config.GetSection("Mail").Get<MailSettings>() ?? new MailSettings();
+        }
+    }
+}
@@ -0,0 +1,46 @@
+﻿using System.Net;
+using System.Net.Mail;
+using System.Net.Mime;
+using flynest.Models;
+
+namespace flynest.Services
+{
+    // How queued emails leave the system. SMTP is the only transport today; another one
+    // (an HTTP mail API, a file drop for tests) only has to implement SendAsync and be
+    // registered in its place.
+    public interface IMailTransport
+    {
+        // Throws when the message could not be handed over; EmailQueue retries it later
+        Task SendAsync(EmailOutbox email, MailSettings settings, CancellationToken cancellationToken);
+    }
+
+    public class SmtpMailTransport : IMailTransport
+    {
+        public async Task SendAsync(EmailOutbox email, MailSettings settings, CancellationToken cancellationToken)
+        {
+            using var message = new MailMessage
+            {
+                From = new MailAddress(settings.FromAddress, settings.FromName),
+                Subject = email.Subject,
+                Body = email.TextBody
+            };
+            message.To.Add(email.ToAddress);
+            if (!string.IsNullOrEmpty(email.ReplyTo))
+            {
+                message.ReplyToList.Add(email.ReplyTo);
+            }
+            message.AlternateViews.Add(AlternateView.CreateAlternateViewFromString(email.HtmlBody, null, MediaTypeNames.Text.Html));
+
+            using var client = new SmtpClient(settings.Host, settings.Port)
+            {
+                EnableSsl = settings.EnableSsl
+            };
+            if (!string.IsNullOrEmpty(settings.UserName))
+            {
+                client.Credentials = new NetworkCredential(settings.UserName, settings.Password);
+            }
+
+            await client.SendMailAsync(message, cancellationToken);
+        }
+    }
+}
@@ -0,0 +1,161 @@
+﻿using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // In-app inbox (api/Notifications). Notifications are added to the context alongside the
+    // change they report, so they are saved, or rolled back, with it. Check-in opening has no
+    // triggering request and is picked up by a sweep whenever the inbox is read.
+    public static class Notifications
+    {
+        public const string BookingConfirmed = "BookingConfirmed";
+        public const string PaymentSucceeded = "PaymentSucceeded";
+        public const string PaymentFailed = "PaymentFailed";
+        public const string BookingCancelled = "BookingCancelled";
+        public const string RefundInitiated = "RefundInitiated";
+        public const string ScheduleChanged = "ScheduleChanged";
+        public const string CheckInOpen = "CheckInOpen";
+
+        // Statuses that change a passenger's plans; the rest show on the live status only
+        private static readonly string[] ScheduleStatuses =
+        {
+            FlightStatusUpdates.Delayed, FlightStatusUpdates.Cancelled, FlightStatusUpdates.Diverted
+        };
+
+        // Bookings without an account (none today) have nobody to notify
+        public static void Add(FlynestDbContext context, Booking booking, string type, string title, string message, string? dedupeKey = null)
+        {
+            if (booking.UserId == null)
+            {
+                return;
+            }
+
+            context.Notifications.Add(new Notification
+            {
+                UserId = booking.UserId.Value,
+                Booking = booking,
+                Type = type,
+                Title = title,
+                Message = message,
+                DedupeKey = dedupeKey,
+                CreatedAt = DateTime.Now
+            });
+        }
+
+        // Tells everyone with a confirmed booking on the flight what changed, in the inbox
+        // and by email; saves
+        public static async Task ScheduleChangedAsync(FlynestDbContext context, Flight before, Flight after, MailSettings mail)
+        {
+            var changes = DescribeChanges(before, after);
+            if (changes.Count == 0)
+            {
+                return;
+            }
+
+            var bookings = await context.Bookings
+                .Include(b => b.User)
+                .Where(b => b.Status == "Confirmed" &&
+                    (b.FlightId == after.Id || b.BookingFlights.Any(bf => bf.FlightId == after.Id)))
+                .ToListAsync();
+            if (bookings.Count == 0)
+            {
+                return;
+            }
+
+            var title = after.FlightStatus == FlightStatusUpdates.Cancelled && before.FlightStatus != after.FlightStatus
+                ? $"Flight {after.FlightNumber} cancelled"
+                : $"Schedule change on {after.FlightNumber}";
+            foreach (var booking in bookings)
+            {
+                Add(context, booking, ScheduleChanged, title, $"{string.Join(". ", changes)}. Booking {booking.Pnr}.");
+                EmailQueue.Queue(context, booking.User?.Email, EmailTemplates.ScheduleChanged(booking, after, changes, mail));
+            }
+            await context.SaveChangesAsync();
+        }
+
+        // One notification per leg once its check-in window opens; saves
+        public static async Task CheckInOpenedAsync(FlynestDbContext context, CheckInPolicy policy, int userId)
+        {
+            var today = DateOnly.FromDateTime(DateTime.Today);
+            var bookings = await context.Bookings
+                .Include(b => b.Flight)
+                .Include(b => b.BookingFlights)
+                    .ThenInclude(bf => bf.Flight)
+                .Where(b => b.UserId == userId && b.Status == "Confirmed" &&
+                    (b.Flight!.FlightDate >= today || b.BookingFlights.Any(bf => bf.Flight.FlightDate >= today)))
+                .ToListAsync();
+            if (bookings.Count == 0)
+            {
+                return;
+            }
+
+            var sent = (await context.Notifications
+                .Where(n => n.UserId == userId && n.Type == CheckInOpen)
+                .Select(n => n.DedupeKey)
+                .ToListAsync()).ToHashSet();
+
+            var added = false;
+            foreach (var booking in bookings)
+            {
+                var legs = booking.BookingFlights.Count > 0
+                    ? booking.BookingFlights.Select(bf => bf.Flight).ToList()
+                    : new List<Flight> { booking.Flight! };
+                foreach (var flight in legs.Where(f => f != null && policy.StatusOf(f) == CheckInPolicy.Open))
+                {
+                    var key = $"checkin:{booking.BookingId}:{flight.Id}";
+                    if (sent.Contains(key))
+                    {
+                        continue;
+                    }
+
+                    Add(context, booking, CheckInOpen,
+                        $"Check-in open for {flight.FlightNumber}",
+                        $"Check in online for {flight.DepartureIata} → {flight.ArrivalIata} on {flight.FlightDate:d MMM yyyy}. Booking {booking.Pnr}.",
+                        key);
+                    added = true;
+                }
+            }
+
+            if (added)
+            {
+                await context.SaveChangesAsync();
+            }
+        }
+
+        private static List<string> DescribeChanges(Flight before, Flight after)
+        {
+            var changes = new List<string>();
+            if (after.FlightStatus != before.FlightStatus && ScheduleStatuses.Contains(after.FlightStatus))
+            {
+                changes.Add($"Flight status is now {after.FlightStatus}");
+            }
+            if (after.FlightDate != before.FlightDate && after.FlightDate != null)
+            {
+                changes.Add($"Now departs on {after.FlightDate:d MMM yyyy}");
+            }
+            if (after.DepartureTime != before.DepartureTime && after.DepartureTime != null)
+            {
+                changes.Add($"Scheduled departure is now {after.DepartureTime:HH:mm} local time");
+            }
+            if (after.ArrivalTime != before.ArrivalTime && after.ArrivalTime != null)
+            {
+                changes.Add($"Scheduled arrival is now {after.ArrivalTime:HH:mm} local time");
+            }
+            if ((after.DepartureDelay ?? 0) != (before.DepartureDelay ?? 0))
+            {
+                changes.Add(after.DepartureDelay > 0
+                    ? $"Departure delayed by {after.DepartureDelay} min"
+                    : "Departure is back on time");
+            }
+            if (after.DepartureTerminal != before.DepartureTerminal && !string.IsNullOrWhiteSpace(after.DepartureTerminal))
+            {
+                changes.Add($"Departs from terminal {after.DepartureTerminal}");
+            }
+            if (after.DepartureGate != before.DepartureGate && !string.IsNullOrWhiteSpace(after.DepartureGate))
+            {
+                changes.Add($"Departure gate is now {after.DepartureGate}");
+            }
+            return changes;
+        }
+    }
+}
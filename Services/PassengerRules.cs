@@ -0,0 +1,62 @@
+﻿using System.Text.RegularExpressions;
+
+namespace flynest.Services
+{
+    // Passenger rules shared with the client (passengerRules.js); keep the two in step.
+    public static class PassengerRules
+    {
+        public const string Adult = "Adult";
+        public const string Child = "Child";
+        public const string Infant = "Infant";
+
+        // ICAO machine-readable passports: 6-9 letters or digits
+        public static readonly Regex PassportPattern = new Regex("^[A-Z0-9]{6,9}$");
+
+        // Passports must stay valid this long after the last flight
+        public const int PassportValidityMonths = 6;
+
+        public const int MaxAge = 120;
+
+        // Whole years on the given date
+        public static int AgeOn(DateOnly dateOfBirth, DateOnly date)
+        {
+            var age = date.Year - dateOfBirth.Year;
+            if (dateOfBirth > date.AddYears(-age))
+            {
+                age--;
+            }
+            return age;
+        }
+
+        // Fare category by age on the day of travel: infant under 2, child 2-11, adult 12+
+        public static string TypeFor(DateOnly dateOfBirth, DateOnly travelDate)
+        {
+            var age = AgeOn(dateOfBirth, travelDate);
+            if (age < 2) return Infant;
+            if (age < 12) return Child;
+            return Adult;
+        }
+
+        public static bool IsPassportValidFor(DateOnly passportExpiry, DateOnly lastTravelDate)
+        {
+            return passportExpiry >= lastTravelDate.AddMonths(PassportValidityMonths);
+        }
+
+        // Booking-level rule: every infant travels on an adult's lap, and minors need an adult
+        public static string? CheckGroup(IReadOnlyCollection<string> passengerTypes)
+        {
+            var adults = passengerTypes.Count(t => t == Adult);
+            var infants = passengerTypes.Count(t => t == Infant);
+
+            if (adults == 0)
+            {
+                return "Children and infants must travel with at least one adult on the booking.";
+            }
+            if (infants > adults)
+            {
+                return "Each infant must be accompanied by a separate adult on the booking.";
+            }
+            return null;
+        }
+    }
+}
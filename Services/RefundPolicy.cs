@@ -0,0 +1,167 @@
+﻿using flynest.Models;
+using Microsoft.Extensions.Configuration;
+
+namespace flynest.Services
+{
+    // Refund rules, read from the "RefundPolicy" configuration section:
+    //
+    //   "RefundPolicy": {
+    //     "Tiers": [
+    //       { "MinHoursBeforeDeparture": 168, "Percent": 90 },
+    //       { "MinHoursBeforeDeparture": 48, "Percent": 50 },
+    //       { "MinHoursBeforeDeparture": 0, "Percent": 0 }
+    //     ],
+    //     "ByFareClass": {
+    //       "First": [ { "MinHoursBeforeDeparture": 24, "Percent": 100 } ]
+    //     }
+    //   }
+    //
+    // A fare class without its own list uses Tiers. The highest tier the
+    // cancellation still qualifies for wins; below every tier nothing is refunded.
+    public class RefundPolicy
+    {
+        public List<RefundTier> Tiers { get; set; } = new();
+        public Dictionary<string, List<RefundTier>> ByFareClass { get; set; } = new(StringComparer.OrdinalIgnoreCase);
+
+        // Used when the section is missing: the old rule, a full refund up to two days out
+        private static readonly List<RefundTier> DefaultTiers = new()
+        {
+            new RefundTier { MinHoursBeforeDeparture = 48, Percent = 100 }
+        };
+
+        public static RefundPolicy FromConfiguration(IConfiguration config)
+        {
+            var policy = config.GetSection("RefundPolicy").Get<RefundPolicy>() ?? new RefundPolicy();
+            if (policy.Tiers.Count == 0)
+            {
+                policy.Tiers = DefaultTiers;
+            }
+            return policy;
+        }
+
+        // The first leg's scheduled departure in UTC (see FlightTimes.DeadlineDepartureUtc)
+        public static DateTime? DepartureOf(Booking booking)
+        {
+            var flights = booking.BookingFlights.Count > 0
+                ? booking.BookingFlights.Select(bf => bf.Flight)
+                : new[] { booking.Flight };
+
+            return flights
+                .Where(f => f != null)
+                .Select(f => FlightTimes.DeadlineDepartureUtc(f!))
+                .Min();
+        }
+
+        public decimal PercentFor(string fareClass, double hoursBeforeDeparture)
+        {
+            var tiers = ByFareClass.TryGetValue(fareClass, out var classTiers) && classTiers.Count > 0
+                ? classTiers
+                : Tiers;
+
+            return tiers
+                .Where(t => hoursBeforeDeparture >= t.MinHoursBeforeDeparture)
+                .OrderByDescending(t => t.MinHoursBeforeDeparture)
+                .Select(t => t.Percent)
+                .FirstOrDefault();
+        }
+
+        // What cancelling now would return. Each fare class is refunded at its own
+        // percentage, weighted by ticket fares and applied to the amount actually paid:
+        // every successful payment, less what has already been refunded.
+        public RefundQuote Quote(Booking booking, IReadOnlyCollection<PaymentBalance> payments, DateTime departure)
+        {
+            var hoursBeforeDeparture = (departure - DateTime.UtcNow).TotalHours;
+            var paid = payments.Sum(p => p.Remaining);
+
+            var fares = booking.Tickets
+                .GroupBy(t => t.Class ?? FareClasses.Economy)
+                .Select(g => new RefundLine
+                {
+                    FareClass = g.Key,
+                    Fare = g.Sum(t => t.FareAmount ?? 0),
+                    Percent = PercentFor(g.Key, hoursBeforeDeparture)
+                })
+                .ToList();
+
+            var totalFare = fares.Sum(f => f.Fare);
+            if (totalFare == 0)
+            {
+                // Bookings made before tickets were priced: treat the payment as one Economy fare
+                fares = new List<RefundLine>
+                {
+                    new RefundLine
+                    {
+                        FareClass = FareClasses.Economy,
+                        Fare = paid,
+                        Percent = PercentFor(FareClasses.Economy, hoursBeforeDeparture)
+                    }
+                };
+                totalFare = paid;
+            }
+
+            var refundableFare = fares.Sum(f => f.Fare * f.Percent / 100);
+            var share = totalFare == 0 ? 0 : refundableFare / totalFare;
+
+            return new RefundQuote
+            {
+                HoursBeforeDeparture = Math.Max(0, Math.Floor(hoursBeforeDeparture)),
+                PaidAmount = paid,
+                Amount = Math.Round(paid * share, 2),
+                Percent = Math.Round(share * 100, 1),
+                Currency = payments.Select(p => p.Payment.Currency).FirstOrDefault(c => c != null) ?? "INR",
+                Lines = fares
+            };
+        }
+
+        // Splits a refund over the payments it comes from, oldest first, never taking more
+        // from a payment than is left on it
+        public static List<(Payment Payment, decimal Amount)> Split(IEnumerable<PaymentBalance> payments, decimal amount)
+        {
+            var parts = new List<(Payment, decimal)>();
+            foreach (var balance in payments)
+            {
+                if (amount <= 0)
+                {
+                    break;
+                }
+                var part = Math.Min(amount, balance.Remaining);
+                if (part > 0)
+                {
+                    parts.Add((balance.Payment, part));
+                    amount -= part;
+                }
+            }
+            return parts;
+        }
+    }
+
+    // A successful payment and how much of it hasn't been refunded yet
+    public class PaymentBalance
+    {
+        public Payment Payment { get; set; } = null!;
+        public decimal Remaining { get; set; }
+    }
+
+    public class RefundTier
+    {
+        public double MinHoursBeforeDeparture { get; set; }
+        public decimal Percent { get; set; }
+    }
+
+    public class RefundLine
+    {
+        public string FareClass { get; set; } = FareClasses.Economy;
+        public decimal Fare { get; set; }
+        public decimal Percent { get; set; }
+    }
+
+    public class RefundQuote
+    {
+        public double HoursBeforeDeparture { get; set; }
+        public decimal PaidAmount { get; set; }
+        public decimal Amount { get; set; }
+        public decimal Percent { get; set; }
+        public string Currency { get; set; } = "INR";
+        public List<RefundLine> Lines { get; set; } = new();
+    }
+}
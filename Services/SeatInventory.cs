@@ -0,0 +1,96 @@
+﻿using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // Seats a flight can still sell: the aircraft's capacity plus the flight's overbooking
+    // allowance, minus passengers on confirmed bookings and on pending bookings still on hold,
+    // minus seats set aside for open waitlist offers. Infants travel on a lap and don't use a
+    // seat. Run BookingHolds.ExpireAsync first so lapsed holds are not counted.
+    public static class SeatInventory
+    {
+        // Search results say "only N left" at or below this
+        public const int LowAvailability = 9;
+
+        // exceptWaitlistId leaves out the offer of the customer who is taking it up
+        public static async Task<List<SeatAvailability>> AvailabilityAsync(FlynestDbContext context, IReadOnlyCollection<Flight> flights, int? exceptWaitlistId = null)
+        {
+            var flightIds = flights.Select(f => f.Id).ToList();
+            var aircraftIds = flights.Where(f => f.AircraftId != null).Select(f => f.AircraftId!.Value).Distinct().ToList();
+
+            var capacities = await context.Airplanes
+                .Where(a => aircraftIds.Contains(a.Id))
+                .ToDictionaryAsync(a => a.Id, a => a.Capacity);
+
+            var sold = await context.Tickets
+                .Where(t =>
+                    flightIds.Contains(t.FlightId ?? t.Booking.FlightId ?? 0) &&
+                    t.Booking.Status != "Cancelled" &&
+                    t.Passenger.PassengerType != PassengerRules.Infant)
+                .GroupBy(t => t.FlightId ?? t.Booking.FlightId ?? 0)
+                .Select(g => new { FlightId = g.Key, Count = g.Count() })
+                .ToDictionaryAsync(x => x.FlightId, x => x.Count);
+
+            var now = DateTime.Now;
+            var offered = await context.Waitlists
+                .Where(w =>
+                    flightIds.Contains(w.FlightId) &&
+                    w.Status == WaitlistOffers.Offered &&
+                    w.OfferExpiresAt > now &&
+                    w.WaitlistId != exceptWaitlistId)
+                .GroupBy(w => w.FlightId)
+                .Select(g => new { FlightId = g.Key, Seats = g.Sum(w => w.PartySize) })
+                .ToDictionaryAsync(x => x.FlightId, x => x.Seats);
+
+            return flights.Select(f => new SeatAvailability
+            {
+                FlightId = f.Id,
+                Capacity = f.AircraftId != null && capacities.TryGetValue(f.AircraftId.Value, out var capacity) ? capacity : null,
+                OverbookingAllowance = f.OverbookingAllowance,
+                Sold = sold.GetValueOrDefault(f.Id),
+                Offered = offered.GetValueOrDefault(f.Id)
+            }).ToList();
+        }
+
+        // Holds an update lock on the flights until the caller's transaction ends, so two
+        // customers booking at the same moment are counted one after the other.
+        // Locks are taken in id order so two multi-leg bookings can't deadlock.
+        public static async Task LockAsync(FlynestDbContext context, IEnumerable<long> flightIds)
+        {
+            foreach (var flightId in flightIds.Distinct().OrderBy(id => id))
+            {
+                await context.Database.ExecuteSqlInterpolatedAsync(
+                    $"SELECT id FROM flights WITH (UPDLOCK, HOLDLOCK) WHERE id = {flightId}");
+            }
+        }
+
+        // Null when there is room, otherwise what to tell the customer
+        public static string? ShortageMessage(SeatAvailability availability, Flight flight, int seatsNeeded)
+        {
+            if (availability.Available == null || availability.Available >= seatsNeeded)
+            {
+                return null;
+            }
+            return availability.Available == 0
+                ? $"Flight {flight.FlightNumber} is sold out."
+                : $"Only {availability.Available} seat(s) left on flight {flight.FlightNumber}.";
+        }
+    }
+
+    public class SeatAvailability
+    {
+        public long FlightId { get; set; }
+        // Null when the flight has no aircraft assigned; such flights are not limited
+        public int? Capacity { get; set; }
+        public int OverbookingAllowance { get; set; }
+        public int Sold { get; set; }
+        // Held for waitlisted customers who have been offered a seat
+        public int Offered { get; set; }
+
+        public int? Available => Capacity == null
+            ? null
+            : Math.Max(0, Capacity.Value + OverbookingAllowance - Sold - Offered);
+
+        public bool SoldOut => Available == 0;
+    }
+}
@@ -0,0 +1,106 @@
+﻿using System.Text.RegularExpressions;
+using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // Cabin layout shared with the client's seat map (SeatMap.jsx); keep the two in step.
+    // Rows are filled front to back up to the aircraft's capacity, and premium rows are only
+    // laid out for the classes the flight sells, so a row's class depends on the flight.
+    public static class SeatLayout
+    {
+        private static readonly Regex SeatPattern = new Regex("^([1-9][0-9]*)([A-Z])$");
+
+        // Seat letters per row for the aircraft families in our fleet
+        public static string[] SeatLetters(string? model)
+        {
+            var normalized = (model ?? "").ToUpperInvariant();
+            if (normalized.Contains("A380") || normalized.Contains("777"))
+            {
+                return new[] { "A", "B", "C", "D", "E", "F", "G", "H", "J", "K" };
+            }
+            if (normalized.Contains("787") || normalized.Contains("A350") || normalized.Contains("767"))
+            {
+                return new[] { "A", "B", "C", "D", "E", "F", "G", "H", "K" };
+            }
+            // Narrow-body default (A320, 737, ...)
+            return new[] { "A", "B", "C", "D", "E", "F" };
+        }
+
+        // Rows at the front of the cabin set aside for premium classes
+        public static (int First, int Business) PremiumRows(string? model)
+        {
+            var normalized = (model ?? "").ToUpperInvariant();
+            if (normalized.Contains("A380") || normalized.Contains("777"))
+            {
+                return (2, 6);
+            }
+            if (normalized.Contains("787") || normalized.Contains("A350") || normalized.Contains("767"))
+            {
+                return (0, 5);
+            }
+            return (0, 2);
+        }
+
+        // Class of the seat's cabin on this flight, or null when the aircraft has no such seat
+        public static string? ClassOf(Airplane airplane, Flight flight, string seatNumber)
+        {
+            var match = SeatPattern.Match(seatNumber);
+            if (!match.Success)
+            {
+                return null;
+            }
+
+            var letters = SeatLetters(airplane.Model);
+            var row = int.Parse(match.Groups[1].Value);
+            var letterIndex = Array.IndexOf(letters, match.Groups[2].Value);
+            if (letterIndex == -1 || (row - 1) * letters.Length + letterIndex >= (airplane.Capacity ?? 0))
+            {
+                return null;
+            }
+
+            var premiumRows = PremiumRows(airplane.Model);
+            var firstRows = FareClasses.PriceFor(flight, FareClasses.First) != null ? premiumRows.First : 0;
+            var businessRows = FareClasses.PriceFor(flight, FareClasses.Business) != null ? premiumRows.Business : 0;
+            if (row <= firstRows)
+            {
+                return FareClasses.First;
+            }
+            return row <= firstRows + businessRows ? FareClasses.Business : FareClasses.Economy;
+        }
+
+        // Null when a passenger in fareClass may sit there, otherwise what to tell them
+        public static string? SeatError(Airplane? airplane, Flight flight, string seatNumber, string fareClass)
+        {
+            if (airplane == null)
+            {
+                return $"Seats can't be chosen on flight {flight.FlightNumber}.";
+            }
+
+            var seatClass = ClassOf(airplane, flight, seatNumber);
+            if (seatClass == null)
+            {
+                return $"Seat {seatNumber} doesn't exist on flight {flight.FlightNumber}.";
+            }
+            if (seatClass != fareClass)
+            {
+                return $"Seat {seatNumber} on flight {flight.FlightNumber} is in {seatClass}; choose a seat in {fareClass}.";
+            }
+            return null;
+        }
+
+        // Aircraft of the given flights by flight id; flights without one are left out
+        public static async Task<Dictionary<long, Airplane>> AirplanesForAsync(FlynestDbContext context, IEnumerable<Flight> flights)
+        {
+            var byAircraft = flights.Where(f => f.AircraftId != null).ToList();
+            var aircraftIds = byAircraft.Select(f => f.AircraftId!.Value).Distinct().ToList();
+            var airplanes = await context.Airplanes
+                .Where(a => aircraftIds.Contains(a.Id))
+                .ToDictionaryAsync(a => a.Id);
+
+            return byAircraft
+                .Where(f => airplanes.ContainsKey(f.AircraftId!.Value))
+                .ToDictionary(f => f.Id, f => airplanes[f.AircraftId!.Value]);
+        }
+    }
+}
@@ -0,0 +1,33 @@
+﻿using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // Seat and ticket-number rules shared by ticket and booking creation
+    public static class Ticketing
+    {
+        public static string NewTicketNumber()
+        {
+            return "TCKT" + Guid.NewGuid().ToString("N").Substring(0, 10).ToUpper();
+        }
+
+        // A seat is taken while any non-cancelled booking holds a ticket for it on that flight
+        public static Task<bool> IsSeatTakenAsync(FlynestDbContext context, long? flightId, string seatNumber)
+        {
+            return context.Tickets.AnyAsync(t =>
+                (t.FlightId ?? t.Booking.FlightId) == flightId &&
+                t.Booking.Status != "Cancelled" &&
+                t.SeatNumber == seatNumber);
+        }
+
+        // A seat can only be on one ticket per flight (see the ticket table's unique index),
+        // so cancelled tickets give theirs up
+        public static void ReleaseSeats(IEnumerable<Ticket> tickets)
+        {
+            foreach (var ticket in tickets)
+            {
+                ticket.SeatNumber = null;
+            }
+        }
+    }
+}
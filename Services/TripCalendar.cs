@@ -0,0 +1,141 @@
+﻿using System.Text;
+using flynest.Models;
+
+namespace flynest.Services
+{
+    // iCalendar (RFC 5545) events for booked flights, one per leg. Times are written in UTC
+    // so calendar apps show each end in the traveller's own zone. The UID stays the same
+    // when a leg is changed to another flight, and SEQUENCE goes up with every change, so
+    // subscribed calendars move the event instead of adding a second one; cancelled
+    // bookings are sent as STATUS:CANCELLED so the event is removed.
+    public static class TripCalendar
+    {
+        private const string ProductId = "-//Flynest//Trips//EN";
+
+        // Bookings need Flight, BookingFlights.Flight and BookingChanges loaded
+        public static string Build(IEnumerable<Booking> bookings, string calendarName)
+        {
+            var ics = new StringBuilder();
+            AppendLine(ics, "BEGIN:VCALENDAR");
+            AppendLine(ics, "VERSION:2.0");
+            AppendLine(ics, $"PRODID:{ProductId}");
+            AppendLine(ics, "CALSCALE:GREGORIAN");
+            AppendLine(ics, "METHOD:PUBLISH");
+            AppendLine(ics, $"X-WR-CALNAME:{Escape(calendarName)}");
+
+            foreach (var booking in bookings)
+            {
+                // Older single-flight bookings have no legs recorded
+                var legs = booking.BookingFlights.Count > 0
+                    ? booking.BookingFlights.OrderBy(bf => bf.LegNumber).Select(bf => (bf.LegNumber, bf.Flight)).ToList()
+                    : new List<(int LegNumber, Flight Flight)> { (1, booking.Flight) };
+
+                foreach (var (legNumber, flight) in legs.Where(leg => leg.Flight != null))
+                {
+                    AppendEvent(ics, booking, legNumber, flight);
+                }
+            }
+
+            AppendLine(ics, "END:VCALENDAR");
+            return ics.ToString();
+        }
+
+        private static void AppendEvent(StringBuilder ics, Booking booking, int legNumber, Flight flight)
+        {
+            var departure = FlightTimes.DepartureUtc(flight);
+            var arrival = FlightTimes.ArrivalUtc(flight);
+
+            AppendLine(ics, "BEGIN:VEVENT");
+            AppendLine(ics, $"UID:{booking.Pnr}-{legNumber}@flynest");
+            AppendLine(ics, $"SEQUENCE:{booking.BookingChanges.Count}");
+            AppendLine(ics, $"DTSTAMP:{Utc(DateTime.UtcNow)}");
+
+            if (departure != null)
+            {
+                AppendLine(ics, $"DTSTART:{Utc(departure.Value)}");
+                AppendLine(ics, $"DTEND:{Utc(arrival ?? departure.Value)}");
+            }
+            else if (flight.FlightDate != null)
+            {
+                // No scheduled time yet: an all-day event on the departure date
+                AppendLine(ics, $"DTSTART;VALUE=DATE:{flight.FlightDate.Value:yyyyMMdd}");
+                AppendLine(ics, $"DTEND;VALUE=DATE:{flight.FlightDate.Value.AddDays(1):yyyyMMdd}");
+            }
+
+            AppendLine(ics, $"SUMMARY:{Escape($"Flight {flight.FlightNumber} {flight.DepartureIata} → {flight.ArrivalIata}")}");
+            AppendLine(ics, $"LOCATION:{Escape(Place(flight.DepartureAirport, flight.DepartureTerminal, flight.DepartureGate))}");
+            AppendLine(ics, $"DESCRIPTION:{Escape(Description(booking, flight))}");
+            AppendLine(ics, $"STATUS:{(booking.Status == "Cancelled" ? "CANCELLED" : "CONFIRMED")}");
+            AppendLine(ics, "TRANSP:OPAQUE");
+            AppendLine(ics, "END:VEVENT");
+        }
+
+        private static string Description(Booking booking, Flight flight)
+        {
+            var lines = new List<string>
+            {
+                $"Booking reference: {booking.Pnr}",
+                $"{flight.AirlineName} {flight.FlightNumber}",
+                $"From: {Place(flight.DepartureAirport, flight.DepartureTerminal, flight.DepartureGate)}",
+                $"To: {Place(flight.ArrivalAirport, flight.ArrivalTerminal, null)}"
+            };
+            if (flight.DepartureDelay > 0)
+            {
+                lines.Add($"Departure delayed by {flight.DepartureDelay} min");
+            }
+            return string.Join("\n", lines);
+        }
+
+        private static string Place(string? airport, string? terminal, string? gate)
+        {
+            var parts = new List<string?> { airport };
+            if (!string.IsNullOrWhiteSpace(terminal))
+            {
+                parts.Add($"Terminal {terminal}");
+            }
+            if (!string.IsNullOrWhiteSpace(gate))
+            {
+                parts.Add($"Gate {gate}");
+            }
+            return string.Join(", ", parts.Where(p => !string.IsNullOrWhiteSpace(p)));
+        }
+
+        private static string Utc(DateTime value)
+        {
+            return value.ToString("yyyyMMdd'T'HHmmss'Z'");
+        }
+
+        private static string Escape(string value)
+        {
+            return value
+                .Replace("\\", "\\\\")
+                .Replace(";", "\\;")
+                .Replace(",", "\\,")
+                .Replace("\r\n", "\\n")
+                .Replace("\n", "\\n");
+        }
+
+        // Lines end in CRLF and are folded at 75 octets, continuing with a space
+        private static void AppendLine(StringBuilder ics, string line)
+        {
+            var bytes = 0;
+            var start = 0;
+            for (int i = 0; i < line.Length; i++)
+            {
+                var size = Encoding.UTF8.GetByteCount(line.AsSpan(i, char.IsHighSurrogate(line[i]) && i + 1 < line.Length ? 2 : 1));
+                if (bytes + size > (start == 0 ? 75 : 74))
+                {
+                    ics.Append(line, start, i - start).Append("\r\n ");
+                    start = i;
+                    bytes = 0;
+                }
+                bytes += size;
+                if (char.IsHighSurrogate(line[i]) && i + 1 < line.Length)
+                {
+                    i++;
+                }
+            }
+            ics.Append(line, start, line.Length - start).Append("\r\n");
+        }
+    }
+}
@@ -0,0 +1,93 @@
+﻿using flynest.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace flynest.Services
+{
+    // Queue for sold-out flights. When seats come free (a cancellation, a lapsed hold,
+    // a flight change or a bigger aircraft) they are offered to waiting parties in the
+    // order they joined. An offer holds its seats until OfferDuration runs out; the
+    // customer takes it up by booking through the normal flow with the waitlist id.
+    public static class WaitlistOffers
+    {
+        public const string Waiting = "Waiting";
+        public const string Offered = "Offered";
+        public const string Booked = "Booked";
+        public const string Expired = "Expired";
+        public const string Cancelled = "Cancelled";
+
+        public static readonly TimeSpan OfferDuration = TimeSpan.FromHours(2);
+
+        public const int MaxPartySize = 9;
+
+        // Offers whatever is free on these flights down the queue. A party too big for what is
+        // left keeps its place, but smaller parties behind it can be offered the seats meanwhile.
+        // Call outside any open transaction.
+        public static async Task OfferFreedSeatsAsync(FlynestDbContext context, IEnumerable<long> flightIds)
+        {
+            var ids = flightIds.Distinct().ToList();
+            var today = DateOnly.FromDateTime(DateTime.Today);
+
+            var hasQueue = await context.Waitlists.AnyAsync(w => ids.Contains(w.FlightId) && w.Status == Waiting);
+            if (!hasQueue)
+            {
+                return;
+            }
+
+            using var transaction = await context.Database.BeginTransactionAsync();
+            await SeatInventory.LockAsync(context, ids);
+
+            var flights = await context.Flights
+                .Where(f => ids.Contains(f.Id) && (f.FlightDate == null || f.FlightDate >= today))
+                .ToListAsync();
+            var availability = await SeatInventory.AvailabilityAsync(context, flights);
+            var queue = await context.Waitlists
+                .Where(w => ids.Contains(w.FlightId) && w.Status == Waiting)
+                .OrderBy(w => w.CreatedAt)
+                .ThenBy(w => w.WaitlistId)
+                .ToListAsync();
+
+            var now = DateTime.Now;
+            foreach (var flight in flights)
+            {
+                // Flights without an aircraft are not limited, so everyone fits
+                var seatsLeft = availability.First(a => a.FlightId == flight.Id).Available ?? int.MaxValue;
+                foreach (var entry in queue.Where(w => w.FlightId == flight.Id))
+                {
+                    if (entry.PartySize > seatsLeft)
+                    {
+                        continue;
+                    }
+                    entry.Status = Offered;
+                    entry.OfferedAt = now;
+                    entry.OfferExpiresAt = now.Add(OfferDuration);
+                    seatsLeft -= entry.PartySize;
+                }
+            }
+
+            await context.SaveChangesAsync();
+            await transaction.CommitAsync();
+        }
+
+        // Offers not taken up in time lapse and their seats pass to the next in line
+        public static async Task ExpireAsync(FlynestDbContext context)
+        {
+            var now = DateTime.Now;
+            var lapsed = await context.Waitlists
+                .Where(w => w.Status == Offered && w.OfferExpiresAt <= now)
+                .ToListAsync();
+
+            if (lapsed.Count == 0)
+            {
+                return;
+            }
+
+            foreach (var entry in lapsed)
+            {
+                entry.Status = Expired;
+            }
+
+            await context.SaveChangesAsync();
+            await OfferFreedSeatsAsync(context, lapsed.Select(w => w.FlightId));
+        }
+    }
+}
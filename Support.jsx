@@ -7,6 +7,7 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { toast } from '@/components/ui/use-toast';
+import { supportAPI } from '@/services/api';
 
 const Support = () => {
   const [formData, setFormData] = useState({
@@ -41,8 +42,7 @@ const Support = () => {
     setIsSubmitting(true);
     
     try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      await supportAPI.send(formData);
       
       toast({
         title: "Message Sent!",
@@ -54,7 +54,7 @@ const Support = () => {
     } catch (error) {
       toast({
         title: "Error",
-        description: "Failed to send message. Please try again.",
+        description: error.response?.data?.message || "Failed to send message. Please try again.",
         variant: "destructive"
       });
     } finally {
@@ -0,0 +1,29 @@
+// Add-on kinds as stored in addons.code. A passenger takes at most one option of each kind per flight.
+export const ADDON_TYPES = [
+  { code: 'baggage', label: 'Checked Baggage' },
+  { code: 'meal', label: 'Meal Preference' },
+  { code: 'priority', label: 'Priority Boarding' },
+  { code: 'legroom', label: 'Extra Legroom' }
+];
+
+export const getAddonTypeLabel = (code) =>
+  ADDON_TYPES.find(type => type.code === code)?.label || code;
+
+// Extra legroom comes with a seat, and infants travel on an adult's lap
+export const isAddonAllowed = (addon, passengerType) =>
+  addon.code !== 'legroom' || passengerType !== 'Infant';
+
+export const getAddonsTotal = (lines = []) =>
+  lines.reduce((sum, line) => sum + (Number(line.price ?? line.Price) || 0), 0);
+
+// Same add-ons across passengers and flights on one line each, for receipts:
+// [{ name: 'Extra 15 kg', count: 2, total: 5000 }]
+export const summarizeAddons = (lines = []) => {
+  const byName = lines.reduce((acc, line) => {
+    const name = line.name || line.addon?.name || line.Addon?.Name || 'Add-on';
+    const price = Number(line.price ?? line.Price) || 0;
+    acc[name] = { name, count: (acc[name]?.count || 0) + 1, total: (acc[name]?.total || 0) + price };
+    return acc;
+  }, {});
+  return Object.values(byName);
+};
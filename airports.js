@@ -0,0 +1,16 @@
+// Airport suggestions from api/Airports/search, as used by AirportInput. Flight search
+// matches on the IATA code of the picked airport, never on the typed text.
+
+// Wait this long after the last keystroke before asking the API
+export const AIRPORT_SEARCH_DELAY = 250;
+
+export const AIRPORT_SUGGESTION_COUNT = 8;
+
+// "London (LHR)"; falls back to the airport name when the city is unknown
+export const formatAirport = (airport) => {
+  if (!airport) return '';
+  return `${airport.city || airport.name} (${airport.iataCode})`;
+};
+
+export const formatAirportDetail = (airport) =>
+  [airport.name, airport.countryName || airport.countryIso2].filter(Boolean).join(', ');
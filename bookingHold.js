@@ -0,0 +1,16 @@
+// Pending bookings hold their seats until booking.holdExpiresAt (set by the API)
+
+export const getHoldSecondsLeft = (holdExpiresAt) => {
+  if (!holdExpiresAt) return null;
+  return Math.max(0, Math.floor((new Date(holdExpiresAt) - new Date()) / 1000));
+};
+
+export const isHoldActive = (booking) =>
+  booking?.status?.toLowerCase() === 'pending' && getHoldSecondsLeft(booking.holdExpiresAt) > 0;
+
+// 754 -> "12:34"
+export const formatHoldCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const remainder = seconds % 60;
+  return `${minutes}:${remainder.toString().padStart(2, '0')}`;
+};
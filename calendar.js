@@ -0,0 +1,19 @@
+// Booked trips as iCalendar (api/Calendar). Event times come from the API in UTC,
+// worked out from each airport's local schedule, so calendar apps show them correctly
+// wherever the traveller is.
+
+// Saves an .ics file returned by GET api/Calendar/booking/{id}
+export const downloadCalendarFile = (data, fileName) => {
+  const blob = new Blob([data], { type: 'text/calendar;charset=utf-8' });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// webcal:// opens the subscribe dialog of the system calendar app instead of downloading
+export const toWebcalUrl = (feedUrl) => feedUrl.replace(/^https?:\/\//, 'webcal://');
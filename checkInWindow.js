@@ -0,0 +1,41 @@
+// Online check-in window, mirroring Services/CheckInPolicy.cs.
+// The hours come from GET api/CheckIn/window; these are the server defaults.
+export const DEFAULT_CHECK_IN_WINDOW = { opensHoursBefore: 48, closesHoursBefore: 1 };
+
+const HOUR = 60 * 60 * 1000;
+
+// Flights carry only a date, so hours count back from the start of that day
+const getDeparture = (flightDate) => new Date(`${String(flightDate).slice(0, 10)}T00:00:00`);
+
+export const getCheckInOpensAt = (flightDate, window = DEFAULT_CHECK_IN_WINDOW) =>
+  new Date(getDeparture(flightDate).getTime() - window.opensHoursBefore * HOUR);
+
+// 'NotOpen' | 'Open' | 'Closed'
+export const getCheckInStatus = (flightDate, window = DEFAULT_CHECK_IN_WINDOW) => {
+  if (!flightDate) return 'NotOpen';
+  const departure = getDeparture(flightDate).getTime();
+  const now = Date.now();
+  if (now < departure - window.opensHoursBefore * HOUR) return 'NotOpen';
+  if (now < departure - window.closesHoursBefore * HOUR) return 'Open';
+  return 'Closed';
+};
+
+// Checked-in tickets out of all tickets on the booking
+export const getCheckInProgress = (booking) => {
+  const tickets = booking.tickets || [];
+  return {
+    checkedIn: tickets.filter(ticket => ticket.checkedInAt).length,
+    total: tickets.length
+  };
+};
+
+// Check-in state of a whole booking: Open while any flight on it can be checked in
+export const getBookingCheckInStatus = (booking, window = DEFAULT_CHECK_IN_WINDOW) => {
+  const legDates = (booking.bookingFlights || []).map(leg => leg.flight?.flightDate).filter(Boolean);
+  const flightDates = legDates.length > 0 ? legDates : [booking.flightDate || booking.flight?.flightDate];
+  const statuses = flightDates.map(flightDate => getCheckInStatus(flightDate, window));
+
+  if (statuses.includes('Open')) return 'Open';
+  if (statuses.includes('NotOpen')) return 'NotOpen';
+  return 'Closed';
+};
@@ -0,0 +1,102 @@
+import { jsPDF } from 'jspdf';
+import QRCode from 'qrcode';
+
+// Builds the e-ticket PDF (GET api/Tickets/booking/{id}/eticket) and the boarding
+// passes (api/CheckIn): one page per passenger per flight, each with its boarding barcode.
+
+const PAGE_MARGIN = 15;
+const BARCODE_SIZE = 50;
+
+const formatFlightDate = (date) =>
+  date
+    ? new Intl.DateTimeFormat('en-IN', { weekday: 'short', day: '2-digit', month: 'short', year: 'numeric' })
+        .format(new Date(date))
+    : '—';
+
+const labelled = (doc, label, value, x, y) => {
+  doc.setFontSize(8);
+  doc.setTextColor(120);
+  doc.text(label.toUpperCase(), x, y);
+  doc.setFontSize(12);
+  doc.setTextColor(20);
+  doc.text(String(value ?? '—'), x, y + 6);
+};
+
+const drawCoupon = async (doc, eTicket, coupon, title) => {
+  const width = doc.internal.pageSize.getWidth();
+  const { flight } = coupon;
+
+  // Header band
+  doc.setFillColor(59, 130, 246);
+  doc.rect(0, 0, width, 28, 'F');
+  doc.setTextColor(255);
+  doc.setFontSize(20);
+  doc.text('Flynest', PAGE_MARGIN, 17);
+  doc.setFontSize(11);
+  doc.text(title, width - PAGE_MARGIN, 12, { align: 'right' });
+  doc.text(`Booking ${eTicket.bookingReference}`, width - PAGE_MARGIN, 20, { align: 'right' });
+
+  // Passenger
+  labelled(doc, 'Passenger', coupon.fullName, PAGE_MARGIN, 42);
+  if (coupon.passengerType && coupon.passengerType !== 'Adult') {
+    labelled(doc, 'Type', coupon.passengerType, width / 2, 42);
+  }
+
+  // Route
+  doc.setFontSize(32);
+  doc.setTextColor(20);
+  doc.text(flight.departureIata || '—', PAGE_MARGIN, 72);
+  doc.text(flight.arrivalIata || '—', width / 2, 72);
+  doc.setFontSize(10);
+  doc.setTextColor(90);
+  doc.text(flight.departureAirport || '', PAGE_MARGIN, 80, { maxWidth: width / 2 - PAGE_MARGIN - 5 });
+  doc.text(flight.arrivalAirport || '', width / 2, 80, { maxWidth: width / 2 - PAGE_MARGIN });
+
+  // Flight and ticket details
+  labelled(doc, 'Flight', `${flight.airlineName || ''} ${flight.flightNumber || ''}`.trim(), PAGE_MARGIN, 100);
+  labelled(doc, 'Date', formatFlightDate(flight.flightDate), width / 2, 100);
+  labelled(doc, 'Terminal', flight.departureTerminal, PAGE_MARGIN, 118);
+  labelled(doc, 'Gate', flight.departureGate, PAGE_MARGIN + 35, 118);
+  labelled(doc, 'Seat', coupon.seatNumber || (coupon.passengerType === 'Infant' ? 'On lap' : 'Not assigned'), PAGE_MARGIN + 70, 118);
+  labelled(doc, 'Class', coupon.class, width / 2, 118);
+  labelled(doc, 'Ticket number', coupon.ticketNumber, PAGE_MARGIN, 136);
+  labelled(doc, 'Arrival terminal', flight.arrivalTerminal, width / 2, 136);
+  if (coupon.boardingSequence) {
+    labelled(doc, 'Sequence', String(coupon.boardingSequence).padStart(3, '0'), width - PAGE_MARGIN - 30, 136);
+  }
+
+  // Boarding barcode
+  const barcode = await QRCode.toDataURL(coupon.barcode, { errorCorrectionLevel: 'M', margin: 1 });
+  doc.addImage(barcode, 'PNG', width - PAGE_MARGIN - BARCODE_SIZE, 36, BARCODE_SIZE, BARCODE_SIZE);
+
+  // Footer
+  doc.setDrawColor(200);
+  doc.line(PAGE_MARGIN, 152, width - PAGE_MARGIN, 152);
+  doc.setFontSize(9);
+  doc.setTextColor(110);
+  doc.text(
+    'Carry a valid passport matching this ticket. Boarding gates close 20 minutes before departure. ' +
+    'Terminal and gate may change; check the airport screens.',
+    PAGE_MARGIN,
+    160,
+    { maxWidth: width - PAGE_MARGIN * 2 }
+  );
+  doc.text(`Issued ${new Date(eTicket.issuedAt).toLocaleString('en-IN')}`, PAGE_MARGIN, 175);
+};
+
+const savePdf = async (source, title, fileName) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+
+  for (let i = 0; i < source.coupons.length; i++) {
+    if (i > 0) doc.addPage();
+    await drawCoupon(doc, source, source.coupons[i], title);
+  }
+
+  doc.save(fileName);
+};
+
+export const downloadETicket = (eTicket) =>
+  savePdf(eTicket, 'Electronic Ticket', `eticket_${eTicket.bookingReference}.pdf`);
+
+export const downloadBoardingPasses = (boardingPasses) =>
+  savePdf(boardingPasses, 'Boarding Pass', `boarding_passes_${boardingPasses.bookingReference}.pdf`);
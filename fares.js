@@ -0,0 +1,42 @@
+// Fare classes as stored in ticket.class
+export const FARE_CLASSES = ['Economy', 'Business', 'First'];
+
+// Per-passenger fare for a class, or null when the flight does not sell it.
+// Older flight records only carry a single `price`, which is the Economy fare.
+export const getFarePrice = (flight, fareClass) => {
+  if (!flight) return null;
+  switch (fareClass) {
+    case 'Economy':
+      return flight.economyPrice ?? flight.price ?? null;
+    case 'Business':
+      return flight.businessPrice ?? null;
+    case 'First':
+      return flight.firstPrice ?? null;
+    default:
+      return null;
+  }
+};
+
+export const getAvailableFareClasses = (flight) =>
+  FARE_CLASSES.filter(fareClass => getFarePrice(flight, fareClass) != null);
+
+// "Economy ×2, Business" style summary of a booking's tickets.
+// Multi-leg bookings hold one ticket per passenger per leg, so passengers are counted once.
+export const summarizeFareClasses = (tickets = []) => {
+  const seen = new Set();
+  const counts = tickets.reduce((acc, ticket) => {
+    const fareClass = ticket.class || ticket.Class;
+    const passengerId = ticket.passengerId ?? ticket.PassengerId;
+    if (passengerId != null) {
+      if (seen.has(passengerId)) return acc;
+      seen.add(passengerId);
+    }
+    if (fareClass) acc[fareClass] = (acc[fareClass] || 0) + 1;
+    return acc;
+  }, {});
+
+  return FARE_CLASSES
+    .filter(fareClass => counts[fareClass])
+    .map(fareClass => (counts[fareClass] > 1 ? `${fareClass} ×${counts[fareClass]}` : fareClass))
+    .join(', ');
+};
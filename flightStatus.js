@@ -0,0 +1,73 @@
+import { useEffect, useState } from 'react';
+
+// Live status, delays, gates and baggage belts of booked flights.
+// GET api/Flights/status/stream is a server-sent event stream: it first sends the current
+// state of each flight, then every change an admin saves. EventSource reconnects by itself.
+
+const API_URL = import.meta.env.VITE_API_URL || 'https://localhost:44327/api';
+
+// Mirrors FlightStatusUpdates.Statuses on the API
+export const FLIGHT_STATUSES = ['Scheduled', 'Delayed', 'Boarding', 'Departed', 'Landed', 'Cancelled', 'Diverted'];
+
+export const FLIGHT_STATUS_COLORS = {
+  Scheduled: 'bg-blue-500/20 text-blue-300 border-blue-500/30',
+  Delayed: 'bg-yellow-500/20 text-yellow-300 border-yellow-500/30',
+  Boarding: 'bg-green-500/20 text-green-300 border-green-500/30',
+  Departed: 'bg-purple-500/20 text-purple-300 border-purple-500/30',
+  Landed: 'bg-gray-500/20 text-gray-300 border-gray-500/30',
+  Cancelled: 'bg-red-500/20 text-red-300 border-red-500/30',
+  Diverted: 'bg-orange-500/20 text-orange-300 border-orange-500/30'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Flights of a booking in travel order; older bookings only have booking.flight
+export const getBookingFlights = (booking) => {
+  const legs = [...(booking.bookingFlights || [])]
+    .sort((a, b) => a.legNumber - b.legNumber)
+    .map(leg => leg.flight)
+    .filter(Boolean);
+  return legs.length > 0 ? legs : [booking.flight].filter(Boolean);
+};
+
+// Only confirmed bookings are tracked, and only until the day after each flight
+export const getTrackedFlightIds = (bookings) => {
+  const ids = bookings
+    .filter(booking => booking.status?.toLowerCase() === 'confirmed')
+    .flatMap(getBookingFlights)
+    .filter(flight => !flight.flightDate || new Date(flight.flightDate).getTime() + 2 * DAY > Date.now())
+    .map(flight => flight.id);
+  return [...new Set(ids)].sort((a, b) => a - b);
+};
+
+export const formatDelay = (minutes) => {
+  if (!minutes) return null;
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes} min`;
+};
+
+// Latest status per flight id; falls back to what the booking was loaded with until the
+// stream's first event arrives
+export const useFlightStatus = (flightIds) => {
+  const [statuses, setStatuses] = useState({});
+  const key = flightIds.join(',');
+
+  useEffect(() => {
+    if (flightIds.length === 0) return undefined;
+
+    const query = flightIds.map(id => `ids=${encodeURIComponent(id)}`).join('&');
+    const source = new EventSource(`${API_URL}/Flights/status/stream?${query}`);
+    source.onmessage = (event) => {
+      const update = JSON.parse(event.data);
+      setStatuses(current => ({ ...current, [update.flightId]: update }));
+    };
+    source.onerror = () => {
+      // EventSource retries on its own; the last known status stays on screen meanwhile
+      console.warn('Flight status stream interrupted, reconnecting...');
+    };
+
+    return () => source.close();
+  }, [key]);
+
+  return (flight) => (flight ? { ...flight, ...statuses[flight.id] } : null);
+};
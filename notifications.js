@@ -0,0 +1,32 @@
+// In-app notifications from api/Notifications, as shown by NotificationBell and the
+// Notifications page. Types match Services/Notifications.cs on the API.
+
+// How often the bell asks for the unread count
+export const UNREAD_POLL_INTERVAL = 60 * 1000;
+
+export const NOTIFICATION_COLORS = {
+  BookingConfirmed: 'text-green-400 bg-green-500/20',
+  PaymentSucceeded: 'text-green-400 bg-green-500/20',
+  PaymentFailed: 'text-red-400 bg-red-500/20',
+  BookingCancelled: 'text-red-400 bg-red-500/20',
+  RefundInitiated: 'text-blue-400 bg-blue-500/20',
+  ScheduleChanged: 'text-yellow-400 bg-yellow-500/20',
+  CheckInOpen: 'text-purple-400 bg-purple-500/20'
+};
+
+// Page the notification is about; check-in openings go straight to check-in
+export const getNotificationLink = (notification) => {
+  if (!notification.bookingId) return null;
+  if (notification.type === 'CheckInOpen') return `/check-in/${notification.bookingId}`;
+  if (notification.type === 'PaymentSucceeded' || notification.type === 'RefundInitiated') return '/payments';
+  return notification.pnr ? `/bookings?pnr=${notification.pnr}` : '/bookings';
+};
+
+export const formatNotificationTime = (createdAt) => {
+  const minutes = Math.floor((Date.now() - new Date(createdAt).getTime()) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(createdAt).toLocaleDateString();
+};
@@ -0,0 +1,94 @@
+// Passenger rules shared with the API (Services/PassengerRules.cs); keep the two in step.
+
+export const PASSENGER_TYPES = ['Adult', 'Child', 'Infant'];
+
+// ICAO machine-readable passports: 6-9 letters or digits
+export const PASSPORT_PATTERN = /^[A-Z0-9]{6,9}$/;
+
+// Passports must stay valid this long after the last flight
+export const PASSPORT_VALIDITY_MONTHS = 6;
+
+const MAX_AGE = 120;
+
+const toDate = (value) => (value ? new Date(`${String(value).slice(0, 10)}T00:00:00`) : null);
+
+// Whole years on the given date
+export const getAgeOn = (dateOfBirth, date) => {
+  const dob = toDate(dateOfBirth);
+  const on = toDate(date) || new Date();
+  let age = on.getFullYear() - dob.getFullYear();
+  const birthdayPassed = on.getMonth() > dob.getMonth() ||
+    (on.getMonth() === dob.getMonth() && on.getDate() >= dob.getDate());
+  if (!birthdayPassed) age--;
+  return age;
+};
+
+// Fare category by age on the day of travel: infant under 2, child 2-11, adult 12+
+export const getPassengerType = (dateOfBirth, travelDate) => {
+  if (!dateOfBirth) return null;
+  const age = getAgeOn(dateOfBirth, travelDate);
+  if (age < 2) return 'Infant';
+  if (age < 12) return 'Child';
+  return 'Adult';
+};
+
+export const normalizePassport = (passportNumber = '') => passportNumber.trim().toUpperCase();
+
+// Field -> message for one passenger; empty object when valid.
+// travelDate is the first flight date, lastTravelDate the last one.
+export const validatePassenger = (passenger, { travelDate, lastTravelDate, countryCodes = [] }) => {
+  const errors = {};
+  const today = new Date();
+
+  if (!passenger.full_name?.trim()) {
+    errors.full_name = 'Full name is required.';
+  }
+  if (!passenger.gender) {
+    errors.gender = 'Select a gender.';
+  }
+
+  if (!passenger.date_of_birth) {
+    errors.date_of_birth = 'Date of birth is required.';
+  } else if (toDate(passenger.date_of_birth) > today || getAgeOn(passenger.date_of_birth, today) > MAX_AGE) {
+    errors.date_of_birth = 'Date of birth is not valid.';
+  }
+
+  if (!passenger.nationality) {
+    errors.nationality = 'Select a nationality.';
+  } else if (countryCodes.length > 0 && !countryCodes.includes(passenger.nationality)) {
+    errors.nationality = 'Select a nationality from the list.';
+  }
+
+  const passportNumber = normalizePassport(passenger.passport_number);
+  if (!passportNumber) {
+    errors.passport_number = 'Passport number is required.';
+  } else if (!PASSPORT_PATTERN.test(passportNumber)) {
+    errors.passport_number = 'Passport number must be 6 to 9 letters or digits.';
+  }
+
+  if (!passenger.passport_expiry) {
+    errors.passport_expiry = 'Passport expiry date is required.';
+  } else {
+    const validUntil = toDate(lastTravelDate || travelDate) || new Date();
+    validUntil.setMonth(validUntil.getMonth() + PASSPORT_VALIDITY_MONTHS);
+    if (toDate(passenger.passport_expiry) < validUntil) {
+      errors.passport_expiry = `Passport must be valid for at least ${PASSPORT_VALIDITY_MONTHS} months after your last flight.`;
+    }
+  }
+
+  return errors;
+};
+
+// Booking-level rule: every infant travels on an adult's lap, and minors need an adult
+export const validatePassengerGroup = (passengerTypes) => {
+  const adults = passengerTypes.filter(type => type === 'Adult').length;
+  const infants = passengerTypes.filter(type => type === 'Infant').length;
+
+  if (adults === 0) {
+    return 'Children and infants must travel with at least one adult on the booking.';
+  }
+  if (infants > adults) {
+    return 'Each infant must be accompanied by a separate adult on the booking.';
+  }
+  return null;
+};
@@ -0,0 +1,198 @@
+// Flight search state in the URL, so a filtered search can be shared or bookmarked, and the
+// filters and sorting applied to its results. The rules match Services/FlightFilters.cs on
+// the API: a flight passes the price filter when it sells the chosen class (any class without
+// one) inside the range, and a time window whose end is before its start runs past midnight.
+// Times are local to each airport. Connections are filtered as whole journeys: they carry the
+// same time and fare fields as a flight (first departure, last arrival, total fares), and every
+// flight in one must be on a chosen airline.
+import { FARE_CLASSES, getFarePrice, getAvailableFareClasses } from './fares';
+
+export const SORT_OPTIONS = [
+  { value: 'departure', label: 'Departure time' },
+  { value: 'price', label: 'Lowest price' },
+  { value: 'duration', label: 'Shortest duration' }
+];
+
+export const DEFAULT_SORT = 'departure';
+
+// Most stops allowed; '' allows as many as the search builds
+export const STOP_OPTIONS = [
+  { value: '0', label: 'Direct only' },
+  { value: '1', label: 'Up to 1 stop' },
+  { value: '2', label: 'Up to 2 stops' }
+];
+
+// Quick picks for the departure and arrival windows
+export const TIME_WINDOWS = [
+  { value: '00:00-05:59', label: 'Night (00–06)' },
+  { value: '06:00-11:59', label: 'Morning (06–12)' },
+  { value: '12:00-17:59', label: 'Afternoon (12–18)' },
+  { value: '18:00-23:59', label: 'Evening (18–24)' }
+];
+
+// The search itself: ?trip=RoundTrip&from=DEL&to=BOM&date=2025-07-20&return=2025-07-27&flex=1
+// Multi-city repeats from/to/date once per leg; one-way leaves out trip.
+export const readSearch = (searchParams) => {
+  const from = searchParams.getAll('from');
+  const to = searchParams.getAll('to');
+  const dates = searchParams.getAll('date');
+  return {
+    tripType: searchParams.get('trip') || 'OneWay',
+    legs: from.map((code, index) => ({
+      departureIata: code,
+      arrivalIata: to[index] || '',
+      flightDate: dates[index] || ''
+    })),
+    returnDate: searchParams.get('return') || '',
+    flexibleDates: searchParams.get('flex') === '1'
+  };
+};
+
+// `legs` are the legs searched; a round trip's second leg only contributes its date
+export const writeSearch = (searchParams, { tripType, legs, flexibleDates }) => {
+  const params = new URLSearchParams(searchParams);
+  ['trip', 'from', 'to', 'date', 'return', 'flex'].forEach(name => params.delete(name));
+  if (tripType !== 'OneWay') params.set('trip', tripType);
+  const written = tripType === 'RoundTrip' ? legs.slice(0, 1) : legs;
+  written.forEach(leg => {
+    params.append('from', leg.departureIata);
+    params.append('to', leg.arrivalIata);
+    params.append('date', leg.flightDate);
+  });
+  if (tripType === 'RoundTrip' && legs[1]) params.set('return', legs[1].flightDate);
+  if (flexibleDates) params.set('flex', '1');
+  return params;
+};
+
+const FILTER_PARAMS = ['airline', 'depart', 'arrive', 'minPrice', 'maxPrice', 'class', 'stops', 'sort'];
+
+export const EMPTY_FILTERS = {
+  airlines: [],
+  depart: '',
+  arrive: '',
+  minPrice: '',
+  maxPrice: '',
+  fareClass: '',
+  stops: '',
+  sort: DEFAULT_SORT
+};
+
+export const readFilters = (searchParams) => ({
+  airlines: searchParams.getAll('airline'),
+  depart: searchParams.get('depart') || '',
+  arrive: searchParams.get('arrive') || '',
+  minPrice: searchParams.get('minPrice') || '',
+  maxPrice: searchParams.get('maxPrice') || '',
+  fareClass: FARE_CLASSES.includes(searchParams.get('class')) ? searchParams.get('class') : '',
+  stops: STOP_OPTIONS.some(option => option.value === searchParams.get('stops')) ? searchParams.get('stops') : '',
+  sort: SORT_OPTIONS.some(option => option.value === searchParams.get('sort'))
+    ? searchParams.get('sort')
+    : DEFAULT_SORT
+});
+
+// Copy of searchParams with the filters replaced; other params (the search itself) are kept
+export const writeFilters = (searchParams, filters) => {
+  const params = new URLSearchParams(searchParams);
+  FILTER_PARAMS.forEach(name => params.delete(name));
+  filters.airlines.forEach(airline => params.append('airline', airline));
+  if (filters.depart) params.set('depart', filters.depart);
+  if (filters.arrive) params.set('arrive', filters.arrive);
+  if (filters.minPrice !== '') params.set('minPrice', filters.minPrice);
+  if (filters.maxPrice !== '') params.set('maxPrice', filters.maxPrice);
+  if (filters.fareClass) params.set('class', filters.fareClass);
+  if (filters.stops) params.set('stops', filters.stops);
+  if (filters.sort !== DEFAULT_SORT) params.set('sort', filters.sort);
+  return params;
+};
+
+export const countActiveFilters = (filters) =>
+  [filters.airlines.length > 0, filters.depart, filters.arrive, filters.minPrice !== '' || filters.maxPrice !== '', filters.fareClass, filters.stops]
+    .filter(Boolean).length;
+
+export const getAirlineKey = (flight) => flight.airlineIata || flight.airlineName;
+
+// Airlines flying in a set of results, for the airline filter
+export const getAirlineOptions = (flights) => {
+  const airlines = new Map();
+  flights.forEach(flight => {
+    const key = getAirlineKey(flight);
+    if (key && !airlines.has(key)) airlines.set(key, flight.airlineName || key);
+  });
+  return [...airlines].map(([value, label]) => ({ value, label })).sort((a, b) => a.label.localeCompare(b.label));
+};
+
+export const getLowestFare = (flight, fareClass) => {
+  if (fareClass) return getFarePrice(flight, fareClass);
+  const fares = getAvailableFareClasses(flight).map(cls => getFarePrice(flight, cls));
+  return fares.length > 0 ? Math.min(...fares) : null;
+};
+
+// "HH:mm" or "HH:mm:ss" to minutes after midnight
+const toMinutes = (time) => {
+  if (!time) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const inWindow = (time, window) => {
+  if (!window) return true;
+  const value = toMinutes(time);
+  if (value == null) return false;
+  const [from, to] = window.split('-').map(toMinutes);
+  return from <= to ? value >= from && value <= to : value >= from || value <= to;
+};
+
+const inPriceRange = (flight, filters) => {
+  if (filters.minPrice === '' && filters.maxPrice === '' && !filters.fareClass) return true;
+  const min = filters.minPrice !== '' ? Number(filters.minPrice) : 0;
+  const max = filters.maxPrice !== '' ? Number(filters.maxPrice) : Infinity;
+  const classes = filters.fareClass ? [filters.fareClass] : FARE_CLASSES;
+  return classes.some(cls => {
+    const fare = getFarePrice(flight, cls);
+    return fare != null && fare >= min && fare <= max;
+  });
+};
+
+// Direct flights have no `stops` and count as zero
+const withinStops = (item, filters) => filters.stops === '' || (item.stops ?? 0) <= Number(filters.stops);
+
+const onChosenAirlines = (item, filters) =>
+  filters.airlines.length === 0 ||
+  (item.flights || [item]).every(flight => filters.airlines.includes(getAirlineKey(flight)));
+
+// Works on direct flights and on connections alike
+export const filterFlights = (flights, filters) =>
+  flights.filter(flight =>
+    withinStops(flight, filters) &&
+    onChosenAirlines(flight, filters) &&
+    inWindow(flight.departureTime, filters.depart) &&
+    inWindow(flight.arrivalTime, filters.arrive) &&
+    inPriceRange(flight, filters)
+  );
+
+// Flights missing the sort value go last; ties keep the cheaper flight first.
+// `durations` are minutes by flight id, as returned with the search; connections carry their own.
+export const sortFlights = (flights, filters, durations = {}) => {
+  const price = (flight) => getLowestFare(flight, filters.fareClass) ?? Infinity;
+  const departure = (flight) => toMinutes(flight.departureTime) ?? Infinity;
+  const duration = (flight) => durations[flight.id] ?? flight.durationMinutes ?? Infinity;
+  const keys = {
+    price: [price, departure],
+    duration: [duration, price],
+    departure: [departure, price]
+  }[filters.sort] || [departure, price];
+
+  return [...flights].sort((a, b) => {
+    for (const key of keys) {
+      const diff = key(a) - key(b);
+      if (diff !== 0 && !Number.isNaN(diff)) return diff;
+    }
+    return 0;
+  });
+};
+
+export const formatDuration = (minutes) => {
+  if (minutes == null) return null;
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+};
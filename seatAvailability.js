@@ -0,0 +1,24 @@
+// Seats left to sell on a flight, as returned by api/Flights/availability and the itinerary search.
+// `available` is null when the flight has no aircraft assigned, which means no limit.
+
+// "Only N left" is shown at or below this, matching SeatInventory.LowAvailability on the API
+export const LOW_AVAILABILITY = 9;
+
+export const isSoldOut = (availability) => availability?.available === 0;
+
+export const hasRoomFor = (availability, seats) =>
+  availability?.available == null || availability.available >= seats;
+
+export const getAvailabilityLabel = (availability) => {
+  const available = availability?.available;
+  if (available == null) return null;
+  if (available === 0) return 'Sold out';
+  if (available <= LOW_AVAILABILITY) return `Only ${available} left`;
+  return null;
+};
+
+// Fewest seats left across the legs of an itinerary, or null when none is limited
+export const getSeatsLeft = (availabilities = []) => {
+  const limited = availabilities.filter(a => a?.available != null).map(a => a.available);
+  return limited.length > 0 ? Math.min(...limited) : null;
+};
@@ -0,0 +1,31 @@
+// Waitlist entries for sold-out flights, as returned by api/Waitlist.
+// An "Offered" entry has seats set aside until offerExpiresAt; the customer takes it up
+// by booking through /passenger-info with the waitlist passed in the route state.
+
+// Largest party one entry can queue for, matching WaitlistOffers.MaxPartySize on the API
+export const MAX_PARTY_SIZE = 9;
+
+export const WAITLIST_STATUS_LABELS = {
+  Waiting: 'On waitlist',
+  Offered: 'Seats offered',
+  Booked: 'Booked',
+  Expired: 'Offer expired',
+  Cancelled: 'Left waitlist'
+};
+
+export const isOfferOpen = (entry) =>
+  entry?.status === 'Offered' && new Date(entry.offerExpiresAt) > new Date();
+
+export const isWaitlistOpen = (entry) => entry?.status === 'Waiting' || isOfferOpen(entry);
+
+// Route state that opens the booking flow for an offer
+export const getOfferBookingState = (entry) => ({
+  flightData: entry.flight,
+  itinerary: null,
+  waitlist: {
+    waitlistId: entry.waitlistId,
+    partySize: entry.partySize,
+    fareClass: entry.fareClass,
+    offerExpiresAt: entry.offerExpiresAt
+  }
+});